@@ -0,0 +1,128 @@
+// Script to run a bulk send from the command line - one signed PDF or envelope per CSV row.
+// It goes through a running server's API, so jobs share the server's store and audit trail.
+// Usage: node bulk-send.js --csv people.csv --template <id>
+//        node bulk-send.js --csv people.csv --pdf <id|file.pdf> --layout layout.json
+// Options: --mapping mapping.json --envelope --certificate --flatten --report report.json
+//          --server <url> (default PUBLIC_BASE_URL or http://localhost:PORT)
+//          --api-key <key> (default API_KEY) - the job runs as the key's tenant
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const POLL_MS = 1000;
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// fetch against the API with the key; error responses throw with the server's message
+const createClient = (server, apiKey) => async (route, options = {}) => {
+  const response = await fetch(new URL(route, server), {
+    ...options,
+    headers: { Authorization: `Bearer ${apiKey}`, ...options.headers },
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const details = (body.errors || [])
+      .map((e) => (e.row ? `row ${e.row}: ${e.message}` : e.message))
+      .join('; ');
+    throw new Error(
+      `${body.message || `HTTP ${response.status}`}${details ? ` (${details})` : ''}`
+    );
+  }
+  return body;
+};
+
+const printRow = (row, processed, total) => {
+  const details = row.errors ? ` (${row.errors.map((e) => e.message).join('; ')})` : '';
+  const outcome =
+    row.status === 'succeeded'
+      ? row.signedUrl || row.envelopeId
+      : `FAILED ${row.error}${details}`;
+  console.log(`[${processed}/${total}] row ${row.row}: ${outcome}`);
+};
+
+async function bulkSend() {
+  const { values: args } = parseArgs({
+    options: {
+      csv: { type: 'string' },
+      template: { type: 'string' },
+      pdf: { type: 'string' },
+      layout: { type: 'string' },
+      mapping: { type: 'string' },
+      envelope: { type: 'boolean', default: false },
+      certificate: { type: 'boolean', default: false },
+      flatten: { type: 'boolean', default: false },
+      report: { type: 'string' },
+      server: {
+        type: 'string',
+        default: process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 4000}`,
+      },
+      'api-key': { type: 'string', default: process.env.API_KEY },
+    },
+  });
+  if (!args.csv || (!args.template && !(args.pdf && args.layout))) {
+    console.error('Usage: node bulk-send.js --csv <file> --template <id>');
+    console.error('       node bulk-send.js --csv <file> --pdf <id|file.pdf> --layout <file>');
+    process.exitCode = 1;
+    return;
+  }
+  if (!args['api-key']) {
+    console.error('Pass --api-key or set API_KEY (node create-api-key.js makes one)');
+    process.exitCode = 1;
+    return;
+  }
+  const api = createClient(args.server, args['api-key']);
+
+  // A path to a PDF is uploaded first (same bytes, same document id); anything else is an id
+  let pdfId = args.pdf;
+  if (pdfId && fs.existsSync(pdfId)) {
+    const form = new FormData();
+    form.append('file', new Blob([fs.readFileSync(pdfId)]), path.basename(pdfId));
+    pdfId = (await api('/documents', { method: 'POST', body: form })).id;
+  }
+
+  // A layout file can be a bare field array or a saved template ({ fields })
+  const layout = args.layout ? readJson(args.layout) : null;
+  let job = await api('/bulk-jobs', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      pdfId,
+      templateId: args.template,
+      fields: Array.isArray(layout) ? layout : layout?.fields,
+      csv: fs.readFileSync(args.csv, 'utf8'),
+      mapping: args.mapping ? readJson(args.mapping) : {},
+      mode: args.envelope ? 'envelope' : 'sign',
+      options: { certificate: args.certificate, flatten: args.flatten },
+    }),
+  });
+  console.log(`Job ${job.id} queued with ${job.total} rows`);
+
+  // Rows finish in order; print the ones that finished since the last poll
+  let printed = 0;
+  const printFinished = () => {
+    const finished = job.rows.filter((row) => row.status !== 'pending');
+    for (; printed < finished.length; printed += 1) {
+      printRow(finished[printed], printed + 1, job.total);
+    }
+  };
+  while (!['completed', 'failed'].includes(job.status)) {
+    await sleep(POLL_MS);
+    job = await api(`/bulk-jobs/${job.id}`);
+    printFinished();
+  }
+
+  if (job.status === 'failed') throw new Error(`Job ${job.id} stopped: ${job.error}`);
+  console.log(`Done: ${job.succeeded} succeeded, ${job.failed} failed (job ${job.id})`);
+  if (args.report) {
+    fs.writeFileSync(args.report, JSON.stringify(job, null, 2));
+    console.log(`Report written to ${args.report}`);
+  }
+  if (job.failed > 0) process.exitCode = 1;
+}
+
+bulkSend().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
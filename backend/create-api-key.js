@@ -0,0 +1,55 @@
+// Script to create a tenant and its first API key, or another key for an existing tenant
+// Usage: node create-api-key.js --tenant-name "Acme" [--name "CI"] [--adopt]
+//        node create-api-key.js --tenant <tenantId> [--name "CI"]
+// --adopt hands every record that has no tenant yet (from before keys existed) to the tenant
+require('dotenv').config();
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+const { createTenant, getTenant, createApiKey, adoptUnowned } = require('./lib/auth');
+
+async function createKey() {
+  const { values: args } = parseArgs({
+    options: {
+      tenant: { type: 'string' },
+      'tenant-name': { type: 'string' },
+      name: { type: 'string', default: '' },
+      adopt: { type: 'boolean', default: false },
+    },
+  });
+  if (!args.tenant && !args['tenant-name']) {
+    console.error('Usage: node create-api-key.js --tenant-name <name> [--name <key>] [--adopt]');
+    console.error('       node create-api-key.js --tenant <tenantId> [--name <key>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  if (process.env.MONGODB_URI) {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      dbName: process.env.MONGO_DB || 'signature-proto',
+    });
+  }
+
+  try {
+    const tenant = args.tenant
+      ? await getTenant(args.tenant)
+      : await createTenant({ name: args['tenant-name'] });
+    const apiKey = await createApiKey(tenant.id, { name: args.name });
+    console.log(`Tenant:  ${tenant.name} (${tenant.id})`);
+    console.log(`API key: ${apiKey.key}`);
+    console.log('Store the key now - it is not shown again.');
+
+    if (args.adopt) {
+      const counts = await adoptUnowned(tenant.id);
+      Object.entries(counts).forEach(([collection, count]) => {
+        if (count > 0) console.log(`Adopted ${count} ${collection}`);
+      });
+    }
+  } finally {
+    if (process.env.MONGODB_URI) await mongoose.disconnect();
+  }
+}
+
+createKey().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -1,178 +1,50 @@
-// Script to generate a sample contract PDF for testing
-// Creates a service agreement with signature boxes
-const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+// Script to generate a contract PDF from a JSON template and a JSON data file
+// Usage: node generate-contract.js [--template contracts/service-agreement.json]
+//          [--data contracts/service-agreement.sample.json] [--out contract.pdf]
+//          [--fields fields.json] [--page-size a4|letter|legal]
+// --fields writes the placed signature fields, ready for POST /sessions or /templates
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { renderTemplate } = require('./lib/docgen');
 
-async function generateContract() {
-  const pdfDoc = await PDFDocument.create();
-  let page = pdfDoc.addPage([595.28, 842]); // A4 size in points (595.28 x 842)
-  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-  const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-
-  const pageWidth = page.getWidth();
-  const pageHeight = page.getHeight();
-  const margin = 50;
-  let yPos = pageHeight - margin; // Start from top
-
-  // Title
-  page.drawText('SERVICE AGREEMENT', {
-    x: margin,
-    y: yPos,
-    size: 24,
-    font: boldFont,
-    color: rgb(0, 0, 0),
-  });
-  yPos -= 40;
-
-  // Date - use current date
-  const today = new Date().toLocaleDateString('en-US', {
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric',
-  });
-  page.drawText(`Date: ${today}`, {
-    x: margin,
-    y: yPos,
-    size: 11,
-    font: font,
-    color: rgb(0.3, 0.3, 0.3),
-  });
-  yPos -= 30;
-
-  // Parties section - who's involved
-  page.drawText('PARTIES', {
-    x: margin,
-    y: yPos,
-    size: 14,
-    font: boldFont,
-  });
-  yPos -= 20;
-
-  page.drawText('Service Provider:', {
-    x: margin,
-    y: yPos,
-    size: 11,
-    font: boldFont,
-  });
-  yPos -= 16;
-  page.drawText('[Service Provider Name]', {
-    x: margin + 20,
-    y: yPos,
-    size: 11,
-    font: font,
-  });
-  yPos -= 20;
-
-  page.drawText('Client:', {
-    x: margin,
-    y: yPos,
-    size: 11,
-    font: boldFont,
-  });
-  yPos -= 16;
-  page.drawText('[Client Name]', {
-    x: margin + 20,
-    y: yPos,
-    size: 11,
-    font: font,
-  });
-  yPos -= 30;
-
-  // Terms section - standard contract clauses
-  page.drawText('TERMS AND CONDITIONS', {
-    x: margin,
-    y: yPos,
-    size: 14,
-    font: boldFont,
-  });
-  yPos -= 20;
-
-  const terms = [
-    '1. Scope of Services: The Service Provider agrees to deliver the services as described in this agreement.',
-    '2. Term: This agreement shall commence on the date of execution and continue until completion of services.',
-    '3. Compensation: The Client agrees to pay the Service Provider according to the payment terms specified herein.',
-    '4. Confidentiality: Both parties agree to maintain confidentiality of all proprietary information.',
-    '5. Termination: Either party may terminate this agreement with 30 days written notice.',
-    '6. Governing Law: This agreement shall be governed by the laws of the jurisdiction specified.',
-  ];
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
 
-  // Draw each term, add new page if we run out of space
-  for (const term of terms) {
-    if (yPos < 200) {
-      const newPage = pdfDoc.addPage([595.28, 842]);
-      yPos = pageHeight - margin;
-      page = newPage;
-    }
-    page.drawText(term, {
-      x: margin,
-      y: yPos,
-      size: 10,
-      font: font,
-      maxWidth: pageWidth - margin * 2,
+async function generateContract() {
+  const { values: args } = parseArgs({
+    options: {
+      template: {
+        type: 'string',
+        default: path.join(__dirname, 'contracts', 'service-agreement.json'),
+      },
+      data: {
+        type: 'string',
+        default: path.join(__dirname, 'contracts', 'service-agreement.sample.json'),
+      },
+      out: { type: 'string', default: 'contract.pdf' },
+      fields: { type: 'string' },
+      'page-size': { type: 'string' },
+    },
+  });
+
+  try {
+    const { pdf, fields } = await renderTemplate(readJson(args.template), readJson(args.data), {
+      pageSize: args['page-size'],
     });
-    yPos -= 18;
+    fs.writeFileSync(args.out, pdf);
+    console.log(`Contract PDF generated at ${path.resolve(args.out)} (${fields.length} fields)`);
+    if (args.fields) {
+      fs.writeFileSync(args.fields, `${JSON.stringify(fields, null, 2)}\n`);
+      console.log(`Field layout written to ${path.resolve(args.fields)}`);
+    }
+  } catch (error) {
+    // Template problems come back as a list, one per missing value or bad block
+    console.error(error.message);
+    (error.details?.errors || []).forEach(({ path: at, index, message }) =>
+      console.error(`  ${at ?? `field ${index}`}: ${message}`)
+    );
+    process.exitCode = 1;
   }
-
-  yPos -= 20;
-
-  // Signature section - two boxes for both parties
-  // Labels are above boxes to avoid text overlap
-  page.drawText('SIGNATURES', {
-    x: margin,
-    y: yPos,
-    size: 14,
-    font: boldFont,
-  });
-  yPos -= 30;
-
-  // Service Provider signature box (left side)
-  const sigBoxWidth = 220;
-  const sigBoxHeight = 80;
-  const leftSigX = margin;
-  const leftSigY = yPos - sigBoxHeight;
-
-  page.drawText('Service Provider:', {
-    x: leftSigX,
-    y: yPos + 5,
-    size: 10,
-    font: boldFont,
-  });
-
-  page.drawRectangle({
-    x: leftSigX,
-    y: leftSigY,
-    width: sigBoxWidth,
-    height: sigBoxHeight,
-    borderColor: rgb(0.5, 0.5, 0.5),
-    borderWidth: 1,
-  });
-
-  // Client signature box (right side)
-  const rightSigX = pageWidth - margin - sigBoxWidth;
-  const rightSigY = leftSigY;
-
-  page.drawText('Client:', {
-    x: rightSigX,
-    y: yPos + 5,
-    size: 10,
-    font: boldFont,
-  });
-
-  page.drawRectangle({
-    x: rightSigX,
-    y: rightSigY,
-    width: sigBoxWidth,
-    height: sigBoxHeight,
-    borderColor: rgb(0.5, 0.5, 0.5),
-    borderWidth: 1,
-  });
-
-  const pdfBytes = await pdfDoc.save();
-  const outputPath = path.join(__dirname, 'sample.pdf');
-  fs.writeFileSync(outputPath, pdfBytes);
-  console.log(`Contract PDF generated at ${outputPath}`);
 }
 
-generateContract().catch(console.error);
-
+generateContract();
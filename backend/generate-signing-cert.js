@@ -0,0 +1,41 @@
+// Script to generate a self-signed PKCS#12 certificate for local digital signing
+// Usage: node generate-signing-cert.js [passphrase] - then set SIGNING_P12_PATH to the output
+const forge = require('node-forge');
+const fs = require('fs');
+const path = require('path');
+
+function generateSigningCert() {
+  const passphrase = process.argv[2] || '';
+  const keys = forge.pki.rsa.generateKeyPair(2048);
+  const cert = forge.pki.createCertificate();
+
+  cert.publicKey = keys.publicKey;
+  cert.serialNumber = `01${forge.util.bytesToHex(forge.random.getBytesSync(8))}`;
+  cert.validity.notBefore = new Date();
+  cert.validity.notAfter = new Date();
+  cert.validity.notAfter.setFullYear(cert.validity.notBefore.getFullYear() + 2);
+
+  const attrs = [
+    { name: 'commonName', value: 'BoloForms Signature (development)' },
+    { name: 'organizationName', value: 'BoloForms' },
+  ];
+  cert.setSubject(attrs);
+  cert.setIssuer(attrs); // self-signed
+  cert.setExtensions([
+    { name: 'basicConstraints', cA: false },
+    { name: 'keyUsage', digitalSignature: true, nonRepudiation: true },
+    // timeStamping so the LOCAL_TSA stand-in can reuse it - strict validators want a
+    // dedicated TSA certificate, so don't rely on stand-in timestamps outside development
+    { name: 'extKeyUsage', emailProtection: true, timeStamping: true },
+  ]);
+  cert.sign(keys.privateKey, forge.md.sha256.create());
+
+  const p12 = forge.pkcs12.toPkcs12Asn1(keys.privateKey, [cert], passphrase, {
+    algorithm: '3des',
+  });
+  const outputPath = path.join(__dirname, 'signing-cert.p12');
+  fs.writeFileSync(outputPath, Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary'));
+  console.log(`Signing certificate generated at ${outputPath}`);
+}
+
+generateSigningCert();
@@ -1,167 +1,178 @@
-// PDF signing backend - burns signatures into PDFs and tracks audit trail
+// PDF signing backend - burns fields into PDFs and tracks audit trail
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
+const fs = require('fs');
 const mongoose = require('mongoose');
-const { PDFDocument } = require('pdf-lib');
+const { normalizeFields } = require('./lib/burn');
+const { SIGNED_DIR, signDocument, singleSignerCertificate } = require('./lib/signing');
+const { sendError } = require('./lib/errors');
+const { findSignedFile, recordEvent, requestContext } = require('./lib/audit');
+const { startWebhooks } = require('./lib/webhooks');
+const { startBulkJobs } = require('./lib/bulk');
+const { notifyRecipients, startNotifications } = require('./lib/notifications');
+const {
+  authenticate,
+  inScope,
+  requestKey,
+  requireApiKey,
+  requireFullAccess,
+} = require('./lib/auth');
+const { checkDownload } = require('./lib/downloads');
+const { limitSigningPerKey } = require('./lib/rateLimit');
+const documentRoutes = require('./routes/documents');
+const templateRoutes = require('./routes/templates');
+const envelopeRoutes = require('./routes/envelopes');
+const signerRoutes = require('./routes/signer');
+const auditRoutes = require('./routes/audit');
+const verifyRoutes = require('./routes/verify');
+const bulkRoutes = require('./routes/bulk');
+const webhookRoutes = require('./routes/webhooks');
+const notificationRoutes = require('./routes/notifications');
+const apiKeyRoutes = require('./routes/apiKeys');
+const authRoutes = require('./routes/auth');
+const sessionRoutes = require('./routes/sessions');
+const tsaRoutes = require('./routes/tsa');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
-const signedDir = path.join(__dirname, 'signed');
-
-// Simple catalog for PDFs - in production this would come from a database
-const pdfCatalog = {
-  default: path.resolve(__dirname, 'sample.pdf'),
-};
-
-// Create signed directory if it doesn't exist
-if (!fs.existsSync(signedDir)) {
-  fs.mkdirSync(signedDir, { recursive: true });
-}
 
-app.use(cors());
+// Browsers may only call from the frontend's origin(s); server-to-server calls send no Origin
+const corsOrigins = (process.env.CORS_ORIGINS || process.env.APP_URL || 'http://localhost:5173')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+app.use(
+  cors({
+    origin: corsOrigins,
+    exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'],
+  })
+);
 app.use(express.json({ limit: '15mb' }));
-app.use('/signed', express.static(signedDir));
-
-// Helper to hash PDF bytes for audit trail
-const hashBuffer = (buffer) =>
-  crypto.createHash('sha256').update(buffer).digest('hex');
-
-// Setup MongoDB for audit logging (optional)
-let AuditLog;
+// Setup MongoDB for records and audit logging (optional)
 const mongoUri = process.env.MONGODB_URI;
 if (mongoUri) {
   mongoose
     .connect(mongoUri, { dbName: process.env.MONGO_DB || 'signature-proto' })
     .then(() => console.log('Connected to MongoDB'))
     .catch((err) => console.error('Mongo connection failed', err));
-
-  const auditSchema = new mongoose.Schema(
-    {
-      pdfId: String,
-      originalHash: String,
-      signedHash: String,
-      signedFile: String,
-    },
-    { timestamps: true }
-  );
-  AuditLog = mongoose.model('AuditLog', auditSchema);
 } else {
-  console.warn('MONGODB_URI not set. Audit trail will be logged to console.');
+  console.warn('MONGODB_URI not set. Records and audit trail will be kept in local JSON files.');
 }
 
 app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
-app.post('/sign-pdf', async (req, res) => {
-  try {
-    const { pdfId = 'default', signatures, signatureDataUrl, coordinates } = req.body;
-    
-    // Support both old single signature format and new array format
-    let signatureList = [];
-    if (signatures && Array.isArray(signatures)) {
-      signatureList = signatures;
-    } else if (signatureDataUrl && coordinates) {
-      signatureList = [{ signatureDataUrl, coordinates }];
-    } else {
-      return res
-        .status(400)
-        .json({ message: 'signatures array or signatureDataUrl+coordinates required' });
-    }
-
-    if (signatureList.length === 0) {
-      return res.status(400).json({ message: 'At least one signature is required' });
-    }
+// Everything but the signer links needs an API key and only sees its tenant's records
+app.use('/documents', requireApiKey, documentRoutes);
+app.use('/templates', requireApiKey, templateRoutes);
+app.use('/sessions', requireApiKey, sessionRoutes);
+app.use('/envelopes', requireApiKey, envelopeRoutes);
+app.use('/sign', signerRoutes);
+app.use('/audit', requireApiKey, auditRoutes);
+app.use('/verify', requireApiKey, verifyRoutes);
+app.use('/bulk-jobs', requireApiKey, bulkRoutes);
+app.use('/webhooks', requireApiKey, requireFullAccess, webhookRoutes);
+app.use('/notifications', requireApiKey, notificationRoutes);
+app.use('/api-keys', requireApiKey, requireFullAccess, apiKeyRoutes);
+app.use('/auth', requireApiKey, requireFullAccess, authRoutes);
+
+// Development stand-in for an RFC 3161 authority - point TSA_URL at <this server>/tsa
+if (process.env.LOCAL_TSA === 'true') {
+  app.use('/tsa', tsaRoutes);
+}
 
-    // Load the original PDF
-    const pdfPath = pdfCatalog[pdfId] || pdfCatalog.default;
-    if (!fs.existsSync(pdfPath)) {
-      return res.status(404).json({ message: 'PDF not found' });
+// Serve signed PDFs and log each download to the audit trail. A download needs either an
+// unexpired link (?expires=&signature=) or an API key of the tenant that owns the file.
+app.get('/signed/:file', async (req, res) => {
+  try {
+    const { file } = req.params;
+    const filePath = path.join(SIGNED_DIR, file);
+    if (!/^signed-[\w-]+\.pdf$/.test(file) || !fs.existsSync(filePath)) {
+      return res.status(404).json({ message: 'Signed PDF not found' });
     }
 
-    const originalBuffer = fs.readFileSync(pdfPath);
-    const originalHash = hashBuffer(originalBuffer);
-    const pdfDoc = await PDFDocument.load(originalBuffer);
-
-    // Burn each signature into the PDF
-    for (const sig of signatureList) {
-      const { signatureDataUrl, coordinates } = sig;
-      if (!signatureDataUrl || !coordinates) {
-        continue; // skip invalid entries
+    const signed = await findSignedFile(file);
+    if (req.query.signature) {
+      const link = checkDownload(file, req.query);
+      if (link === 'expired') {
+        return res.status(410).json({ message: 'Download link has expired' });
       }
+      if (link !== 'valid') return res.status(403).json({ message: 'Invalid download link' });
+    } else {
+      const auth = await authenticate(requestKey(req));
+      if (!auth) return res.status(401).json({ message: 'API key or signed link required' });
+      if (!inScope(signed, auth.tenant.id)) {
+        return res.status(404).json({ message: 'Signed PDF not found' });
+      }
+    }
 
-      const pageIndex = Math.max(0, (coordinates.page || 1) - 1);
-      const page = pdfDoc.getPage(pageIndex);
-
-      // Extract base64 image data
-      const base64 = signatureDataUrl.split(',').pop();
-      const signatureBytes = Buffer.from(base64, 'base64');
-      const signatureImage = await pdfDoc.embedPng(signatureBytes);
-
-      const boxWidth = coordinates.width;
-      const boxHeight = coordinates.height;
-
-      // Calculate scale to fit signature in box without distorting aspect ratio
-      // Use the smaller scale factor so it fits both width and height
-      const scale = Math.min(
-        boxWidth / signatureImage.width,
-        boxHeight / signatureImage.height
-      );
-      const drawWidth = signatureImage.width * scale;
-      const drawHeight = signatureImage.height * scale;
-      
-      // Center the signature within the box
-      const x = coordinates.x + (boxWidth - drawWidth) / 2;
-      const y = coordinates.y + (boxHeight - drawHeight) / 2;
+    await recordEvent('document.downloaded', {
+      context: {
+        ...requestContext(req),
+        ...(signed?.tenantId ? { tenantId: signed.tenantId } : {}),
+      },
+      documentId: signed?.pdfId,
+      envelopeId: signed?.envelopeId,
+      data: { signedFile: file, signedHash: signed?.signedHash || null },
+    });
+    res.sendFile(filePath);
+  } catch (error) {
+    sendError(res, error, 'Failed to download signed PDF');
+  }
+});
 
-      page.drawImage(signatureImage, {
-        x,
-        y,
-        width: drawWidth,
-        height: drawHeight,
-      });
+app.post('/sign-pdf', requireApiKey, limitSigningPerKey, async (req, res) => {
+  try {
+    const {
+      pdfId = 'default',
+      flatten = false,
+      formFields = false,
+      anchors = null,
+      certificate = false,
+      signer = {},
+      continueFrom = null,
+      safeCopy = false,
+      notify = false,
+    } = req.body;
+
+    // Accept the typed field list, falling back to the old signature-only formats
+    const fieldList = normalizeFields(req.body);
+    if (!fieldList) {
+      return res
+        .status(400)
+        .json({ message: 'fields array or signatureDataUrl+coordinates required' });
     }
 
-    // Save the signed PDF and generate hash for audit trail
-    const signedBuffer = await pdfDoc.save();
-    const signedHash = hashBuffer(signedBuffer);
-    const fileName = `signed-${crypto.randomUUID()}.pdf`;
-    const signedPath = path.join(signedDir, fileName);
-    fs.writeFileSync(signedPath, signedBuffer);
-
-    // Generate URL for the signed PDF
-    const baseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`;
-    const signedUrl = `${baseUrl}/signed/${fileName}`;
+    if (fieldList.length === 0) {
+      return res.status(400).json({ message: 'At least one field is required' });
+    }
 
-    // Log to MongoDB if available, otherwise console
-    if (AuditLog) {
-      await AuditLog.create({
+    const context = requestContext(req);
+    const { signedUrl, originalHash, signedHash, previousHash, digitalSignature } =
+      await signDocument({
         pdfId,
-        originalHash,
-        signedHash,
-        signedFile: fileName,
+        fields: fieldList,
+        anchors,
+        flatten,
+        formFields,
+        certificate: certificate ? singleSignerCertificate(fieldList, signer, context) : null,
+        continueFrom,
+        safeCopy: Boolean(safeCopy),
+        notify: notifyRecipients(notify, signer),
+        context,
       });
-    } else {
-      console.log('Audit log', {
-        pdfId,
-        originalHash,
-        signedHash,
-        signedFile: fileName,
-      });
-    }
-
-    res.json({ signedUrl, originalHash, signedHash });
+    res.json({ signedUrl, originalHash, signedHash, previousHash, digitalSignature });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Failed to sign PDF', error: error.message });
+    sendError(res, error, 'Failed to sign PDF');
   }
 });
 
 app.listen(PORT, () => {
   console.log(`Backend listening on port ${PORT}`);
+  startWebhooks().catch((err) => console.error('Failed to start webhook deliveries', err));
+  startNotifications().catch((err) => console.error('Failed to start notifications', err));
+  startBulkJobs().catch((err) => console.error('Failed to resume bulk jobs', err));
 });
-
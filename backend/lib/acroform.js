@@ -0,0 +1,248 @@
+// Native AcroForm fields - detect them as pre-placed overlay fields, fill them on burn
+const crypto = require('crypto');
+const {
+  PDFDocument,
+  PDFCheckBox,
+  PDFName,
+  PDFRadioGroup,
+  PDFSignature,
+  PDFTextField,
+} = require('pdf-lib');
+const { displayedRect, displayedSize, fieldPlacement, sanitizeText } = require('./burn');
+const { loadDocumentBytes } = require('./documents');
+const { HttpError } = require('./errors');
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+// Overlay type for each supported form field class
+const fieldType = (formField) => {
+  if (formField instanceof PDFTextField) return 'text';
+  if (formField instanceof PDFCheckBox) return 'checkbox';
+  if (formField instanceof PDFRadioGroup) return 'radio';
+  if (formField instanceof PDFSignature) return 'signature';
+  return null; // dropdowns, option lists and push buttons aren't supported
+};
+
+// Page index of a widget - from its /P entry, or by finding it in a page's /Annots
+const widgetPageIndex = (pdfDoc, widget) => {
+  const pages = pdfDoc.getPages();
+  const pageRef = widget.P();
+  if (pageRef) {
+    const index = pages.findIndex((page) => page.ref === pageRef);
+    if (index !== -1) return index;
+  }
+  const widgetRef = pdfDoc.context.getObjectRef(widget.dict);
+  return pages.findIndex((page) =>
+    (page.node.Annots()?.asArray() || []).some((annot) => annot === widgetRef)
+  );
+};
+
+const currentValue = (formField, option) => {
+  if (formField instanceof PDFTextField) return formField.getText() || '';
+  if (formField instanceof PDFCheckBox) return formField.isChecked() ? 'yes' : '';
+  if (formField instanceof PDFRadioGroup) return formField.getSelected() === option ? 'yes' : '';
+  return '';
+};
+
+// One overlay field per widget, normalized like editor-placed fields (top-left origin, 0-1).
+// `acroField` names the native field; radio widgets also carry their export value and join a
+// group named after the field, so selecting one clears the others as in a PDF viewer.
+const detectFormFields = (pdfDoc) => {
+  const detected = [];
+  for (const formField of pdfDoc.getForm().getFields()) {
+    const type = fieldType(formField);
+    if (!type || formField.isReadOnly()) continue;
+
+    const options = formField instanceof PDFRadioGroup ? formField.getOptions() : [];
+    formField.acroField.getWidgets().forEach((widget, index) => {
+      const pageIndex = widgetPageIndex(pdfDoc, widget);
+      if (pageIndex === -1) return;
+
+      const page = pdfDoc.getPage(pageIndex);
+      const { width: pageWidth, height: pageHeight } = displayedSize(page);
+      const rect = displayedRect(page, widget.getRectangle());
+      if (rect.width === 0 || rect.height === 0) return; // hidden widget
+
+      const option = options[index];
+      detected.push({
+        id: crypto.randomUUID(),
+        type,
+        page: pageIndex + 1,
+        xNorm: clamp(rect.x / pageWidth),
+        yNorm: clamp((pageHeight - rect.y - rect.height) / pageHeight),
+        widthNorm: clamp(rect.width / pageWidth),
+        heightNorm: clamp(rect.height / pageHeight),
+        value: currentValue(formField, option),
+        acroField: formField.getName(),
+        ...(option !== undefined ? { acroValue: option, groupName: formField.getName() } : {}),
+      });
+    });
+  }
+  return detected;
+};
+
+const getFormFields = async (pdfId) => {
+  const pdfDoc = await PDFDocument.load(await loadDocumentBytes(pdfId));
+  return detectFormFields(pdfDoc);
+};
+
+// Bake every field into its page and remove the form. Two pdf-lib 1.17 quirks to work around:
+// empty signature widgets have no appearance, so flatten() would throw on them (their
+// overlay is drawn separately anyway), and widgets kept as separate kids stay in /Annots.
+const flattenForm = (pdfDoc, form) => {
+  const widgetRefs = form
+    .getFields()
+    .flatMap((formField) => formField.acroField.getWidgets())
+    .map((widget) => pdfDoc.context.getObjectRef(widget.dict))
+    .filter(Boolean);
+
+  form
+    .getFields()
+    .filter((formField) => formField instanceof PDFSignature)
+    .forEach((formField) => form.acroForm.removeField(formField.acroField));
+  form.flatten();
+
+  for (const page of pdfDoc.getPages()) {
+    widgetRefs.forEach((ref) => page.node.removeAnnot(ref));
+  }
+};
+
+// Write values into the native fields and return the fields still to be drawn as overlays
+// (everything not backed by a form field, plus signatures - pdf-lib can't fill those).
+// With `flatten`, the form is baked into the page content and removed.
+const fillFormFields = (pdfDoc, fields, { flatten = false } = {}) => {
+  // getForm() would add an empty AcroForm to documents that never had one
+  if (!pdfDoc.catalog.getAcroForm() && !fields.some((field) => field.acroField)) return fields;
+
+  const form = pdfDoc.getForm();
+  const font = form.getDefaultFont();
+  const overlays = [];
+  const errors = [];
+  const radioGroups = new Map(); // name -> selected export value (or null)
+
+  fields.forEach((field, index) => {
+    if (!field.acroField) {
+      overlays.push(field);
+      return;
+    }
+    const formField = form.getFieldMaybe(field.acroField);
+    if (!formField) {
+      errors.push({ index, message: `No form field named "${field.acroField}"` });
+      return;
+    }
+
+    try {
+      if (formField instanceof PDFTextField) {
+        formField.setText(field.value ? sanitizeText(font, String(field.value)) : '');
+      } else if (formField instanceof PDFCheckBox) {
+        if (field.value) formField.check();
+        else formField.uncheck();
+      } else if (formField instanceof PDFRadioGroup) {
+        const selected = radioGroups.get(field.acroField) ?? null;
+        radioGroups.set(field.acroField, field.value ? field.acroValue : selected);
+      } else {
+        overlays.push(field);
+      }
+    } catch (error) {
+      errors.push({ index, message: error.message });
+    }
+  });
+
+  for (const [name, selected] of radioGroups) {
+    const group = form.getRadioGroup(name);
+    try {
+      if (selected === null || selected === undefined) group.clear();
+      else group.select(selected);
+    } catch (error) {
+      errors.push({ field: name, message: error.message });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Could not fill form fields', { errors });
+  }
+
+  if (flatten) flattenForm(pdfDoc, form);
+  return overlays;
+};
+
+// Unused "<prefix><n>" name in the form, like pades' Signature<n>
+const freeName = (form, prefix) => {
+  let n = 1;
+  while (form.getFieldMaybe(`${prefix}${n}`)) n += 1;
+  return `${prefix}${n}`;
+};
+
+// Widget placement in pdf-lib's terms - anchored and rotated like drawImage, so on rotated
+// pages the widget still lines up with the box and appears upright
+const widgetOptions = (pdfDoc, field) => {
+  const { page, frame } = fieldPlacement(pdfDoc, field);
+  return {
+    page,
+    rect: { ...frame.point(0, 0), width: frame.width, height: frame.height, rotate: frame.rotate },
+  };
+};
+
+// Write placed checkboxes and grouped radios as real AcroForm fields, so the output stays
+// fillable. Each radio group becomes one field named after the group, with an option per
+// button. Returns the fields still to be drawn.
+const createFormFields = (pdfDoc, fields) => {
+  const isCreated = (field) =>
+    !field.acroField &&
+    (field.type === 'checkbox' || (field.type === 'radio' && field.groupName)) &&
+    fieldPlacement(pdfDoc, field);
+  if (!fields.some(isCreated)) return fields;
+
+  const form = pdfDoc.getForm();
+  const groups = new Map(); // groupName -> PDFRadioGroup
+  const selected = new Map(); // groupName -> export value
+  const errors = [];
+
+  const remaining = fields.filter((field, index) => {
+    if (!isCreated(field)) return true;
+    const { page, rect } = widgetOptions(pdfDoc, field);
+
+    if (field.type === 'checkbox') {
+      const checkBox = form.createCheckBox(freeName(form, 'Checkbox'));
+      checkBox.addToPage(page, rect);
+      // pdf-lib always exports "Yes" - redraw the on state under the field's own export value
+      if (field.exportValue) {
+        const [widget] = checkBox.acroField.getWidgets();
+        checkBox.updateWidgetAppearance(widget, PDFName.of(field.exportValue));
+      }
+      if (field.value) checkBox.check();
+      return false;
+    }
+
+    let group = groups.get(field.groupName);
+    if (!group) {
+      if (form.getFieldMaybe(field.groupName)) {
+        errors.push({
+          index,
+          message: `The document already has a field named "${field.groupName}"`,
+        });
+        return false;
+      }
+      group = form.createRadioGroup(field.groupName);
+      groups.set(field.groupName, group);
+    }
+    const exportValue = field.exportValue || `Option ${group.getOptions().length + 1}`;
+    group.addOptionToPage(exportValue, page, rect);
+    if (field.value) selected.set(field.groupName, exportValue);
+    return false;
+  });
+
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Could not create form fields', { errors });
+  }
+  for (const [name, exportValue] of selected) groups.get(name).select(exportValue);
+  return remaining;
+};
+
+module.exports = {
+  detectFormFields,
+  getFormFields,
+  fillFormFields,
+  createFormFields,
+  flattenForm,
+};
@@ -0,0 +1,268 @@
+// Anchor tags - text such as {{sig:buyer}} or \s1\ embedded in generated PDFs, turned into
+// fields placed at the tag's position. pdf.js finds the text; pdf-lib whites it out on burn.
+const crypto = require('crypto');
+const { rgb } = require('pdf-lib');
+const { loadDocumentBytes } = require('./documents');
+const { HttpError } = require('./errors');
+
+// {{type}}, {{type:role}} or {{type:role|w=160|h=40|dx=0|dy=-4}}; or \s1\ with a type letter
+// and a signer number
+const TAG =
+  /\{\{\s*([a-z]+)(?::([\w.-]+))?((?:\|\s*[a-z]+\s*=\s*-?[\d.]+\s*)*)\}\}|\\([sidtc])(\d+)\\/gi;
+
+const TYPE_NAMES = {
+  sig: 'signature',
+  signature: 'signature',
+  init: 'initials',
+  initials: 'initials',
+  date: 'date',
+  text: 'text',
+  check: 'checkbox',
+  checkbox: 'checkbox',
+  image: 'image',
+};
+const TYPE_LETTERS = { s: 'signature', i: 'initials', d: 'date', t: 'text', c: 'checkbox' };
+
+// Field size in points when neither the tag nor the request says otherwise
+const DEFAULT_SIZES = {
+  signature: { width: 150, height: 40 },
+  initials: { width: 60, height: 30 },
+  date: { width: 100, height: 18 },
+  text: { width: 150, height: 18 },
+  checkbox: { width: 12, height: 12 },
+  image: { width: 120, height: 60 },
+};
+
+const TAG_PARAMS = { w: 'width', h: 'height', dx: 'offsetX', dy: 'offsetY' };
+const HIDE_MODES = ['whiteout', 'keep'];
+
+// Share of the font size below the baseline - the tag's box starts this far down
+const DESCENT = 0.25;
+
+let pdfjsPromise = null;
+// pdf.js ships as ES modules only - loaded on first use so startup doesn't pay for it
+const loadPdfjs = () => {
+  pdfjsPromise ||= import('pdfjs-dist/legacy/build/pdf.mjs');
+  return pdfjsPromise;
+};
+
+const parseParams = (raw) => {
+  const params = {};
+  (raw || '')
+    .split('|')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .forEach((part) => {
+      const [key, value] = part.split('=').map((s) => s.trim());
+      if (TAG_PARAMS[key.toLowerCase()]) params[TAG_PARAMS[key.toLowerCase()]] = Number(value);
+    });
+  return params;
+};
+
+// One tag match -> { tag, name, type, role, params }, or null for an unknown type
+const parseTag = (match) => {
+  const [tag, typeName, role, params, letter, signer] = match;
+  if (letter) {
+    return {
+      tag,
+      name: `${letter.toLowerCase()}${signer}`,
+      type: TYPE_LETTERS[letter.toLowerCase()],
+      role: signer,
+      params: {},
+    };
+  }
+  const type = TYPE_NAMES[typeName.toLowerCase()];
+  if (!type) return null;
+  return {
+    tag,
+    name: role ? `${typeName}:${role}` : typeName,
+    type,
+    role: role || null,
+    params: parseParams(params),
+  };
+};
+
+// Request options: `true` for the defaults, or { offsetX, offsetY, sizes, hide }
+const anchorOptions = (options) => {
+  if (!options) return null;
+  const { offsetX = 0, offsetY = 0, sizes = {}, hide = 'whiteout' } =
+    options === true ? {} : options;
+  if (![offsetX, offsetY].every(Number.isFinite)) {
+    throw new HttpError(400, 'anchors.offsetX and anchors.offsetY must be numbers');
+  }
+  if (!HIDE_MODES.includes(hide)) {
+    throw new HttpError(400, `anchors.hide must be one of ${HIDE_MODES.join(', ')}`);
+  }
+  return { offsetX, offsetY, sizes, hide };
+};
+
+const applyTransform = (m, x, y) => ({
+  x: m[0] * x + m[2] * y + m[4],
+  y: m[1] * x + m[3] * y + m[5],
+});
+
+// Axis-aligned box around points
+const boundsOf = (points) => {
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+};
+
+// Every tag in the document. Positions are kept in the text's own frame (`transform`, scaled
+// to unit size) so offsets follow the text on rotated pages and rotated text alike.
+const findAnchors = async (buffer) => {
+  const pdfjs = await loadPdfjs();
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    verbosity: 0,
+    isEvalSupported: false,
+  }).promise;
+
+  const anchors = [];
+  try {
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: 1 });
+      const { items } = await page.getTextContent();
+      items
+        .filter((item) => item.str)
+        .forEach((item) => {
+          const [a, b, c, d, e, f] = item.transform;
+          const scaleX = Math.hypot(a, b) || 1;
+          const size = Math.hypot(c, d) || item.height || 10;
+          // Text space scaled to points: x along the baseline, y up the glyphs
+          const frame = [a / scaleX, b / scaleX, c / size, d / size, e, f];
+          const perChar = item.width / item.str.length;
+
+          for (const match of item.str.matchAll(TAG)) {
+            const parsed = parseTag(match);
+            if (!parsed) continue;
+            anchors.push({
+              ...parsed,
+              page: pageNumber,
+              frame,
+              left: perChar * match.index,
+              width: perChar * match[0].length,
+              size,
+              viewport,
+            });
+          }
+        });
+    }
+  } finally {
+    await pdf.destroy();
+  }
+  return anchors;
+};
+
+// User-space corners of a rectangle given in an anchor's text frame
+const cornersIn = (anchor, { x, y, width, height }) =>
+  [
+    [x, y],
+    [x + width, y],
+    [x, y + height],
+    [x + width, y + height],
+  ].map(([px, py]) => applyTransform(anchor.frame, px, py));
+
+// The field box for an anchor, as normalized editor geometry. By default the box's bottom-left
+// sits on the tag's bottom-left, covering it and growing up and to the right.
+const placeAnchor = (anchor, options) => {
+  const size = {
+    ...DEFAULT_SIZES[anchor.type],
+    ...options.sizes?.[anchor.type],
+    ...(anchor.params.width && { width: anchor.params.width }),
+    ...(anchor.params.height && { height: anchor.params.height }),
+  };
+  const offsetX = anchor.params.offsetX ?? options.offsetX;
+  const offsetY = anchor.params.offsetY ?? options.offsetY;
+  const points = cornersIn(anchor, {
+    x: anchor.left + offsetX,
+    y: -anchor.size * DESCENT + offsetY,
+    width: size.width,
+    height: size.height,
+  }).map(({ x, y }) => {
+    const [vx, vy] = anchor.viewport.convertToViewportPoint(x, y);
+    return { x: vx / anchor.viewport.width, y: vy / anchor.viewport.height };
+  });
+  const box = boundsOf(points);
+  const xNorm = Math.min(1, Math.max(0, box.x));
+  const yNorm = Math.min(1, Math.max(0, box.y));
+  return {
+    page: anchor.page,
+    xNorm,
+    yNorm,
+    widthNorm: Math.min(1 - xNorm, box.width),
+    heightNorm: Math.min(1 - yNorm, box.height),
+  };
+};
+
+// Editor-shaped fields for every tag, so the overlay can preview them. `role` is the tag's
+// role, or the signer number for \s1\ style tags.
+const anchorFields = (anchors, options) =>
+  anchors.map((anchor) => ({
+    id: crypto.randomUUID(),
+    type: anchor.type,
+    anchor: anchor.name,
+    role: anchor.role,
+    value: '',
+    ...(anchor.type === 'checkbox' ? { exportValue: 'Yes' } : {}),
+    ...placeAnchor(anchor, options),
+  }));
+
+const getAnchorFields = async (pdfId, options) =>
+  anchorFields(await findAnchors(await loadDocumentBytes(pdfId)), anchorOptions(options || true));
+
+const matchesAnchor = (field, anchor) =>
+  field.anchor === anchor.name || field.anchor === anchor.tag;
+
+// Fields that name an `anchor` instead of carrying geometry are placed on every occurrence of
+// that tag; fields with geometry are left alone. Throws when a named tag isn't in the document.
+const placeAnchoredFields = (fields, anchors, options) => {
+  const missing = [];
+  const placed = fields.flatMap((field, index) => {
+    if (!field.anchor || field.coordinates || field.xNorm !== undefined) return [field];
+    const matches = anchors.filter((anchor) => matchesAnchor(field, anchor));
+    if (matches.length === 0) {
+      missing.push({ index, message: `Anchor not found: ${field.anchor}` });
+      return [];
+    }
+    return matches.map((anchor, n) => ({
+      ...field,
+      ...(field.id && matches.length > 1 ? { id: `${field.id}-${n + 1}` } : {}),
+      type: field.type || anchor.type,
+      ...placeAnchor(anchor, options),
+    }));
+  });
+  if (missing.length > 0) {
+    throw new HttpError(400, 'Some anchors were not found', { errors: missing });
+  }
+  return placed;
+};
+
+// Paint over each tag in white so it doesn't show in the signed copy. The text is still in the
+// content stream - this hides it, it doesn't remove it.
+const whiteOutAnchors = (pdfDoc, anchors) => {
+  anchors.forEach((anchor) => {
+    const pad = anchor.size * 0.1;
+    const box = boundsOf(
+      cornersIn(anchor, {
+        x: anchor.left - pad,
+        y: -anchor.size * DESCENT - pad,
+        width: anchor.width + pad * 2,
+        height: anchor.size * (1 + DESCENT) + pad * 2,
+      })
+    );
+    pdfDoc.getPage(anchor.page - 1).drawRectangle({ ...box, color: rgb(1, 1, 1) });
+  });
+};
+
+module.exports = {
+  anchorOptions,
+  findAnchors,
+  anchorFields,
+  getAnchorFields,
+  placeAnchoredFields,
+  whiteOutAnchors,
+};
@@ -0,0 +1,217 @@
+// Audit trail - an append-only, hash-chained event log plus an index of every signed output.
+// Each event stores the hash of the one before it, so editing or deleting any entry breaks
+// the chain from that point on. Backed by the record store (MongoDB or local JSON files).
+const crypto = require('crypto');
+const { getCollection } = require('./store');
+
+const EVENT_TYPES = [
+  'document.created',
+  'document.viewed',
+  'document.signed',
+  'document.downloaded',
+  'envelope.created',
+  'envelope.declined',
+  'envelope.expired',
+  'field.filled',
+  'recipient.signed',
+];
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const events = () => getCollection('auditEvents');
+// Signed outputs by signedHash -> which document/envelope produced them, for /verify
+const signedDocuments = () => getCollection('signedDocuments');
+
+// Stable JSON - sorted keys so the same entry always hashes the same way
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const HASHED_KEYS = [
+  'id',
+  'seq',
+  'tenantId',
+  'type',
+  'timestamp',
+  'actor',
+  'ip',
+  'userAgent',
+  'documentId',
+  'envelopeId',
+  'data',
+  'prevHash',
+];
+
+const hashEvent = (event) => {
+  const body = Object.fromEntries(HASHED_KEYS.map((key) => [key, event[key]]));
+  return crypto.createHash('sha256').update(canonicalJson(body)).digest('hex');
+};
+
+const bySeq = (a, b) => a.seq - b.seq;
+
+// Appends are serialized so two requests can't both chain off the same tail
+let tail = null;
+let appendQueue = Promise.resolve();
+
+const loadTail = async () => {
+  if (!tail) {
+    const all = (await events().find()).sort(bySeq);
+    tail = all[all.length - 1] || { seq: 0, hash: GENESIS_HASH };
+  }
+  return tail;
+};
+
+// Request details worth keeping with every event, and the tenant the request acts for
+const requestContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent') || null,
+  ...(req.tenant ? { tenantId: req.tenant.id } : {}),
+});
+
+// Record one event. `context` is { ip, userAgent, tenantId } from requestContext; `actor` says
+// who did it.
+const recordEvent = (type, { actor = { type: 'api' }, context = {}, documentId, envelopeId, data = {} } = {}) => {
+  if (!EVENT_TYPES.includes(type)) {
+    return Promise.reject(new Error(`Unknown audit event type: ${type}`));
+  }
+
+  const append = async () => {
+    const previous = await loadTail();
+    const event = {
+      id: crypto.randomUUID(),
+      seq: previous.seq + 1,
+      tenantId: context.tenantId || null,
+      type,
+      timestamp: new Date().toISOString(),
+      actor,
+      ip: context.ip || null,
+      userAgent: context.userAgent || null,
+      documentId: documentId || null,
+      envelopeId: envelopeId || null,
+      data,
+      prevHash: previous.hash,
+    };
+    event.hash = hashEvent(event);
+    await events().insert(event);
+    tail = event;
+    return event;
+  };
+
+  appendQueue = appendQueue.then(append, append);
+  return appendQueue;
+};
+
+// Index a signed output and log it - this is what /verify and version history look up.
+// `previousHash` is the signed output this one was appended to, null for a pass over the original.
+const recordSigning = async (
+  {
+    pdfId,
+    envelopeId,
+    originalHash,
+    signedHash,
+    contentHash = null,
+    previousHash = null,
+    safeCopy = false,
+    size,
+    digitalSignature = null,
+    signatureMethods = [],
+    choices = [],
+    signedFile,
+  },
+  { actor, context } = {}
+) => {
+  // The same inputs can produce the same bytes twice, so the hash is not the record's id
+  await signedDocuments().insert({
+    id: crypto.randomUUID(),
+    tenantId: context?.tenantId || null,
+    pdfId,
+    envelopeId: envelopeId || null,
+    originalHash,
+    signedHash,
+    contentHash,
+    previousHash,
+    safeCopy,
+    size,
+    digitalSignature,
+    signedFile,
+  });
+  await recordEvent('document.signed', {
+    actor,
+    context,
+    documentId: pdfId,
+    envelopeId,
+    data: {
+      originalHash,
+      signedHash,
+      contentHash,
+      previousHash,
+      safeCopy,
+      digitalSignature,
+      signatureMethods,
+      choices,
+      signedFile,
+    },
+  });
+};
+
+// `filter` narrows the match, e.g. to a tenant - identical bytes may have been signed twice
+const findSignedDocument = (signedHash, filter = {}) =>
+  signedDocuments().findOne({ ...filter, signedHash });
+
+const findSignedFile = (signedFile) => signedDocuments().findOne({ signedFile });
+
+// Signed outputs, oldest first
+const listSignedDocuments = async (filter = {}) =>
+  (await signedDocuments().find(filter)).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+const listEvents = async (filter = {}) => (await events().find(filter)).sort(bySeq);
+
+// The first entry where the chain breaks, or null
+const findBreak = (all) => {
+  let prevHash = GENESIS_HASH;
+  for (const [index, event] of all.entries()) {
+    if (event.seq !== index + 1) return { seq: event.seq, reason: 'Sequence gap' };
+    if (event.prevHash !== prevHash) return { seq: event.seq, reason: 'Broken link' };
+    if (hashEvent(event) !== event.hash) return { seq: event.seq, reason: 'Entry modified' };
+    prevHash = event.hash;
+  }
+  return null;
+};
+
+// Walk the whole log and recompute every link. With a tenant, the answer only covers that
+// tenant's events: they're valid when the chain holds up to the last of them, and the count,
+// head hash and break point are theirs - other tenants' entries are checked but not described.
+const verifyChain = async (tenantId) => {
+  const all = await listEvents();
+  const broken = findBreak(all);
+  const own = tenantId === undefined ? all : all.filter((event) => event.tenantId === tenantId);
+  const firstBroken = broken && own.find((event) => event.seq >= broken.seq);
+  if (firstBroken) {
+    const reason = firstBroken.seq === broken.seq ? broken.reason : 'An earlier entry is invalid';
+    return { valid: false, count: own.length, brokenAt: firstBroken.seq, reason };
+  }
+  if (broken && tenantId === undefined) {
+    return { valid: false, count: own.length, brokenAt: broken.seq, reason: broken.reason };
+  }
+  return { valid: true, count: own.length, headHash: own[own.length - 1]?.hash || GENESIS_HASH };
+};
+
+module.exports = {
+  EVENT_TYPES,
+  requestContext,
+  recordEvent,
+  recordSigning,
+  findSignedDocument,
+  findSignedFile,
+  listSignedDocuments,
+  listEvents,
+  verifyChain,
+};
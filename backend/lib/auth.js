@@ -0,0 +1,196 @@
+// Tenants and API keys - every API call outside the signer links authenticates with a key,
+// and the key's tenant scopes what it can see. Keys are stored as SHA-256 hashes.
+// The browser editor never holds a key: it trades one for a short-lived editor token, which
+// can do the editing work but can't manage keys or webhooks.
+const crypto = require('crypto');
+const { getCollection } = require('./store');
+const { HttpError, sendError } = require('./errors');
+
+const tenants = () => getCollection('tenants');
+const apiKeys = () => getCollection('apiKeys');
+
+// Records a tenant created or adopted - see create-api-key.js --adopt
+const SCOPED_COLLECTIONS = [
+  'documents',
+  'templates',
+  'envelopes',
+  'bulkJobs',
+  'webhooks',
+  'webhookDeliveries',
+  'signedDocuments',
+  'sessions',
+];
+
+const EDITOR_TOKEN_TTL_S = Number(process.env.EDITOR_TOKEN_TTL_S || 8 * 60 * 60);
+const EDITOR_TOKEN_PREFIX = 'et_';
+// How stale a key's lastUsedAt may get before a request refreshes it
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+let tokenSecret = process.env.EDITOR_TOKEN_SECRET;
+const editorTokenSecret = () => {
+  if (!tokenSecret) {
+    // Tokens issued before a restart stop verifying and the editor asks for a key again
+    console.warn('EDITOR_TOKEN_SECRET not set. Editor sign-ins only last until restart.');
+    tokenSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return tokenSecret;
+};
+
+const signToken = (payload) =>
+  crypto.createHmac('sha256', editorTokenSecret()).update(payload).digest('base64url');
+
+// Without a tenant (scripts, internal calls) everything is in scope
+const inScope = (record, tenantId) =>
+  Boolean(record) && (tenantId === undefined || record.tenantId === tenantId);
+
+// What list endpoints filter on
+const scopeFilter = (tenantId) => (tenantId === undefined ? {} : { tenantId });
+
+const createTenant = async ({ name }) => {
+  if (!name) throw new HttpError(400, 'name is required');
+  return tenants().insert({ id: crypto.randomUUID(), name });
+};
+
+const getTenant = async (id) => {
+  const tenant = await tenants().findById(id);
+  if (!tenant) throw new HttpError(404, 'Tenant not found');
+  return tenant;
+};
+
+// Key text appears only in this response - afterwards only its prefix is shown
+const withoutHash = ({ keyHash, ...apiKey }) => apiKey;
+
+const createApiKey = async (tenantId, { name = '' } = {}) => {
+  await getTenant(tenantId);
+  const key = `sk_${crypto.randomBytes(24).toString('base64url')}`;
+  const record = await apiKeys().insert({
+    id: crypto.randomUUID(),
+    tenantId,
+    name,
+    prefix: key.slice(0, 10),
+    keyHash: hashKey(key),
+    lastUsedAt: null,
+    revokedAt: null,
+  });
+  return { ...withoutHash(record), key };
+};
+
+const listApiKeys = async (tenantId) =>
+  (await apiKeys().find({ tenantId })).map(withoutHash);
+
+const revokeApiKey = async (tenantId, id) => {
+  const apiKey = await apiKeys().findById(id);
+  if (!inScope(apiKey, tenantId)) throw new HttpError(404, 'API key not found');
+  if (apiKey.revokedAt) return withoutHash(apiKey);
+  return withoutHash(await apiKeys().update(id, { revokedAt: new Date().toISOString() }));
+};
+
+// `et_<payload>.<HMAC>` where the payload names the key it was issued for and its expiry
+const createEditorToken = (apiKey) => {
+  const expires = Math.floor(Date.now() / 1000) + EDITOR_TOKEN_TTL_S;
+  const claims = JSON.stringify({ key: apiKey.id, exp: expires });
+  const payload = Buffer.from(claims).toString('base64url');
+  return {
+    token: `${EDITOR_TOKEN_PREFIX}${payload}.${signToken(payload)}`,
+    scope: 'editor',
+    expiresAt: new Date(expires * 1000).toISOString(),
+  };
+};
+
+// The id of the key an unexpired, untampered token was issued for, or null
+const editorTokenKeyId = (token) => {
+  const [payload, signature = ''] = token.slice(EDITOR_TOKEN_PREFIX.length).split('.');
+  const expected = Buffer.from(signToken(payload));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    const { key, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return exp > Date.now() / 1000 ? key : null;
+  } catch {
+    return null;
+  }
+};
+
+// Resolves a key or editor token to its tenant, or null for unknown, revoked and expired ones.
+// `scope` is 'full' for keys and 'editor' for tokens; revoking a key ends its tokens too.
+const authenticate = async (credential) => {
+  if (!credential) return null;
+  const isToken = credential.startsWith(EDITOR_TOKEN_PREFIX);
+  let apiKey;
+  if (isToken) {
+    const keyId = editorTokenKeyId(credential);
+    apiKey = keyId && (await apiKeys().findById(keyId));
+  } else {
+    apiKey = await apiKeys().findOne({ keyHash: hashKey(credential) });
+  }
+  if (!apiKey || apiKey.revokedAt) return null;
+  const tenant = await tenants().findById(apiKey.tenantId);
+  if (!tenant) return null;
+  // Updated at most once a minute - with the JSON store every write rewrites the whole file
+  const lastUsed = Date.parse(apiKey.lastUsedAt || '') || 0;
+  if (Date.now() - lastUsed > LAST_USED_PRECISION_MS) {
+    await apiKeys().update(apiKey.id, { lastUsedAt: new Date().toISOString() });
+  }
+  return { tenant, apiKey: withoutHash(apiKey), scope: isToken ? 'editor' : 'full' };
+};
+
+// `Authorization: Bearer <key>` or `X-API-Key: <key>`
+const requestKey = (req) => {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (/^bearer$/i.test(scheme) && token) return token.trim();
+  return req.get('x-api-key') || null;
+};
+
+// Sets req.tenant, req.apiKey and req.scope, or answers 401
+const requireApiKey = async (req, res, next) => {
+  try {
+    const key = requestKey(req);
+    if (!key) throw new HttpError(401, 'API key required');
+    const auth = await authenticate(key);
+    if (!auth) throw new HttpError(401, 'Invalid, revoked or expired API key or token');
+    req.tenant = auth.tenant;
+    req.apiKey = auth.apiKey;
+    req.scope = auth.scope;
+    next();
+  } catch (error) {
+    sendError(res, error, 'Failed to authenticate');
+  }
+};
+
+// After requireApiKey, for routes an editor token may not use
+const requireFullAccess = (req, res, next) => {
+  if (req.scope === 'full') return next();
+  return sendError(res, new HttpError(403, 'This needs an API key, not an editor token'));
+};
+
+// Hand records nobody owns yet - created before keys existed - to a tenant
+const adoptUnowned = async (tenantId) => {
+  const counts = {};
+  for (const name of SCOPED_COLLECTIONS) {
+    const unowned = (await getCollection(name).find()).filter((record) => !record.tenantId);
+    for (const record of unowned) {
+      await getCollection(name).update(record.id, { tenantId });
+    }
+    counts[name] = unowned.length;
+  }
+  return counts;
+};
+
+module.exports = {
+  inScope,
+  scopeFilter,
+  createTenant,
+  getTenant,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  createEditorToken,
+  authenticate,
+  requestKey,
+  requireApiKey,
+  requireFullAccess,
+  adoptUnowned,
+};
@@ -0,0 +1,384 @@
+// Bulk send - one document and field layout, one CSV row per output. Each row becomes a burned,
+// prefilled PDF (`sign`) or an envelope with prefilled fields (`envelope`); jobs run in the
+// background and record how every row went.
+const crypto = require('crypto');
+const { getCollection } = require('./store');
+const { getDocument } = require('./documents');
+const { getTemplate, sanitizeLayout } = require('./templates');
+const { signDocument } = require('./signing');
+const { createEnvelope } = require('./envelopes');
+const { CHOICE_TYPES } = require('./burn');
+const { EMAIL_PATTERN } = require('./mail/message');
+const { publish } = require('./events');
+const { signedFileUrl } = require('./downloads');
+const { inScope, scopeFilter } = require('./auth');
+const { waitForSigningSlot } = require('./rateLimit');
+const { HttpError } = require('./errors');
+
+const BULK_MODES = ['sign', 'envelope'];
+const MAX_ROWS = Number(process.env.BULK_MAX_ROWS || 1000);
+// Cell text that ticks a checkbox
+const TRUTHY = ['1', 'true', 'yes', 'y', 'x', 'on', 'checked'];
+
+const bulkJobs = () => getCollection('bulkJobs');
+
+// RFC 4180 CSV - quoted fields may hold commas, newlines and "" escapes. The first row is the
+// header; blank lines are skipped.
+const parseCsv = (text) => {
+  const lines = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      lines.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new HttpError(400, 'CSV has an unterminated quoted field');
+  if (cell || row.length > 0) {
+    row.push(cell);
+    lines.push(row);
+  }
+
+  const [header, ...body] = lines.filter((line) => line.some((value) => value.trim()));
+  if (!header) throw new HttpError(400, 'CSV is empty');
+  const headers = header.map((name) => name.trim());
+  return {
+    headers,
+    records: body.map((values) =>
+      Object.fromEntries(headers.map((name, index) => [name, (values[index] ?? '').trim()]))
+    ),
+  };
+};
+
+// Names a CSV column can use for a field - its id, its anchor tag, or a radio's group
+const fieldKeys = (field) =>
+  [field.id, field.anchor, field.type === 'radio' ? field.groupName : null].filter(Boolean);
+
+// Column feeding each field: explicit `mapping.fields` first, then a header matching a key
+const fieldColumns = (layout, headers, mapping = {}) =>
+  Object.fromEntries(
+    layout
+      .map((field) => {
+        const keys = fieldKeys(field);
+        const mapped = keys.map((key) => mapping[key]).find(Boolean);
+        return [field.id, mapped || keys.find((key) => headers.includes(key))];
+      })
+      .filter(([, column]) => column)
+  );
+
+// A cell as a field value - checkboxes take yes/no style text, grouped radios the export
+// value of the option to pick. Choices are 'yes' when set and '' when not, like the editor's.
+const cellValue = (field, cell) => {
+  const text = (cell ?? '').trim();
+  const chosen =
+    field.type === 'radio' && field.groupName
+      ? text !== '' && text === field.exportValue
+      : TRUTHY.includes(text.toLowerCase());
+  if (CHOICE_TYPES.includes(field.type)) return chosen ? 'yes' : '';
+  return text;
+};
+
+const rowValues = (layout, columns, record) =>
+  Object.fromEntries(
+    layout
+      .filter((field) => columns[field.id])
+      .map((field) => [field.id, cellValue(field, record[columns[field.id]])])
+  );
+
+// Envelope recipients from `mapping.recipients` - { [role]: { name, email, order } } where
+// name and email are column names and order is a number
+const rowRecipients = (recipientMapping, record) =>
+  Object.entries(recipientMapping).map(([role, columns], index) => ({
+    role,
+    name: record[columns.name] || '',
+    email: record[columns.email] || '',
+    order: Number.isInteger(columns.order) ? columns.order : index + 1,
+  }));
+
+// Everything a job needs, checked before any row runs
+const prepareJob = async (
+  { pdfId, templateId, fields, csv, mapping = {}, mode = 'sign', options = {} },
+  tenantId
+) => {
+  if (!BULK_MODES.includes(mode)) {
+    throw new HttpError(400, `mode must be one of ${BULK_MODES.join(', ')}`);
+  }
+  if (!csv) throw new HttpError(400, 'csv is required');
+
+  let layout;
+  let documentId = pdfId;
+  if (templateId) {
+    const template = await getTemplate(templateId, tenantId);
+    if (pdfId && pdfId !== template.pdfId) {
+      throw new HttpError(400, 'The template belongs to a different document');
+    }
+    documentId = template.pdfId;
+    layout = template.fields;
+  } else {
+    if (!pdfId) throw new HttpError(400, 'pdfId or templateId is required');
+    layout = sanitizeLayout(fields || []);
+  }
+  if (layout.length === 0) throw new HttpError(400, 'The layout has no fields');
+  const document = await getDocument(documentId, tenantId);
+
+  const { headers, records } = parseCsv(csv);
+  if (records.length === 0) throw new HttpError(400, 'CSV has no data rows');
+  if (records.length > MAX_ROWS) {
+    throw new HttpError(400, `CSV has ${records.length} rows; the limit is ${MAX_ROWS}`);
+  }
+
+  const recipientMapping = mapping.recipients || {};
+  const referenced = [
+    ...Object.values(mapping.fields || {}),
+    ...Object.values(recipientMapping).flatMap(({ name, email }) => [name, email]),
+  ].filter(Boolean);
+  const unknownColumns = [...new Set(referenced)].filter((column) => !headers.includes(column));
+  if (unknownColumns.length > 0) {
+    throw new HttpError(400, `CSV has no column named ${unknownColumns.join(', ')}`);
+  }
+
+  const columns = fieldColumns(layout, headers, mapping.fields);
+  if (Object.keys(columns).length === 0) {
+    throw new HttpError(400, 'No CSV column maps to a field');
+  }
+  if (mode === 'envelope') {
+    const roles = [...new Set(layout.map((field) => field.role))];
+    const unmapped = roles.filter((role) => !recipientMapping[role]?.email);
+    if (unmapped.length > 0) {
+      throw new HttpError(
+        400,
+        `mapping.recipients needs an email column for: ${unmapped.join(', ')}`
+      );
+    }
+    // Every address is checked now, rather than failing rows one by one once the job runs
+    const badEmails = records.flatMap((record, index) =>
+      rowRecipients(recipientMapping, record)
+        .filter(({ email }) => !EMAIL_PATTERN.test(email))
+        .map(({ role, email }) => ({
+          row: index + 2,
+          role,
+          message: email ? `"${email}" is not a valid email address` : 'email is empty',
+        }))
+    );
+    if (badEmails.length > 0) {
+      throw new HttpError(400, 'CSV has invalid recipient emails', { errors: badEmails });
+    }
+  }
+
+  return {
+    mode,
+    pdfId: documentId,
+    documentName: document.name,
+    templateId: templateId || null,
+    layout,
+    columns,
+    recipientMapping,
+    options,
+    records,
+  };
+};
+
+// Burn one row into its own PDF, or open one envelope for it
+const processRow = async (job, record, index, context) => {
+  const values = rowValues(job.layout, job.columns, record);
+  const { certificate = false, flatten = false, formFields = false, signingMode } = job.options;
+
+  if (job.mode === 'envelope') {
+    const envelope = await createEnvelope(
+      {
+        name: `${job.documentName} - row ${index + 2}`,
+        pdfId: job.pdfId,
+        mode: signingMode,
+        recipients: rowRecipients(job.recipientMapping, record),
+        fields: job.layout,
+        values,
+        certificate,
+        flatten,
+        formFields,
+      },
+      context
+    );
+    return {
+      envelopeId: envelope.id,
+      signUrls: envelope.recipients.map(({ role, email, signUrl }) => ({ role, email, signUrl })),
+    };
+  }
+
+  // Each burned row uses up one of the key's signing requests, as a /sign-pdf call would
+  if (job.apiKeyId) await waitForSigningSlot(job.apiKeyId);
+
+  // Same selection the editor sends to /sign-pdf: filled fields, choices and required ones
+  const filled = job.layout
+    .map((field) => ({ ...field, value: values[field.id] ?? '' }))
+    .filter((field) => field.value || CHOICE_TYPES.includes(field.type) || field.required);
+  const result = await signDocument({
+    pdfId: job.pdfId,
+    fields: filled,
+    flatten,
+    formFields,
+    certificate: certificate ? { signers: [] } : null,
+    actor: { type: 'bulk', id: job.id },
+    context,
+  });
+  return {
+    signedUrl: result.signedUrl,
+    signedFile: result.signedFile,
+    signedHash: result.signedHash,
+  };
+};
+
+// Status as the API shows it - the CSV data and layout stay internal, download links are fresh
+const publicJob = (job) => {
+  if (!job) return null;
+  const { records, layout, columns, recipientMapping, apiKeyId, ...rest } = job;
+  return {
+    ...rest,
+    rows: rest.rows.map((row) =>
+      row.signedFile ? { ...row, signedUrl: signedFileUrl(row.signedFile) } : row
+    ),
+  };
+};
+
+// Work through a job's pending rows one at a time, saving progress after each
+const runBulkJob = async (id, { context = {} } = {}) => {
+  const job = await bulkJobs().findById(id);
+  if (!job) throw new HttpError(404, 'Bulk job not found');
+
+  const rows = [...job.rows];
+  let { succeeded, failed } = job;
+  await bulkJobs().update(id, {
+    status: 'running',
+    startedAt: job.startedAt || new Date().toISOString(),
+  });
+
+  for (let index = 0; index < job.records.length; index += 1) {
+    if (rows[index].status !== 'pending') continue;
+    try {
+      const result = await processRow(job, job.records[index], index, context);
+      rows[index] = { ...rows[index], status: 'succeeded', ...result };
+      succeeded += 1;
+    } catch (error) {
+      rows[index] = {
+        ...rows[index],
+        status: 'failed',
+        error: error.message,
+        ...(error.details?.errors ? { errors: error.details.errors } : {}),
+      };
+      failed += 1;
+    }
+    await bulkJobs().update(id, { rows, processed: succeeded + failed, succeeded, failed });
+  }
+
+  const finished = await bulkJobs().update(id, {
+    status: 'completed',
+    finishedAt: new Date().toISOString(),
+  });
+  publish(
+    'bulk.completed',
+    { jobId: id, mode: job.mode, documentId: job.pdfId, total: job.total, succeeded, failed },
+    job.tenantId || null
+  );
+  return publicJob(finished);
+};
+
+const runInBackground = (id, context) =>
+  runBulkJob(id, { context }).catch(async (error) => {
+    console.error(`Bulk job ${id} failed`, error);
+    await bulkJobs().update(id, { status: 'failed', error: error.message });
+  });
+
+// Validate and queue a job. Rows run in the background and the queued job comes back at once;
+// they're created under `context.tenantId`, and burned rows count against `apiKeyId`'s signing
+// limit.
+const createBulkJob = async (input, { context = {}, apiKeyId = null } = {}) => {
+  const prepared = await prepareJob(input, context.tenantId);
+  const job = await bulkJobs().insert({
+    id: crypto.randomUUID(),
+    tenantId: context.tenantId || null,
+    apiKeyId,
+    ...prepared,
+    status: 'queued',
+    total: prepared.records.length,
+    processed: 0,
+    succeeded: 0,
+    failed: 0,
+    // Row numbers count the header as line 1, like a spreadsheet
+    rows: prepared.records.map((_, index) => ({ row: index + 2, status: 'pending' })),
+  });
+
+  runInBackground(job.id, context);
+  return publicJob(job);
+};
+
+// Pick up jobs a stopped server left queued or running. The row that was in progress may or may
+// not have gone out, so it's failed rather than sent twice; the rest carry on.
+const startBulkJobs = async () => {
+  const unfinished = [
+    ...(await bulkJobs().find({ status: 'running' })),
+    ...(await bulkJobs().find({ status: 'queued' })),
+  ];
+  for (const job of unfinished) {
+    const rows = [...job.rows];
+    const interrupted = rows.findIndex((row) => row.status === 'pending');
+    if (job.status === 'running' && interrupted !== -1) {
+      rows[interrupted] = {
+        ...rows[interrupted],
+        status: 'failed',
+        error: 'The server stopped while this row was running - check it before sending it again',
+      };
+      await bulkJobs().update(job.id, {
+        rows,
+        failed: job.failed + 1,
+        processed: job.processed + 1,
+      });
+    }
+    const context = { ip: null, userAgent: null };
+    if (job.tenantId) context.tenantId = job.tenantId;
+    runInBackground(job.id, context);
+  }
+};
+
+const getBulkJob = async (id, tenantId) => {
+  const job = await bulkJobs().findById(id);
+  if (!inScope(job, tenantId)) throw new HttpError(404, 'Bulk job not found');
+  return publicJob(job);
+};
+
+const listBulkJobs = async (tenantId) =>
+  (await bulkJobs().find(scopeFilter(tenantId))).map((job) => {
+    const { rows, ...summary } = publicJob(job);
+    return summary;
+  });
+
+module.exports = {
+  BULK_MODES,
+  parseCsv,
+  createBulkJob,
+  getBulkJob,
+  listBulkJobs,
+  startBulkJobs,
+};
@@ -0,0 +1,449 @@
+// Field burning - draws each placed field (signature, initials, text, date, radio, checkbox,
+// image) onto the PDF
+const { LineCapStyle, PDFDocument, StandardFonts, degrees, rgb } = require('pdf-lib');
+const { drawStrokesInBox, parseStrokes } = require('./strokes');
+const { HttpError } = require('./errors');
+
+const FIELD_TYPES = ['signature', 'initials', 'text', 'date', 'radio', 'checkbox', 'image'];
+
+// Fields that are on or off rather than holding a value - always burned, even when empty
+const CHOICE_TYPES = ['radio', 'checkbox'];
+
+// Fields that hold a signature image, and the ways the signer can produce one
+const SIGNATURE_TYPES = ['signature', 'initials'];
+const SIGNATURE_METHODS = ['draw', 'type', 'upload'];
+
+// Editor geometry, normalized to the displayed page
+const NORM_KEYS = ['xNorm', 'yNorm', 'widthNorm', 'heightNorm'];
+
+// Font size limits for auto-fitting text into a box
+const MAX_FONT_SIZE = 24;
+const MIN_FONT_SIZE = 4;
+const LINE_HEIGHT = 1.2;
+const TEXT_PADDING = 2;
+
+// Split a data URL (or raw base64) into bytes and its mime type
+const decodeDataUrl = (dataUrl) => {
+  const match = /^data:([^;,]+)?(;base64)?,/.exec(dataUrl);
+  const base64 = dataUrl.split(',').pop();
+  return {
+    mimeType: match?.[1] || null,
+    bytes: Buffer.from(base64, 'base64'),
+  };
+};
+
+// Embed a PNG or JPEG - trust the data URL mime type, fall back to magic bytes
+const embedImage = async (pdfDoc, dataUrl) => {
+  const { mimeType, bytes } = decodeDataUrl(dataUrl);
+  const isPng =
+    mimeType === 'image/png' ||
+    (!mimeType && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e);
+  const isJpeg =
+    mimeType === 'image/jpeg' ||
+    mimeType === 'image/jpg' ||
+    (!mimeType && bytes[0] === 0xff && bytes[1] === 0xd8);
+
+  if (isPng) return pdfDoc.embedPng(bytes);
+  if (isJpeg) return pdfDoc.embedJpg(bytes);
+  throw new Error(`Unsupported image type: ${mimeType || 'unknown'}`);
+};
+
+// Coordinates arrive in the page as the viewer shows it: bottom-left origin,
+// relative to the CropBox and already rotated by the page's /Rotate.
+// A frame maps points inside a field box back to unrotated user space and
+// carries the rotation needed for content to appear upright.
+const createFrame = (page, coordinates) => {
+  const crop = page.getCropBox();
+  const angle = ((page.getRotation().angle % 360) + 360) % 360;
+
+  // Displayed (X, Y) -> user space (u, v) for each /Rotate value
+  const toUser = (X, Y) => {
+    switch (angle) {
+      case 90:
+        return { x: crop.x + crop.width - Y, y: crop.y + X };
+      case 180:
+        return { x: crop.x + crop.width - X, y: crop.y + crop.height - Y };
+      case 270:
+        return { x: crop.x + Y, y: crop.y + crop.height - X };
+      default:
+        return { x: crop.x + X, y: crop.y + Y };
+    }
+  };
+
+  return {
+    width: coordinates.width,
+    height: coordinates.height,
+    rotate: degrees(angle),
+    // (lx, ly) measured from the bottom-left corner of the field box
+    point: (lx, ly) => toUser(coordinates.x + lx, coordinates.y + ly),
+  };
+};
+
+// Scale the image to fit the box without distorting aspect ratio, centered
+const drawImageInBox = (page, image, frame) => {
+  // Use the smaller scale factor so it fits both width and height
+  const scale = Math.min(frame.width / image.width, frame.height / image.height);
+  const drawWidth = image.width * scale;
+  const drawHeight = image.height * scale;
+
+  page.drawImage(image, {
+    ...frame.point((frame.width - drawWidth) / 2, (frame.height - drawHeight) / 2),
+    width: drawWidth,
+    height: drawHeight,
+    rotate: frame.rotate,
+  });
+};
+
+// Standard fonts only cover WinAnsi - swap anything else for '?' instead of throwing
+const sanitizeText = (font, text) =>
+  Array.from(text)
+    .map((char) => {
+      if (char === '\n') return char;
+      try {
+        font.encodeText(char);
+        return char;
+      } catch {
+        return '?';
+      }
+    })
+    .join('');
+
+// Greedy word wrap at a given font size - long words are broken by character
+const wrapText = (font, text, size, maxWidth) => {
+  const lines = [];
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (font.widthOfTextAtSize(candidate, size) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = word;
+      while (font.widthOfTextAtSize(line, size) > maxWidth && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && font.widthOfTextAtSize(line.slice(0, cut), size) > maxWidth) {
+          cut -= 1;
+        }
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+};
+
+// Find the largest font size where the wrapped text fits inside the box
+const fitText = (font, text, width, height) => {
+  const maxWidth = Math.max(1, width - TEXT_PADDING * 2);
+  const maxHeight = Math.max(1, height - TEXT_PADDING * 2);
+  let size = Math.min(MAX_FONT_SIZE, maxHeight / LINE_HEIGHT);
+
+  while (size > MIN_FONT_SIZE) {
+    const lines = wrapText(font, text, size, maxWidth);
+    if (lines.length * size * LINE_HEIGHT <= maxHeight) {
+      return { size, lines };
+    }
+    size -= 0.5;
+  }
+  return { size: MIN_FONT_SIZE, lines: wrapText(font, text, MIN_FONT_SIZE, maxWidth) };
+};
+
+// Draw text auto-fitted to the box, vertically centered and left aligned
+const drawTextInBox = (page, font, text, frame) => {
+  const clean = sanitizeText(font, String(text));
+  const { size, lines } = fitText(font, clean, frame.width, frame.height);
+  const lineHeight = size * LINE_HEIGHT;
+  const blockHeight = lines.length * lineHeight;
+
+  // First baseline sits one ascent below the top of the centered text block
+  const blockTop = (frame.height + blockHeight) / 2;
+  let y = blockTop - font.heightAtSize(size, { descender: false });
+
+  for (const line of lines) {
+    page.drawText(line, {
+      ...frame.point(TEXT_PADDING, y),
+      size,
+      font,
+      color: rgb(0, 0, 0),
+      rotate: frame.rotate,
+    });
+    y -= lineHeight;
+  }
+};
+
+// Radio mark - outlined circle, filled dot when selected
+const drawRadio = (page, selected, frame) => {
+  const radius = Math.min(frame.width, frame.height) * 0.4;
+  const center = frame.point(frame.width / 2, frame.height / 2);
+
+  page.drawCircle({
+    ...center,
+    size: radius,
+    borderColor: rgb(0, 0, 0),
+    borderWidth: Math.max(0.5, radius * 0.12),
+  });
+  if (selected) {
+    page.drawCircle({ ...center, size: radius * 0.55, color: rgb(0, 0, 0) });
+  }
+};
+
+// Empty square, ticked when checked
+const drawCheckbox = (page, checked, frame) => {
+  const side = Math.min(frame.width, frame.height) * 0.8;
+  const left = (frame.width - side) / 2;
+  const bottom = (frame.height - side) / 2;
+  const thickness = Math.max(0.5, side * 0.08);
+
+  page.drawRectangle({
+    ...frame.point(left, bottom),
+    width: side,
+    height: side,
+    rotate: frame.rotate,
+    borderColor: rgb(0, 0, 0),
+    borderWidth: thickness,
+  });
+  if (checked) {
+    // Two strokes of a tick, in box-relative coordinates
+    const at = (fx, fy) => frame.point(left + side * fx, bottom + side * fy);
+    const tick = { thickness: thickness * 1.6, color: rgb(0, 0, 0), lineCap: LineCapStyle.Round };
+    page.drawLine({ start: at(0.2, 0.5), end: at(0.42, 0.25), ...tick });
+    page.drawLine({ start: at(0.42, 0.25), end: at(0.8, 0.78), ...tick });
+  }
+};
+
+const isPageNumber = (page) => Number.isInteger(page) && page >= 1;
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Wrong shapes and types in a field - caught up front so they answer 400, not a crash mid-burn
+const fieldShapeError = (field) => {
+  if (!isObject(field)) return 'Each field must be an object';
+  if (!FIELD_TYPES.includes(field.type)) return `type must be one of ${FIELD_TYPES.join(', ')}`;
+  if (field.id !== undefined && typeof field.id !== 'string') return 'id must be a string';
+  if (
+    field.value !== undefined &&
+    field.value !== null &&
+    !['string', 'boolean', 'number'].includes(typeof field.value)
+  ) {
+    return 'value must be a string, number or boolean';
+  }
+  if (field.page !== undefined && !isPageNumber(field.page)) {
+    return 'page must be a positive integer';
+  }
+  if (field.coordinates !== undefined) {
+    const box = field.coordinates;
+    if (!isObject(box)) return 'coordinates must be an object';
+    const bad = ['x', 'y', 'width', 'height'].find((key) => !Number.isFinite(box[key]));
+    if (bad) return `coordinates.${bad} must be a number`;
+    if (box.width <= 0 || box.height <= 0) {
+      return 'coordinates.width and coordinates.height must be positive';
+    }
+    if (box.page !== undefined && !isPageNumber(box.page)) {
+      return 'coordinates.page must be a positive integer';
+    }
+  } else if (NORM_KEYS.some((key) => field[key] !== undefined)) {
+    const bad = NORM_KEYS.find(
+      (key) => typeof field[key] !== 'number' || field[key] < 0 || field[key] > 1
+    );
+    if (bad) return `${bad} must be a number between 0 and 1`;
+  }
+  return null;
+};
+
+// Turn the request body into a typed field list
+// Older clients send `signatures` or a single signatureDataUrl+coordinates
+const normalizeFields = ({ fields, signatures, signatureDataUrl, coordinates }) => {
+  let list = null;
+  if (Array.isArray(fields)) list = fields;
+  else if (Array.isArray(signatures)) {
+    list = signatures.map((sig) =>
+      isObject(sig)
+        ? { type: 'signature', value: sig.signatureDataUrl, coordinates: sig.coordinates }
+        : sig
+    );
+  } else if (signatureDataUrl && coordinates) {
+    list = [{ type: 'signature', value: signatureDataUrl, coordinates }];
+  }
+  if (!list) return null;
+
+  const errors = list
+    .map((field, index) => ({ index, fieldId: field?.id, message: fieldShapeError(field) }))
+    .filter(({ message }) => message);
+  if (errors.length > 0) throw new HttpError(400, 'Invalid fields', { errors });
+  return list;
+};
+
+// Page size as the viewer displays it - /Rotate 90/270 swaps width and height
+const displayedSize = (page) => {
+  const { width, height } = page.getCropBox();
+  const rotated = page.getRotation().angle % 180 !== 0;
+  return rotated ? { width: height, height: width } : { width, height };
+};
+
+// Inverse of createFrame's mapping: a user-space rect (e.g. a form widget's /Rect) in
+// displayed coordinates, bottom-left origin
+const displayedRect = (page, { x, y, width, height }) => {
+  const crop = page.getCropBox();
+  const angle = ((page.getRotation().angle % 360) + 360) % 360;
+  const toDisplayed = (u, v) => {
+    switch (angle) {
+      case 90:
+        return { X: v - crop.y, Y: crop.x + crop.width - u };
+      case 180:
+        return { X: crop.x + crop.width - u, Y: crop.y + crop.height - v };
+      case 270:
+        return { X: crop.y + crop.height - v, Y: u - crop.x };
+      default:
+        return { X: u - crop.x, Y: v - crop.y };
+    }
+  };
+  const a = toDisplayed(x, y);
+  const b = toDisplayed(x + width, y + height);
+  return {
+    x: Math.min(a.X, b.X),
+    y: Math.min(a.Y, b.Y),
+    width: Math.abs(b.X - a.X),
+    height: Math.abs(b.Y - a.Y),
+  };
+};
+
+// Same conversion the editor does in toPdfCoords, for fields stored with
+// normalized geometry (templates, envelopes) instead of PDF points
+const coordinatesFromNorm = (pdfDoc, field) => {
+  const page = pdfDoc.getPage(field.page - 1);
+  const { width: widthPts, height: heightPts } = displayedSize(page);
+  const height = field.heightNorm * heightPts;
+  return {
+    page: field.page,
+    x: field.xNorm * widthPts,
+    y: heightPts - field.yNorm * heightPts - height,
+    width: field.widthNorm * widthPts,
+    height,
+    pageWidth: widthPts,
+    pageHeight: heightPts,
+  };
+};
+
+// Fields pointing past the last page - reported back to the client instead of throwing
+const findOutOfRangeFields = (pdfDoc, fields) => {
+  const pageCount = pdfDoc.getPageCount();
+  return fields.filter((field) => {
+    const page = field.coordinates?.page ?? field.page ?? 1;
+    return !Number.isInteger(page) || page < 1 || page > pageCount;
+  });
+};
+
+// The page a field sits on and its frame, or null when it has no usable geometry
+const fieldPlacement = (pdfDoc, field) => {
+  const coordinates =
+    field.coordinates || (field.xNorm !== undefined ? coordinatesFromNorm(pdfDoc, field) : null);
+  if (!coordinates) return null;
+  const page = pdfDoc.getPage(Math.max(0, (coordinates.page || 1) - 1));
+  return { page, frame: createFrame(page, coordinates) };
+};
+
+// A data URL that isn't a readable PNG or JPEG is the caller's mistake - name the field
+const embedFieldImage = async (pdfDoc, field) => {
+  try {
+    return await embedImage(pdfDoc, field.value);
+  } catch (error) {
+    const name = field.id ? `Field ${field.id}` : `A ${field.type} field`;
+    throw new HttpError(400, `${name} has an image that can't be read`, {
+      errors: [{ fieldId: field.id || null, message: `Invalid image: ${error.message}` }],
+    });
+  }
+};
+
+// Shape and image problems in filled-in fields, without burning them - for values that are
+// stored now and burned later, where a bad one would only surface at the end
+const fieldValueErrors = async (fields) => {
+  const pdfDoc = await PDFDocument.create();
+  const errors = [];
+  for (const field of fields) {
+    const fieldId = field?.id || null;
+    const shape = fieldShapeError(field);
+    if (shape) {
+      errors.push({ fieldId, message: shape });
+      continue;
+    }
+    const isImage = field.type === 'image' || SIGNATURE_TYPES.includes(field.type);
+    // Strokes are burned instead of the image when a drawn signature has them
+    if (!isImage || !field.value || parseStrokes(field.strokes)) continue;
+    try {
+      await embedImage(pdfDoc, field.value);
+    } catch (error) {
+      errors.push({ fieldId, message: `Invalid image: ${error?.message || 'unreadable data'}` });
+    }
+  }
+  return errors;
+};
+
+// Burn every field onto its page. Returns the number of fields drawn.
+const burnFields = async (pdfDoc, fields) => {
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  let drawn = 0;
+
+  for (const field of fields) {
+    const { type, value } = field;
+    const placement = FIELD_TYPES.includes(type) ? fieldPlacement(pdfDoc, field) : null;
+    if (!placement) {
+      continue; // skip invalid entries
+    }
+    const { page, frame } = placement;
+
+    switch (type) {
+      case 'signature':
+      case 'initials': {
+        // Drawn signatures carry their pen strokes - redraw those as vectors, else use the PNG
+        const strokes = parseStrokes(field.strokes);
+        if (strokes) {
+          drawStrokesInBox(page, strokes, frame);
+          break;
+        }
+        if (!value) continue;
+        drawImageInBox(page, await embedFieldImage(pdfDoc, field), frame);
+        break;
+      }
+      case 'image': {
+        if (!value) continue;
+        drawImageInBox(page, await embedFieldImage(pdfDoc, field), frame);
+        break;
+      }
+      case 'text':
+      case 'date': {
+        if (!value) continue;
+        drawTextInBox(page, font, value, frame);
+        break;
+      }
+      case 'radio':
+        drawRadio(page, !!value, frame);
+        break;
+      case 'checkbox':
+        drawCheckbox(page, !!value, frame);
+        break;
+      default:
+        continue;
+    }
+    drawn += 1;
+  }
+
+  return drawn;
+};
+
+module.exports = {
+  FIELD_TYPES,
+  CHOICE_TYPES,
+  SIGNATURE_TYPES,
+  SIGNATURE_METHODS,
+  normalizeFields,
+  fieldValueErrors,
+  findOutOfRangeFields,
+  burnFields,
+  embedImage,
+  sanitizeText,
+  displayedSize,
+  displayedRect,
+  fieldPlacement,
+};
@@ -0,0 +1,115 @@
+// Certificate of completion - a final page summarizing who signed what, appended after burning
+const { StandardFonts, rgb } = require('pdf-lib');
+const { embedImage, sanitizeText } = require('./burn');
+
+const PAGE_SIZE = [595.28, 842]; // A4, same as generate-contract.js
+const MARGIN = 50;
+const THUMB_WIDTH = 140;
+const THUMB_HEIGHT = 50;
+const SIGNER_BLOCK_HEIGHT = 120;
+
+const METHOD_LABELS = { draw: 'Drawn', type: 'Typed', upload: 'Uploaded image' };
+
+const formatTimestamp = (value) =>
+  value ? new Date(value).toUTCString().replace('GMT', 'UTC') : 'n/a';
+
+// Draw the certificate on one or more new pages at the end of pdfDoc.
+// summary: { documentId, documentName, envelopeId, originalHash, contentHash, completedAt,
+//            signers: [{ name, email, role, signedAt, ip, signatureDataUrl, signatureMethod }] }
+const appendCertificate = async (pdfDoc, summary) => {
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const monoFont = await pdfDoc.embedFont(StandardFonts.Courier);
+
+  let page = pdfDoc.addPage(PAGE_SIZE);
+  const pageWidth = page.getWidth();
+  const pageHeight = page.getHeight();
+  let yPos = pageHeight - MARGIN; // Start from top
+
+  const text = (value, { x = MARGIN, size = 10, f = font, color = rgb(0, 0, 0) } = {}) => {
+    page.drawText(sanitizeText(f, String(value ?? '')), { x, y: yPos, size, font: f, color });
+  };
+
+  // Label on the left, value on the right - hashes use a monospace font so they line up
+  const row = (label, value, { mono = false } = {}) => {
+    text(label, { size: 9, f: boldFont, color: rgb(0.3, 0.3, 0.3) });
+    text(value, { x: MARGIN + 130, size: mono ? 8 : 10, f: mono ? monoFont : font });
+    yPos -= 16;
+  };
+
+  // Title
+  text('CERTIFICATE OF COMPLETION', { size: 20, f: boldFont });
+  yPos -= 24;
+  text(`Generated ${formatTimestamp(summary.completedAt)}`, {
+    size: 10,
+    color: rgb(0.3, 0.3, 0.3),
+  });
+  yPos -= 30;
+
+  // Document section
+  text('DOCUMENT', { size: 13, f: boldFont });
+  yPos -= 20;
+  row('Name', summary.documentName);
+  row('Document ID', summary.documentId, { mono: true });
+  if (summary.envelopeId) row('Envelope ID', summary.envelopeId, { mono: true });
+  row('Original SHA-256', summary.originalHash, { mono: true });
+  row('Signed SHA-256', summary.contentHash, { mono: true });
+  text('The signed hash covers every page before this certificate was appended.', {
+    size: 8,
+    color: rgb(0.4, 0.4, 0.4),
+  });
+  yPos -= 30;
+
+  // Signers section - one block per signer with a thumbnail of their signature
+  text('SIGNERS', { size: 13, f: boldFont });
+  yPos -= 20;
+
+  for (const signer of summary.signers) {
+    if (yPos - SIGNER_BLOCK_HEIGHT < MARGIN) {
+      page = pdfDoc.addPage(PAGE_SIZE);
+      yPos = pageHeight - MARGIN;
+    }
+
+    const blockTop = yPos;
+    page.drawLine({
+      start: { x: MARGIN, y: blockTop + 12 },
+      end: { x: pageWidth - MARGIN, y: blockTop + 12 },
+      thickness: 0.5,
+      color: rgb(0.8, 0.8, 0.8),
+    });
+
+    text(signer.name || 'Unnamed signer', { size: 11, f: boldFont });
+    yPos -= 16;
+    row('Email', signer.email || 'n/a');
+    if (signer.role) row('Role', signer.role);
+    row('Signed at', formatTimestamp(signer.signedAt));
+    row('IP address', signer.ip || 'n/a');
+    if (signer.signatureMethod) row('Signature', METHOD_LABELS[signer.signatureMethod]);
+
+    // Signature thumbnail on the right, fitted like a signature field
+    const thumbX = pageWidth - MARGIN - THUMB_WIDTH;
+    const thumbY = blockTop - THUMB_HEIGHT - 4;
+    page.drawRectangle({
+      x: thumbX,
+      y: thumbY,
+      width: THUMB_WIDTH,
+      height: THUMB_HEIGHT,
+      borderColor: rgb(0.5, 0.5, 0.5),
+      borderWidth: 1,
+    });
+    if (signer.signatureDataUrl) {
+      const image = await embedImage(pdfDoc, signer.signatureDataUrl);
+      const scale = Math.min(THUMB_WIDTH / image.width, THUMB_HEIGHT / image.height);
+      page.drawImage(image, {
+        x: thumbX + (THUMB_WIDTH - image.width * scale) / 2,
+        y: thumbY + (THUMB_HEIGHT - image.height * scale) / 2,
+        width: image.width * scale,
+        height: image.height * scale,
+      });
+    }
+
+    yPos = Math.min(yPos, thumbY) - 24;
+  }
+};
+
+module.exports = { appendCertificate };
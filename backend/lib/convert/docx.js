@@ -0,0 +1,64 @@
+// DOCX -> PDF through a local converter program. Word layout is far too much to redo here, so a
+// command does it - LibreOffice by default. DOCX_CONVERTER swaps in another one: a command line
+// with {input}, {output} and {outdir} placeholders, e.g.
+//   DOCX_CONVERTER="pandoc {input} -o {output} --pdf-engine=weasyprint"
+// The command runs without a shell, in a scratch directory that is removed afterwards.
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { withLock } = require('../locks');
+const { HttpError } = require('../errors');
+
+const DEFAULT_COMMAND = 'soffice --headless --convert-to pdf --outdir {outdir} {input}';
+const TIMEOUT_MS = Number(process.env.DOCX_CONVERT_TIMEOUT_S || 60) * 1000;
+
+// Split on whitespace, keeping "quoted words" together, then fill in the placeholders
+const commandLine = (template, paths) =>
+  (template.match(/"[^"]*"|\S+/g) || []).map((word) =>
+    word.replace(/^"(.*)"$/, '$1').replace(/\{(input|output|outdir)\}/g, (_, key) => paths[key])
+  );
+
+const run = (command, args) =>
+  new Promise((resolve, reject) => {
+    const options = { timeout: TIMEOUT_MS, maxBuffer: 1024 * 1024 };
+    execFile(command, args, options, (error, stdout, stderr) =>
+      error ? reject(Object.assign(error, { stderr })) : resolve()
+    );
+  });
+
+const docxToPdf = (buffer) =>
+  // LibreOffice can't run two conversions against one profile, so they take turns
+  withLock('convert:docx', async () => {
+    const outdir = await fs.mkdtemp(path.join(os.tmpdir(), 'docx-'));
+    const paths = {
+      input: path.join(outdir, 'input.docx'),
+      output: path.join(outdir, 'input.pdf'),
+      outdir,
+    };
+    const [command, ...args] = commandLine(process.env.DOCX_CONVERTER || DEFAULT_COMMAND, paths);
+    try {
+      await fs.writeFile(paths.input, buffer);
+      await run(command, args);
+      return await fs.readFile(paths.output);
+    } catch (error) {
+      if (error.code === 'ENOENT' && error.syscall?.startsWith('spawn')) {
+        throw new HttpError(501, `DOCX conversion needs "${command}", which isn't installed`, {
+          hint: 'Install LibreOffice or point DOCX_CONVERTER at another converter',
+        });
+      }
+      if (error.code === 'ENOENT') {
+        throw new HttpError(502, 'DOCX converter finished without writing a PDF');
+      }
+      if (error.killed) {
+        throw new HttpError(504, `DOCX conversion took longer than ${TIMEOUT_MS / 1000}s`);
+      }
+      throw new HttpError(502, 'DOCX conversion failed', {
+        error: String(error.stderr || error.message).trim().slice(0, 500),
+      });
+    } finally {
+      await fs.rm(outdir, { recursive: true, force: true });
+    }
+  });
+
+module.exports = { docxToPdf };
@@ -0,0 +1,223 @@
+// HTML -> layout blocks. Not a browser: structure and inline emphasis come through, CSS doesn't,
+// except `page-break-before/after: always` (or `break-before/after: page`) for page breaks.
+// Scripts, styles and the <head> are dropped. Anchor tags like {{sig:buyer}} are kept as text.
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  mdash: '—',
+  ndash: '–',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  bull: '•',
+  middot: '·',
+  euro: '€',
+  pound: '£',
+  yen: '¥',
+  sect: '§',
+  para: '¶',
+  deg: '°',
+  times: '×',
+};
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (whole, name) => {
+    if (name[0] === '#') {
+      const hex = name[1].toLowerCase() === 'x';
+      const code = hex ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      if (code === 160) return ' ';
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : whole;
+    }
+    return ENTITIES[name.toLowerCase()] ?? whole;
+  });
+
+const HEADINGS = { h1: 1, h2: 2, h3: 3, h4: 4, h5: 5, h6: 6 };
+const tagSet = (names) => new Set(names.split(' '));
+// Tags that end the current paragraph when they open or close
+const BLOCK_TAGS = tagSet(
+  'p div section article header footer main aside nav address blockquote ul ol li dl dt dd ' +
+    'pre table tr td th thead tbody tfoot caption figure figcaption form fieldset body html ' +
+    'h1 h2 h3 h4 h5 h6'
+);
+const VOID_TAGS = tagSet('br hr img meta link input col area base wbr');
+const SKIPPED_TAGS = tagSet('script style head title template noscript');
+const BOLD_TAGS = tagSet('b strong');
+const ITALIC_TAGS = tagSet('i em cite');
+const CODE_TAGS = tagSet('code kbd samp tt');
+
+// Comments, declarations, tags (name, attributes) and text
+const TOKEN =
+  /<!--[\s\S]*?-->|<![^>]*>|<\/?([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+
+const attribute = (attrs, name) => {
+  const pattern = new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i');
+  const match = attrs.match(pattern);
+  return match ? decodeEntities(match[2] ?? match[3] ?? match[4] ?? '') : '';
+};
+
+const breaksBefore = (css) => /(page-break-before|break-before)\s*:\s*(always|page)/i.test(css);
+const breaksAfter = (css) => /(page-break-after|break-after)\s*:\s*(always|page)/i.test(css);
+
+const htmlToBlocks = (source) => {
+  const blocks = [];
+  let runs = [];
+  // Open inline styles and block context
+  const inline = { bold: 0, italic: 0, code: 0 };
+  const lists = [];
+  let heading = null;
+  let quoteDepth = 0;
+  let table = null;
+  let row = null;
+  let cell = null;
+  let pre = null;
+  // Closing tags that should break the page after them, keyed by tag name
+  const pendingBreaks = [];
+
+  const style = () => ({
+    ...(inline.bold ? { bold: true } : {}),
+    ...(inline.italic ? { italic: true } : {}),
+    ...(inline.code ? { code: true } : {}),
+  });
+
+  const addText = (text) => {
+    if (pre) {
+      pre.push(text);
+      return;
+    }
+    const collapsed = text.replace(/\s+/g, ' ');
+    if (collapsed) (cell || runs).push({ ...style(), text: collapsed });
+  };
+
+  const addBreak = () => {
+    if (pre) pre.push('\n');
+    else (cell || runs).push({ text: '\n' });
+  };
+
+  // Trim the outside of a run list and drop it if nothing visible is left
+  const tidy = (list) => {
+    const trimmed = list.map((run) => ({ ...run }));
+    while (trimmed.length && !trimmed[0].text.trim()) trimmed.shift();
+    while (trimmed.length && !trimmed[trimmed.length - 1].text.trim()) trimmed.pop();
+    if (trimmed.length === 0) return null;
+    trimmed[0].text = trimmed[0].text.replace(/^ +/, '');
+    const last = trimmed[trimmed.length - 1];
+    last.text = last.text.replace(/ +$/, '');
+    return trimmed;
+  };
+
+  const flush = () => {
+    const content = tidy(runs);
+    runs = [];
+    if (!content) return;
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading, runs: content });
+    } else if (lists.length > 0) {
+      const list = lists[lists.length - 1];
+      const marker = list.ordered ? `${list.count}.` : '-';
+      blocks.push({ type: 'listItem', marker, depth: lists.length - 1, runs: content });
+    } else {
+      const indent = quoteDepth ? { indent: quoteDepth } : {};
+      blocks.push({ type: 'paragraph', runs: content, ...indent });
+    }
+  };
+
+  const openTag = (tag, attrs) => {
+    const css = attribute(attrs, 'style');
+    if (BLOCK_TAGS.has(tag) || tag === 'hr') flush();
+    if (breaksBefore(css)) blocks.push({ type: 'pageBreak' });
+    if (breaksAfter(css) && !VOID_TAGS.has(tag)) pendingBreaks.push(tag);
+
+    if (HEADINGS[tag]) heading = HEADINGS[tag];
+    else if (BOLD_TAGS.has(tag)) inline.bold += 1;
+    else if (ITALIC_TAGS.has(tag)) inline.italic += 1;
+    else if (CODE_TAGS.has(tag)) inline.code += 1;
+    else if (tag === 'br') addBreak();
+    else if (tag === 'hr') blocks.push({ type: 'rule' });
+    else if (tag === 'img' && attribute(attrs, 'alt')) addText(attribute(attrs, 'alt'));
+    else if (tag === 'blockquote') quoteDepth += 1;
+    else if (tag === 'pre') pre = [];
+    else if (tag === 'ul' || tag === 'ol') {
+      const start = Number(attribute(attrs, 'start')) || 1;
+      lists.push({ ordered: tag === 'ol', count: start - 1 });
+    } else if (tag === 'li' && lists.length > 0) lists[lists.length - 1].count += 1;
+    else if (tag === 'table') table = table || { type: 'table', rows: [] };
+    else if (tag === 'tr' && table) row = { header: false, cells: [] };
+    else if ((tag === 'td' || tag === 'th') && row) {
+      cell = [];
+      if (tag === 'th') row.header = true;
+    }
+  };
+
+  const closeTag = (tag) => {
+    if (BLOCK_TAGS.has(tag) && !(cell && (tag === 'td' || tag === 'th'))) flush();
+
+    if (HEADINGS[tag]) heading = null;
+    else if (BOLD_TAGS.has(tag)) inline.bold = Math.max(0, inline.bold - 1);
+    else if (ITALIC_TAGS.has(tag)) inline.italic = Math.max(0, inline.italic - 1);
+    else if (CODE_TAGS.has(tag)) inline.code = Math.max(0, inline.code - 1);
+    else if (tag === 'blockquote') quoteDepth = Math.max(0, quoteDepth - 1);
+    else if (tag === 'pre' && pre) {
+      blocks.push({ type: 'code', text: pre.join('').replace(/^\n/, '').replace(/\s+$/, '') });
+      pre = null;
+    } else if (tag === 'ul' || tag === 'ol') lists.pop();
+    else if ((tag === 'td' || tag === 'th') && cell && row) {
+      row.cells.push(tidy(cell) || []);
+      cell = null;
+    } else if (tag === 'tr' && row && table) {
+      if (row.cells.length > 0) table.rows.push(row);
+      row = null;
+    } else if (tag === 'table' && table) {
+      if (table.rows.length > 0) blocks.push(table);
+      table = null;
+    }
+
+    const pending = pendingBreaks.lastIndexOf(tag);
+    if (pending !== -1) {
+      pendingBreaks.splice(pending, 1);
+      blocks.push({ type: 'pageBreak' });
+    }
+  };
+
+  const pattern = new RegExp(TOKEN.source, 'g');
+  const lowered = source.toLowerCase();
+  let match;
+  while ((match = pattern.exec(source))) {
+    const [token, name, attrs = ''] = match;
+    const tag = name?.toLowerCase();
+    if (token.startsWith('<!')) {
+      // Comments and the doctype carry no content
+    } else if (!tag) {
+      addText(decodeEntities(token));
+    } else if (token.startsWith('</')) {
+      closeTag(tag);
+    } else if (SKIPPED_TAGS.has(tag) && !/\/\s*>$/.test(token)) {
+      // Jump to the closing tag - a script's `a<b` must not be read as markup
+      const close = lowered.indexOf(`</${tag}`, pattern.lastIndex);
+      pattern.lastIndex = close === -1 ? source.length : close;
+    } else {
+      openTag(tag, attrs);
+      if (/\/\s*>$/.test(token) && !VOID_TAGS.has(tag)) closeTag(tag);
+    }
+  }
+  flush();
+  if (table?.rows.length) blocks.push(table);
+  return blocks;
+};
+
+// The document's <title>, if it has one - used as the PDF title
+const htmlTitle = (source) => {
+  const match = source.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return match ? decodeEntities(match[1]).replace(/\s+/g, ' ').trim() : '';
+};
+
+module.exports = { htmlToBlocks, htmlTitle, decodeEntities };
@@ -0,0 +1,551 @@
+// Images -> PDF, one page per image (per frame for multi-page TIFF). Pages take the physical size
+// the file declares (JFIF/EXIF density, PNG pHYs, TIFF resolution) and EXIF/TIFF orientation
+// is applied, so a scan comes out at its paper size and a phone photo comes out upright.
+// Without a usable resolution - cameras write 72 dpi whatever the picture - the image is
+// fitted to the requested page size instead.
+//
+// JPEG and PNG are embedded as they are. TIFF is decoded here: uncompressed, PackBits, LZW and
+// Deflate strips become Flate images, and CCITT G3/G4 fax strips are passed through as-is.
+const zlib = require('zlib');
+const {
+  PDFDocument,
+  PDFHexString,
+  concatTransformationMatrix,
+  drawObject,
+  popGraphicsState,
+  pushGraphicsState,
+} = require('pdf-lib');
+const { pageSizeFor } = require('../layout');
+const { HttpError } = require('../errors');
+
+// Declared sizes past this (inches, longer side) are taken as meaningless and fitted instead
+const MAX_DECLARED_INCHES = 17;
+const MIN_DPI = 30;
+// Decoding happens in memory, so sizes are checked before anything is allocated - a small file
+// can declare a huge image or inflate to gigabytes. 100 megapixels is an A3 page at 600 dpi
+// with room to spare.
+const MAX_IMAGE_PIXELS = 100 * 1000 * 1000;
+const MAX_DECODED_BYTES = 256 * 1024 * 1024;
+
+// TIFF structures are read for TIFF files and for the EXIF block inside JPEGs
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+// Every IFD in the chain as Map(tag -> values). `base` is where the TIFF header starts.
+const readIfds = (buffer, base = 0, { limit = Infinity } = {}) => {
+  const order = buffer.toString('latin1', base, base + 2);
+  if (order !== 'II' && order !== 'MM') throw new HttpError(400, 'Not a readable TIFF structure');
+  const little = order === 'II';
+  const u16 = (offset) => (little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const u32 = (offset) => (little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+  const readValue = (type, offset) => {
+    switch (type) {
+      case 3:
+        return u16(offset);
+      case 4:
+        return u32(offset);
+      case 5:
+        return u32(offset) / (u32(offset + 4) || 1);
+      default:
+        return buffer[offset];
+    }
+  };
+
+  const ifds = [];
+  const seen = new Set();
+  let next = u32(base + 4);
+  while (next && !seen.has(next) && ifds.length < limit) {
+    seen.add(next);
+    const start = base + next;
+    if (start + 2 > buffer.length) break;
+    const count = u16(start);
+    const tags = new Map();
+    for (let index = 0; index < count; index += 1) {
+      const entry = start + 2 + index * 12;
+      if (entry + 12 > buffer.length) break;
+      const tag = u16(entry);
+      const type = u16(entry + 2);
+      const valueCount = u32(entry + 4);
+      const size = TYPE_SIZES[type] || 1;
+      const dataOffset = size * valueCount > 4 ? base + u32(entry + 8) : entry + 8;
+      if (dataOffset + size * valueCount > buffer.length) continue;
+      const values = [];
+      for (let item = 0; item < valueCount; item += 1) {
+        values.push(readValue(type, dataOffset + item * size));
+      }
+      tags.set(tag, values);
+    }
+    ifds.push(tags);
+    next = start + 2 + count * 12 + 4 <= buffer.length ? u32(start + 2 + count * 12) : 0;
+  }
+  return { ifds, little };
+};
+
+const TAG = {
+  width: 256,
+  height: 257,
+  bitsPerSample: 258,
+  compression: 259,
+  photometric: 262,
+  fillOrder: 266,
+  stripOffsets: 273,
+  orientation: 274,
+  samplesPerPixel: 277,
+  rowsPerStrip: 278,
+  stripByteCounts: 279,
+  xResolution: 282,
+  yResolution: 283,
+  planarConfig: 284,
+  t4Options: 292,
+  resolutionUnit: 296,
+  predictor: 317,
+  colorMap: 320,
+  tileWidth: 322,
+};
+
+const tagValue = (ifd, tag, fallback) => ifd.get(tag)?.[0] ?? fallback;
+
+// Dots per inch from a resolution and its unit (2 = inch, 3 = centimetre, 1 = none)
+const toDpi = (value, unit) => {
+  if (!value || unit === 1) return null;
+  return unit === 3 ? value * 2.54 : value;
+};
+
+// Where the unit square of the stored image goes on a W x H page for each EXIF orientation.
+// [a b c d e f] as in the PDF `cm` operator.
+const orientationMatrix = (orientation, width, height) => {
+  switch (orientation) {
+    case 2:
+      return [-width, 0, 0, height, width, 0];
+    case 3:
+      return [-width, 0, 0, -height, width, height];
+    case 4:
+      return [width, 0, 0, -height, 0, height];
+    case 5:
+      return [0, -height, -width, 0, width, height];
+    case 6:
+      return [0, -height, width, 0, 0, height];
+    case 7:
+      return [0, height, width, 0, 0, 0];
+    case 8:
+      return [0, height, -width, 0, width, 0];
+    default:
+      return [width, 0, 0, height, 0, 0];
+  }
+};
+
+// Page size in points for an image as displayed. Orientations 5-8 swap the axes.
+const pageSizeForImage = ({ width, height, dpiX, dpiY, orientation = 1 }, fallbackPage) => {
+  const turned = orientation >= 5;
+  const shownWidth = turned ? height : width;
+  const shownHeight = turned ? width : height;
+  const shownDpiX = turned ? dpiY : dpiX;
+  const shownDpiY = turned ? dpiX : dpiY;
+
+  if (shownDpiX >= MIN_DPI && shownDpiY >= MIN_DPI) {
+    const inchesX = shownWidth / shownDpiX;
+    const inchesY = shownHeight / shownDpiY;
+    if (Math.max(inchesX, inchesY) <= MAX_DECLARED_INCHES) return [inchesX * 72, inchesY * 72];
+  }
+
+  // Fit inside the page, turned to match the image
+  const [short, long] = [...pageSizeFor(fallbackPage)].sort((a, b) => a - b);
+  const [boxWidth, boxHeight] = shownWidth > shownHeight ? [long, short] : [short, long];
+  const scale = Math.min(boxWidth / shownWidth, boxHeight / shownHeight);
+  return [shownWidth * scale, shownHeight * scale];
+};
+
+// Draw `parts` ({ name, rows: [from, to] }) of one stored image onto a new page
+const addImagePage = (pdfDoc, info, parts, fallbackPage) => {
+  const [pageWidth, pageHeight] = pageSizeForImage(info, fallbackPage);
+  const page = pdfDoc.addPage([pageWidth, pageHeight]);
+  const [a, b, c, d, e, f] = orientationMatrix(info.orientation, pageWidth, pageHeight);
+  for (const { ref, rows } of parts) {
+    const name = page.node.newXObject('Image', ref);
+    // A strip covers rows [from, to) of the image, counted from the top
+    const [from, to] = rows || [0, info.height];
+    page.pushOperators(
+      pushGraphicsState(),
+      concatTransformationMatrix(a, b, c, d, e, f),
+      concatTransformationMatrix(1, 0, 0, (to - from) / info.height, 0, 1 - to / info.height),
+      drawObject(name),
+      popGraphicsState()
+    );
+  }
+};
+
+const SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd]);
+
+// Size, density and orientation from the JPEG's segments
+const jpegInfo = (buffer) => {
+  const info = { orientation: 1 };
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) break;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    if (marker === 0xda || marker === 0xd9) break;
+    const length = buffer.readUInt16BE(offset + 2);
+    const data = offset + 4;
+
+    if (marker === 0xe0 && buffer.toString('latin1', data, data + 5) === 'JFIF\0') {
+      const unit = buffer[data + 7];
+      const x = buffer.readUInt16BE(data + 8);
+      const y = buffer.readUInt16BE(data + 10);
+      if (unit === 1 || unit === 2) {
+        info.jfifDpiX = unit === 2 ? x * 2.54 : x;
+        info.jfifDpiY = unit === 2 ? y * 2.54 : y;
+      }
+    } else if (marker === 0xe1 && buffer.toString('latin1', data, data + 6) === 'Exif\0\0') {
+      try {
+        const segment = buffer.subarray(0, offset + 2 + length);
+        const [ifd0] = readIfds(segment, data + 6, { limit: 1 }).ifds;
+        if (ifd0) {
+          const unit = tagValue(ifd0, TAG.resolutionUnit, 2);
+          info.orientation = tagValue(ifd0, TAG.orientation, 1);
+          info.exifDpiX = toDpi(tagValue(ifd0, TAG.xResolution), unit);
+          info.exifDpiY = toDpi(tagValue(ifd0, TAG.yResolution), unit);
+        }
+      } catch {
+        // A broken EXIF block only costs us the orientation and density
+      }
+    } else if (SOF_MARKERS.has(marker)) {
+      info.height = buffer.readUInt16BE(data + 1);
+      info.width = buffer.readUInt16BE(data + 3);
+    }
+    offset += 2 + length;
+  }
+  if (!info.width || !info.height) throw new HttpError(400, 'JPEG has no readable image size');
+  info.dpiX = info.exifDpiX || info.jfifDpiX;
+  info.dpiY = info.exifDpiY || info.jfifDpiY;
+  if (!(info.orientation >= 1 && info.orientation <= 8)) info.orientation = 1;
+  return info;
+};
+
+// Size and density from the PNG's IHDR and pHYs chunks
+const pngInfo = (buffer) => {
+  const info = { orientation: 1 };
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const data = offset + 8;
+    if (type === 'IHDR') {
+      info.width = buffer.readUInt32BE(data);
+      info.height = buffer.readUInt32BE(data + 4);
+    } else if (type === 'pHYs' && buffer[data + 8] === 1) {
+      // Pixels per metre
+      info.dpiX = buffer.readUInt32BE(data) * 0.0254;
+      info.dpiY = buffer.readUInt32BE(data + 4) * 0.0254;
+    } else if (type === 'IDAT' || type === 'IEND') {
+      break;
+    }
+    offset = data + length + 4;
+  }
+  if (!info.width || !info.height) throw new HttpError(400, 'PNG has no readable image size');
+  return info;
+};
+
+const checkImageSize = ({ width, height }, format) => {
+  if (width * height > MAX_IMAGE_PIXELS) {
+    throw new HttpError(
+      413,
+      `${format} is ${width}x${height} pixels; the limit is ${MAX_IMAGE_PIXELS / 1e6} megapixels`
+    );
+  }
+};
+
+const embedJpeg = async (pdfDoc, buffer, pageSize) => {
+  const info = jpegInfo(buffer);
+  // pdf-lib reads the JPEG through a DataView that ignores the Buffer's offset into its pool
+  const image = await pdfDoc.embedJpg(new Uint8Array(buffer));
+  addImagePage(pdfDoc, info, [{ ref: image.ref }], pageSize);
+};
+
+const embedPng = async (pdfDoc, buffer, pageSize) => {
+  const info = pngInfo(buffer);
+  // pdf-lib decodes PNGs to raw pixels
+  checkImageSize(info, 'PNG');
+  const image = await pdfDoc.embedPng(buffer);
+  addImagePage(pdfDoc, info, [{ ref: image.ref }], pageSize);
+};
+
+const unpackBits = (input, expected) => {
+  const output = Buffer.alloc(expected);
+  let read = 0;
+  let written = 0;
+  while (read < input.length && written < expected) {
+    const header = input.readInt8(read);
+    read += 1;
+    if (header >= 0) {
+      const count = Math.min(header + 1, expected - written);
+      input.copy(output, written, read, read + count);
+      read += header + 1;
+      written += count;
+    } else if (header !== -128) {
+      const count = Math.min(1 - header, expected - written);
+      output.fill(input[read], written, written + count);
+      read += 1;
+      written += count;
+    }
+  }
+  return output;
+};
+
+// TIFF LZW: MSB-first codes, 9-12 bits, widths grow one code early
+const unLzw = (input, expected) => {
+  const output = Buffer.alloc(expected);
+  let written = 0;
+  let table = [];
+  let width = 9;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let read = 0;
+  let previous = null;
+
+  const reset = () => {
+    table = Array.from({ length: 258 }, (_, code) => (code < 256 ? [code] : null));
+    width = 9;
+    previous = null;
+  };
+  const emit = (bytes) => {
+    for (const byte of bytes) {
+      if (written < expected) output[written++] = byte;
+    }
+  };
+
+  reset();
+  while (written < expected) {
+    while (bitCount < width && read < input.length) {
+      bitBuffer = ((bitBuffer << 8) | input[read++]) >>> 0;
+      bitCount += 8;
+    }
+    if (bitCount < width) break;
+    const code = (bitBuffer >>> (bitCount - width)) & ((1 << width) - 1);
+    bitCount -= width;
+    bitBuffer &= (1 << bitCount) - 1;
+
+    if (code === 256) {
+      reset();
+      continue;
+    }
+    if (code === 257) break;
+
+    let entry;
+    if (code < table.length && table[code]) entry = table[code];
+    else if (previous) entry = [...previous, previous[0]];
+    else throw new HttpError(400, 'TIFF LZW data is corrupt');
+    emit(entry);
+    if (previous) table.push([...previous, entry[0]]);
+    previous = entry;
+    if (table.length + 1 >= 1 << width && width < 12) width += 1;
+  }
+  return output;
+};
+
+const REVERSED_BITS = Buffer.from(
+  Array.from({ length: 256 }, (_, byte) => {
+    let reversed = 0;
+    for (let bit = 0; bit < 8; bit += 1) reversed |= ((byte >> bit) & 1) << (7 - bit);
+    return reversed;
+  })
+);
+
+const reverseBits = (buffer) => Buffer.from(buffer.map((byte) => REVERSED_BITS[byte]));
+
+// Horizontal differencing (predictor 2), 8-bit samples
+const undoPredictor = (data, width, samples, rows) => {
+  const rowBytes = width * samples;
+  for (let row = 0; row < rows; row += 1) {
+    const start = row * rowBytes;
+    for (let index = samples; index < rowBytes; index += 1) {
+      data[start + index] = (data[start + index] + data[start + index - samples]) & 0xff;
+    }
+  }
+  return data;
+};
+
+// Drop trailing channels (alpha, extra samples) - keep the first `keep` bytes of every `stride`
+const keepChannels = (data, stride, keep) => {
+  const pixels = Math.floor(data.length / stride);
+  const output = Buffer.alloc(pixels * keep);
+  for (let pixel = 0; pixel < pixels; pixel += 1) {
+    data.copy(output, pixel * keep, pixel * stride, pixel * stride + keep);
+  }
+  return output;
+};
+
+const COMPRESSION_NAMES = { 6: 'old-style JPEG', 7: 'JPEG', 34712: 'JPEG 2000' };
+
+// One TIFF frame as image objects, ready for addImagePage
+const tiffFrame = (pdfDoc, buffer, ifd, little) => {
+  const width = tagValue(ifd, TAG.width);
+  const height = tagValue(ifd, TAG.height);
+  const bits = tagValue(ifd, TAG.bitsPerSample, 1);
+  const samples = tagValue(ifd, TAG.samplesPerPixel, 1);
+  const compression = tagValue(ifd, TAG.compression, 1);
+  const photometric = tagValue(ifd, TAG.photometric, 1);
+  const unit = tagValue(ifd, TAG.resolutionUnit, 2);
+  const info = {
+    width,
+    height,
+    dpiX: toDpi(tagValue(ifd, TAG.xResolution), unit),
+    dpiY: toDpi(tagValue(ifd, TAG.yResolution), unit),
+    orientation: tagValue(ifd, TAG.orientation, 1),
+  };
+  if (!(info.orientation >= 1 && info.orientation <= 8)) info.orientation = 1;
+
+  const unsupported = (what) =>
+    new HttpError(415, `TIFF ${what} isn't supported - save it as PDF, PNG or JPEG`);
+  if (!width || !height) throw new HttpError(400, 'TIFF frame has no image size');
+  checkImageSize(info, 'TIFF');
+  if (ifd.has(TAG.tileWidth)) throw unsupported('with tiles');
+  if (tagValue(ifd, TAG.planarConfig, 1) !== 1) throw unsupported('with separate colour planes');
+  if (COMPRESSION_NAMES[compression]) {
+    throw unsupported(`${COMPRESSION_NAMES[compression]} compression`);
+  }
+
+  const offsets = ifd.get(TAG.stripOffsets) || [];
+  const counts = ifd.get(TAG.stripByteCounts) || [];
+  const rowsPerStrip = Math.min(tagValue(ifd, TAG.rowsPerStrip, height), height);
+  const reversed = tagValue(ifd, TAG.fillOrder, 1) === 2;
+  const strips = offsets.map((offset, index) => {
+    const data = buffer.subarray(offset, offset + (counts[index] || 0));
+    return reversed ? reverseBits(data) : data;
+  });
+  if (strips.length === 0) throw new HttpError(400, 'TIFF frame has no image data');
+
+  // CCITT fax strips go into the PDF untouched, one image per strip
+  if ([2, 3, 4].includes(compression)) {
+    const t4Options = tagValue(ifd, TAG.t4Options, 0);
+    const parts = strips.map((data, index) => {
+      const from = index * rowsPerStrip;
+      const rows = Math.min(rowsPerStrip, height - from);
+      const stream = pdfDoc.context.stream(data, {
+        Type: 'XObject',
+        Subtype: 'Image',
+        Width: width,
+        Height: rows,
+        ColorSpace: 'DeviceGray',
+        BitsPerComponent: 1,
+        Filter: 'CCITTFaxDecode',
+        DecodeParms: {
+          K: compression === 4 ? -1 : compression === 3 && t4Options & 1 ? 1 : 0,
+          Columns: width,
+          Rows: rows,
+          EncodedByteAlign: compression === 2 || Boolean(compression === 3 && t4Options & 4),
+        },
+      });
+      return { ref: pdfDoc.context.register(stream), rows: [from, from + rows] };
+    });
+    return { info, parts };
+  }
+
+  const sampleBits = bits * (photometric === 3 ? 1 : samples);
+  const rowBytes = Math.ceil((width * sampleBits) / 8);
+  if (rowBytes * height > MAX_DECODED_BYTES) {
+    throw new HttpError(413, `TIFF frame is over ${MAX_DECODED_BYTES / 1024 / 1024} MB decoded`);
+  }
+  // A strip inflates to at most a full strip of rows; anything past that is refused unread
+  const inflate = (data) => zlib.inflateSync(data, { maxOutputLength: rowsPerStrip * rowBytes });
+  const decoders = {
+    1: (data, size) => Buffer.concat([data, Buffer.alloc(Math.max(0, size - data.length))]),
+    5: unLzw,
+    8: inflate,
+    32946: inflate,
+    32773: unpackBits,
+  };
+  const decode = decoders[compression];
+  if (!decode) throw unsupported(`compression ${compression}`);
+
+  const pixels = Buffer.concat(
+    strips.map((data, index) => {
+      const rows = Math.min(rowsPerStrip, height - index * rowsPerStrip);
+      return decode(data, rows * rowBytes).subarray(0, rows * rowBytes);
+    })
+  );
+  if (pixels.length < rowBytes * height) throw new HttpError(400, 'TIFF image data is truncated');
+  if (tagValue(ifd, TAG.predictor, 1) === 2) {
+    if (bits !== 8) throw unsupported('prediction on non-8-bit samples');
+    undoPredictor(pixels, width, samples, height);
+  }
+
+  let data = pixels.subarray(0, rowBytes * height);
+  let colorSpace;
+  let decodeArray = null;
+  if (photometric === 0 || photometric === 1) {
+    if (![1, 2, 4, 8, 16].includes(bits)) throw unsupported(`${bits}-bit greyscale`);
+    colorSpace = 'DeviceGray';
+    if (photometric === 0) decodeArray = [1, 0];
+    // Grey plus alpha: keep the grey
+    if (samples === 2 && bits === 8) data = keepChannels(data, 2, 1);
+  } else if (photometric === 2) {
+    if (bits !== 8 && bits !== 16) throw unsupported(`${bits}-bit colour`);
+    colorSpace = 'DeviceRGB';
+    if (samples > 3) data = keepChannels(data, samples * (bits / 8), 3 * (bits / 8));
+  } else if (photometric === 5) {
+    if (bits !== 8 || samples < 4) throw unsupported('CMYK other than 8-bit');
+    colorSpace = 'DeviceCMYK';
+    if (samples > 4) data = keepChannels(data, samples, 4);
+  } else if (photometric === 3) {
+    const map = ifd.get(TAG.colorMap) || [];
+    const entries = 1 << bits;
+    if (map.length < entries * 3) throw new HttpError(400, 'TIFF palette is missing');
+    const lookup = Buffer.alloc(entries * 3);
+    for (let index = 0; index < entries; index += 1) {
+      lookup[index * 3] = map[index] >> 8;
+      lookup[index * 3 + 1] = map[entries + index] >> 8;
+      lookup[index * 3 + 2] = map[entries * 2 + index] >> 8;
+    }
+    colorSpace = ['Indexed', 'DeviceRGB', entries - 1, PDFHexString.of(lookup.toString('hex'))];
+  } else {
+    throw unsupported(`photometric interpretation ${photometric}`);
+  }
+  // PDF wants 16-bit samples big-endian
+  if (bits === 16 && little) data = Buffer.from(data).swap16();
+
+  const stream = pdfDoc.context.flateStream(data, {
+    Type: 'XObject',
+    Subtype: 'Image',
+    Width: width,
+    Height: height,
+    ColorSpace: colorSpace,
+    BitsPerComponent: bits,
+    ...(decodeArray ? { Decode: decodeArray } : {}),
+  });
+  return { info, parts: [{ ref: pdfDoc.context.register(stream) }] };
+};
+
+const embedTiff = async (pdfDoc, buffer, pageSize, { maxPages = Infinity } = {}) => {
+  const { ifds, little } = readIfds(buffer, 0, { limit: maxPages + 1 });
+  if (ifds.length === 0) throw new HttpError(400, 'TIFF has no images');
+  if (ifds.length > maxPages) {
+    throw new HttpError(400, `TIFF has more than ${maxPages} pages; the limit is ${maxPages}`);
+  }
+  for (const ifd of ifds) {
+    const { info, parts } = tiffFrame(pdfDoc, buffer, ifd, little);
+    addImagePage(pdfDoc, info, parts, pageSize);
+  }
+};
+
+const EMBEDDERS = { jpeg: embedJpeg, png: embedPng, tiff: embedTiff };
+
+// Image bytes -> PDF bytes. `pageSize` (a4, letter, legal) is used when the image doesn't say
+// how big it is.
+const imageToPdf = async (buffer, format, { pageSize = 'a4', maxPages } = {}) => {
+  const pdfDoc = await PDFDocument.create({ updateMetadata: false });
+  try {
+    await EMBEDDERS[format](pdfDoc, buffer, pageSize, { maxPages });
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    throw new HttpError(400, `Could not read the ${format.toUpperCase()} image`, {
+      error: error.message,
+    });
+  }
+  return Buffer.from(await pdfDoc.save());
+};
+
+module.exports = { imageToPdf, readIfds, pageSizeForImage };
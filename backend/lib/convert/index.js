@@ -0,0 +1,108 @@
+// Turns uploads that aren't PDFs into PDFs, so every document - scan, photo, Word file or
+// rendered template - is stored and signed the same way. The format comes from the file's
+// bytes where it has a signature, otherwise from its name or MIME type.
+const path = require('path');
+const { renderBlocks } = require('../layout');
+const { markdownToBlocks } = require('./markdown');
+const { htmlToBlocks, htmlTitle } = require('./html');
+const { imageToPdf } = require('./images');
+const { docxToPdf } = require('./docx');
+const { createDocument, MAX_PAGES } = require('../documents');
+const { HttpError } = require('../errors');
+
+const FORMATS = ['pdf', 'jpeg', 'png', 'tiff', 'docx', 'html', 'markdown', 'text'];
+
+const EXTENSIONS = {
+  '.pdf': 'pdf',
+  '.jpg': 'jpeg',
+  '.jpeg': 'jpeg',
+  '.png': 'png',
+  '.tif': 'tiff',
+  '.tiff': 'tiff',
+  '.docx': 'docx',
+  '.html': 'html',
+  '.htm': 'html',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.txt': 'text',
+};
+
+const MIME_TYPES = {
+  'text/html': 'html',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/plain': 'text',
+};
+
+const detectFormat = (buffer, { fileName = '', mimeType = '' } = {}) => {
+  const head = buffer.subarray(0, 8);
+  if (head.toString('latin1', 0, 5) === '%PDF-') return 'pdf';
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'jpeg';
+  if (head.equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (['II*\0', 'MM\0*'].includes(head.toString('latin1', 0, 4))) return 'tiff';
+  // A DOCX is a zip with the document part named in it
+  if (head.toString('latin1', 0, 4) === 'PK\x03\x04') {
+    if (buffer.includes('word/document.xml')) return 'docx';
+    throw new HttpError(415, 'Zip files other than Word documents (.docx) are not supported');
+  }
+
+  const byName = EXTENSIONS[path.extname(fileName).toLowerCase()];
+  if (byName) return byName;
+  const byType = MIME_TYPES[mimeType.split(';')[0].trim().toLowerCase()];
+  if (byType) return byType;
+  if (/^\s*(<!doctype html|<html)/i.test(buffer.toString('utf8', 0, 512))) return 'html';
+  throw new HttpError(415, 'Unsupported file type', { formats: FORMATS });
+};
+
+// Plain text keeps its line breaks; blank lines separate paragraphs
+const textToBlocks = (source) =>
+  source
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .filter((paragraph) => paragraph.trim())
+    .map((paragraph) => ({ type: 'paragraph', runs: [{ text: paragraph.trim() }] }));
+
+const MARKUP = {
+  html: (source) => ({ blocks: htmlToBlocks(source), title: htmlTitle(source) }),
+  markdown: (source) => ({ blocks: markdownToBlocks(source) }),
+  text: (source) => ({ blocks: textToBlocks(source) }),
+};
+
+// Lay out HTML, Markdown or text on pages of `pageSize`. An HTML <title> beats `title`.
+const renderMarkup = async (source, format, { pageSize, title } = {}) => {
+  const { blocks, title: ownTitle } = MARKUP[format](source);
+  return renderBlocks(blocks, { pageSize, title: ownTitle || title });
+};
+
+// Any supported input -> PDF bytes. PDFs pass through untouched.
+const convertToPdf = async (buffer, format, { pageSize = 'a4', title } = {}) => {
+  if (format === 'pdf') return buffer;
+  if (format === 'docx') return docxToPdf(buffer);
+  if (MARKUP[format]) return renderMarkup(buffer.toString('utf8'), format, { pageSize, title });
+  return imageToPdf(buffer, format, { pageSize, maxPages: MAX_PAGES });
+};
+
+// `report.docx` is stored as `report.pdf`, `Offer letter` as `Offer letter.pdf`
+const baseName = (name) =>
+  EXTENSIONS[path.extname(name).toLowerCase()] ? path.parse(name).name : name;
+
+// Convert an upload if it needs it and store the PDF as a document. `format` skips detection,
+// for content that isn't a file. The record remembers what it was converted from.
+const ingestDocument = async (buffer, options = {}) => {
+  const { fileName, mimeType, name, pageSize, tenantId } = options;
+  if (!buffer || buffer.length === 0) throw new HttpError(400, 'Uploaded file is empty');
+  const format = options.format || detectFormat(buffer, { fileName, mimeType });
+  const label = name || fileName;
+  const pdf = await convertToPdf(buffer, format, {
+    pageSize,
+    title: label ? baseName(label) : undefined,
+  });
+  if (format === 'pdf') return createDocument(pdf, { name: label, tenantId });
+  return createDocument(pdf, {
+    name: label ? `${baseName(label)}.pdf` : undefined,
+    tenantId,
+    source: { format, name: fileName || null },
+  });
+};
+
+module.exports = { FORMATS, detectFormat, convertToPdf, renderMarkup, ingestDocument };
@@ -0,0 +1,185 @@
+// Markdown -> layout blocks. Covers what contracts use: headings, paragraphs, emphasis, lists,
+// block quotes, code, rules and pipe tables. `\pagebreak` or `\newpage` on its own line starts
+// a new page. Anchor tags like {{sig:buyer}} are plain text here and survive untouched.
+
+// Inline syntax, tried left to right
+const INLINE_PARTS = [
+  '\\\\([\\\\`*_{}[\\]()#+\\-.!|>~])', // backslash escape
+  '(`+)([\\s\\S]+?)\\2', // code span
+  '(\\*\\*|__)(?=\\S)([\\s\\S]*?\\S)\\4', // strong
+  '(\\*|_)(?=\\S)([\\s\\S]*?\\S)\\6', // emphasis
+  '!?\\[([^\\]]*)\\]\\([^)]*\\)', // link or image - only its text is kept
+  '<br\\s*\\/?>', // line break
+];
+const INLINE = INLINE_PARTS.join('|');
+
+const parseInline = (text, style = {}) => {
+  const runs = [];
+  const pattern = new RegExp(INLINE, 'g');
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const [whole, escaped, ticks, code, strong, strongText, em, emText, linkText] = match;
+    // snake_case_words aren't emphasis
+    const delimiter = strong || em;
+    const end = match.index + whole.length;
+    if (
+      delimiter?.startsWith('_') &&
+      (/\w/.test(text[match.index - 1] || '') || /\w/.test(text[end] || ''))
+    ) {
+      pattern.lastIndex = match.index + 1;
+      continue;
+    }
+
+    if (match.index > last) runs.push({ ...style, text: text.slice(last, match.index) });
+    if (escaped) runs.push({ ...style, text: escaped });
+    else if (ticks) runs.push({ ...style, code: true, text: code.trim() });
+    else if (strong) runs.push(...parseInline(strongText, { ...style, bold: true }));
+    else if (em) runs.push(...parseInline(emText, { ...style, italic: true }));
+    else if (linkText !== undefined) runs.push(...parseInline(linkText, style));
+    else runs.push({ ...style, text: '\n' });
+    last = end;
+  }
+  if (last < text.length) runs.push({ ...style, text: text.slice(last) });
+  return runs;
+};
+
+const FENCE = /^\s*(```|~~~)/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const QUOTE = /^\s{0,3}>\s?(.*)$/;
+const PAGE_BREAK = /^\s*(\\pagebreak|\\newpage|<!--\s*pagebreak\s*-->)\s*$/i;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const tableCells = (line) =>
+  line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map((cell) => parseInline(cell.trim()));
+
+// Two trailing spaces or a trailing backslash end a line without ending the paragraph
+const joinLines = (lines) =>
+  lines
+    .map((line, index) => {
+      const last = index === lines.length - 1;
+      const hard = / {2,}$|\\$/.test(line);
+      const text = line.trim().replace(/\\$/, '');
+      return last ? text : `${text}${hard ? '\n' : ' '}`;
+    })
+    .join('');
+
+const startsBlock = (line, next) =>
+  FENCE.test(line) ||
+  HEADING.test(line) ||
+  RULE.test(line) ||
+  LIST_ITEM.test(line) ||
+  QUOTE.test(line) ||
+  PAGE_BREAK.test(line) ||
+  (line.includes('|') && TABLE_DIVIDER.test(next || ''));
+
+// Ordered lists count on from the item before at the same depth - `1.` on every line is fine
+const nextNumber = (blocks, depth, start) => {
+  for (let index = blocks.length - 1; index >= 0; index -= 1) {
+    const block = blocks[index];
+    if (block.type !== 'listItem' || block.depth < depth) break;
+    if (block.depth === depth) return block.number ? block.number + 1 : start;
+  }
+  return start;
+};
+
+const markdownToBlocks = (source, { quoteDepth = 0 } = {}) => {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (!line.trim()) {
+      index += 1;
+    } else if (FENCE.test(line)) {
+      const fence = line.trim().slice(0, 3);
+      const code = [];
+      index += 1;
+      while (index < lines.length && !lines[index].trim().startsWith(fence)) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      index += 1;
+      blocks.push({ type: 'code', text: code.join('\n') });
+    } else if (PAGE_BREAK.test(line)) {
+      blocks.push({ type: 'pageBreak' });
+      index += 1;
+    } else if (HEADING.test(line)) {
+      const [, hashes, text] = line.match(HEADING);
+      blocks.push({ type: 'heading', level: hashes.length, runs: parseInline(text) });
+      index += 1;
+    } else if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      index += 1;
+    } else if (QUOTE.test(line)) {
+      const quoted = [];
+      while (index < lines.length && QUOTE.test(lines[index])) {
+        quoted.push(lines[index].match(QUOTE)[1]);
+        index += 1;
+      }
+      // Quotes indent whatever they contain
+      markdownToBlocks(quoted.join('\n'), { quoteDepth: quoteDepth + 1 }).forEach((block) =>
+        blocks.push(
+          block.type === 'paragraph'
+            ? { ...block, indent: Math.max(block.indent || 0, quoteDepth + 1) }
+            : block
+        )
+      );
+    } else if (LIST_ITEM.test(line)) {
+      const [, indent, marker, text] = line.match(LIST_ITEM);
+      const item = [text];
+      index += 1;
+      // Indented lines that don't start a new item continue this one
+      while (
+        index < lines.length &&
+        lines[index].trim() &&
+        !LIST_ITEM.test(lines[index]) &&
+        (/^\s/.test(lines[index]) || !startsBlock(lines[index], lines[index + 1]))
+      ) {
+        item.push(lines[index]);
+        index += 1;
+      }
+      const depth = Math.floor(indent.replace(/\t/g, '    ').length / 2);
+      const number = /\d/.test(marker) ? nextNumber(blocks, depth, parseInt(marker, 10)) : null;
+      blocks.push({
+        type: 'listItem',
+        marker: number ? `${number}.` : '-',
+        number,
+        depth,
+        runs: parseInline(joinLines(item)),
+      });
+    } else if (line.includes('|') && TABLE_DIVIDER.test(lines[index + 1] || '')) {
+      const rows = [{ header: true, cells: tableCells(line) }];
+      index += 2;
+      while (index < lines.length && lines[index].includes('|') && lines[index].trim()) {
+        rows.push({ header: false, cells: tableCells(lines[index]) });
+        index += 1;
+      }
+      blocks.push({ type: 'table', rows });
+    } else {
+      const paragraph = [line];
+      index += 1;
+      while (
+        index < lines.length &&
+        lines[index].trim() &&
+        !startsBlock(lines[index], lines[index + 1])
+      ) {
+        paragraph.push(lines[index]);
+        index += 1;
+      }
+      blocks.push({ type: 'paragraph', runs: parseInline(joinLines(paragraph)) });
+    }
+  }
+  return blocks;
+};
+
+module.exports = { markdownToBlocks, parseInline };
@@ -0,0 +1,296 @@
+// Document generation - a JSON template plus a JSON data payload in, a laid-out PDF out, with
+// the template's signature fields already placed. Text wraps and pages break on their own
+// (lib/layout.js), so templates describe content, not positions.
+//
+// Template: { name, title, pageSize, content: [block] }. Blocks:
+//   { type: 'heading', text, level }     { type: 'paragraph', text }     { type: 'markdown', text }
+//   { type: 'list', items: [text] | 'path', item, ordered }
+//   { type: 'table', columns: [{ header, value }], items: 'path' } or { rows: [[text]] }
+//   { type: 'if', when: 'path', equals, content, else }
+//   { type: 'each', items: 'path', as: 'item', content }
+//   { type: 'fields', fields: [{ type, role, label, width, height, ...rules }] }
+//   { type: 'rule' }     { type: 'pageBreak' }
+// Text takes Markdown emphasis and {{path}} or {{path | format}} merge variables. Values are
+// inserted as plain text, so a `*` in the data stays a `*`.
+const crypto = require('crypto');
+const { layoutBlocks } = require('./layout');
+const { markdownToBlocks, parseInline } = require('./convert/markdown');
+const { FIELD_TYPES } = require('./burn');
+const { validateRules } = require('./validation');
+const { createDocument } = require('./documents');
+const { HttpError } = require('./errors');
+
+const VARIABLE = /\{\{\s*([\w.-]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g;
+
+const longDate = (date) =>
+  date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+const FORMATTERS = {
+  upper: (value) => String(value).toUpperCase(),
+  lower: (value) => String(value).toLowerCase(),
+  number: (value) => Number(value).toLocaleString('en-US'),
+  money: (value) =>
+    Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+  // ISO dates (2026-03-01) read as calendar days, not UTC midnights
+  date: (value) => {
+    const day = /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value;
+    const date = new Date(day);
+    return Number.isNaN(date.getTime()) ? String(value) : longDate(date);
+  },
+};
+
+// Keys only used to draw a field's box - the rest of a field spec is kept on the field
+const LAYOUT_KEYS = ['label', 'width', 'height'];
+// Everything else a field spec may set. Placement comes from the layout, so `coordinates`,
+// `page` and the normalized box are dropped rather than left to override it.
+const FIELD_SPEC_KEYS = [
+  'id',
+  'type',
+  'role',
+  'exportValue',
+  'required',
+  'placeholder',
+  'maxLength',
+  'format',
+  'pattern',
+  'minDate',
+  'maxDate',
+  'groupName',
+  ...LAYOUT_KEYS,
+];
+
+const isBlank = (value) =>
+  value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+
+// Look `path` up in the innermost scope that has its first segment. `today` is always defined.
+const lookup = (scopes, path) => {
+  const [head, ...rest] = path.split('.');
+  const scope = [...scopes].reverse().find((frame) => frame && head in Object(frame));
+  let value = scope ? scope[head] : undefined;
+  for (const key of rest) value = value == null ? undefined : value[key];
+  if (value === undefined && path === 'today') return longDate(new Date());
+  return value;
+};
+
+// Walks a template, producing layout blocks and field specs. Problems are collected, not
+// thrown, so one response lists every missing value and bad block.
+const createExpander = (data) => {
+  const errors = [];
+
+  const merge = (text, scopes, path) =>
+    String(text ?? '').replace(VARIABLE, (whole, name, format) => {
+      const value = lookup(scopes, name);
+      if (isBlank(value) || typeof value === 'object') {
+        errors.push({ path, message: `No value for {{${name}}}` });
+        return '';
+      }
+      if (format && !FORMATTERS[format]) {
+        errors.push({ path, message: `Unknown format "${format}" in {{${name} | ${format}}}` });
+        return String(value);
+      }
+      return format ? FORMATTERS[format](value) : String(value);
+    });
+
+  const mergeRuns = (list, scopes, path) =>
+    list.map((run) => ({ ...run, text: merge(run.text, scopes, path) }));
+
+  // Emphasis is read from the template text, so merged values can't turn into markup
+  const runs = (text, scopes, path) => mergeRuns(parseInline(String(text ?? '')), scopes, path);
+
+  const mergeBlock = (block, scopes, path) => {
+    if (block.runs) return { ...block, runs: mergeRuns(block.runs, scopes, path) };
+    if (block.rows) {
+      return {
+        ...block,
+        rows: block.rows.map((row) => ({
+          ...row,
+          cells: row.cells.map((cell) => mergeRuns(cell, scopes, path)),
+        })),
+      };
+    }
+    if (block.type === 'code') return { ...block, text: merge(block.text, scopes, path) };
+    return block;
+  };
+
+  // `items` given as a path must lead to an array
+  const itemsAt = (items, scopes, path) => {
+    if (Array.isArray(items)) return items;
+    if (typeof items !== 'string') {
+      errors.push({ path, message: 'items must be an array or a data path' });
+      return [];
+    }
+    const value = lookup(scopes, items);
+    if (Array.isArray(value)) return value;
+    errors.push({
+      path,
+      message: value === undefined ? `No value for ${items}` : `${items} must be an array`,
+    });
+    return [];
+  };
+
+  const itemScope = (name, item, index) => ({ [name]: item, index: index + 1 });
+
+  const expand = (blocks, scopes, path) => {
+    if (!Array.isArray(blocks)) {
+      errors.push({ path, message: 'content must be an array of blocks' });
+      return [];
+    }
+    return blocks.flatMap((block, index) => expandBlock(block || {}, scopes, `${path}[${index}]`));
+  };
+
+  const expandBlock = (block, scopes, path) => {
+    switch (block.type) {
+      case 'heading':
+        return [{ type: 'heading', level: block.level || 1, runs: runs(block.text, scopes, path) }];
+      case 'paragraph':
+        return [{ type: 'paragraph', runs: runs(block.text, scopes, path) }];
+      case 'markdown':
+        return markdownToBlocks(String(block.text ?? '')).map((part) =>
+          mergeBlock(part, scopes, path)
+        );
+      case 'list': {
+        const items = itemsAt(block.items, scopes, path);
+        return items.map((item, index) => {
+          // A list of strings is the items themselves; a list from data renders `item`
+          const text = typeof block.items === 'string' ? block.item ?? '{{item}}' : item;
+          const itemScopes = [...scopes, itemScope(block.as || 'item', item, index)];
+          return {
+            type: 'listItem',
+            marker: block.ordered ? `${index + 1}.` : '-',
+            depth: 0,
+            runs: runs(text, itemScopes, path),
+          };
+        });
+      }
+      case 'table': {
+        if (block.columns) {
+          const items = itemsAt(block.items, scopes, path);
+          const header = {
+            header: true,
+            cells: block.columns.map((column) => runs(column.header, scopes, path)),
+          };
+          const rows = items.map((item, index) => {
+            const itemScopes = [...scopes, itemScope(block.as || 'item', item, index)];
+            return {
+              header: false,
+              cells: block.columns.map((column) => runs(column.value, itemScopes, path)),
+            };
+          });
+          return [{ type: 'table', rows: [header, ...rows] }];
+        }
+        if (!Array.isArray(block.rows)) {
+          errors.push({ path, message: 'table needs columns and items, or rows' });
+          return [];
+        }
+        const rows = block.rows.map((row, index) => ({
+          header: index === 0 && block.header !== false,
+          cells: (Array.isArray(row) ? row : [row]).map((cell) => runs(cell, scopes, path)),
+        }));
+        return [{ type: 'table', rows }];
+      }
+      case 'if': {
+        if (typeof block.when !== 'string') {
+          errors.push({ path, message: 'if needs a `when` path' });
+          return [];
+        }
+        const value = lookup(scopes, block.when);
+        const matched =
+          'equals' in block ? value === block.equals : !isBlank(value) && value !== false;
+        const branch = matched ? block.content : block.else;
+        return branch ? expand(branch, scopes, `${path}.${matched ? 'content' : 'else'}`) : [];
+      }
+      case 'each':
+        return itemsAt(block.items, scopes, path).flatMap((item, index) => {
+          const itemScopes = [...scopes, itemScope(block.as || 'item', item, index)];
+          return expand(block.content, itemScopes, `${path}.content`);
+        });
+      case 'fields': {
+        const specs = Array.isArray(block.fields) ? block.fields : [];
+        const fields = specs.flatMap((spec, index) => {
+          const specPath = `${path}.fields[${index}]`;
+          if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+            errors.push({ path: specPath, message: 'Each field must be an object' });
+            return [];
+          }
+          const type = spec.type || 'signature';
+          if (!FIELD_TYPES.includes(type)) {
+            errors.push({ path: specPath, message: `Unknown field type: ${type}` });
+          }
+          const field = Object.fromEntries(
+            FIELD_SPEC_KEYS.filter((key) => spec[key] !== undefined).map((key) => [key, spec[key]])
+          );
+          return [{ ...field, type, label: spec.label && merge(spec.label, scopes, specPath) }];
+        });
+        if (specs.length === 0) errors.push({ path, message: 'fields must be a non-empty array' });
+        return [{ type: 'fields', fields }];
+      }
+      case 'rule':
+      case 'pageBreak':
+        return [{ type: block.type }];
+      default:
+        errors.push({ path, message: `Unknown block type: ${block.type}` });
+        return [];
+    }
+  };
+
+  return {
+    errors,
+    expand: (content) => expand(content, [data], 'content'),
+    mergeText: (text, path) => merge(text, [data], path),
+  };
+};
+
+// Placed boxes -> editor fields, in the normalized page geometry templates and sessions use
+const placedFields = (placed, [pageWidth, pageHeight]) =>
+  placed.map(({ field, page, x, y, width, height }) => {
+    const entry = { id: crypto.randomUUID(), ...field, value: '' };
+    LAYOUT_KEYS.forEach((key) => delete entry[key]);
+    return {
+      ...entry,
+      page,
+      xNorm: x / pageWidth,
+      yNorm: (pageHeight - y - height) / pageHeight,
+      widthNorm: width / pageWidth,
+      heightNorm: height / pageHeight,
+    };
+  });
+
+// Template + data -> { pdf, fields }. Any missing value or bad block is a 400 listing all of
+// them.
+const renderTemplate = async (template, data = {}, { pageSize } = {}) => {
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    throw new HttpError(400, 'template must be an object');
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new HttpError(400, 'data must be an object');
+  }
+  const expander = createExpander(data);
+  const blocks = expander.expand(template.content);
+  const title = template.title ? expander.mergeText(template.title, 'title') : undefined;
+  if (expander.errors.length > 0) {
+    throw new HttpError(400, 'Could not generate document', { errors: expander.errors });
+  }
+
+  const result = await layoutBlocks(blocks, { pageSize: pageSize || template.pageSize, title });
+  const fields = placedFields(result.placed, result.pageSize);
+  const ruleErrors = validateRules(fields);
+  if (ruleErrors.length > 0) {
+    throw new HttpError(400, 'Invalid template fields', { errors: ruleErrors });
+  }
+  return { pdf: result.pdf, fields };
+};
+
+// Generate and store the PDF as a document. Returns the document and its placed fields, ready
+// for a session, template or envelope.
+const generateDocument = async ({ template, data, name, pageSize }, tenantId) => {
+  const { pdf, fields } = await renderTemplate(template, data, { pageSize });
+  const baseName = name || template.name || 'Generated document';
+  const document = await createDocument(pdf, {
+    name: /\.pdf$/i.test(baseName) ? baseName : `${baseName}.pdf`,
+    tenantId,
+    source: { format: 'template', name: template.name || null },
+  });
+  return { document, fields };
+};
+
+module.exports = { FORMATTERS, renderTemplate, generateDocument };
@@ -0,0 +1,135 @@
+// Source documents - uploaded PDFs keyed by the SHA-256 of their bytes, per tenant. Storage is
+// content-addressed, so tenants uploading the same file share one stored copy.
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs');
+const { PDFDocument } = require('pdf-lib');
+const { getCollection } = require('./store');
+const { getStorage } = require('./storage');
+const { inScope, scopeFilter } = require('./auth');
+const { HttpError } = require('./errors');
+
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_MB || 20) * 1024 * 1024;
+const MAX_PAGES = Number(process.env.MAX_PAGES || 200);
+
+// Built-in documents that ship with the repo and can't be deleted
+const builtinDocuments = {
+  default: { name: 'Sample contract', filePath: path.resolve(__dirname, '..', 'sample.pdf') },
+};
+
+const documents = () => getCollection('documents');
+
+const hashBuffer = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const storageKey = (id) => `documents/${id}.pdf`;
+
+// Metadata for a built-in document, computed from the file on disk
+const describeBuiltin = async (id) => {
+  const { name, filePath } = builtinDocuments[id];
+  const buffer = fs.readFileSync(filePath);
+  const pdfDoc = await PDFDocument.load(buffer);
+  return {
+    id,
+    name,
+    size: buffer.length,
+    pageCount: pdfDoc.getPageCount(),
+    sha256: hashBuffer(buffer),
+    builtin: true,
+  };
+};
+
+// Same bytes, same id - within a tenant. Unscoped uploads keep the plain content hash.
+const documentId = (sha256, tenantId) =>
+  tenantId ? hashBuffer(Buffer.from(`${tenantId}:${sha256}`)) : sha256;
+
+// Validate and store an uploaded PDF. Uploading the same bytes twice returns the existing
+// record flagged `duplicate: true`. `source` notes what a converted PDF was made from.
+const createDocument = async (buffer, { name, tenantId, source } = {}) => {
+  if (!buffer || buffer.length === 0) {
+    throw new HttpError(400, 'Uploaded file is empty');
+  }
+  if (buffer.length > MAX_UPLOAD_BYTES) {
+    throw new HttpError(413, `PDF exceeds the ${MAX_UPLOAD_BYTES / 1024 / 1024} MB limit`);
+  }
+
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(buffer);
+  } catch (error) {
+    throw new HttpError(400, 'File is not a readable PDF', { error: error.message });
+  }
+
+  const pageCount = pdfDoc.getPageCount();
+  if (pageCount === 0) {
+    throw new HttpError(400, 'PDF has no pages');
+  }
+  if (pageCount > MAX_PAGES) {
+    throw new HttpError(400, `PDF has ${pageCount} pages; the limit is ${MAX_PAGES}`);
+  }
+
+  const sha256 = hashBuffer(buffer);
+  const id = documentId(sha256, tenantId);
+  const existing = await documents().findById(id);
+  if (existing) return { ...existing, duplicate: true };
+
+  await getStorage().put(storageKey(sha256), buffer, { contentType: 'application/pdf' });
+  return documents().insert({
+    id,
+    tenantId: tenantId || null,
+    name: name || `${sha256.slice(0, 12)}.pdf`,
+    size: buffer.length,
+    pageCount,
+    sha256,
+    storageKey: storageKey(sha256),
+    ...(source ? { source } : {}),
+  });
+};
+
+// Built-in documents are shared by every tenant
+const listDocuments = async (tenantId) => {
+  const builtins = await Promise.all(Object.keys(builtinDocuments).map(describeBuiltin));
+  return [...builtins, ...(await documents().find(scopeFilter(tenantId)))];
+};
+
+// `tenantId` limits the lookup to that tenant's documents; other tenants' ids are 404s
+const getDocument = async (id, tenantId) => {
+  if (builtinDocuments[id]) return describeBuiltin(id);
+  const record = await documents().findById(id);
+  if (!inScope(record, tenantId)) throw new HttpError(404, 'PDF not found');
+  return record;
+};
+
+// Raw bytes for a document - what /sign-pdf loads before burning
+const loadDocumentBytes = async (id, tenantId) => {
+  if (builtinDocuments[id]) {
+    const { filePath } = builtinDocuments[id];
+    if (!fs.existsSync(filePath)) throw new HttpError(404, 'PDF not found');
+    return fs.readFileSync(filePath);
+  }
+  const record = await getDocument(id, tenantId);
+  const buffer = await getStorage().get(record.storageKey);
+  if (!buffer) throw new HttpError(404, 'PDF file missing from storage');
+  return buffer;
+};
+
+const deleteDocument = async (id, tenantId) => {
+  if (builtinDocuments[id]) {
+    throw new HttpError(400, 'Built-in documents cannot be deleted');
+  }
+  const record = await getDocument(id, tenantId);
+  await documents().remove(id);
+  // Another tenant may have uploaded the same bytes
+  const shared = await documents().findOne({ storageKey: record.storageKey });
+  if (!shared) await getStorage().delete(record.storageKey);
+};
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  MAX_PAGES,
+  hashBuffer,
+  createDocument,
+  listDocuments,
+  getDocument,
+  loadDocumentBytes,
+  deleteDocument,
+};
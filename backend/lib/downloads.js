@@ -0,0 +1,39 @@
+// Signed-PDF download links - `/signed/<file>?expires=&signature=` with an HMAC over the file
+// name and expiry, so a link works without an API key until it runs out.
+const crypto = require('crypto');
+
+const DOWNLOAD_TTL_S = Number(process.env.DOWNLOAD_URL_TTL_S || 86400);
+
+let secret = process.env.DOWNLOAD_URL_SECRET;
+const downloadSecret = () => {
+  if (!secret) {
+    // Links made by another process, or before a restart, stop verifying
+    console.warn('DOWNLOAD_URL_SECRET not set. Download links only work until restart.');
+    secret = crypto.randomBytes(32).toString('hex');
+  }
+  return secret;
+};
+
+const publicBaseUrl = () =>
+  process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 4000}`;
+
+const sign = (file, expires) =>
+  crypto.createHmac('sha256', downloadSecret()).update(`${file}:${expires}`).digest('hex');
+
+// A fresh link - records keep the file name and build links when they are read
+const signedFileUrl = (file, ttlSeconds = DOWNLOAD_TTL_S) => {
+  if (!file) return null;
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `${publicBaseUrl()}/signed/${file}?expires=${expires}&signature=${sign(file, expires)}`;
+};
+
+// 'valid', 'expired' or 'invalid'
+const checkDownload = (file, { expires, signature } = {}) => {
+  // Buffer.from(hex) quietly drops malformed input, so check the shape first
+  if (!/^\d+$/.test(expires || '') || !/^[0-9a-f]{64}$/.test(signature || '')) return 'invalid';
+  const expected = Buffer.from(sign(file, expires), 'hex');
+  if (!crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'))) return 'invalid';
+  return Number(expires) < Date.now() / 1000 ? 'expired' : 'valid';
+};
+
+module.exports = { DOWNLOAD_TTL_S, publicBaseUrl, signedFileUrl, checkDownload };
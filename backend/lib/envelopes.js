@@ -0,0 +1,678 @@
+// Envelopes - one document, a list of recipients with roles, and fields assigned to a role.
+// Each recipient signs through their own tokenized link; the PDF is burned once the last one finishes.
+const crypto = require('crypto');
+const { getCollection } = require('./store');
+const { getDocument, loadDocumentBytes } = require('./documents');
+const { anchorFields, anchorOptions, findAnchors, placeAnchoredFields } = require('./anchors');
+const { sanitizeLayout } = require('./templates');
+const { signDocument } = require('./signing');
+const { listEvents, recordEvent } = require('./audit');
+const { publish } = require('./events');
+const { signedFileUrl } = require('./downloads');
+const { inScope, scopeFilter } = require('./auth');
+const { withLock } = require('./locks');
+const {
+  CHOICE_TYPES,
+  SIGNATURE_METHODS,
+  SIGNATURE_TYPES,
+  fieldValueErrors,
+} = require('./burn');
+const { parseStrokes } = require('./strokes');
+const { validateFields } = require('./validation');
+const { EMAIL_PATTERN } = require('./mail/message');
+const { HttpError } = require('./errors');
+
+const SIGNING_MODES = ['sequential', 'parallel'];
+// `reminders: true` - first nudge two days after the request, then every two days, three at most
+const DEFAULT_REMINDERS = { afterDays: 2, everyDays: 2, max: 3 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const envelopes = () => getCollection('envelopes');
+// token -> { envelopeId, recipientId } so a link resolves without scanning envelopes
+const signingLinks = () => getCollection('signingLinks');
+
+const appUrl = () => process.env.APP_URL || 'http://localhost:5173';
+
+const signUrl = (token) => `${appUrl()}/?sign=${token}`;
+
+// Serialize updates per envelope - parallel signers finishing together must not drop values
+const withEnvelopeLock = (id, task) => withLock(`envelope:${id}`, task);
+
+const validateRecipients = (recipients) => {
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    throw new HttpError(400, 'At least one recipient is required');
+  }
+
+  const errors = [];
+  const roles = new Set();
+  recipients.forEach((recipient, index) => {
+    if (!recipient?.role) errors.push({ index, message: 'role is required' });
+    else if (roles.has(recipient.role)) errors.push({ index, message: `Duplicate role: ${recipient.role}` });
+    else roles.add(recipient.role);
+    if (!recipient?.name) errors.push({ index, message: 'name is required' });
+    if (!recipient?.email) errors.push({ index, message: 'email is required' });
+    else if (typeof recipient.email !== 'string' || !EMAIL_PATTERN.test(recipient.email)) {
+      errors.push({ index, message: 'email is not a valid email address' });
+    }
+  });
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Invalid recipients', { errors });
+  }
+};
+
+// Who to reply to - the person who sent the envelope, if they're named
+const validateSender = (sender) => {
+  if (sender === null || sender === undefined) return null;
+  if (typeof sender !== 'object' || !sender.email || !EMAIL_PATTERN.test(sender.email)) {
+    throw new HttpError(400, 'sender must be { name, email } with a valid email');
+  }
+  return { name: sender.name || '', email: sender.email };
+};
+
+// `reminders` is true for the defaults, or { afterDays, everyDays, max }; days may be fractional
+const reminderSettings = (reminders) => {
+  if (!reminders) return null;
+  const settings = { ...DEFAULT_REMINDERS, ...(reminders === true ? {} : reminders) };
+  const invalid = ['afterDays', 'everyDays', 'max'].filter(
+    (key) => typeof settings[key] !== 'number' || !(settings[key] > 0)
+  );
+  if (typeof reminders !== 'object' && reminders !== true) invalid.push('reminders');
+  if (invalid.length > 0) {
+    throw new HttpError(400, 'reminders must be true or { afterDays, everyDays, max }', {
+      errors: invalid.map((key) => ({ field: key, message: 'Must be a positive number' })),
+    });
+  }
+  return {
+    afterDays: settings.afterDays,
+    everyDays: settings.everyDays,
+    max: Math.floor(settings.max),
+  };
+};
+
+const expiryDate = (expiresInDays) => {
+  if (expiresInDays === null || expiresInDays === undefined) return null;
+  if (typeof expiresInDays !== 'number' || !(expiresInDays > 0)) {
+    throw new HttpError(400, 'expiresInDays must be a positive number');
+  }
+  return new Date(Date.now() + expiresInDays * DAY_MS).toISOString();
+};
+
+// Past its expiry but not yet swept - treated as expired everywhere
+const isExpired = (envelope, now = Date.now()) =>
+  envelope.status === 'expired' ||
+  (envelope.status === 'in_progress' &&
+    Boolean(envelope.expiresAt) &&
+    Date.parse(envelope.expiresAt) <= now);
+
+// Sequential envelopes wait for every lower `order`; parallel ones let anyone sign
+const canSign = (envelope, recipient) => {
+  if (envelope.status !== 'in_progress' || recipient.status !== 'pending') return false;
+  if (isExpired(envelope)) return false;
+  if (envelope.mode === 'parallel') return true;
+  return envelope.recipients.every(
+    (other) => other.order >= recipient.order || other.status === 'completed'
+  );
+};
+
+const waitingOn = (envelope, recipient) =>
+  envelope.mode === 'parallel'
+    ? []
+    : envelope.recipients
+        .filter((other) => other.order < recipient.order && other.status !== 'completed')
+        .map((other) => other.name);
+
+// Sender-facing shape: every recipient gets their signing link, and a finished envelope a
+// fresh download link
+const withLinks = (envelope) => ({
+  ...envelope,
+  ...(envelope.signedFile ? { signedUrl: signedFileUrl(envelope.signedFile) } : {}),
+  recipients: envelope.recipients.map((recipient) => ({
+    ...recipient,
+    signUrl: signUrl(recipient.token),
+  })),
+});
+
+// Lifecycle event for webhooks - delivered to the envelope's tenant only
+const publishEnvelopeEvent = (envelope, type, data) =>
+  publish(
+    type,
+    { envelopeId: envelope.id, documentId: envelope.pdfId, ...data },
+    envelope.tenantId || null
+  );
+
+// Signers act through their link, not an API key - their requests count as the envelope's
+// tenant's
+const envelopeContext = (envelope, context) => ({
+  ...context,
+  ...(envelope.tenantId ? { tenantId: envelope.tenantId } : {}),
+});
+
+// Audit actor for a recipient acting through their link
+const recipientActor = (recipient) => ({
+  type: 'recipient',
+  id: recipient.id,
+  name: recipient.name,
+  email: recipient.email,
+  role: recipient.role,
+});
+
+// A recipient as webhook payloads show it - no signing token
+const eventRecipient = (recipient) => ({
+  id: recipient.id,
+  role: recipient.role,
+  name: recipient.name,
+  email: recipient.email,
+  status: recipient.status,
+});
+
+// Short fingerprint of a field value - signatures and images are too big to log verbatim
+const valueDigest = (value) =>
+  crypto.createHash('sha256').update(String(value)).digest('hex');
+
+// Certificate rows - IP comes from each recipient's recipient.signed event. The last signer's
+// event isn't written until the burn succeeds, so their IP is passed in as `finisher`.
+const certificateSigners = async (envelopeId, recipients, fields, finisher) => {
+  const signedEvents = await listEvents({ envelopeId, type: 'recipient.signed' });
+  return recipients.map((recipient) => {
+    const event =
+      recipient.id === finisher.id
+        ? { ip: finisher.ip }
+        : signedEvents.find((e) => e.actor?.id === recipient.id);
+    const signature = fields.find(
+      (field) => field.role === recipient.role && field.type === 'signature' && field.value
+    );
+    return {
+      name: recipient.name,
+      email: recipient.email,
+      role: recipient.role,
+      signedAt: recipient.completedAt,
+      ip: event?.ip || null,
+      signatureDataUrl: signature?.value || null,
+      signatureMethod: signature?.signatureMethod || null,
+    };
+  });
+};
+
+// Tags like \s1\ name a signer by number - the recipient with that order, or at that position
+const recipientRole = (recipients, role) => {
+  if (!/^\d+$/.test(role || '') || recipients.some((r) => r.role === role)) return role;
+  const n = Number(role);
+  const recipient =
+    recipients.find((r, index) => (Number.isInteger(r.order) ? r.order : index + 1) === n) ||
+    recipients[n - 1];
+  return recipient?.role ?? role;
+};
+
+// With `anchors`, fields come from the document's anchor tags. Fields that already name an
+// anchor (e.g. placed from the editor preview) are used instead of the tags' defaults.
+const anchoredLayout = async (pdfId, fields, recipients, settings) => {
+  const options = anchorOptions(settings);
+  const found = await findAnchors(await loadDocumentBytes(pdfId));
+  const layout = fields.some((field) => field.anchor)
+    ? placeAnchoredFields(fields, found, options)
+    : [...fields, ...anchorFields(found, options)];
+  return layout.map((field) => ({ ...field, role: recipientRole(recipients, field.role) }));
+};
+
+const createEnvelope = async (
+  {
+    name,
+    pdfId,
+    mode = 'sequential',
+    recipients,
+    fields,
+    certificate = false,
+    flatten = false,
+    formFields = false,
+    anchors = null,
+    values = {},
+    sender = null,
+    reminders = false,
+    expiresInDays = null,
+  },
+  context = {}
+) => {
+  if (!pdfId) throw new HttpError(400, 'pdfId is required');
+  if (!SIGNING_MODES.includes(mode)) {
+    throw new HttpError(400, `mode must be one of ${SIGNING_MODES.join(', ')}`);
+  }
+  const { tenantId } = context;
+  const document = await getDocument(pdfId, tenantId);
+  validateRecipients(recipients);
+  const from = validateSender(sender);
+  const reminderPlan = reminderSettings(reminders);
+  const expiresAt = expiryDate(expiresInDays);
+
+  const roles = recipients.map((recipient) => recipient.role);
+  const requested = anchors
+    ? await anchoredLayout(pdfId, fields || [], recipients, anchors)
+    : fields || [];
+  // `values` prefills fields by id; recipients see them filled in and can change their own
+  const layout = sanitizeLayout(requested).map((field) => ({
+    ...field,
+    value: values[field.id] ?? '',
+  }));
+  const unknownValues = Object.keys(values).filter((id) => !layout.some((f) => f.id === id));
+  if (unknownValues.length > 0) {
+    throw new HttpError(400, 'Values given for fields that are not in the layout', {
+      errors: unknownValues.map((fieldId) => ({ fieldId, message: 'Unknown field' })),
+    });
+  }
+  const unassigned = layout
+    .map((field, index) => ({ index, role: field.role }))
+    .filter(({ role }) => !roles.includes(role));
+  if (unassigned.length > 0) {
+    throw new HttpError(400, 'Every field must be assigned to a recipient role', {
+      errors: unassigned.map(({ index, role }) => ({
+        index,
+        message: role ? `No recipient has role "${role}"` : 'role is required',
+      })),
+    });
+  }
+  const emptyRoles = roles.filter((role) => !layout.some((field) => field.role === role));
+  if (emptyRoles.length > 0) {
+    throw new HttpError(400, `No fields assigned to: ${emptyRoles.join(', ')}`);
+  }
+
+  const envelope = {
+    id: crypto.randomUUID(),
+    tenantId: tenantId || null,
+    name: name || document.name,
+    pdfId,
+    mode,
+    certificate: Boolean(certificate),
+    flatten: Boolean(flatten),
+    formFields: Boolean(formFields),
+    // Only whether to hide the tags matters once the fields are placed
+    anchors: anchors ? { hide: anchorOptions(anchors).hide } : null,
+    sender: from,
+    reminders: reminderPlan,
+    expiresAt,
+    status: 'in_progress',
+    recipients: recipients.map((recipient, index) => ({
+      id: crypto.randomUUID(),
+      role: recipient.role,
+      name: recipient.name,
+      email: recipient.email,
+      order: Number.isInteger(recipient.order) ? recipient.order : index + 1,
+      token: crypto.randomBytes(24).toString('base64url'),
+      status: 'pending',
+      completedAt: null,
+    })),
+    fields: layout,
+  };
+
+  await envelopes().insert(envelope);
+  await Promise.all(
+    envelope.recipients.map((recipient) =>
+      signingLinks().insert({
+        id: recipient.token,
+        envelopeId: envelope.id,
+        recipientId: recipient.id,
+      })
+    )
+  );
+  await recordEvent('envelope.created', {
+    context,
+    documentId: pdfId,
+    envelopeId: envelope.id,
+    data: {
+      mode,
+      certificate: envelope.certificate,
+      recipients: envelope.recipients.map((r) => ({
+        id: r.id,
+        role: r.role,
+        name: r.name,
+        email: r.email,
+        order: r.order,
+      })),
+      fieldCount: layout.length,
+      ...(expiresAt ? { expiresAt } : {}),
+    },
+  });
+  publishEnvelopeEvent(envelope, 'envelope.created', {
+    name: envelope.name,
+    mode,
+    expiresAt,
+    recipients: envelope.recipients.map(eventRecipient),
+  });
+  return withLinks(envelope);
+};
+
+const listEnvelopes = async (tenantId) =>
+  (await envelopes().find(scopeFilter(tenantId))).map(withLinks);
+
+const getEnvelope = async (id, tenantId) => {
+  const envelope = await envelopes().findById(id);
+  if (!inScope(envelope, tenantId)) throw new HttpError(404, 'Envelope not found');
+  return envelope;
+};
+
+const resolveToken = async (token) => {
+  const link = await signingLinks().findById(token);
+  if (!link) throw new HttpError(404, 'Signing link not found');
+  const envelope = await getEnvelope(link.envelopeId);
+  const recipient = envelope.recipients.find((r) => r.id === link.recipientId);
+  return { envelope, recipient };
+};
+
+// What a signer sees: the document, their own fields and whether it's their turn
+const signerView = (envelope, recipient) => ({
+  envelope: {
+    id: envelope.id,
+    name: envelope.name,
+    pdfId: envelope.pdfId,
+    mode: envelope.mode,
+    status: isExpired(envelope) ? 'expired' : envelope.status,
+    expiresAt: envelope.expiresAt || null,
+    signedUrl: signedFileUrl(envelope.signedFile),
+    declineReason: envelope.declineReason || null,
+  },
+  recipient: {
+    id: recipient.id,
+    name: recipient.name,
+    email: recipient.email,
+    role: recipient.role,
+    status: recipient.status,
+    completedAt: recipient.completedAt,
+  },
+  fields: envelope.fields.filter((field) => field.role === recipient.role),
+  canSign: canSign(envelope, recipient),
+  waitingOn: waitingOn(envelope, recipient),
+});
+
+const getSigningView = async (token, callerContext = {}) => {
+  const { envelope, recipient } = await resolveToken(token);
+  const context = envelopeContext(envelope, callerContext);
+  await recordEvent('document.viewed', {
+    actor: recipientActor(recipient),
+    context,
+    documentId: envelope.pdfId,
+    envelopeId: envelope.id,
+  });
+  return signerView(envelope, recipient);
+};
+
+// The envelope's document, for the signing page - signers have no API key to fetch it with
+const loadSigningDocument = async (token) => {
+  const { envelope } = await resolveToken(token);
+  return loadDocumentBytes(envelope.pdfId);
+};
+
+// Record one signer's values; the last signer triggers the burn.
+// `signatureMethods` maps field id -> draw | type | upload for signature and initials fields;
+// `signatureStrokes` maps field id -> pen strokes for drawn ones, burned as vectors.
+const completeSigning = async (
+  token,
+  { values = {}, signatureMethods = {}, signatureStrokes = {} } = {},
+  callerContext = {}
+) => {
+  const maps = { values, signatureMethods, signatureStrokes };
+  const notObject = Object.keys(maps).find(
+    (key) => !maps[key] || typeof maps[key] !== 'object' || Array.isArray(maps[key])
+  );
+  if (notObject) throw new HttpError(400, `${notObject} must be an object of field id -> value`);
+
+  const link = await signingLinks().findById(token);
+  if (!link) throw new HttpError(404, 'Signing link not found');
+
+  return withEnvelopeLock(link.envelopeId, async () => {
+    const { envelope, recipient } = await resolveToken(token);
+    const context = envelopeContext(envelope, callerContext);
+    if (recipient.status === 'completed') {
+      throw new HttpError(409, 'You have already signed this envelope');
+    }
+    if (isExpired(envelope)) throw new HttpError(409, 'This envelope has expired');
+    if (!canSign(envelope, recipient)) {
+      const pending = waitingOn(envelope, recipient);
+      throw new HttpError(
+        409,
+        pending.length > 0 ? `Waiting for ${pending.join(', ')} to sign first` : 'Envelope is closed'
+      );
+    }
+
+    const ownFields = envelope.fields.filter((field) => field.role === recipient.role);
+    const ownIds = new Set(ownFields.map((field) => field.id));
+    const foreign = Object.keys(values).filter((id) => !ownIds.has(id));
+    if (foreign.length > 0) {
+      throw new HttpError(400, 'Values submitted for fields you are not assigned', {
+        errors: foreign.map((fieldId) => ({ fieldId, message: 'Not your field' })),
+      });
+    }
+    const missing = ownFields.filter(
+      (field) => SIGNATURE_TYPES.includes(field.type) && !values[field.id]
+    );
+    if (missing.length > 0) {
+      throw new HttpError(400, 'Every signature field must be signed', {
+        errors: missing.map((field) => ({
+          fieldId: field.id,
+          message: field.type === 'initials' ? 'Initials required' : 'Signature required',
+        })),
+      });
+    }
+    const badMethods = Object.entries(signatureMethods).filter(
+      ([fieldId, method]) => !ownIds.has(fieldId) || !SIGNATURE_METHODS.includes(method)
+    );
+    if (badMethods.length > 0) {
+      throw new HttpError(400, 'Invalid signature methods', {
+        errors: badMethods.map(([fieldId]) => ({
+          fieldId,
+          message: `Must be one of ${SIGNATURE_METHODS.join(', ')} for one of your fields`,
+        })),
+      });
+    }
+
+    const signatureIds = new Set(
+      ownFields.filter((field) => SIGNATURE_TYPES.includes(field.type)).map((field) => field.id)
+    );
+    const badStrokes = Object.entries(signatureStrokes).filter(
+      ([fieldId, strokes]) => !signatureIds.has(fieldId) || !parseStrokes(strokes)
+    );
+    if (badStrokes.length > 0) {
+      throw new HttpError(400, 'Invalid signature strokes', {
+        errors: badStrokes.map(([fieldId]) => ({
+          fieldId,
+          message: 'Must be stroke data for one of your signature or initials fields',
+        })),
+      });
+    }
+
+    const fill = (field) => {
+      const filled = { ...field, value: values[field.id] ?? '' };
+      if (signatureMethods[field.id]) filled.signatureMethod = signatureMethods[field.id];
+      if (signatureStrokes[field.id]) filled.strokes = signatureStrokes[field.id];
+      return filled;
+    };
+
+    // The envelope's rules - required, formats, date limits, groups - against this signer's
+    // values, and the checks the burn makes, so a bad image can't hold up the last signer
+    const ownFilled = ownFields.map(fill);
+    const ruleErrors = validateFields(ownFilled).map(({ fieldId, message }) => ({
+      fieldId,
+      message,
+    }));
+    const invalid = ruleErrors.length > 0 ? ruleErrors : await fieldValueErrors(ownFilled);
+    if (invalid.length > 0) {
+      throw new HttpError(400, 'Some fields are invalid', { errors: invalid });
+    }
+
+    const completedAt = new Date().toISOString();
+    const fields = envelope.fields.map((field) => (ownIds.has(field.id) ? fill(field) : field));
+    const recipients = envelope.recipients.map((r) =>
+      r.id === recipient.id ? { ...r, status: 'completed', completedAt } : r
+    );
+    let changes = { fields, recipients };
+
+    const actor = recipientActor(recipient);
+
+    // Last signer in - burn everything and record the final hash
+    if (recipients.every((r) => r.status === 'completed')) {
+      const result = await signDocument({
+        pdfId: envelope.pdfId,
+        fields: fields.filter(
+          (field) => field.value || CHOICE_TYPES.includes(field.type) || field.acroField
+        ),
+        flatten: envelope.flatten,
+        formFields: envelope.formFields,
+        anchors: envelope.anchors,
+        envelopeId: envelope.id,
+        certificate: envelope.certificate
+          ? {
+              signers: await certificateSigners(envelope.id, recipients, fields, {
+                id: recipient.id,
+                ip: context.ip || null,
+              }),
+            }
+          : null,
+        actor,
+        context,
+      });
+      changes = {
+        ...changes,
+        status: 'completed',
+        completedAt,
+        signedFile: result.signedFile,
+        originalHash: result.originalHash,
+        signedHash: result.signedHash,
+        digitalSignature: result.digitalSignature,
+      };
+    }
+
+    const updated = await envelopes().update(envelope.id, changes);
+
+    // Only once the values (and any burned PDF) are saved - a failed burn leaves the recipient
+    // pending, and the trail must not say otherwise
+    for (const field of ownFields) {
+      if (!values[field.id]) continue;
+      await recordEvent('field.filled', {
+        actor,
+        context,
+        documentId: envelope.pdfId,
+        envelopeId: envelope.id,
+        data: {
+          fieldId: field.id,
+          type: field.type,
+          valueSha256: valueDigest(values[field.id]),
+          ...(field.groupName ? { groupName: field.groupName } : {}),
+          ...(CHOICE_TYPES.includes(field.type)
+            ? { exportValue: field.exportValue ?? field.acroValue ?? 'yes' }
+            : {}),
+          ...(signatureMethods[field.id] ? { signatureMethod: signatureMethods[field.id] } : {}),
+        },
+      });
+    }
+    await recordEvent('recipient.signed', {
+      actor,
+      context,
+      documentId: envelope.pdfId,
+      envelopeId: envelope.id,
+    });
+    const signer = updated.recipients.find((r) => r.id === recipient.id);
+    publishEnvelopeEvent(envelope, 'signer.completed', {
+      recipient: eventRecipient(signer),
+      remaining: recipients.filter((r) => r.status !== 'completed').length,
+    });
+    if (updated.status === 'completed') {
+      publishEnvelopeEvent(envelope, 'envelope.completed', {
+        name: envelope.name,
+        completedAt,
+        signedUrl: signedFileUrl(updated.signedFile),
+        originalHash: updated.originalHash,
+        signedHash: updated.signedHash,
+        recipients: updated.recipients.map(eventRecipient),
+      });
+    }
+    return signerView(updated, signer);
+  });
+};
+
+// A recipient refuses to sign - the envelope is closed for everyone
+const declineSigning = async (token, reason = '', callerContext = {}) => {
+  const link = await signingLinks().findById(token);
+  if (!link) throw new HttpError(404, 'Signing link not found');
+
+  return withEnvelopeLock(link.envelopeId, async () => {
+    const { envelope, recipient } = await resolveToken(token);
+    const context = envelopeContext(envelope, callerContext);
+    if (
+      envelope.status !== 'in_progress' ||
+      recipient.status !== 'pending' ||
+      isExpired(envelope)
+    ) {
+      throw new HttpError(409, 'This envelope can no longer be declined');
+    }
+
+    const declinedAt = new Date().toISOString();
+    const updated = await envelopes().update(envelope.id, {
+      status: 'declined',
+      declinedAt,
+      declineReason: reason,
+      recipients: envelope.recipients.map((r) =>
+        r.id === recipient.id ? { ...r, status: 'declined', completedAt: declinedAt } : r
+      ),
+    });
+    await recordEvent('envelope.declined', {
+      actor: recipientActor(recipient),
+      context,
+      documentId: envelope.pdfId,
+      envelopeId: envelope.id,
+      data: { reason },
+    });
+    const decliner = updated.recipients.find((r) => r.id === recipient.id);
+    publishEnvelopeEvent(envelope, 'envelope.declined', {
+      name: envelope.name,
+      declinedAt,
+      reason,
+      recipient: eventRecipient(decliner),
+    });
+    return signerView(updated, decliner);
+  });
+};
+
+// Close every open envelope past its expiresAt. Run on a timer by the notification sweep;
+// resolves to the envelopes it expired.
+const expireEnvelopes = async (now = Date.now()) => {
+  const overdue = (await envelopes().find({ status: 'in_progress' })).filter((envelope) =>
+    isExpired(envelope, now)
+  );
+  const expired = [];
+  for (const { id } of overdue) {
+    const updated = await withEnvelopeLock(id, async () => {
+      const envelope = await envelopes().findById(id);
+      if (!isExpired(envelope, now) || envelope.status !== 'in_progress') return null;
+      return envelopes().update(id, { status: 'expired', expiredAt: new Date(now).toISOString() });
+    });
+    if (!updated) continue;
+    await recordEvent('envelope.expired', {
+      actor: { type: 'system' },
+      context: envelopeContext(updated, {}),
+      documentId: updated.pdfId,
+      envelopeId: updated.id,
+      data: { expiresAt: updated.expiresAt },
+    });
+    publishEnvelopeEvent(updated, 'envelope.expired', {
+      name: updated.name,
+      expiresAt: updated.expiresAt,
+      expiredAt: updated.expiredAt,
+      recipients: updated.recipients.map(eventRecipient),
+    });
+    expired.push(updated);
+  }
+  return expired;
+};
+
+module.exports = {
+  SIGNING_MODES,
+  DAY_MS,
+  canSign,
+  signUrl,
+  expireEnvelopes,
+  createEnvelope,
+  listEnvelopes,
+  getEnvelope,
+  withLinks,
+  getSigningView,
+  loadSigningDocument,
+  completeSigning,
+  declineSigning,
+};
@@ -0,0 +1,20 @@
+// Errors that carry an HTTP status so route handlers can answer with the right code
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Shared catch-all for route handlers - known errors keep their status, the rest are 500s
+const sendError = (res, error, fallbackMessage) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ message: error.message, ...error.details });
+  }
+  console.error(error);
+  return res.status(500).json({ message: fallbackMessage, error: error.message });
+};
+
+module.exports = { HttpError, sendError };
@@ -0,0 +1,43 @@
+// Lifecycle events - signing code publishes them, integrations such as webhooks subscribe.
+// Unlike the audit trail these are curated for consumers: hashes, links and who did what.
+const crypto = require('crypto');
+
+const EVENT_TYPES = [
+  'document.signed',
+  'envelope.created',
+  'signer.completed',
+  'envelope.completed',
+  'envelope.declined',
+  'envelope.expired',
+  'bulk.completed',
+];
+
+const subscribers = new Set();
+
+// Returns a function that unsubscribes
+const subscribe = (handler) => {
+  subscribers.add(handler);
+  return () => subscribers.delete(handler);
+};
+
+// Fire and forget - a failing subscriber is logged and never breaks the request that published.
+// `tenantId` says whose event it is; only that tenant's webhooks receive it. `internal` is for
+// subscribers in this process (who to mail, say) and is never sent to webhooks.
+const publish = (type, data, tenantId = null, internal = null) => {
+  const event = {
+    id: crypto.randomUUID(),
+    type,
+    createdAt: new Date().toISOString(),
+    tenantId,
+    data,
+    ...(internal ? { internal } : {}),
+  };
+  subscribers.forEach((handler) => {
+    Promise.resolve()
+      .then(() => handler(event))
+      .catch((error) => console.error(`Event subscriber failed for ${type}`, error));
+  });
+  return event;
+};
+
+module.exports = { EVENT_TYPES, subscribe, publish };
@@ -0,0 +1,180 @@
+// Incremental PDF updates - changes are appended after the existing bytes instead of rewriting
+// the file, so every earlier revision (and any signature over it) stays intact as a prefix of
+// the new one. pdf-lib only writes whole files, so the objects it changed are found by
+// comparing each object's bytes before and after the edit.
+const crypto = require('crypto');
+const { PDFDocument, PDFArray, PDFNumber } = require('pdf-lib');
+const { hashBuffer } = require('./documents');
+
+const objectBytes = (object) => {
+  const bytes = Buffer.alloc(object.sizeInBytes());
+  object.copyBytesInto(bytes, 0);
+  return bytes;
+};
+
+// Fingerprint of every indirect object, keyed by its reference
+const snapshotObjects = (context) =>
+  new Map(
+    context
+      .enumerateIndirectObjects()
+      .map(([ref, object]) => [
+        ref.tag,
+        crypto.createHash('sha1').update(objectBytes(object)).digest('hex'),
+      ])
+  );
+
+// Where the last cross-reference section starts, whether it's a table or a stream, and the
+// object count it declares - cross-reference streams aren't objects pdf-lib keeps, so their
+// numbers only show up in /Size
+const lastXref = (buffer) => {
+  const tail = buffer.toString('latin1', Math.max(0, buffer.length - 2048));
+  const matches = [...tail.matchAll(/startxref\s+(\d+)/g)];
+  if (matches.length === 0) throw new Error('PDF has no startxref');
+  const offset = Number(matches[matches.length - 1][1]);
+  const isTable = buffer.toString('latin1', offset, offset + 4) === 'xref';
+  const sizeAt = buffer.lastIndexOf('/Size', buffer.length, 'latin1');
+  const size = /^\/Size\s+(\d+)/.exec(buffer.toString('latin1', sizeAt, sizeAt + 24));
+  return { offset, isTable, size: sizeAt === -1 || !size ? 0 : Number(size[1]) };
+};
+
+// Group sorted object numbers into [first, count] runs for the xref subsections
+const subsections = (numbers) =>
+  numbers.reduce((runs, number) => {
+    const last = runs[runs.length - 1];
+    if (last && last[0] + last[1] === number) last[1] += 1;
+    else runs.push([number, 1]);
+    return runs;
+  }, []);
+
+const trailerEntries = (context, size, prev) => {
+  const { Root, Info, ID } = context.trailerInfo;
+  return { Size: size, Root, ...(Info ? { Info } : {}), ...(ID ? { ID } : {}), Prev: prev };
+};
+
+// Classic `xref` table and trailer dictionary
+const xrefTable = (context, entries, { prev, size }) => {
+  const numbers = [...entries.keys()].sort((a, b) => a - b);
+  const lines = ['xref'];
+  subsections(numbers).forEach(([first, count]) => {
+    lines.push(`${first} ${count}`);
+    for (let number = first; number < first + count; number += 1) {
+      const { offset, generation } = entries.get(number);
+      lines.push(
+        `${String(offset).padStart(10, '0')} ${String(generation).padStart(5, '0')} n\r`
+      );
+    }
+  });
+  const trailer = context.obj(trailerEntries(context, size, prev));
+  return Buffer.from(`${lines.join('\n')}\ntrailer\n${trailer.toString()}\n`, 'latin1');
+};
+
+// Cross-reference stream, for files whose last section was one. Uncompressed rows of
+// type (1 byte), offset (4) and generation (2).
+const xrefStream = (context, entries, { prev, size }, streamOffset) => {
+  const number = size;
+  const all = new Map(entries).set(number, { offset: streamOffset, generation: 0 });
+  const numbers = [...all.keys()].sort((a, b) => a - b);
+  const rows = Buffer.alloc(numbers.length * 7);
+  numbers.forEach((objectNumber, index) => {
+    const { offset, generation } = all.get(objectNumber);
+    rows.writeUInt8(1, index * 7);
+    rows.writeUInt32BE(offset, index * 7 + 1);
+    rows.writeUInt16BE(generation, index * 7 + 5);
+  });
+  const index = PDFArray.withContext(context);
+  subsections(numbers).flat().forEach((value) => index.push(PDFNumber.of(value)));
+  const dict = context.obj({
+    Type: 'XRef',
+    ...trailerEntries(context, number + 1, prev),
+    W: [1, 4, 2],
+    Index: index,
+    Length: rows.length,
+  });
+  return Buffer.concat([
+    Buffer.from(`${number} 0 obj\n${dict.toString()}\nstream\n`, 'latin1'),
+    rows,
+    Buffer.from('\nendstream\nendobj\n', 'latin1'),
+  ]);
+};
+
+// Load `base`, let `edit` change the document, then append what changed to `base`. Resolves
+// to the new file; `base` is its untouched first `base.length` bytes.
+const updateIncrementally = async (base, edit) => {
+  const last = lastXref(base);
+  const pdfDoc = await PDFDocument.load(base, { updateMetadata: false });
+  // pdf-lib forgets object and xref streams once it has read them, so new objects would reuse
+  // their numbers - and the objects packed inside would disappear
+  pdfDoc.context.largestObjectNumber = Math.max(
+    pdfDoc.context.largestObjectNumber,
+    last.size - 1
+  );
+  const before = snapshotObjects(pdfDoc.context);
+  await edit(pdfDoc);
+  pdfDoc.setModificationDate(new Date());
+  // save() embeds fonts and images and refreshes form appearances - the bytes are thrown away,
+  // but the objects it leaves behind are what gets compared
+  await pdfDoc.save({ useObjectStreams: false });
+
+  const { context } = pdfDoc;
+  const after = snapshotObjects(context);
+  const changed = context
+    .enumerateIndirectObjects()
+    .filter(([ref]) => before.get(ref.tag) !== after.get(ref.tag))
+    .sort(([a], [b]) => a.objectNumber - b.objectNumber);
+
+  const section = { prev: last.offset, size: context.largestObjectNumber + 1 };
+  const parts = [base];
+  let length = base.length;
+  const push = (bytes) => {
+    parts.push(bytes);
+    length += bytes.length;
+  };
+  if (base[base.length - 1] !== 0x0a && base[base.length - 1] !== 0x0d) {
+    push(Buffer.from('\n', 'latin1'));
+  }
+
+  const entries = new Map();
+  changed.forEach(([ref, object]) => {
+    entries.set(ref.objectNumber, { offset: length, generation: ref.generationNumber });
+    push(Buffer.from(`${ref.objectNumber} ${ref.generationNumber} obj\n`, 'latin1'));
+    push(objectBytes(object));
+    push(Buffer.from('\nendobj\n', 'latin1'));
+  });
+
+  const xrefOffset = length;
+  push(
+    last.isTable
+      ? xrefTable(context, entries, section)
+      : xrefStream(context, entries, section, length)
+  );
+  push(Buffer.from(`startxref\n${xrefOffset}\n%%EOF\n`, 'latin1'));
+  return Buffer.concat(parts, length);
+};
+
+// Every revision in a file: the prefixes that end at an %%EOF marker, each with its SHA-256. A
+// revision counts its line break, but an uploaded original may have had none before the first
+// update was appended, so `bare` is the same prefix without it. The last revision is normally
+// the whole file.
+const listRevisions = (buffer) => {
+  const revisions = [];
+  let from = 0;
+  for (;;) {
+    const marker = buffer.indexOf('%%EOF', from, 'latin1');
+    if (marker === -1) break;
+    const bare = marker + 5;
+    let end = bare;
+    if (buffer[end] === 0x0d) end += 1;
+    if (buffer[end] === 0x0a) end += 1;
+    revisions.push({
+      length: end,
+      sha256: hashBuffer(buffer.subarray(0, end)),
+      ...(end > bare
+        ? { bare: { length: bare, sha256: hashBuffer(buffer.subarray(0, bare)) } }
+        : {}),
+    });
+    from = end;
+  }
+  return revisions;
+};
+
+module.exports = { updateIncrementally, listRevisions };
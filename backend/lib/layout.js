@@ -0,0 +1,343 @@
+// Flowing text layout - renders a list of blocks (headings, paragraphs, lists, tables...) onto
+// as many pages as it takes, wrapping lines and breaking pages on its own. Markup converters
+// turn HTML and Markdown into these blocks.
+//
+// Blocks:
+//   { type: 'heading', level: 1-6, runs }       { type: 'paragraph', runs, indent }
+//   { type: 'listItem', marker, depth, runs }   { type: 'code', text }
+//   { type: 'table', rows: [{ header, cells: [runs] }] }
+//   { type: 'rule' }                            { type: 'pageBreak' }
+//   { type: 'fields', fields: [{ type, label, width, height, ... }] } - a row of field boxes
+// Runs are inline text: { text, bold, italic, code }. '\n' inside a run is a line break.
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { sanitizeText } = require('./burn');
+const { HttpError } = require('./errors');
+
+const PAGE_SIZES = {
+  a4: [595.28, 841.89],
+  letter: [612, 792],
+  legal: [612, 1008],
+};
+const MARGIN = 56;
+const BODY_SIZE = 11;
+const CODE_SIZE = 9.5;
+const LINE_HEIGHT = 1.35;
+const HEADING_SIZES = [22, 17, 14, 12, 11, 11];
+const LIST_INDENT = 18;
+const QUOTE_INDENT = 18;
+const CELL_PADDING = 4;
+const LABEL_SIZE = 9;
+const FIELD_GAP = 24;
+// Box size in points for field types when the block doesn't give one
+const FIELD_SIZES = {
+  signature: [200, 50],
+  initials: [70, 35],
+  date: [120, 20],
+  text: [180, 20],
+  checkbox: [12, 12],
+  radio: [12, 12],
+  image: [150, 60],
+};
+
+const pageSizeFor = (name = 'a4') => {
+  const size = PAGE_SIZES[String(name).toLowerCase()];
+  if (!size) {
+    throw new HttpError(400, `Unknown page size "${name}"`, { pageSizes: Object.keys(PAGE_SIZES) });
+  }
+  return size;
+};
+
+const embedFonts = async (pdfDoc) => ({
+  regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+  bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold),
+  italic: await pdfDoc.embedFont(StandardFonts.HelveticaOblique),
+  boldItalic: await pdfDoc.embedFont(StandardFonts.HelveticaBoldOblique),
+  code: await pdfDoc.embedFont(StandardFonts.Courier),
+});
+
+const fontFor = (fonts, run, forceBold = false) => {
+  if (run.code) return fonts.code;
+  const bold = run.bold || forceBold;
+  if (bold && run.italic) return fonts.boldItalic;
+  if (bold) return fonts.bold;
+  return run.italic ? fonts.italic : fonts.regular;
+};
+
+// Split runs into styled words and breaks, then fill lines greedily. Words wider than the
+// line are broken by character. Each line is a list of { text, font, width } segments.
+const wrapRuns = (runs, fonts, size, maxWidth, forceBold = false) => {
+  const lines = [];
+  let line = [];
+  let lineWidth = 0;
+  let pendingSpace = false;
+
+  const finishLine = () => {
+    lines.push(line);
+    line = [];
+    lineWidth = 0;
+    pendingSpace = false;
+  };
+
+  const place = (text, font) => {
+    const space = pendingSpace && line.length > 0 ? font.widthOfTextAtSize(' ', size) : 0;
+    const width = font.widthOfTextAtSize(text, size);
+    if (line.length > 0 && lineWidth + space + width > maxWidth) finishLine();
+    const lead = line.length > 0 && pendingSpace ? ' ' : '';
+    line.push({ text: lead + text, font, width: width + (lead ? space : 0) });
+    lineWidth += width + (lead ? space : 0);
+    pendingSpace = false;
+  };
+
+  for (const run of runs) {
+    const font = fontFor(fonts, run, forceBold);
+    const text = sanitizeText(font, String(run.text ?? ''));
+    for (const piece of text.split(/(\n|[^\S\n]+)/)) {
+      if (piece === '\n') finishLine();
+      else if (/^\s+$/.test(piece)) pendingSpace = true;
+      else if (piece) {
+        let word = piece;
+        while (font.widthOfTextAtSize(word, size) > maxWidth && word.length > 1) {
+          let cut = word.length - 1;
+          while (cut > 1 && font.widthOfTextAtSize(word.slice(0, cut), size) > maxWidth) cut -= 1;
+          if (line.length > 0) finishLine();
+          place(word.slice(0, cut), font);
+          finishLine();
+          word = word.slice(cut);
+        }
+        place(word, font);
+      }
+    }
+  }
+  if (line.length > 0 || lines.length === 0) lines.push(line);
+  return lines;
+};
+
+// Lays blocks out top to bottom, adding pages as needed. Boxes drawn for `fields` blocks are
+// collected in `placed`: { field, page, x, y, width, height } in points from the bottom left.
+const createWriter = (pdfDoc, fonts, pageSize) => {
+  const [pageWidth, pageHeight] = pageSize;
+  const contentWidth = pageWidth - MARGIN * 2;
+  const placed = [];
+  let page = null;
+  let yPos = 0;
+
+  const newPage = () => {
+    page = pdfDoc.addPage(pageSize);
+    yPos = pageHeight - MARGIN;
+  };
+
+  // Start a new page unless `height` still fits on this one
+  const ensureSpace = (height) => {
+    if (!page || (yPos - height < MARGIN && yPos < pageHeight - MARGIN)) newPage();
+  };
+
+  const drawLines = (lines, { x, size, color = rgb(0, 0, 0) }) => {
+    const lineHeight = size * LINE_HEIGHT;
+    for (const segments of lines) {
+      ensureSpace(lineHeight);
+      yPos -= size;
+      let lineX = x;
+      for (const segment of segments) {
+        page.drawText(segment.text, { x: lineX, y: yPos, size, font: segment.font, color });
+        lineX += segment.width;
+      }
+      yPos -= lineHeight - size;
+    }
+  };
+
+  const text = (runs, { indent = 0, size = BODY_SIZE, bold = false, after = size * 0.6 } = {}) => {
+    const x = MARGIN + indent;
+    drawLines(wrapRuns(runs, fonts, size, contentWidth - indent, bold), { x, size });
+    yPos -= after;
+  };
+
+  const heading = ({ level = 1, runs }) => {
+    const size = HEADING_SIZES[Math.min(Math.max(level, 1), 6) - 1];
+    // Keep a heading with at least two lines of what follows it
+    ensureSpace(size * LINE_HEIGHT + BODY_SIZE * LINE_HEIGHT * 2);
+    yPos -= size * 0.4;
+    text(runs, { size, bold: true, after: size * 0.45 });
+  };
+
+  const listItem = ({ marker = '-', depth = 0, runs }) => {
+    const indent = LIST_INDENT * (depth + 1);
+    const lines = wrapRuns(runs, fonts, BODY_SIZE, contentWidth - indent);
+    ensureSpace(BODY_SIZE * LINE_HEIGHT);
+    const bullet = marker === '-' ? '•' : marker;
+    const markerWidth = fonts.regular.widthOfTextAtSize(bullet, BODY_SIZE);
+    page.drawText(bullet, {
+      x: MARGIN + indent - markerWidth - 5,
+      y: yPos - BODY_SIZE,
+      size: BODY_SIZE,
+      font: fonts.regular,
+    });
+    drawLines(lines, { x: MARGIN + indent, size: BODY_SIZE });
+    yPos -= BODY_SIZE * 0.25;
+  };
+
+  // Monospaced and whitespace kept as-is, so long lines are cut at a fixed column
+  const code = ({ text: source = '' }) => {
+    const font = fonts.code;
+    const charWidth = font.widthOfTextAtSize('M', CODE_SIZE);
+    const columns = Math.max(1, Math.floor((contentWidth - 12) / charWidth));
+    const lines = sanitizeText(font, source.replace(/\t/g, '  '))
+      .split('\n')
+      .flatMap((lineText) => {
+        const chunks = [];
+        for (let start = 0; start === 0 || start < lineText.length; start += columns) {
+          chunks.push(lineText.slice(start, start + columns));
+        }
+        return chunks.map((chunk) => [
+          { text: chunk, font, width: font.widthOfTextAtSize(chunk, CODE_SIZE) },
+        ]);
+      });
+    drawLines(lines, { x: MARGIN + 6, size: CODE_SIZE, color: rgb(0.2, 0.2, 0.2) });
+    yPos -= BODY_SIZE * 0.6;
+  };
+
+  const rule = () => {
+    ensureSpace(12);
+    yPos -= 6;
+    page.drawLine({
+      start: { x: MARGIN, y: yPos },
+      end: { x: pageWidth - MARGIN, y: yPos },
+      thickness: 0.75,
+      color: rgb(0.7, 0.7, 0.7),
+    });
+    yPos -= 10;
+  };
+
+  // Equal-width columns; a row taller than what's left of the page moves to the next one
+  const table = ({ rows = [] }) => {
+    const columns = Math.max(1, ...rows.map((row) => row.cells.length));
+    const cellWidth = contentWidth / columns;
+    const lineHeight = BODY_SIZE * LINE_HEIGHT;
+    for (const row of rows) {
+      const wrapped = row.cells.map((cell) =>
+        wrapRuns(cell, fonts, BODY_SIZE, cellWidth - CELL_PADDING * 2, row.header)
+      );
+      const height = Math.max(1, ...wrapped.map((lines) => lines.length)) * lineHeight;
+      ensureSpace(height + CELL_PADDING * 2);
+      const top = yPos;
+      wrapped.forEach((lines, index) => {
+        const x = MARGIN + index * cellWidth;
+        page.drawRectangle({
+          x,
+          y: top - height - CELL_PADDING * 2,
+          width: cellWidth,
+          height: height + CELL_PADDING * 2,
+          borderWidth: 0.5,
+          borderColor: rgb(0.6, 0.6, 0.6),
+          ...(row.header ? { color: rgb(0.94, 0.94, 0.94) } : {}),
+        });
+        yPos = top - CELL_PADDING;
+        drawLines(lines, { x: x + CELL_PADDING, size: BODY_SIZE });
+      });
+      yPos = top - height - CELL_PADDING * 2;
+    }
+    yPos -= BODY_SIZE * 0.6;
+  };
+
+  // Each field gets an equal share of the width, its label above its box. The row is kept on
+  // one page.
+  const fieldRow = ({ fields = [] }) => {
+    if (fields.length === 0) return;
+    const columnWidth = (contentWidth - FIELD_GAP * (fields.length - 1)) / fields.length;
+    const labelLineHeight = LABEL_SIZE * LINE_HEIGHT;
+    const cells = fields.map((field) => {
+      const [width, height] = FIELD_SIZES[field.type] || FIELD_SIZES.text;
+      const label = field.label ? [{ text: field.label, bold: true }] : [];
+      return {
+        field,
+        labelLines: label.length ? wrapRuns(label, fonts, LABEL_SIZE, columnWidth) : [],
+        width: Math.min(field.width || width, columnWidth),
+        height: field.height || height,
+      };
+    });
+    const labelHeight = Math.max(...cells.map((cell) => cell.labelLines.length)) * labelLineHeight;
+    const rowHeight = labelHeight + Math.max(...cells.map((cell) => cell.height));
+    ensureSpace(rowHeight + 6);
+    yPos -= 6;
+    const top = yPos;
+    cells.forEach((cell, index) => {
+      const x = MARGIN + index * (columnWidth + FIELD_GAP);
+      yPos = top;
+      drawLines(cell.labelLines, { x, size: LABEL_SIZE });
+      const y = top - labelHeight - cell.height;
+      page.drawRectangle({
+        x,
+        y,
+        width: cell.width,
+        height: cell.height,
+        borderWidth: 0.75,
+        borderColor: rgb(0.5, 0.5, 0.5),
+      });
+      placed.push({
+        field: cell.field,
+        page: pdfDoc.getPageCount(),
+        x,
+        y,
+        width: cell.width,
+        height: cell.height,
+      });
+    });
+    yPos = top - rowHeight - BODY_SIZE;
+  };
+
+  const write = (block) => {
+    switch (block.type) {
+      case 'heading':
+        return heading(block);
+      case 'paragraph':
+        return text(block.runs, { indent: block.indent ? QUOTE_INDENT * block.indent : 0 });
+      case 'listItem':
+        return listItem(block);
+      case 'code':
+        return code(block);
+      case 'table':
+        return table(block);
+      case 'rule':
+        return rule();
+      case 'fields':
+        return fieldRow(block);
+      case 'pageBreak':
+        // Nothing to break away from at the top of a page
+        if (page && yPos < pageHeight - MARGIN) newPage();
+        return undefined;
+      default:
+        throw new Error(`Unknown layout block: ${block.type}`);
+    }
+  };
+
+  return {
+    write,
+    placed,
+    ensurePage: () => page || newPage(),
+  };
+};
+
+// Lay blocks out into a new PDF: its bytes, the page size used and the field boxes placed.
+// Creation dates are left out so the same input gives the same bytes - uploads are
+// de-duplicated by hash.
+const layoutBlocks = async (blocks, { pageSize = 'a4', title } = {}) => {
+  const size = pageSizeFor(pageSize);
+  const pdfDoc = await PDFDocument.create({ updateMetadata: false });
+  if (title) pdfDoc.setTitle(title);
+  const fonts = await embedFonts(pdfDoc);
+  const writer = createWriter(pdfDoc, fonts, size);
+  blocks.forEach((block) => writer.write(block));
+  writer.ensurePage();
+  return { pdf: Buffer.from(await pdfDoc.save()), pageSize: size, placed: writer.placed };
+};
+
+const renderBlocks = async (blocks, options) => (await layoutBlocks(blocks, options)).pdf;
+
+module.exports = {
+  PAGE_SIZES,
+  pageSizeFor,
+  embedFonts,
+  wrapRuns,
+  createWriter,
+  layoutBlocks,
+  renderBlocks,
+};
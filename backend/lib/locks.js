@@ -0,0 +1,15 @@
+// In-process locks - tasks with the same key run one after another, in the order they arrive.
+// Enough for one server process; several instances would need the database to arbitrate.
+const locks = new Map();
+
+const withLock = (key, task) => {
+  const run = (locks.get(key) || Promise.resolve()).then(task);
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => {
+    if (locks.get(key) === tail) locks.delete(key);
+  });
+  return run;
+};
+
+module.exports = { withLock };
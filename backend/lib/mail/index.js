@@ -0,0 +1,40 @@
+// Mail transports - every transport exposes the same async interface:
+//   send({ from, to, replyTo, subject, text, html, attachments })
+//     -> { messageId, accepted, rejected }
+// `to` takes addresses or { name, email }; attachments are { filename, contentType, content }.
+const { createSmtpTransport } = require('./smtp');
+const createLogTransport = require('./log');
+
+const transports = {
+  smtp: createSmtpTransport,
+  log: createLogTransport,
+};
+
+// Pick the transport from MAIL_TRANSPORT - SMTP once SMTP_HOST is set, the log otherwise
+const defaultTransport = () =>
+  process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'log');
+
+const createMailer = (name = defaultTransport()) => {
+  const factory = transports[name];
+  if (!factory) {
+    const known = Object.keys(transports).join(' or ');
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected ${known})`);
+  }
+  return factory();
+};
+
+let mailer;
+
+// Shared instance so every notification goes through the same transport
+const getMailer = () => {
+  if (!mailer) mailer = createMailer();
+  return mailer;
+};
+
+// Sender address for everything the app sends
+const mailFrom = () => ({
+  name: process.env.MAIL_FROM_NAME || 'BoloForms Signature',
+  email: process.env.MAIL_FROM || 'no-reply@localhost',
+});
+
+module.exports = { createMailer, getMailer, mailFrom };
@@ -0,0 +1,18 @@
+// Log transport - prints a line per message instead of sending it. The default when no
+// SMTP_HOST is set, so development shows what would have gone out.
+const { buildMessage } = require('./message');
+
+const createLogTransport = () => ({
+  name: 'log',
+  async send(message) {
+    const { messageId, envelope } = buildMessage(message);
+    const attachments = (message.attachments || []).map((file) => file.filename);
+    console.log(
+      `[mail] to=${envelope.to.join(',')} subject="${message.subject}"` +
+        (attachments.length > 0 ? ` attachments=${attachments.join(',')}` : '')
+    );
+    return { messageId, accepted: envelope.to, rejected: [] };
+  },
+});
+
+module.exports = createLogTransport;
@@ -0,0 +1,132 @@
+// MIME messages - { from, to, replyTo, subject, text, html, attachments } in, the raw RFC 5322
+// bytes an SMTP server takes out. Text parts are quoted-printable, attachments base64.
+const crypto = require('crypto');
+
+const CRLF = '\r\n';
+
+// Addresses go into headers and SMTP commands as they are, so nothing that could end a line,
+// a command or an address list - no whitespace, brackets, quotes, commas or semicolons
+const EMAIL_PATTERN = /^[^\s@<>()[\]\\,;:"]+@[^\s@<>()[\]\\,;:"]+$/;
+
+// Problems with the message itself - sending it again won't help
+const messageError = (message) => Object.assign(new Error(message), { permanent: true });
+
+const checkEmail = (email) => {
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+    throw messageError(`Invalid email address: ${JSON.stringify(email)}`);
+  }
+  return email;
+};
+
+// RFC 2047 encoded-word for header values that aren't plain ASCII
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+
+// `{ name, email }` or a bare address -> `"Name" <email>`
+const formatAddress = (address) => {
+  if (typeof address === 'string') return checkEmail(address);
+  if (!address.name) return checkEmail(address.email);
+  const name = /^[\w .-]*$/.test(address.name)
+    ? `"${address.name}"`
+    : encodeHeader(address.name);
+  return `${name} <${checkEmail(address.email)}>`;
+};
+
+const addressOf = (address) => checkEmail(typeof address === 'string' ? address : address.email);
+
+// Lines of at most 76 characters, breaking with soft `=` line ends
+const quotedPrintable = (text) =>
+  text
+    .replace(/\r?\n/g, '\n')
+    .split('\n')
+    .map((line) => {
+      const encoded = [...Buffer.from(line, 'utf8')]
+        .map((byte, index, bytes) => {
+          const trailingSpace = (byte === 0x20 || byte === 0x09) && index === bytes.length - 1;
+          if ((byte >= 33 && byte <= 126 && byte !== 61) || (byte === 0x20 && !trailingSpace)) {
+            return String.fromCharCode(byte);
+          }
+          return `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+        })
+        .join('');
+      const wrapped = [];
+      let rest = encoded;
+      while (rest.length > 76) {
+        // Never split an =XX escape
+        let cut = 75;
+        const escape = rest.lastIndexOf('=', cut);
+        if (escape > cut - 3) cut = escape;
+        wrapped.push(`${rest.slice(0, cut)}=`);
+        rest = rest.slice(cut);
+      }
+      wrapped.push(rest);
+      return wrapped.join(CRLF);
+    })
+    .join(CRLF);
+
+const base64Lines = (buffer) => buffer.toString('base64').replace(/.{76}(?=.)/g, `$&${CRLF}`);
+
+const boundary = () => `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+
+const textPart = (type, body) =>
+  [
+    `Content-Type: ${type}; charset=utf-8`,
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    quotedPrintable(body),
+  ].join(CRLF);
+
+const attachmentPart = ({ filename, contentType = 'application/octet-stream', content }) =>
+  [
+    `Content-Type: ${contentType}; name="${encodeHeader(filename)}"`,
+    'Content-Transfer-Encoding: base64',
+    `Content-Disposition: attachment; filename="${encodeHeader(filename)}"`,
+    '',
+    base64Lines(content),
+  ].join(CRLF);
+
+const multipart = (subtype, parts) => {
+  const separator = boundary();
+  return [
+    `Content-Type: multipart/${subtype}; boundary="${separator}"`,
+    '',
+    ...parts.flatMap((part) => [`--${separator}`, part]),
+    `--${separator}--`,
+    '',
+  ].join(CRLF);
+};
+
+const buildMessage = ({ from, to, replyTo, subject, text, html, attachments = [] }) => {
+  const recipients = [].concat(to);
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+  const messageId = `<${crypto.randomUUID()}@${domain}>`;
+
+  let body = html
+    ? multipart('alternative', [textPart('text/plain', text), textPart('text/html', html)])
+    : textPart('text/plain', text);
+  if (attachments.length > 0) {
+    body = multipart('mixed', [body, ...attachments.map(attachmentPart)]);
+  }
+
+  const headers = [
+    `From: ${formatAddress(from)}`,
+    `To: ${recipients.map(formatAddress).join(', ')}`,
+    ...(replyTo ? [`Reply-To: ${formatAddress(replyTo)}`] : []),
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+  ];
+  // Encoding should already have seen to it; a line break here would start a new header
+  const broken = headers.find((header) => /[\r\n]/.test(header));
+  if (broken) throw messageError(`Header ${broken.split(':')[0]} contains a line break`);
+  return {
+    messageId,
+    envelope: { from: addressOf(from), to: recipients.map(addressOf) },
+    raw: Buffer.from(`${headers.join(CRLF)}${CRLF}${body}`, 'utf8'),
+  };
+};
+
+module.exports = { EMAIL_PATTERN, buildMessage, formatAddress };
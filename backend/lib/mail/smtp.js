@@ -0,0 +1,212 @@
+// SMTP transport - one connection per message: EHLO, STARTTLS when the server offers it, AUTH
+// when a user is configured, then MAIL/RCPT/DATA. A local mail catcher (Mailpit, MailHog,
+// smtp4dev) needs nothing but SMTP_HOST and SMTP_PORT.
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const { buildMessage } = require('./message');
+
+// Replies outside 2xx/3xx. `permanent` (5xx) failures won't go through on a retry either.
+class SmtpError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'SmtpError';
+    this.responseCode = code;
+    this.permanent = code !== null && code >= 500;
+  }
+}
+
+const settingsFromEnv = () => ({
+  host: process.env.SMTP_HOST || 'localhost',
+  port: Number(process.env.SMTP_PORT || 25),
+  // Implicit TLS from the first byte (port 465); otherwise STARTTLS is used when offered
+  secure: process.env.SMTP_SECURE === 'true',
+  // For catchers and dev servers with self-signed certificates
+  rejectUnauthorized: process.env.SMTP_TLS_INSECURE !== 'true',
+  user: process.env.SMTP_USER,
+  pass: process.env.SMTP_PASS,
+  timeoutMs: Number(process.env.SMTP_TIMEOUT_MS || 15000),
+});
+
+// A conversation with the server. Replies are read whole - "250-a", "250-b", "250 c" is one
+// reply with three lines.
+const openConnection = (settings) =>
+  new Promise((resolve, reject) => {
+    const replies = [];
+    const waiting = [];
+    let pending = '';
+    let lines = [];
+    let failure = null;
+    let socket;
+
+    const fail = (error) => {
+      if (failure) return;
+      failure = error;
+      waiting.splice(0).forEach(({ reject: rejectReply }) => rejectReply(error));
+      reject(error);
+    };
+    const onData = (chunk) => {
+      pending += chunk.toString('latin1');
+      let end;
+      while ((end = pending.indexOf('\r\n')) !== -1) {
+        const line = pending.slice(0, end);
+        pending = pending.slice(end + 2);
+        lines.push(line.slice(4));
+        if (line[3] === '-') continue;
+        const reply = { code: Number(line.slice(0, 3)), lines };
+        lines = [];
+        const next = waiting.shift();
+        if (next) next.resolve(reply);
+        else replies.push(reply);
+      }
+    };
+    const attach = (stream) => {
+      socket = stream;
+      stream.setTimeout(settings.timeoutMs, () =>
+        stream.destroy(new SmtpError(`SMTP server didn't answer in ${settings.timeoutMs} ms`))
+      );
+      stream.on('data', onData);
+      stream.on('error', fail);
+      stream.on('close', () => fail(new SmtpError('SMTP connection closed')));
+    };
+
+    const read = () =>
+      failure
+        ? Promise.reject(failure)
+        : replies.length > 0
+          ? Promise.resolve(replies.shift())
+          : new Promise((resolveReply, rejectReply) =>
+              waiting.push({ resolve: resolveReply, reject: rejectReply })
+            );
+
+    // Send a line (or raw bytes) and wait for a reply starting with one of `expected`
+    const command = async (data, expected, label = String(data).split(' ')[0]) => {
+      // A line break would let the rest of the line run as a command of its own
+      if (typeof data === 'string' && /[\r\n]/.test(data)) {
+        throw Object.assign(new SmtpError(`${label} contains a line break`), { permanent: true });
+      }
+      if (data !== null) socket.write(typeof data === 'string' ? `${data}\r\n` : data);
+      const reply = await read();
+      if (!expected.includes(reply.code)) {
+        throw new SmtpError(`${label} failed: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+      }
+      return reply;
+    };
+
+    const startTls = () =>
+      new Promise((resolveTls, rejectTls) => {
+        socket.setTimeout(0);
+        socket.removeAllListeners('data');
+        socket.removeAllListeners('close');
+        socket.removeAllListeners('error');
+        const secured = tls.connect(
+          {
+            socket,
+            servername: settings.host,
+            rejectUnauthorized: settings.rejectUnauthorized,
+          },
+          () => resolveTls()
+        );
+        secured.once('error', rejectTls);
+        attach(secured);
+      });
+
+    const close = () => {
+      if (!socket.destroyed) socket.end('QUIT\r\n');
+    };
+
+    const connection = { command, startTls, close };
+    const onConnect = () => resolve(connection);
+    attach(
+      settings.secure
+        ? tls.connect(
+            {
+              host: settings.host,
+              port: settings.port,
+              servername: settings.host,
+              rejectUnauthorized: settings.rejectUnauthorized,
+            },
+            onConnect
+          )
+        : net.connect({ host: settings.host, port: settings.port }, onConnect)
+    );
+  });
+
+// Extensions from an EHLO reply, e.g. { STARTTLS: [], AUTH: ['PLAIN', 'LOGIN'] }
+const extensions = (reply) =>
+  Object.fromEntries(
+    reply.lines.slice(1).map((line) => {
+      const [name, ...args] = line.trim().split(/\s+/);
+      return [name.toUpperCase(), args.map((arg) => arg.toUpperCase())];
+    })
+  );
+
+const greet = async (connection) => {
+  const name = os.hostname() || 'localhost';
+  try {
+    return extensions(await connection.command(`EHLO ${name}`, [250]));
+  } catch (error) {
+    if (!error.responseCode) throw error;
+    await connection.command(`HELO ${name}`, [250]);
+    return {};
+  }
+};
+
+const authenticate = async (connection, { user, pass }, methods = []) => {
+  if (methods.includes('PLAIN') || !methods.includes('LOGIN')) {
+    const token = Buffer.from(`\0${user}\0${pass}`, 'utf8').toString('base64');
+    await connection.command(`AUTH PLAIN ${token}`, [235], 'AUTH');
+    return;
+  }
+  await connection.command('AUTH LOGIN', [334], 'AUTH');
+  await connection.command(Buffer.from(user, 'utf8').toString('base64'), [334], 'AUTH');
+  await connection.command(Buffer.from(pass, 'utf8').toString('base64'), [235], 'AUTH');
+};
+
+// Lines starting with "." get another one, and the data ends with <CRLF>.<CRLF>
+const dataBlock = (raw) => {
+  const text = raw.toString('latin1').replace(/\r?\n/g, '\r\n');
+  const stuffed = text.replace(/(^|\r\n)\./g, '$1..');
+  return Buffer.from(`${stuffed}${stuffed.endsWith('\r\n') ? '' : '\r\n'}.\r\n`, 'latin1');
+};
+
+const createSmtpTransport = (settings = settingsFromEnv()) => ({
+  name: 'smtp',
+  async send(message) {
+    const { messageId, envelope, raw } = buildMessage(message);
+    const connection = await openConnection(settings);
+    try {
+      await connection.command(null, [220], 'Greeting');
+      let features = await greet(connection);
+      if (!settings.secure && features.STARTTLS) {
+        await connection.command('STARTTLS', [220]);
+        await connection.startTls();
+        features = await greet(connection);
+      }
+      if (settings.user) await authenticate(connection, settings, features.AUTH);
+
+      await connection.command(`MAIL FROM:<${envelope.from}>`, [250], 'MAIL FROM');
+      const accepted = [];
+      const rejected = [];
+      for (const address of envelope.to) {
+        try {
+          await connection.command(`RCPT TO:<${address}>`, [250, 251], 'RCPT TO');
+          accepted.push(address);
+        } catch (error) {
+          if (!error.responseCode) throw error;
+          rejected.push(address);
+        }
+      }
+      if (accepted.length === 0) {
+        throw new SmtpError(`Every recipient was rejected: ${rejected.join(', ')}`, 550);
+      }
+      await connection.command('DATA', [354]);
+      const reply = await connection.command(dataBlock(raw), [250], 'DATA');
+      return { messageId, accepted, rejected, response: reply.lines.join(' ') };
+    } finally {
+      connection.close();
+    }
+  },
+});
+
+module.exports = { SmtpError, createSmtpTransport };
@@ -0,0 +1,136 @@
+// Email templates - a subject, paragraphs and an optional button, with {{name}} placeholders.
+// Each renders to a plain-text and an HTML body. A paragraph that uses a placeholder with no
+// value is left out, so optional details (a decline reason, an expiry date) need no branches;
+// `{ text, if }` and `{ text, unless }` paragraphs depend on a value being set or not.
+// MAIL_TEMPLATES_PATH may point at a JSON file overriding any of these, key by key.
+const fs = require('fs');
+
+const TEMPLATES = {
+  signingRequest: {
+    subject: 'Please sign: {{documentName}}',
+    paragraphs: [
+      'Hi {{recipientName}},',
+      '{{senderName}} sent you "{{documentName}}" to sign.',
+      { text: 'You have something to sign: "{{documentName}}".', unless: 'senderName' },
+      'Please sign by {{expiresOn}}.',
+    ],
+    action: { label: 'Review and sign', url: 'signUrl' },
+  },
+  reminder: {
+    subject: 'Reminder: please sign {{documentName}}',
+    paragraphs: [
+      'Hi {{recipientName}},',
+      '"{{documentName}}" is still waiting for your signature.',
+      'It expires on {{expiresOn}}.',
+    ],
+    action: { label: 'Review and sign', url: 'signUrl' },
+  },
+  completed: {
+    subject: 'Completed: {{documentName}}',
+    paragraphs: [
+      'Hi {{recipientName}},',
+      'Everyone has signed "{{documentName}}".',
+      { text: 'The signed PDF is attached.', if: 'attached' },
+      {
+        text: 'The signed PDF was too large to attach; download it from the link below.',
+        unless: 'attached',
+      },
+    ],
+    action: { label: 'Download signed PDF', url: 'signedUrl' },
+  },
+  declined: {
+    subject: 'Declined: {{documentName}}',
+    paragraphs: [
+      'Hi {{recipientName}},',
+      '{{declinedBy}} declined to sign "{{documentName}}", so it is closed for everyone.',
+      'Reason given: {{reason}}',
+    ],
+  },
+  expired: {
+    subject: 'Expired: {{documentName}}',
+    paragraphs: [
+      'Hi {{recipientName}},',
+      '"{{documentName}}" expired on {{expiresOn}} before everyone had signed.',
+      'It can no longer be signed.',
+    ],
+  },
+  signed: {
+    subject: 'Signed: {{documentName}}',
+    paragraphs: [
+      'Hi {{recipientName}},',
+      { text: 'Your signed copy of "{{documentName}}" is attached.', if: 'attached' },
+      {
+        text: 'Your signed copy was too large to attach; download it from the link below.',
+        unless: 'attached',
+      },
+    ],
+    action: { label: 'Download signed PDF', url: 'signedUrl' },
+  },
+};
+
+let overrides;
+const loadOverrides = () => {
+  if (overrides === undefined) {
+    const file = process.env.MAIL_TEMPLATES_PATH;
+    overrides = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  }
+  return overrides;
+};
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const BUTTON_STYLE =
+  'display: inline-block; padding: 10px 18px; background: #2563eb; color: #fff; ' +
+  'text-decoration: none; border-radius: 4px;';
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+const isBlank = (value) => value === undefined || value === null || value === '' || value === false;
+
+// null when the text needs a value that isn't there
+const fill = (text, data) => {
+  let complete = true;
+  const filled = text.replace(PLACEHOLDER, (_, name) => {
+    if (isBlank(data[name])) complete = false;
+    return isBlank(data[name]) ? '' : String(data[name]);
+  });
+  return complete ? filled : null;
+};
+
+const applies = (paragraph, data) =>
+  typeof paragraph === 'string' ||
+  ((!paragraph.if || !isBlank(data[paragraph.if])) &&
+    (!paragraph.unless || isBlank(data[paragraph.unless])));
+
+// -> { subject, text, html }
+const renderEmail = (name, data) => {
+  const template = { ...TEMPLATES[name], ...loadOverrides()[name] };
+  if (!template.subject) throw new Error(`Unknown email template: ${name}`);
+
+  const paragraphs = template.paragraphs
+    .filter((paragraph) => applies(paragraph, data))
+    .map((paragraph) => fill(paragraph.text ?? paragraph, data))
+    .filter(Boolean);
+  const url = template.action && data[template.action.url];
+  const action = url ? { label: template.action.label, url } : null;
+
+  const text = [...paragraphs, ...(action ? [`${action.label}: ${action.url}`] : [])].join('\n\n');
+  const button = action
+    ? `<p><a href="${escapeHtml(action.url)}" style="${BUTTON_STYLE}">` +
+      `${escapeHtml(action.label)}</a></p>`
+    : null;
+  const html = [
+    '<div style="font-family: Helvetica, Arial, sans-serif; font-size: 15px; color: #222;">',
+    ...paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`),
+    ...(button ? [button] : []),
+    '</div>',
+  ].join('\n');
+  return { subject: fill(template.subject, data) ?? template.subject, text, html };
+};
+
+module.exports = { TEMPLATES, renderEmail };
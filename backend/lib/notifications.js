@@ -0,0 +1,421 @@
+// Email notifications - signing requests, reminders, completion with the signed PDF attached,
+// and decline and expiry notices. Lifecycle events drive them: each email is queued, sent
+// through the mail transport and retried with backoff like webhook deliveries. A sweep on a
+// timer expires overdue envelopes and sends reminders that are due.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getCollection } = require('./store');
+const { subscribe } = require('./events');
+const { getMailer, mailFrom } = require('./mail');
+const { EMAIL_PATTERN } = require('./mail/message');
+const { renderEmail } = require('./mail/templates');
+const {
+  DAY_MS,
+  canSign,
+  expireEnvelopes,
+  getEnvelope,
+  listEnvelopes,
+  signUrl,
+} = require('./envelopes');
+const { getDocument } = require('./documents');
+const { SIGNED_DIR } = require('./signing');
+const { signedFileUrl } = require('./downloads');
+const { inScope, scopeFilter } = require('./auth');
+const { withLock } = require('./locks');
+const { HttpError } = require('./errors');
+
+const MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS || 5);
+const RETRY_BASE_MS = Number(process.env.MAIL_RETRY_BASE_MS || 60000);
+// Bigger signed PDFs are linked instead of attached
+const MAX_ATTACHMENT_BYTES = Number(process.env.MAIL_MAX_ATTACHMENT_MB || 10) * 1024 * 1024;
+// How often expiries and due reminders are checked
+const SWEEP_MS = Number(process.env.NOTIFY_SWEEP_S || 60) * 1000;
+
+const notifications = () => getCollection('notifications');
+
+// Pending retries by notification id
+const timers = new Map();
+
+// 1m, 2m, 4m... after the 1st, 2nd, 3rd attempt with the default base
+const retryDelay = (attempt) => RETRY_BASE_MS * 2 ** (attempt - 1);
+
+const formatDate = (iso) =>
+  iso
+    ? new Date(iso).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC',
+      })
+    : null;
+
+const attachmentName = (documentName) =>
+  `${String(documentName || 'document')
+    .replace(/\.pdf$/i, '')
+    .replace(/[\\/:*?"<>|\r\n]+/g, '-')}-signed.pdf`;
+
+// The signed PDF as an attachment - null when the file is gone or too big to attach
+const signedAttachment = (signedFile, documentName) => {
+  if (!signedFile) return null;
+  const filePath = path.join(SIGNED_DIR, signedFile);
+  if (!fs.existsSync(filePath) || fs.statSync(filePath).size > MAX_ATTACHMENT_BYTES) return null;
+  return {
+    filename: attachmentName(documentName),
+    contentType: 'application/pdf',
+    content: fs.readFileSync(filePath),
+  };
+};
+
+// Rendered at send time, so every attempt carries a download link that hasn't expired
+const composeMessage = (notification) => {
+  const { data, to } = notification;
+  const attachment = signedAttachment(data.signedFile, data.documentName);
+  const { subject, text, html } = renderEmail(notification.template, {
+    ...data,
+    recipientName: to.name || to.email,
+    expiresOn: formatDate(data.expiresAt),
+    signedUrl: data.signedFile ? signedFileUrl(data.signedFile) : null,
+    attached: Boolean(attachment),
+  });
+  return {
+    from: mailFrom(),
+    to,
+    replyTo: data.replyTo || undefined,
+    subject,
+    text,
+    html,
+    attachments: attachment ? [attachment] : [],
+  };
+};
+
+const schedule = (notification) => {
+  clearTimeout(timers.get(notification.id));
+  const delay = Math.max(0, Date.parse(notification.nextAttemptAt) - Date.now());
+  // unref - a pending retry shouldn't keep a script alive; the server picks it up on start
+  const timer = setTimeout(() => {
+    timers.delete(notification.id);
+    attemptSend(notification.id).catch((error) =>
+      console.error(`Notification ${notification.id} failed`, error)
+    );
+  }, delay);
+  timer.unref();
+  timers.set(notification.id, timer);
+};
+
+// Send the email once and log the attempt. Permanent SMTP rejections (5xx) fail right away;
+// anything else is retried until MAX_ATTEMPTS.
+const attemptSend = async (id) => {
+  const notification = await notifications().findById(id);
+  if (!notification || !['pending', 'retrying'].includes(notification.status)) {
+    return notification;
+  }
+
+  const started = Date.now();
+  const attempt = {
+    number: notification.attempts.length + 1,
+    at: new Date(started).toISOString(),
+  };
+  let sent = null;
+  try {
+    sent = await getMailer().send(composeMessage(notification));
+    attempt.ok = true;
+    attempt.response = sent.response || null;
+  } catch (error) {
+    attempt.ok = false;
+    attempt.error = error.message;
+    attempt.permanent = Boolean(error.permanent);
+  }
+  attempt.durationMs = Date.now() - started;
+
+  const attempts = [...notification.attempts, attempt];
+  const changes = { attempts, error: attempt.ok ? null : attempt.error };
+  if (attempt.ok) {
+    Object.assign(changes, {
+      status: 'sent',
+      sentAt: new Date().toISOString(),
+      messageId: sent.messageId,
+      nextAttemptAt: null,
+    });
+  } else if (attempt.permanent || attempts.length >= MAX_ATTEMPTS) {
+    Object.assign(changes, { status: 'failed', nextAttemptAt: null });
+  } else {
+    const nextAttemptAt = new Date(Date.now() + retryDelay(attempts.length)).toISOString();
+    Object.assign(changes, { status: 'retrying', nextAttemptAt });
+  }
+
+  const updated = await notifications().update(id, changes);
+  if (updated.status === 'retrying') schedule(updated);
+  return updated;
+};
+
+// Queue one email and make its first attempt. `data` holds the template values that don't
+// change between attempts; links and the attachment are added when it's sent.
+const queueNotification = async ({
+  tenantId,
+  template,
+  to,
+  data,
+  envelopeId = null,
+  documentId = null,
+  recipientId = null,
+  resendOf = null,
+}) => {
+  const notification = await notifications().insert({
+    id: crypto.randomUUID(),
+    tenantId: tenantId || null,
+    template,
+    to: { name: to.name || '', email: to.email },
+    envelopeId,
+    documentId,
+    recipientId,
+    data,
+    status: 'pending',
+    attempts: [],
+    nextAttemptAt: new Date().toISOString(),
+    error: null,
+    messageId: null,
+    sentAt: null,
+    resendOf,
+  });
+  return attemptSend(notification.id);
+};
+
+// Template values every envelope email shares - replies go to the sender, if one was named
+const envelopeData = (envelope) => ({
+  documentName: envelope.name,
+  senderName: envelope.sender?.name || null,
+  replyTo: envelope.sender || null,
+  expiresAt: envelope.expiresAt || null,
+});
+
+const queueEnvelopeEmail = (envelope, template, to, data = {}) =>
+  queueNotification({
+    tenantId: envelope.tenantId,
+    template,
+    to,
+    data: { ...envelopeData(envelope), ...data },
+    envelopeId: envelope.id,
+    documentId: envelope.pdfId,
+    recipientId: to.id || null,
+  });
+
+const sameAddress = (a, b) => a.email.toLowerCase() === b.email.toLowerCase();
+
+// The sender hears about the outcome too, unless they're also a recipient
+const withSender = (envelope, people) =>
+  envelope.sender && !people.some((person) => sameAddress(person, envelope.sender))
+    ? [...people, envelope.sender]
+    : people;
+
+// Recipients that have been asked to sign - the only ones who know the envelope exists yet
+const requestedIds = async (envelopeId) =>
+  new Set(
+    (await notifications().find({ envelopeId, template: 'signingRequest' })).map(
+      (notification) => notification.recipientId
+    )
+  );
+
+// Ask everyone whose turn it is and who hasn't been asked - all recipients of a parallel
+// envelope at once, the next `order` of a sequential one as the previous finishes
+const requestSignatures = (envelopeId) =>
+  withLock(`notify:${envelopeId}`, async () => {
+    const envelope = await getEnvelope(envelopeId);
+    const asked = await requestedIds(envelopeId);
+    const due = envelope.recipients.filter(
+      (recipient) => canSign(envelope, recipient) && !asked.has(recipient.id)
+    );
+    for (const recipient of due) {
+      await queueEnvelopeEmail(envelope, 'signingRequest', recipient, {
+        signUrl: signUrl(recipient.token),
+      });
+    }
+  });
+
+const notifyCompleted = async (envelopeId) => {
+  const envelope = await getEnvelope(envelopeId);
+  for (const person of withSender(envelope, envelope.recipients)) {
+    await queueEnvelopeEmail(envelope, 'completed', person, { signedFile: envelope.signedFile });
+  }
+};
+
+const notifyDeclined = async (envelopeId, { recipient: decliner, reason }) => {
+  const envelope = await getEnvelope(envelopeId);
+  const asked = await requestedIds(envelopeId);
+  const others = envelope.recipients.filter(
+    (recipient) => asked.has(recipient.id) && recipient.id !== decliner.id
+  );
+  for (const person of withSender(envelope, others)) {
+    await queueEnvelopeEmail(envelope, 'declined', person, {
+      declinedBy: decliner.name,
+      reason: reason || null,
+    });
+  }
+};
+
+const notifyExpired = async (envelopeId) => {
+  const envelope = await getEnvelope(envelopeId);
+  const asked = await requestedIds(envelopeId);
+  const waiting = envelope.recipients.filter(
+    (recipient) => asked.has(recipient.id) && recipient.status === 'pending'
+  );
+  for (const person of withSender(envelope, waiting)) {
+    await queueEnvelopeEmail(envelope, 'expired', person);
+  }
+};
+
+// /sign-pdf and session outputs go to whoever the caller listed in `notify`. Envelope outputs
+// are covered by envelope.completed.
+const notifySigned = async ({ data, tenantId, internal }) => {
+  const notify = internal?.notify || [];
+  if (data.envelopeId || notify.length === 0) return;
+  const document = await getDocument(data.documentId).catch(() => null);
+  for (const to of notify) {
+    await queueNotification({
+      tenantId,
+      template: 'signed',
+      to,
+      data: { documentName: document?.name || 'your document', signedFile: data.signedFile },
+      documentId: data.documentId,
+    });
+  }
+};
+
+const handlers = {
+  'envelope.created': ({ data }) => requestSignatures(data.envelopeId),
+  'signer.completed': ({ data }) => data.remaining > 0 && requestSignatures(data.envelopeId),
+  'envelope.completed': ({ data }) => notifyCompleted(data.envelopeId),
+  'envelope.declined': ({ data }) => notifyDeclined(data.envelopeId, data),
+  'envelope.expired': ({ data }) => notifyExpired(data.envelopeId),
+  'document.signed': notifySigned,
+};
+
+const handleEvent = (event) => handlers[event.type]?.(event);
+
+// Every signingRequest and reminder this recipient has been sent, oldest first
+const nudgesFor = (sent, recipient) =>
+  sent
+    .filter(
+      (notification) =>
+        notification.recipientId === recipient.id &&
+        ['signingRequest', 'reminder'].includes(notification.template)
+    )
+    .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+
+// A reminder is due `afterDays` after the request, then every `everyDays` after the last
+// reminder, until `max` have gone out
+const sendDueReminders = async (now = Date.now()) => {
+  const open = (await listEnvelopes()).filter(
+    (envelope) => envelope.status === 'in_progress' && envelope.reminders
+  );
+  for (const envelope of open) {
+    const { afterDays, everyDays, max } = envelope.reminders;
+    const sent = await notifications().find({ envelopeId: envelope.id });
+    for (const recipient of envelope.recipients.filter((r) => canSign(envelope, r))) {
+      const nudges = nudgesFor(sent, recipient);
+      if (!nudges.some((notification) => notification.template === 'signingRequest')) continue;
+      const reminders = nudges.filter((notification) => notification.template === 'reminder');
+      if (reminders.length >= max) continue;
+      const wait = (reminders.length === 0 ? afterDays : everyDays) * DAY_MS;
+      if (now - Date.parse(nudges[nudges.length - 1].createdAt) < wait) continue;
+      await queueEnvelopeEmail(envelope, 'reminder', recipient, { signUrl: recipient.signUrl });
+    }
+  }
+};
+
+let sweeping = false;
+
+const sweep = async () => {
+  if (sweeping) return;
+  sweeping = true;
+  try {
+    await expireEnvelopes();
+    await sendDueReminders();
+  } finally {
+    sweeping = false;
+  }
+};
+
+// Remind everyone whose turn it is now, schedule or not. Resolves to the reminders after
+// their first attempt.
+const remindSigners = async (envelopeId, tenantId) => {
+  const envelope = await getEnvelope(envelopeId, tenantId);
+  const due = envelope.recipients.filter((recipient) => canSign(envelope, recipient));
+  if (due.length === 0) {
+    throw new HttpError(409, 'Nobody can sign this envelope right now');
+  }
+  const sent = [];
+  for (const recipient of due) {
+    sent.push(
+      await queueEnvelopeEmail(envelope, 'reminder', recipient, {
+        signUrl: signUrl(recipient.token),
+      })
+    );
+  }
+  return sent;
+};
+
+// `notify: true` mails the signed copy to `signer`; otherwise it lists { name, email } to mail
+const notifyRecipients = (notify, signer) => {
+  if (!notify) return [];
+  if (notify === true && !signer?.email) {
+    throw new HttpError(400, 'notify: true needs signer.email');
+  }
+  const people = notify === true ? [signer] : notify;
+  if (!Array.isArray(people)) {
+    throw new HttpError(400, 'notify must be true or an array of { name, email }');
+  }
+  const errors = people
+    .map((person, index) => ({ index, email: person?.email }))
+    .filter(({ email }) => typeof email !== 'string' || !EMAIL_PATTERN.test(email))
+    .map(({ index }) => ({ index, message: 'A valid email is required' }));
+  if (errors.length > 0) throw new HttpError(400, 'Invalid notify recipients', { errors });
+  return people.map(({ name, email }) => ({ name: name || '', email }));
+};
+
+const listNotifications = async ({ envelopeId, status, template } = {}, tenantId) => {
+  const filter = scopeFilter(tenantId);
+  if (envelopeId) filter.envelopeId = envelopeId;
+  if (status) filter.status = status;
+  if (template) filter.template = template;
+  return (await notifications().find(filter)).reverse();
+};
+
+const getNotification = async (id, tenantId) => {
+  const notification = await notifications().findById(id);
+  if (!inScope(notification, tenantId)) throw new HttpError(404, 'Notification not found');
+  return notification;
+};
+
+// Send a notification again as a new one, e.g. after fixing the mail settings. Resolves after
+// the first attempt.
+const resendNotification = async (id, tenantId) => {
+  const original = await getNotification(id, tenantId);
+  return queueNotification({ ...original, resendOf: original.id });
+};
+
+// Subscribe to lifecycle events, pick up retries left over from the last run and start the
+// expiry and reminder sweep
+const startNotifications = async () => {
+  subscribe(handleEvent);
+  const pending = [
+    ...(await notifications().find({ status: 'pending' })),
+    ...(await notifications().find({ status: 'retrying' })),
+  ];
+  pending.forEach(schedule);
+  const timer = setInterval(
+    () => sweep().catch((error) => console.error('Notification sweep failed', error)),
+    SWEEP_MS
+  );
+  timer.unref();
+  await sweep();
+};
+
+module.exports = {
+  notifyRecipients,
+  remindSigners,
+  listNotifications,
+  getNotification,
+  resendNotification,
+  startNotifications,
+};
@@ -0,0 +1,210 @@
+// Digital signatures - a detached PKCS#7/CMS signature over the burned PDF, so Acrobat and
+// other validators can tell the file hasn't changed since we produced it
+const fs = require('fs');
+const forge = require('node-forge');
+const {
+  PDFArray,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFString,
+} = require('pdf-lib');
+const { TIMESTAMP_TOKEN_OID, requestTimestamp } = require('./tsa');
+const { updateIncrementally } = require('./incremental');
+
+const { asn1 } = forge;
+
+// Bytes reserved for the CMS blob - room for a certificate chain plus a timestamp token
+const SIGNATURE_LENGTH = Number(process.env.SIGNATURE_PLACEHOLDER_BYTES || 16384);
+const BYTE_RANGE_PLACEHOLDER = '**********';
+
+const isEnabled = () => Boolean(process.env.SIGNING_P12_PATH);
+
+// Key and certificate chain from the configured PKCS#12 file, loaded once
+let credentials = null;
+const loadSigningCredentials = () => {
+  if (credentials) return credentials;
+
+  const p12Path = process.env.SIGNING_P12_PATH;
+  if (!p12Path) throw new Error('SIGNING_P12_PATH is not set');
+  const der = fs.readFileSync(p12Path).toString('binary');
+  const p12 = forge.pkcs12.pkcs12FromAsn1(
+    asn1.fromDer(der),
+    process.env.SIGNING_P12_PASSPHRASE || ''
+  );
+
+  const keyBag =
+    p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[
+      forge.pki.oids.pkcs8ShroudedKeyBag
+    ]?.[0] || p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag]?.[0];
+  const chain = (p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [])
+    .map((bag) => bag.cert)
+    .filter(Boolean);
+  if (!keyBag?.key || chain.length === 0) {
+    throw new Error('PKCS#12 file must contain a private key and its certificate');
+  }
+
+  // The signing certificate is the one whose public key matches the private key
+  const { key } = keyBag;
+  const certificate = chain.find((cert) => cert.publicKey.n?.equals(key.n));
+  if (!certificate) throw new Error('No certificate in the PKCS#12 file matches its key');
+
+  credentials = { key, certificate, chain };
+  return credentials;
+};
+
+const commonName = (certificate) =>
+  certificate.subject.getField('CN')?.value || certificate.subject.attributes[0]?.value || null;
+
+// Add an invisible signature field whose /Contents and /ByteRange get filled in after saving
+const addPlaceholder = (pdfDoc, { reason, location, name }) => {
+  const { context } = pdfDoc;
+  const page = pdfDoc.getPage(pdfDoc.getPageCount() - 1);
+
+  const byteRange = PDFArray.withContext(context);
+  byteRange.push(PDFNumber.of(0));
+  byteRange.push(PDFName.of(BYTE_RANGE_PLACEHOLDER));
+  byteRange.push(PDFName.of(BYTE_RANGE_PLACEHOLDER));
+  byteRange.push(PDFName.of(BYTE_RANGE_PLACEHOLDER));
+
+  const signatureRef = context.register(
+    context.obj({
+      Type: 'Sig',
+      Filter: 'Adobe.PPKLite',
+      SubFilter: 'adbe.pkcs7.detached',
+      ByteRange: byteRange,
+      Contents: PDFHexString.of('0'.repeat(SIGNATURE_LENGTH * 2)),
+      Reason: PDFString.of(reason),
+      M: PDFString.fromDate(new Date()),
+      ...(name ? { Name: PDFString.of(name) } : {}),
+      ...(location ? { Location: PDFString.of(location) } : {}),
+    })
+  );
+
+  const acroForm = pdfDoc.catalog.getOrCreateAcroForm();
+  const widgetRef = context.register(
+    context.obj({
+      Type: 'Annot',
+      Subtype: 'Widget',
+      FT: 'Sig',
+      Rect: [0, 0, 0, 0],
+      V: signatureRef,
+      T: PDFString.of(`Signature${acroForm.getAllFields().length + 1}`),
+      F: 132, // Print + Locked
+      P: page.ref,
+    })
+  );
+  page.node.addAnnot(widgetRef);
+  acroForm.addField(widgetRef);
+  acroForm.dict.set(PDFName.of('SigFlags'), PDFNumber.of(3)); // SignaturesExist + AppendOnly
+};
+
+// Fill in /ByteRange so it covers everything except the /Contents hex string. The search starts
+// at `from`, past any earlier signature's placeholder-sized /Contents.
+const writeByteRange = (pdf, from = 0) => {
+  const contentsPlaceholder = `<${'0'.repeat(SIGNATURE_LENGTH * 2)}>`;
+  const contentsStart = pdf.indexOf(contentsPlaceholder, from, 'latin1');
+  if (contentsStart === -1) throw new Error('Signature /Contents placeholder not found');
+  const contentsEnd = contentsStart + contentsPlaceholder.length;
+
+  const rangeStart = pdf.lastIndexOf('/ByteRange', contentsStart, 'latin1');
+  const open = pdf.indexOf('[', rangeStart, 'latin1');
+  const close = pdf.indexOf(']', open, 'latin1');
+  if (rangeStart === -1 || !pdf.subarray(open, close).includes(BYTE_RANGE_PLACEHOLDER)) {
+    throw new Error('Signature /ByteRange placeholder not found');
+  }
+
+  const byteRange = [0, contentsStart, contentsEnd, pdf.length - contentsEnd];
+  const placeholderLength = close - open + 1;
+  const actual = `[${byteRange.join(' ')}]`.padEnd(placeholderLength, ' ');
+  pdf.write(actual, open, placeholderLength, 'latin1');
+
+  return { contentsStart, contentsEnd };
+};
+
+// Detached CMS SignedData over `content`, with an RFC 3161 timestamp when TSA_URL is set
+const createCms = async (content, { key, certificate, chain }) => {
+  const p7 = forge.pkcs7.createSignedData();
+  p7.content = forge.util.createBuffer(content.toString('binary'));
+  chain.forEach((cert) => p7.addCertificate(cert));
+  p7.addSigner({
+    key,
+    certificate,
+    digestAlgorithm: forge.pki.oids.sha256,
+    authenticatedAttributes: [
+      { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+      { type: forge.pki.oids.messageDigest },
+      { type: forge.pki.oids.signingTime, value: new Date() },
+    ],
+  });
+  p7.sign({ detached: true });
+  const message = p7.toAsn1();
+
+  let timestamp = null;
+  if (process.env.TSA_URL) {
+    // The token timestamps the signature value itself, and rides along as an unsigned
+    // attribute on the SignerInfo (forge can't write those, so append it to the ASN.1)
+    const { token, genTime } = await requestTimestamp(
+      process.env.TSA_URL,
+      Buffer.from(p7.signers[0].signature, 'binary')
+    );
+    const signedData = message.value[1].value[0];
+    const signerInfo = signedData.value[signedData.value.length - 1].value[0];
+    signerInfo.value.push(
+      asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+          asn1.create(
+            asn1.Class.UNIVERSAL,
+            asn1.Type.OID,
+            false,
+            asn1.oidToDer(TIMESTAMP_TOKEN_OID).getBytes()
+          ),
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [token]),
+        ]),
+      ])
+    );
+    timestamp = genTime.toISOString();
+  }
+
+  return { cms: Buffer.from(asn1.toDer(message).getBytes(), 'binary'), timestamp };
+};
+
+// Sign a finished PDF. The signature field goes in as an incremental update, so signatures
+// already in `buffer` stay valid. Returns the signed bytes plus who signed and when it was
+// timestamped.
+const signPdf = async (buffer) => {
+  const signer = loadSigningCredentials();
+  // Appended objects are written out one by one, never into object streams, so the
+  // placeholders stay findable
+  const pdf = await updateIncrementally(buffer, (pdfDoc) =>
+    addPlaceholder(pdfDoc, {
+      reason: process.env.SIGNING_REASON || 'Signed with BoloForms Signature',
+      location: process.env.SIGNING_LOCATION,
+      name: commonName(signer.certificate),
+    })
+  );
+  const { contentsStart, contentsEnd } = writeByteRange(pdf, buffer.length);
+
+  const { cms, timestamp } = await createCms(
+    Buffer.concat([pdf.subarray(0, contentsStart), pdf.subarray(contentsEnd)]),
+    signer
+  );
+  const hex = cms.toString('hex');
+  if (hex.length > SIGNATURE_LENGTH * 2) {
+    throw new Error(
+      `Signature is ${cms.length} bytes; raise SIGNATURE_PLACEHOLDER_BYTES above ${SIGNATURE_LENGTH}`
+    );
+  }
+  pdf.write(hex.padEnd(SIGNATURE_LENGTH * 2, '0'), contentsStart + 1, 'latin1');
+
+  return {
+    buffer: pdf,
+    signature: {
+      signer: commonName(signer.certificate),
+      serialNumber: signer.certificate.serialNumber,
+      timestamp,
+    },
+  };
+};
+
+module.exports = { isEnabled, loadSigningCredentials, signPdf };
@@ -0,0 +1,79 @@
+// Fixed-window rate limiting kept in memory - one counter per key per window. Enough for a
+// single process; several instances each count on their own.
+const { HttpError, sendError } = require('./errors');
+
+// `key(req)` picks what is counted - an API key, an IP, a signing token
+const rateLimit = ({ max, windowMs, key, message = 'Too many requests' }) => {
+  const windows = new Map();
+
+  // Drop finished windows now and then so the map doesn't grow without bound
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, id) => {
+      if (window.resetAt <= now) windows.delete(id);
+    });
+  }, windowMs);
+  sweep.unref();
+
+  const currentWindow = (id, now) => {
+    let window = windows.get(id);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(id, window);
+    }
+    return window;
+  };
+
+  const middleware = (req, res, next) => {
+    const now = Date.now();
+    const window = currentWindow(key(req), now);
+    window.count += 1;
+
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - window.count)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+    if (window.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return sendError(res, new HttpError(429, message, { retryAfter: resetSeconds }));
+    }
+    next();
+  };
+
+  // Background work counts against the same allowance, but waits for the next window when it's
+  // used up instead of being refused
+  middleware.wait = async (id) => {
+    for (;;) {
+      const now = Date.now();
+      const window = currentWindow(id, now);
+      if (window.count < max) {
+        window.count += 1;
+        return;
+      }
+      await new Promise((resolve) => setTimeout(resolve, window.resetAt - now));
+    }
+  };
+
+  return middleware;
+};
+
+// Shared limits for everything that burns a PDF or submits a signature
+const SIGN_RATE_LIMIT = Number(process.env.SIGN_RATE_LIMIT || 30);
+const SIGN_RATE_WINDOW_MS = Number(process.env.SIGN_RATE_WINDOW_S || 60) * 1000;
+
+const signingRateLimit = (key) =>
+  rateLimit({
+    max: SIGN_RATE_LIMIT,
+    windowMs: SIGN_RATE_WINDOW_MS,
+    key,
+    message: 'Too many signing requests - try again shortly',
+  });
+
+// Burns made with an API key (/sign-pdf, finalizing a session) share one allowance per key
+const keyLimitId = (apiKeyId) => `key:${apiKeyId}`;
+const limitSigningPerKey = signingRateLimit((req) => keyLimitId(req.apiKey.id));
+
+// For burns made outside a request, such as bulk rows - resolves once the key has a slot
+const waitForSigningSlot = (apiKeyId) => limitSigningPerKey.wait(keyLimitId(apiKeyId));
+
+module.exports = { rateLimit, signingRateLimit, limitSigningPerKey, waitForSigningSlot };
@@ -0,0 +1,32 @@
+// Safe final copies - a fresh file holding only what the pages show. Form fields are baked in,
+// then the pages are copied into a new document, leaving behind everything a redaction or a
+// hand-off shouldn't carry: earlier revisions, XMP and document metadata, JavaScript and other
+// actions, annotations, attachments, bookmarks and application data.
+const { PDFDocument, PDFDict, PDFName, PDFStream } = require('pdf-lib');
+const { flattenForm } = require('./acroform');
+
+// Page keys that are dropped before copying, so nothing they point at comes along
+const PAGE_KEYS = ['Annots', 'AA', 'Metadata', 'PieceInfo', 'Thumb', 'B'];
+// Keys removed from every object that's left - images and form XObjects carry these too
+const OBJECT_KEYS = ['Metadata', 'PieceInfo', 'AA'];
+
+const stripKeys = (dict, keys) => keys.forEach((key) => dict.delete(PDFName.of(key)));
+
+const safeCopy = async (buffer) => {
+  const source = await PDFDocument.load(buffer, { updateMetadata: false });
+  const form = source.getForm();
+  if (form.getFields().length > 0) flattenForm(source, form);
+  source.getPages().forEach((page) => stripKeys(page.node, PAGE_KEYS));
+
+  // A new document has no Info dictionary, catalog extras or history to inherit
+  const copy = await PDFDocument.create({ updateMetadata: false });
+  const pages = await copy.copyPages(source, source.getPageIndices());
+  pages.forEach((page) => copy.addPage(page));
+  copy.context.enumerateIndirectObjects().forEach(([, object]) => {
+    if (object instanceof PDFDict) stripKeys(object, OBJECT_KEYS);
+    else if (object instanceof PDFStream) stripKeys(object.dict, OBJECT_KEYS);
+  });
+  return Buffer.from(await copy.save());
+};
+
+module.exports = { safeCopy };
@@ -0,0 +1,223 @@
+// Sign sessions - the editor's work in progress (document, field layout, values so far) kept on
+// the server so it survives a refresh and can be resumed from a link. Every save carries the
+// version it was based on; a stale version is a 412, so two tabs can't overwrite each other.
+// Finalizing burns the fields and locks the session.
+const crypto = require('crypto');
+const { getCollection } = require('./store');
+const { getDocument } = require('./documents');
+const { instantiateTemplate } = require('./templates');
+const { signDocument, singleSignerCertificate } = require('./signing');
+const { notifyRecipients } = require('./notifications');
+const { signedFileUrl } = require('./downloads');
+const { inScope, scopeFilter } = require('./auth');
+const { withLock } = require('./locks');
+const { CHOICE_TYPES, FIELD_TYPES } = require('./burn');
+const { HttpError } = require('./errors');
+
+const SESSION_OPTIONS = [
+  'flatten',
+  'formFields',
+  'certificate',
+  'anchors',
+  'signer',
+  'safeCopy',
+  'notify',
+];
+const NORM_KEYS = ['xNorm', 'yNorm', 'widthNorm', 'heightNorm'];
+
+const sessions = () => getCollection('sessions');
+
+// Drafts may be half-done, so only the shape is checked here - finalizing validates fully
+const checkDraftFields = (fields) => {
+  if (!Array.isArray(fields)) throw new HttpError(400, 'fields must be an array');
+  const errors = [];
+  fields.forEach((field, index) => {
+    if (!field?.id) errors.push({ index, message: 'id is required' });
+    else if (!FIELD_TYPES.includes(field.type)) {
+      errors.push({ index, fieldId: field.id, message: `Unknown field type: ${field.type}` });
+    } else if (!Number.isInteger(field.page) || field.page < 1) {
+      errors.push({ index, fieldId: field.id, message: 'page must be a positive integer' });
+    } else if (!field.coordinates) {
+      // Editor layouts are normalized to the page, like templates; API callers may send points
+      const badNorm = NORM_KEYS.find(
+        (key) => typeof field[key] !== 'number' || field[key] < 0 || field[key] > 1
+      );
+      if (badNorm) {
+        errors.push({ index, fieldId: field.id, message: `${badNorm} must be between 0 and 1` });
+      }
+    }
+  });
+  if (errors.length > 0) throw new HttpError(400, 'Invalid draft fields', { errors });
+  return fields;
+};
+
+const pickOptions = (options = {}) =>
+  Object.fromEntries(
+    SESSION_OPTIONS.filter((key) => key in options).map((key) => [key, options[key]])
+  );
+
+// What the API returns - a finished session gets a fresh download link
+const publicSession = (session) => ({
+  ...session,
+  signedUrl: signedFileUrl(session.signedFile),
+});
+
+// `templateId` starts from a template's layout; otherwise `fields` is the starting draft
+const createSession = async (
+  { pdfId, templateId, name = '', fields = [], recipients = [], options = {} },
+  context = {}
+) => {
+  const { tenantId } = context;
+  let layout = fields;
+  let documentId = pdfId;
+  if (templateId) {
+    const draft = await instantiateTemplate(templateId, tenantId);
+    layout = draft.fields;
+    documentId = draft.pdfId;
+  }
+  if (!documentId) throw new HttpError(400, 'pdfId or templateId is required');
+  await getDocument(documentId, tenantId);
+
+  const session = await sessions().insert({
+    id: crypto.randomUUID(),
+    tenantId: tenantId || null,
+    name,
+    pdfId: documentId,
+    templateId: templateId || null,
+    fields: checkDraftFields(layout),
+    recipients: Array.isArray(recipients) ? recipients : [],
+    options: pickOptions(options),
+    status: 'draft',
+    version: 1,
+  });
+  return publicSession(session);
+};
+
+const findSession = async (id, tenantId) => {
+  const session = await sessions().findById(id);
+  if (!inScope(session, tenantId)) throw new HttpError(404, 'Session not found');
+  return session;
+};
+
+const getSession = async (id, tenantId) => publicSession(await findSession(id, tenantId));
+
+// Summaries only - drafts can hold large signature images
+const listSessions = async ({ status } = {}, tenantId) =>
+  (await sessions().find({ ...scopeFilter(tenantId), ...(status ? { status } : {}) })).map(
+    ({ fields, recipients, options, ...summary }) => ({
+      ...summary,
+      fieldCount: fields.length,
+      signedUrl: signedFileUrl(summary.signedFile),
+    })
+  );
+
+// A write must name the version it was based on, and that must still be current
+const checkWritable = (session, version) => {
+  if (version === undefined || version === null) {
+    throw new HttpError(428, 'Send the version you are editing as If-Match or version');
+  }
+  if (session.status !== 'draft') {
+    throw new HttpError(409, 'Session is finalized', { version: session.version });
+  }
+  if (Number(version) !== session.version) {
+    throw new HttpError(412, 'Session was changed elsewhere - reload it before saving', {
+      version: session.version,
+    });
+  }
+};
+
+// Save the draft: any of name, pdfId, fields, recipients and options
+const updateSession = async (
+  id,
+  { name, pdfId, fields, recipients, options },
+  { version, tenantId } = {}
+) =>
+  withLock(`session:${id}`, async () => {
+    const session = await findSession(id, tenantId);
+    checkWritable(session, version);
+
+    const changes = { version: session.version + 1 };
+    if (name !== undefined) changes.name = name;
+    if (pdfId !== undefined && pdfId !== session.pdfId) {
+      await getDocument(pdfId, tenantId);
+      changes.pdfId = pdfId;
+    }
+    if (fields !== undefined) changes.fields = checkDraftFields(fields);
+    if (recipients !== undefined) {
+      if (!Array.isArray(recipients)) throw new HttpError(400, 'recipients must be an array');
+      changes.recipients = recipients;
+    }
+    if (options !== undefined) changes.options = pickOptions(options);
+    return publicSession(await sessions().update(id, changes));
+  });
+
+// Burn the saved draft and lock the session. A draft that fails validation stays editable.
+const finalizeSession = async (id, { version, context = {} } = {}) =>
+  withLock(`session:${id}`, async () => {
+    const session = await findSession(id, context.tenantId);
+    checkWritable(session, version);
+
+    // Same selection the editor used for /sign-pdf: filled fields, choices, form fields and
+    // required ones so missing values are reported
+    const fields = session.fields.filter(
+      (field) =>
+        field.value || CHOICE_TYPES.includes(field.type) || field.acroField || field.required
+    );
+    if (!fields.some((field) => field.value)) {
+      throw new HttpError(400, 'Fill in at least one field before finalizing');
+    }
+
+    const {
+      flatten = false,
+      formFields = false,
+      certificate = false,
+      anchors = null,
+      signer,
+      safeCopy = false,
+      notify = false,
+    } = session.options;
+    const result = await signDocument({
+      pdfId: session.pdfId,
+      fields,
+      flatten,
+      formFields,
+      anchors,
+      certificate: certificate ? singleSignerCertificate(fields, signer, context) : null,
+      safeCopy: Boolean(safeCopy),
+      notify: notifyRecipients(notify, signer),
+      actor: { type: 'session', id: session.id },
+      context,
+    });
+
+    return publicSession(
+      await sessions().update(id, {
+        status: 'finalized',
+        finalizedAt: new Date().toISOString(),
+        version: session.version + 1,
+        signedFile: result.signedFile,
+        originalHash: result.originalHash,
+        signedHash: result.signedHash,
+        contentHash: result.contentHash,
+        digitalSignature: result.digitalSignature,
+      })
+    );
+  });
+
+// Drafts can be thrown away; finalized sessions stay as the record of what was signed
+const deleteSession = async (id, tenantId) =>
+  withLock(`session:${id}`, async () => {
+    const session = await findSession(id, tenantId);
+    if (session.status !== 'draft') {
+      throw new HttpError(409, 'Finalized sessions cannot be deleted');
+    }
+    await sessions().remove(id);
+  });
+
+module.exports = {
+  createSession,
+  getSession,
+  listSessions,
+  updateSession,
+  finalizeSession,
+  deleteSession,
+};
@@ -0,0 +1,263 @@
+// Signing pipeline - load a document, burn fields, save the output and record the audit entry.
+// Each pass is appended to the file it starts from as an incremental update, so the original
+// (and, with `continueFrom`, every earlier signed version) is an unchanged prefix of the output.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  CHOICE_TYPES,
+  SIGNATURE_METHODS,
+  SIGNATURE_TYPES,
+  findOutOfRangeFields,
+  burnFields,
+} = require('./burn');
+const { createFormFields, fillFormFields } = require('./acroform');
+const { anchorOptions, findAnchors, placeAnchoredFields, whiteOutAnchors } = require('./anchors');
+const { appendCertificate } = require('./certificate');
+const pades = require('./pades');
+const { updateIncrementally } = require('./incremental');
+const { safeCopy: makeSafeCopy } = require('./sanitize');
+const { hashBuffer, getDocument, loadDocumentBytes } = require('./documents');
+const { findSignedDocument, listSignedDocuments, recordSigning } = require('./audit');
+const { inScope } = require('./auth');
+const { withLock } = require('./locks');
+const { publish } = require('./events');
+const { signedFileUrl } = require('./downloads');
+const { validateFields } = require('./validation');
+const { HttpError } = require('./errors');
+
+const SIGNED_DIR = path.join(__dirname, '..', 'signed');
+
+// Create signed directory if it doesn't exist
+if (!fs.existsSync(SIGNED_DIR)) {
+  fs.mkdirSync(SIGNED_DIR, { recursive: true });
+}
+
+// Bytes of a signed output, from its record
+const readSignedFile = (signed) => {
+  const filePath = path.join(SIGNED_DIR, signed.signedFile);
+  if (!fs.existsSync(filePath)) throw new HttpError(404, 'Signed PDF file is missing');
+  return fs.readFileSync(filePath);
+};
+
+// The signed output a pass continues from - a signedHash, or 'latest' for the document's newest
+// output in the tenant (null when it has none, so the first signer starts from the original)
+const findPreviousVersion = async (pdfId, tenantId, continueFrom) => {
+  if (continueFrom === 'latest') {
+    const outputs = await listSignedDocuments({ pdfId, tenantId: tenantId || null });
+    return outputs[outputs.length - 1] || null;
+  }
+  const signed = await findSignedDocument(String(continueFrom), { tenantId: tenantId || null });
+  if (!inScope(signed, tenantId)) throw new HttpError(404, 'Signed version not found');
+  if (signed.pdfId !== pdfId) {
+    throw new HttpError(400, 'continueFrom is a signed version of another document');
+  }
+  return signed;
+};
+
+// What was picked in each radio group and checkbox - export values, null when nothing was
+const choiceSummary = (fields) => {
+  const choices = [];
+  const groups = new Map();
+  for (const field of fields) {
+    const value = field.value ? (field.exportValue ?? field.acroValue ?? 'yes') : null;
+    if (field.type === 'radio' && field.groupName) {
+      if (!groups.has(field.groupName)) {
+        groups.set(field.groupName, { type: 'radio', group: field.groupName, value: null });
+        choices.push(groups.get(field.groupName));
+      }
+      if (value) groups.get(field.groupName).value = value;
+    } else if (CHOICE_TYPES.includes(field.type)) {
+      choices.push({ type: field.type, name: field.acroField || null, value });
+    }
+  }
+  return choices;
+};
+
+// Fields may carry PDF-point `coordinates` or normalized geometry - burnFields handles both.
+// Fields with an `acroField` fill the document's own form, which `flatten` bakes into the page.
+// With `formFields`, placed checkboxes and radio groups become real form fields instead of marks.
+// `actor` and `context` are passed through to the audit trail. Pass `certificate: { signers }`
+// to append a certificate-of-completion page after the burned pages.
+// `anchors` (true or { offsetX, offsetY, sizes, hide }) places fields that name an `anchor` tag
+// instead of carrying geometry, and whites out every tag unless `hide` is 'keep'.
+// `continueFrom` (a signedHash or 'latest') appends this pass to an earlier signed version
+// instead of the original. `safeCopy` writes a fresh, flattened file with no earlier revisions,
+// metadata, JavaScript or annotations - it can't be continued from and keeps no history.
+// `notify` lists { name, email } to mail the signed copy to once it's written.
+const signDocument = (options) => {
+  const { pdfId = 'default', continueFrom, context = {} } = options;
+  // Two passes over the same version would fork it - the later one waits for the earlier
+  return continueFrom
+    ? withLock(`sign:${context.tenantId || ''}:${pdfId}`, () => signPass(options))
+    : signPass(options);
+};
+
+const signPass = async ({
+  pdfId = 'default',
+  fields: requestedFields,
+  anchors: anchorSettings = null,
+  flatten = false,
+  formFields = false,
+  envelopeId,
+  certificate,
+  continueFrom = null,
+  safeCopy = false,
+  notify = [],
+  actor,
+  context = {},
+}) => {
+  // The caller's tenant must own the document; the output is recorded under it
+  const { tenantId } = context;
+  const originalBuffer = await loadDocumentBytes(pdfId, tenantId);
+  const originalHash = hashBuffer(originalBuffer);
+  const previous = continueFrom ? await findPreviousVersion(pdfId, tenantId, continueFrom) : null;
+  if (previous?.safeCopy) {
+    throw new HttpError(400, 'A safe copy is final; continue from an earlier version instead');
+  }
+  const baseBuffer = previous ? readSignedFile(previous) : originalBuffer;
+
+  const anchorConfig = anchorOptions(anchorSettings);
+  const anchors = anchorConfig ? await findAnchors(baseBuffer) : [];
+  const fields = anchorConfig
+    ? placeAnchoredFields(requestedFields, anchors, anchorConfig)
+    : requestedFields;
+
+  const invalid = validateFields(fields);
+  if (invalid.length > 0) {
+    throw new HttpError(400, 'Some fields are invalid', { errors: invalid });
+  }
+
+  const unknownMethods = fields.filter(
+    (field) => field.signatureMethod && !SIGNATURE_METHODS.includes(field.signatureMethod)
+  );
+  if (unknownMethods.length > 0) {
+    throw new HttpError(400, `signatureMethod must be one of ${SIGNATURE_METHODS.join(', ')}`);
+  }
+
+  let signedBuffer = await updateIncrementally(baseBuffer, async (pdfDoc) => {
+    const outOfRange = findOutOfRangeFields(pdfDoc, fields);
+    if (outOfRange.length > 0) {
+      throw new HttpError(
+        400,
+        `Document has ${pdfDoc.getPageCount()} page(s); some fields point outside it`,
+        { pages: outOfRange.map((field) => field.coordinates?.page ?? field.page) }
+      );
+    }
+
+    if (anchorConfig?.hide === 'whiteout') whiteOutAnchors(pdfDoc, anchors);
+
+    // Fill native form fields, then burn everything else into the PDF
+    const overlays = fillFormFields(
+      pdfDoc,
+      formFields ? createFormFields(pdfDoc, fields) : fields,
+      { flatten }
+    );
+    await burnFields(pdfDoc, overlays);
+  });
+  let contentHash = null;
+
+  // The certificate can't contain the hash of a file that includes it, so it reports the
+  // hash of the burned pages alone; signedHash still covers the final file
+  if (certificate) {
+    contentHash = hashBuffer(signedBuffer);
+    const document = await getDocument(pdfId, tenantId);
+    signedBuffer = await updateIncrementally(signedBuffer, (pdfDoc) =>
+      appendCertificate(pdfDoc, {
+        documentId: pdfId,
+        documentName: document.name,
+        envelopeId,
+        originalHash,
+        contentHash,
+        completedAt: new Date().toISOString(),
+        signers: certificate.signers || [],
+      })
+    );
+  }
+
+  if (safeCopy) signedBuffer = await makeSafeCopy(signedBuffer);
+
+  // Seal the final bytes with the configured certificate - nothing may touch them afterwards
+  // except further incremental updates
+  let digitalSignature = null;
+  if (pades.isEnabled()) {
+    const sealed = await pades.signPdf(signedBuffer);
+    signedBuffer = sealed.buffer;
+    digitalSignature = sealed.signature;
+  }
+
+  const signedHash = hashBuffer(signedBuffer);
+  const previousHash = previous?.signedHash || null;
+  const fileName = `signed-${crypto.randomUUID()}.pdf`;
+  const signedUrl = signedFileUrl(fileName);
+
+  await recordSigning(
+    {
+      pdfId,
+      envelopeId,
+      originalHash,
+      signedHash,
+      contentHash,
+      previousHash,
+      safeCopy,
+      size: signedBuffer.length,
+      digitalSignature,
+      // How each signature/initials image was made - null when the client didn't say
+      signatureMethods: fields
+        .filter((field) => SIGNATURE_TYPES.includes(field.type) && field.value)
+        .map((field) => ({ type: field.type, method: field.signatureMethod || null })),
+      choices: choiceSummary(fields),
+      signedFile: fileName,
+    },
+    { actor, context }
+  );
+  // Written once it's on record, so a failed insert leaves no file behind
+  fs.writeFileSync(path.join(SIGNED_DIR, fileName), signedBuffer);
+  publish(
+    'document.signed',
+    {
+      documentId: pdfId,
+      envelopeId: envelopeId || null,
+      signedUrl,
+      signedFile: fileName,
+      originalHash,
+      signedHash,
+      contentHash,
+      previousHash,
+      safeCopy,
+      digitalSignature: Boolean(digitalSignature),
+      actor: actor || null,
+    },
+    tenantId,
+    { notify }
+  );
+
+  return {
+    signedUrl,
+    originalHash,
+    signedHash,
+    contentHash,
+    previousHash,
+    digitalSignature,
+    signedFile: fileName,
+  };
+};
+
+// Certificate for a one-person burn - whoever made the request, optionally named in `signer`
+const singleSignerCertificate = (fields, signer = {}, context = {}) => {
+  const signature = fields.find((field) => field.type === 'signature' && field.value);
+  return {
+    signers: [
+      {
+        name: signer.name,
+        email: signer.email,
+        signedAt: new Date().toISOString(),
+        ip: context.ip,
+        signatureDataUrl: signature?.value || null,
+        signatureMethod: signature?.signatureMethod || null,
+      },
+    ],
+  };
+};
+
+module.exports = { SIGNED_DIR, readSignedFile, signDocument, singleSignerCertificate };
@@ -0,0 +1,32 @@
+// Storage backends for document bytes
+// Every backend exposes the same async interface, keyed by a relative path like 'documents/<id>.pdf':
+//   put(key, buffer, { contentType }) -> void
+//   get(key) -> Buffer (null when missing)
+//   exists(key) -> boolean
+//   delete(key) -> void
+const createLocalStorage = require('./local');
+const createS3Storage = require('./s3');
+
+const drivers = {
+  local: createLocalStorage,
+  s3: createS3Storage,
+};
+
+// Pick the backend from STORAGE_DRIVER (defaults to the local filesystem)
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'local') => {
+  const factory = drivers[driver];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected ${Object.keys(drivers).join(' or ')})`);
+  }
+  return factory();
+};
+
+let storage;
+
+// Shared instance so every route talks to the same backend
+const getStorage = () => {
+  if (!storage) storage = createStorage();
+  return storage;
+};
+
+module.exports = { createStorage, getStorage };
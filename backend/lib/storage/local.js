@@ -0,0 +1,40 @@
+// Local filesystem storage - files live under STORAGE_DIR (defaults to backend/uploads)
+const fs = require('fs');
+const path = require('path');
+
+const createLocalStorage = ({ rootDir = process.env.STORAGE_DIR } = {}) => {
+  const root = path.resolve(rootDir || path.join(__dirname, '..', '..', 'uploads'));
+
+  // Keep keys inside the root - no '../' escapes
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    async get(key) {
+      try {
+        return await fs.promises.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async exists(key) {
+      return fs.existsSync(resolveKey(key));
+    },
+    async delete(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+module.exports = createLocalStorage;
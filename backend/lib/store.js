@@ -0,0 +1,131 @@
+// Record store - MongoDB when MONGODB_URI is set, otherwise JSON files under DATA_DIR
+// Every record has a string `id`; filters are plain equality matches on top-level keys.
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const useMongo = !!process.env.MONGODB_URI;
+
+const matches = (record, filter = {}) =>
+  Object.entries(filter).every(([key, value]) => record[key] === value);
+
+// Drop Mongo bookkeeping so both backends return the same shape
+const clean = (doc) => {
+  if (!doc) return null;
+  const { _id, __v, ...rest } = doc;
+  return rest;
+};
+
+const createMongoCollection = (name) => {
+  const schema = new mongoose.Schema(
+    { id: { type: String, required: true, unique: true } },
+    { strict: false, collection: name }
+  );
+  const Model = mongoose.models[name] || mongoose.model(name, schema);
+
+  return {
+    async insert(record) {
+      const now = new Date().toISOString();
+      const doc = { createdAt: now, updatedAt: now, ...record };
+      await Model.create(doc);
+      return doc;
+    },
+    async find(filter = {}) {
+      const docs = await Model.find(filter).sort({ createdAt: 1 }).lean();
+      return docs.map(clean);
+    },
+    async findOne(filter = {}) {
+      return clean(await Model.findOne(filter).lean());
+    },
+    async findById(id) {
+      return clean(await Model.findOne({ id }).lean());
+    },
+    async update(id, changes) {
+      const doc = await Model.findOneAndUpdate(
+        { id },
+        { $set: { ...changes, updatedAt: new Date().toISOString() } },
+        { returnDocument: 'after' }
+      ).lean();
+      return clean(doc);
+    },
+    async remove(id) {
+      const result = await Model.deleteOne({ id });
+      return result.deletedCount > 0;
+    },
+  };
+};
+
+const createFileCollection = (name) => {
+  const filePath = path.join(dataDir, `${name}.json`);
+  let records = null;
+  let writeQueue = Promise.resolve();
+
+  const load = () => {
+    if (!records) {
+      records = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : [];
+    }
+    return records;
+  };
+
+  // Serialize writes and swap the file in atomically so a crash never leaves half a file
+  const persist = () => {
+    writeQueue = writeQueue.then(async () => {
+      await fs.promises.mkdir(dataDir, { recursive: true });
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(records, null, 2));
+      await fs.promises.rename(tmpPath, filePath);
+    });
+    return writeQueue;
+  };
+
+  const copy = (record) => (record ? structuredClone(record) : null);
+
+  return {
+    async insert(record) {
+      const now = new Date().toISOString();
+      const doc = { createdAt: now, updatedAt: now, ...record };
+      if (load().some((r) => r.id === doc.id)) {
+        throw new Error(`Duplicate id in ${name}: ${doc.id}`);
+      }
+      records.push(doc);
+      await persist();
+      return copy(doc);
+    },
+    async find(filter = {}) {
+      return load().filter((r) => matches(r, filter)).map(copy);
+    },
+    async findOne(filter = {}) {
+      return copy(load().find((r) => matches(r, filter)));
+    },
+    async findById(id) {
+      return copy(load().find((r) => r.id === id));
+    },
+    async update(id, changes) {
+      const record = load().find((r) => r.id === id);
+      if (!record) return null;
+      Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+      await persist();
+      return copy(record);
+    },
+    async remove(id) {
+      const index = load().findIndex((r) => r.id === id);
+      if (index === -1) return false;
+      records.splice(index, 1);
+      await persist();
+      return true;
+    },
+  };
+};
+
+const collections = {};
+
+// One shared instance per collection name so file-backed caches stay consistent
+const getCollection = (name) => {
+  if (!collections[name]) {
+    collections[name] = useMongo ? createMongoCollection(name) : createFileCollection(name);
+  }
+  return collections[name];
+};
+
+module.exports = { getCollection };
@@ -0,0 +1,95 @@
+// Vector signatures - redraw the signature pad's strokes as PDF paths instead of a raster
+const { LineCapStyle, rgb } = require('pdf-lib');
+
+// Guard against absurd payloads; a long signature is a few thousand points
+const MAX_POINTS = 20000;
+// Segments whose widths round to the same quarter-pixel share one path
+const WIDTH_STEP = 0.25;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Stroke data: { width, height, strokes: [{ color, points: [[x, y, lineWidth], ...] }] } in
+// canvas pixels with a top-left origin. Returns null when malformed - callers fall back to the PNG.
+const parseStrokes = (drawing) => {
+  if (!drawing || !isNumber(drawing.width) || !isNumber(drawing.height)) return null;
+  if (drawing.width <= 0 || drawing.height <= 0 || !Array.isArray(drawing.strokes)) return null;
+
+  let total = 0;
+  for (const stroke of drawing.strokes) {
+    if (!Array.isArray(stroke?.points) || stroke.points.length === 0) return null;
+    total += stroke.points.length;
+    const valid = stroke.points.every(
+      (point) => Array.isArray(point) && point.length === 3 && point.every(isNumber) && point[2] > 0
+    );
+    if (!valid || total > MAX_POINTS) return null;
+  }
+  return total > 0 ? drawing : null;
+};
+
+// '#rgb' / '#rrggbb' -> pdf-lib color, black for anything else
+const parseColor = (color) => {
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '')?.[1];
+  if (!hex) return rgb(0, 0, 0);
+  const full = hex.length === 3 ? [...hex].map((c) => c + c).join('') : hex;
+  const channel = (index) => parseInt(full.slice(index, index + 2), 16) / 255;
+  return rgb(channel(0), channel(2), channel(4));
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+const midpoint = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+
+// Split a stroke into quadratic segments through the midpoints between samples (the same
+// smoothing the pad uses on screen), grouping runs of similar width into one SVG path
+const strokePaths = (points) => {
+  if (points.length === 1) {
+    // Zero-length line with a round cap renders as a dot
+    const [x, y, width] = points[0];
+    return [{ d: `M ${round(x)} ${round(y)} L ${round(x)} ${round(y)}`, width }];
+  }
+
+  const paths = [];
+  let current = null;
+  let start = points[0];
+  for (let i = 1; i < points.length; i++) {
+    const last = i === points.length - 1;
+    const end = last ? points[i] : midpoint(points[i], points[i + 1]);
+    const segment = last
+      ? `L ${round(end[0])} ${round(end[1])}`
+      : `Q ${round(points[i][0])} ${round(points[i][1])} ${round(end[0])} ${round(end[1])}`;
+    const width = Math.max(WIDTH_STEP, Math.round(points[i][2] / WIDTH_STEP) * WIDTH_STEP);
+
+    if (current && current.width === width) {
+      current.d += ` ${segment}`;
+    } else {
+      current = { d: `M ${round(start[0])} ${round(start[1])} ${segment}`, width };
+      paths.push(current);
+    }
+    start = end;
+  }
+  return paths;
+};
+
+// Scale the drawing to fit the box without distortion, centered - like drawImageInBox
+const drawStrokesInBox = (page, drawing, frame) => {
+  const scale = Math.min(frame.width / drawing.width, frame.height / drawing.height);
+  const offsetX = (frame.width - drawing.width * scale) / 2;
+  const offsetY = (frame.height - drawing.height * scale) / 2;
+  // SVG paths run y-down from their origin, so anchor at the drawing's top-left corner
+  const origin = frame.point(offsetX, frame.height - offsetY);
+
+  for (const stroke of drawing.strokes) {
+    const borderColor = parseColor(stroke.color);
+    for (const path of strokePaths(stroke.points)) {
+      page.drawSvgPath(path.d, {
+        ...origin,
+        scale,
+        rotate: frame.rotate,
+        borderColor,
+        borderWidth: path.width,
+        borderLineCap: LineCapStyle.Round,
+      });
+    }
+  }
+};
+
+module.exports = { parseStrokes, drawStrokesInBox };
@@ -0,0 +1,130 @@
+// Templates - a named field layout bound to one document, reusable across signing sessions
+const crypto = require('crypto');
+const { getCollection } = require('./store');
+const { getDocument } = require('./documents');
+const { FIELD_TYPES } = require('./burn');
+const { validateRules } = require('./validation');
+const { inScope, scopeFilter } = require('./auth');
+const { HttpError } = require('./errors');
+
+const templates = () => getCollection('templates');
+
+// Per-session data that never belongs in a saved layout
+const SESSION_KEYS = ['value', 'signatureMethod', 'strokes'];
+
+const NORM_KEYS = ['xNorm', 'yNorm', 'widthNorm', 'heightNorm'];
+
+// Keep geometry and field settings, drop values - reports every bad field at once
+const sanitizeLayout = (fields) => {
+  if (!Array.isArray(fields)) {
+    throw new HttpError(400, 'fields must be an array');
+  }
+
+  const errors = [];
+  const layout = fields.map((field, index) => {
+    if (!FIELD_TYPES.includes(field?.type)) {
+      errors.push({ index, message: `Unknown field type: ${field?.type}` });
+      return null;
+    }
+    const badNorm = NORM_KEYS.find(
+      (key) => typeof field[key] !== 'number' || field[key] < 0 || field[key] > 1
+    );
+    if (badNorm) {
+      errors.push({ index, message: `${badNorm} must be a number between 0 and 1` });
+      return null;
+    }
+    if (!Number.isInteger(field.page) || field.page < 1) {
+      errors.push({ index, message: 'page must be a positive integer' });
+      return null;
+    }
+
+    const entry = { ...field, id: field.id || crypto.randomUUID() };
+    SESSION_KEYS.forEach((key) => delete entry[key]);
+    return entry;
+  });
+
+  errors.push(...validateRules(fields));
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Invalid template fields', { errors });
+  }
+  return layout;
+};
+
+const createTemplate = async ({ name, pdfId, fields, description = '' }, tenantId) => {
+  if (!name) throw new HttpError(400, 'name is required');
+  if (!pdfId) throw new HttpError(400, 'pdfId is required');
+  await getDocument(pdfId, tenantId); // 404s for unknown documents
+
+  return templates().insert({
+    id: crypto.randomUUID(),
+    tenantId: tenantId || null,
+    name,
+    description,
+    pdfId,
+    fields: sanitizeLayout(fields || []),
+  });
+};
+
+const listTemplates = async ({ pdfId } = {}, tenantId) =>
+  templates().find({ ...scopeFilter(tenantId), ...(pdfId ? { pdfId } : {}) });
+
+const getTemplate = async (id, tenantId) => {
+  const template = await templates().findById(id);
+  if (!inScope(template, tenantId)) throw new HttpError(404, 'Template not found');
+  return template;
+};
+
+// Name, description and layout are editable; the bound document is not
+const updateTemplate = async (id, { name, description, fields }, tenantId) => {
+  await getTemplate(id, tenantId);
+  const changes = {};
+  if (name !== undefined) {
+    if (!name) throw new HttpError(400, 'name cannot be empty');
+    changes.name = name;
+  }
+  if (description !== undefined) changes.description = description;
+  if (fields !== undefined) changes.fields = sanitizeLayout(fields);
+  return templates().update(id, changes);
+};
+
+const cloneTemplate = async (id, { name } = {}, tenantId) => {
+  const source = await getTemplate(id, tenantId);
+  return templates().insert({
+    id: crypto.randomUUID(),
+    tenantId: source.tenantId,
+    name: name || `${source.name} (copy)`,
+    description: source.description,
+    pdfId: source.pdfId,
+    fields: source.fields,
+  });
+};
+
+const deleteTemplate = async (id, tenantId) => {
+  await getTemplate(id, tenantId);
+  await templates().remove(id);
+};
+
+// Fresh field instances for a new signing session: same geometry, new ids, empty values
+const instantiateTemplate = async (id, tenantId) => {
+  const template = await getTemplate(id, tenantId);
+  return {
+    templateId: template.id,
+    pdfId: template.pdfId,
+    fields: template.fields.map((field) => ({
+      ...field,
+      id: crypto.randomUUID(),
+      value: '',
+    })),
+  };
+};
+
+module.exports = {
+  sanitizeLayout,
+  createTemplate,
+  listTemplates,
+  getTemplate,
+  updateTemplate,
+  cloneTemplate,
+  deleteTemplate,
+  instantiateTemplate,
+};
@@ -0,0 +1,182 @@
+// RFC 3161 timestamps - a client for a real TSA, and a local stand-in authority for development
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { HttpError } = require('./errors');
+
+const { asn1 } = forge;
+
+// A stalled TSA would hold the signing request, and any envelope lock with it
+const TIMEOUT_MS = Number(process.env.TSA_TIMEOUT_S || 10) * 1000;
+
+const OIDS = {
+  tstInfo: '1.2.840.113549.1.9.16.1.4',
+  timeStampToken: '1.2.840.113549.1.9.16.2.14',
+  // Policy the stand-in stamps on its tokens - under IANA's documentation enterprise number
+  standInPolicy: '1.3.6.1.4.1.32473.1',
+};
+
+const toDer = (node) => Buffer.from(asn1.toDer(node).getBytes(), 'binary');
+const fromDer = (buffer) => asn1.fromDer(forge.util.createBuffer(buffer.toString('binary')));
+
+const integer = (bytes) =>
+  asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, bytes.toString('binary'));
+
+// Random positive INTEGER - clearing the top bit keeps it from reading as negative
+const randomInteger = () => {
+  const bytes = crypto.randomBytes(8);
+  bytes[0] &= 0x7f;
+  return integer(bytes);
+};
+
+// MessageImprint ::= SEQUENCE { hashAlgorithm, hashedMessage }
+const messageImprint = (data) =>
+  asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(
+        asn1.Class.UNIVERSAL,
+        asn1.Type.OID,
+        false,
+        asn1.oidToDer(forge.pki.oids.sha256).getBytes()
+      ),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, ''),
+    ]),
+    asn1.create(
+      asn1.Class.UNIVERSAL,
+      asn1.Type.OCTETSTRING,
+      false,
+      crypto.createHash('sha256').update(data).digest().toString('binary')
+    ),
+  ]);
+
+// TimeStampReq ::= SEQUENCE { version, messageImprint, nonce, certReq }
+const createTimestampRequest = (data) =>
+  asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()),
+    messageImprint(data),
+    randomInteger(),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BOOLEAN, false, String.fromCharCode(0xff)),
+  ]);
+
+// TSTInfo sits inside the token's SignedData as an encapsulated OCTET STRING
+const readTstInfo = (token) => {
+  const signedData = token.value[1].value[0];
+  const encapsulated = signedData.value[2];
+  return asn1.fromDer(encapsulated.value[1].value[0].value);
+};
+
+// Ask the TSA at `url` to timestamp `data` (the CMS signature value). Returns the
+// TimeStampToken as forge ASN.1, ready to embed as an unsigned attribute.
+const requestTimestamp = async (url, data) => {
+  const request = createTimestampRequest(data);
+  const timedOut = () =>
+    new HttpError(504, `Timestamp authority took longer than ${TIMEOUT_MS / 1000}s`);
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/timestamp-query' },
+      body: toDer(request),
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') throw timedOut();
+    throw new HttpError(502, 'Timestamp authority is unreachable', { error: error.message });
+  }
+  if (!response.ok) {
+    throw new HttpError(502, `Timestamp authority answered ${response.status}`);
+  }
+
+  let token;
+  let tstInfo;
+  try {
+    const reply = fromDer(Buffer.from(await response.arrayBuffer()));
+    const status = asn1.derToInteger(reply.value[0].value[0].value);
+    // 0 = granted, 1 = granted with modifications
+    if (status > 1 || !reply.value[1]) {
+      throw new HttpError(502, 'Timestamp authority rejected the request', { status });
+    }
+    token = reply.value[1];
+    tstInfo = readTstInfo(token);
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    if (error.name === 'TimeoutError') throw timedOut();
+    throw new HttpError(502, 'Timestamp authority sent an unreadable response', {
+      error: error.message,
+    });
+  }
+
+  // A token for some other hash is worthless - make sure it covers what we sent
+  if (!toDer(tstInfo.value[2]).equals(toDer(request.value[1]))) {
+    throw new HttpError(502, 'Timestamp token does not match the signature');
+  }
+  return { token, genTime: asn1.generalizedTimeToDate(tstInfo.value[4].value) };
+};
+
+// Stand-in TSA: answer a DER TimeStampReq with a token signed by `key`/`certificate`.
+// Good enough for development and tests; production should point TSA_URL at a real authority.
+const createTimestampResponse = (requestDer, { key, certificate }) => {
+  const request = fromDer(requestDer);
+  const imprint = request.value[1];
+  const nonce = request.value.find(
+    (node, index) => index > 1 && node.type === asn1.Type.INTEGER
+  );
+  const genTime = new Date();
+
+  const tstInfo = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()),
+    asn1.create(
+      asn1.Class.UNIVERSAL,
+      asn1.Type.OID,
+      false,
+      asn1.oidToDer(OIDS.standInPolicy).getBytes()
+    ),
+    imprint,
+    randomInteger(),
+    asn1.create(
+      asn1.Class.UNIVERSAL,
+      asn1.Type.GENERALIZEDTIME,
+      false,
+      asn1.dateToGeneralizedTime(genTime)
+    ),
+    ...(nonce ? [nonce] : []),
+  ]);
+  const tstInfoDer = asn1.toDer(tstInfo).getBytes();
+
+  // Encapsulated (not detached) SignedData whose content type is TSTInfo
+  const p7 = forge.pkcs7.createSignedData();
+  p7.content = forge.util.createBuffer(tstInfoDer);
+  p7.contentInfo = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OIDS.tstInfo).getBytes()),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, tstInfoDer),
+    ]),
+  ]);
+  p7.addCertificate(certificate);
+  p7.addSigner({
+    key,
+    certificate,
+    digestAlgorithm: forge.pki.oids.sha256,
+    authenticatedAttributes: [
+      { type: forge.pki.oids.contentType, value: OIDS.tstInfo },
+      { type: forge.pki.oids.messageDigest },
+      { type: forge.pki.oids.signingTime, value: genTime },
+    ],
+  });
+  p7.sign();
+
+  // TimeStampResp ::= SEQUENCE { status PKIStatusInfo, timeStampToken }
+  return toDer(
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(0).getBytes()),
+      ]),
+      p7.toAsn1(),
+    ])
+  );
+};
+
+module.exports = {
+  TIMESTAMP_TOKEN_OID: OIDS.timeStampToken,
+  requestTimestamp,
+  createTimestampResponse,
+};
@@ -0,0 +1,20 @@
+// Single-file multipart uploads held in memory - callers hash and validate before storing
+const multer = require('multer');
+const { MAX_UPLOAD_BYTES } = require('./documents');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+});
+
+// Multer reports oversize files itself, so translate that into a 413
+const uploadSingle = (fieldName = 'file') => (req, res, next) =>
+  upload.single(fieldName)(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: 'File is too large' });
+    }
+    return res.status(400).json({ message: err.message });
+  });
+
+module.exports = { uploadSingle };
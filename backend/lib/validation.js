@@ -0,0 +1,235 @@
+// Field validation - per-field rules (required, max length, formats, date ranges, radio groups)
+// checked before anything is burned. The editor runs the same checks in src/lib/validation.js.
+const vm = require('vm');
+const { CHOICE_TYPES } = require('./burn');
+
+// Built-in formats for text fields; `regex` uses the field's own `pattern`
+const FORMATS = {
+  email: { test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value), label: 'an email address' },
+  phone: {
+    test: (value) => /^\+?[\d\s().-]+$/.test(value) && value.replace(/\D/g, '').length >= 7,
+    label: 'a phone number',
+  },
+  number: { test: (value) => /^[-+]?\d+(\.\d+)?$/.test(value), label: 'a number' },
+  regex: null,
+};
+
+// Patterns are run against signer input on the server, so keep them short
+const MAX_PATTERN_LENGTH = 200;
+// How long one pattern may spend on one value before the value is rejected
+const PATTERN_TIMEOUT_MS = 50;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Checkboxes and radios are burned checked only when their value is truthy, so false is unset
+const isUnset = (field) =>
+  CHOICE_TYPES.includes(field.type) ? !field.value : isEmpty(field.value);
+
+const compilePattern = (pattern) => {
+  try {
+    return new RegExp(`^(?:${pattern})$`);
+  } catch {
+    return null;
+  }
+};
+
+// Why a pattern could backtrack for an exponentially long time, or null. Anyone with a signing
+// link can send values, so a repeated group may not contain a quantifier or an alternation -
+// `(a+)+`, `(a?)*`, `(a|ab)*` - and backreferences are out. Run on valid patterns only.
+const patternRisk = (pattern) => {
+  // Per open group: can what's inside match in more than one way?
+  const groups = [{ varies: false }];
+  // What a quantifier here would repeat - null after `(`, `|` or another quantifier
+  let last = null;
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    const top = groups[groups.length - 1];
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1])) return 'backreferences are not allowed';
+      i += 1;
+      last = { varies: false };
+    } else if (char === '[') {
+      i += pattern[i + 1] === '^' ? 2 : 1;
+      if (pattern[i] === ']') i += 1;
+      while (i < pattern.length && pattern[i] !== ']') i += pattern[i] === '\\' ? 2 : 1;
+      last = { varies: false };
+    } else if (char === '(') {
+      const prefix = /^\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/.exec(pattern.slice(i + 1));
+      if (prefix) i += prefix[0].length;
+      groups.push({ varies: false });
+      last = null;
+    } else if (char === ')') {
+      last = groups.pop();
+      if (last.varies) groups[groups.length - 1].varies = true;
+    } else if (char === '|') {
+      top.varies = true;
+      last = null;
+    } else if ('*+?{'.includes(char)) {
+      let repeats = char !== '?';
+      let varies = true;
+      if (char === '{') {
+        const bounds = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+        if (!bounds) {
+          last = { varies: false };
+          continue;
+        }
+        const min = Number(bounds[1]);
+        const max = bounds[2] ? (bounds[3] === '' ? Infinity : Number(bounds[3])) : min;
+        repeats = max > 1;
+        varies = max !== min;
+        i += bounds[0].length - 1;
+      }
+      if (pattern[i + 1] === '?') i += 1;
+      if (repeats && last?.varies) return 'a repeated group may not contain a quantifier or |';
+      if (varies) top.varies = true;
+      last = null;
+    } else {
+      last = { varies: false };
+    }
+  }
+  return null;
+};
+
+// Patterns run in their own context so a slow one can be cut off
+const patternContext = vm.createContext({ pattern: null, value: '' });
+const runPattern = new vm.Script('pattern.test(value)');
+
+// true or false, or null when the pattern ran out of time on this value
+const matchesPattern = (pattern, text) => {
+  const compiled = compilePattern(pattern);
+  if (!compiled) return false;
+  Object.assign(patternContext, { pattern: compiled, value: text });
+  try {
+    return runPattern.runInContext(patternContext, { timeout: PATTERN_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') return null;
+    throw error;
+  } finally {
+    Object.assign(patternContext, { pattern: null, value: '' });
+  }
+};
+
+// Problems with the rules themselves - reported when a layout is saved or a payload arrives
+const ruleError = (field) => {
+  const { required, placeholder, maxLength, format, pattern, minDate, maxDate, groupName } = field;
+  if (required !== undefined && typeof required !== 'boolean') return 'required must be a boolean';
+  if (placeholder !== undefined && typeof placeholder !== 'string') {
+    return 'placeholder must be a string';
+  }
+  if (maxLength !== undefined && (!Number.isInteger(maxLength) || maxLength < 1)) {
+    return 'maxLength must be a positive integer';
+  }
+  if (format !== undefined && !Object.keys(FORMATS).includes(format)) {
+    return `format must be one of ${Object.keys(FORMATS).join(', ')}`;
+  }
+  if (format === 'regex') {
+    if (typeof pattern !== 'string' || !pattern || pattern.length > MAX_PATTERN_LENGTH) {
+      return `pattern must be a regular expression of at most ${MAX_PATTERN_LENGTH} characters`;
+    }
+    if (!compilePattern(pattern)) return 'pattern is not a valid regular expression';
+    const risk = patternRisk(pattern);
+    if (risk) return `pattern could take too long to check: ${risk}`;
+  }
+  for (const [key, date] of [['minDate', minDate], ['maxDate', maxDate]]) {
+    if (date !== undefined && !DATE_PATTERN.test(date)) return `${key} must be YYYY-MM-DD`;
+  }
+  if (minDate && maxDate && minDate > maxDate) return 'minDate must not be after maxDate';
+  if ((maxLength !== undefined || format !== undefined) && field.type !== 'text') {
+    return 'maxLength and format only apply to text fields';
+  }
+  if ((minDate !== undefined || maxDate !== undefined) && field.type !== 'date') {
+    return 'minDate and maxDate only apply to date fields';
+  }
+  if (groupName !== undefined && (typeof groupName !== 'string' || !groupName)) {
+    return 'groupName must be a non-empty string';
+  }
+  if (groupName && field.type !== 'radio') return 'Only radio fields can join a group';
+  if (field.exportValue !== undefined) {
+    if (typeof field.exportValue !== 'string' || !field.exportValue) {
+      return 'exportValue must be a non-empty string';
+    }
+    if (!['radio', 'checkbox'].includes(field.type)) {
+      return 'exportValue only applies to radio and checkbox fields';
+    }
+  }
+  return null;
+};
+
+// Problems with the value a field was given; grouped radios are checked as a group
+const valueError = (field) => {
+  const { value } = field;
+  if (isUnset(field)) {
+    return field.required && !field.groupName ? 'This field is required' : null;
+  }
+
+  const text = String(value);
+  if (field.maxLength && text.length > field.maxLength) {
+    return `Must be at most ${field.maxLength} characters`;
+  }
+  if (field.format === 'regex') {
+    const matches = matchesPattern(field.pattern, text);
+    if (matches === null) return 'Took too long to check against the required format';
+    if (!matches) return 'Does not match the required format';
+  } else if (field.format && !FORMATS[field.format].test(text.trim())) {
+    return `Must be ${FORMATS[field.format].label}`;
+  }
+  if (field.type === 'date' && (field.minDate || field.maxDate)) {
+    if (!DATE_PATTERN.test(text)) return 'Must be a date (YYYY-MM-DD)';
+    if (field.minDate && text < field.minDate) return `Must be on or after ${field.minDate}`;
+    if (field.maxDate && text > field.maxDate) return `Must be on or before ${field.maxDate}`;
+  }
+  return null;
+};
+
+const fieldError = (field, index, message) => ({
+  index,
+  ...(field?.id ? { fieldId: field.id } : {}),
+  message,
+});
+
+// A group is required when any member is; only one member may be selected, and each
+// member needs its own export value
+const groupErrors = (fields) => {
+  const groups = new Map();
+  fields.forEach((field, index) => {
+    if (field?.type !== 'radio' || !field.groupName) return;
+    if (!groups.has(field.groupName)) groups.set(field.groupName, []);
+    groups.get(field.groupName).push({ field, index });
+  });
+
+  const errors = [];
+  for (const [name, members] of groups) {
+    const selected = members.filter(({ field }) => !isUnset(field));
+    const exportValues = members.map(({ field }) => field.exportValue).filter(Boolean);
+    let message = null;
+    if (new Set(exportValues).size < exportValues.length) {
+      message = `Options in "${name}" need different export values`;
+    } else if (selected.length > 1) {
+      message = `Only one option in "${name}" can be selected`;
+    } else if (selected.length === 0 && members.some(({ field }) => field.required)) {
+      message = `Choose one option in "${name}"`;
+    }
+    if (!message) continue;
+    members.forEach(({ field, index }) => errors.push(fieldError(field, index, message)));
+  }
+  return errors;
+};
+
+// Rule problems only - for layouts that carry no values yet
+const validateRules = (fields) =>
+  fields.flatMap((field, index) => {
+    const message = ruleError(field || {});
+    return message ? [fieldError(field, index, message)] : [];
+  });
+
+// Every problem with a filled-in field list: bad rules, bad values and bad groups
+const validateFields = (fields) => {
+  const errors = fields.flatMap((field, index) => {
+    const message = ruleError(field || {}) || valueError(field || {});
+    return message ? [fieldError(field, index, message)] : [];
+  });
+  return [...errors, ...groupErrors(fields)];
+};
+
+module.exports = { validateRules, validateFields };
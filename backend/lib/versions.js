@@ -0,0 +1,112 @@
+// Version history - a document's original plus every signed output made from it. Signing passes
+// are incremental updates, so each version still contains the one it was built on as a prefix;
+// checking a version means finding those prefixes at the file's %%EOF markers.
+const { getDocument, hashBuffer } = require('./documents');
+const { findSignedDocument, listSignedDocuments } = require('./audit');
+const { readSignedFile } = require('./signing');
+const { listRevisions } = require('./incremental');
+const { signedFileUrl } = require('./downloads');
+const { inScope } = require('./auth');
+const { HttpError } = require('./errors');
+
+// Version 0 is the original; signed outputs are numbered in the order they were made
+const documentVersions = async (pdfId, tenantId) => {
+  const document = await getDocument(pdfId, tenantId);
+  const outputs = await listSignedDocuments({ pdfId, tenantId: tenantId || null });
+  const versionOf = new Map(outputs.map((signed, index) => [signed.signedHash, index + 1]));
+  const original = {
+    version: 0,
+    type: 'original',
+    sha256: document.sha256,
+    size: document.size,
+    createdAt: document.createdAt || null,
+  };
+  const signed = outputs.map((record, index) => ({
+    version: index + 1,
+    type: 'signed',
+    sha256: record.signedHash,
+    // Which version this pass was appended to - safe copies keep nothing to point back at
+    basedOn: record.safeCopy ? null : versionOf.get(record.previousHash) ?? 0,
+    previousHash: record.previousHash ?? null,
+    envelopeId: record.envelopeId,
+    safeCopy: Boolean(record.safeCopy),
+    digitalSignature: Boolean(record.digitalSignature),
+    size: record.size ?? null,
+    signedUrl: signedFileUrl(record.signedFile),
+    createdAt: record.createdAt,
+  }));
+  return { document, versions: [original, ...signed], outputs };
+};
+
+const listVersions = async (pdfId, tenantId) => {
+  const { document, versions } = await documentVersions(pdfId, tenantId);
+  return { documentId: document.id, name: document.name, versions };
+};
+
+// Name each revision of `buffer` with `identify(sha256)`, which resolves to { type, ... } or
+// null. An unknown revision followed by a known signed one is a step inside that pass - the
+// burned pages before a certificate page, or the file before its seal. Unknown revisions after
+// the last signed one were added by someone else.
+const labelRevisions = async (buffer, identify) => {
+  const revisions = [];
+  for (const revision of listRevisions(buffer)) {
+    let labelled = null;
+    for (const { length, sha256 } of [revision, revision.bare].filter(Boolean)) {
+      const label = await identify(sha256);
+      if (label) {
+        labelled = { length, sha256, ...label };
+        break;
+      }
+    }
+    revisions.push(labelled || { length: revision.length, sha256: revision.sha256, type: null });
+  }
+
+  let nextSigned = null;
+  for (let index = revisions.length - 1; index >= 0; index -= 1) {
+    const revision = revisions[index];
+    if (revision.type === 'signed') nextSigned = revision;
+    else if (revision.type === null && nextSigned) {
+      revisions[index] = { ...revision, type: 'step', partOf: nextSigned.sha256 };
+    }
+  }
+  return revisions;
+};
+
+// Re-read a signed version and check it against the history: is the file the one recorded,
+// and is every version it was built on still there, byte for byte, at the start of it?
+const checkVersion = async (pdfId, sha256, tenantId) => {
+  const { versions, outputs } = await documentVersions(pdfId, tenantId);
+  const version = versions.find((entry) => entry.type === 'signed' && entry.sha256 === sha256);
+  if (!version) throw new HttpError(404, 'Signed version not found');
+
+  const buffer = readSignedFile(outputs[version.version - 1]);
+  const byHash = new Map(versions.map((entry) => [entry.sha256, entry]));
+  const revisions = await labelRevisions(buffer, async (hash) => {
+    const entry = byHash.get(hash);
+    return entry ? { type: entry.type, version: entry.version } : null;
+  });
+
+  const lineage = [];
+  for (let at = version.basedOn; at !== null; at = versions[at].basedOn ?? null) {
+    lineage.push(at);
+  }
+  const missing = lineage.filter((at) => !revisions.some((revision) => revision.version === at));
+  return {
+    ...version,
+    intact: hashBuffer(buffer) === sha256,
+    revisions,
+    history: { versions: lineage, intact: missing.length === 0, missing },
+  };
+};
+
+// For /verify: the revisions of an uploaded file that are signed outputs or originals of this
+// tenant - a file that isn't a match as a whole may still start with one
+const matchRevisions = (buffer, tenantId) =>
+  labelRevisions(buffer, async (hash) => {
+    const signed = await findSignedDocument(hash, { tenantId: tenantId || null });
+    if (inScope(signed, tenantId)) return { type: 'signed', pdfId: signed.pdfId };
+    const [from] = await listSignedDocuments({ originalHash: hash, tenantId: tenantId || null });
+    return from ? { type: 'original', pdfId: from.pdfId } : null;
+  });
+
+module.exports = { listVersions, checkVersion, matchRevisions };
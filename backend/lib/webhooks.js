@@ -0,0 +1,381 @@
+// Outbound webhooks - registered endpoints receive lifecycle events as signed JSON POSTs.
+// Failed deliveries are retried with exponential backoff; every attempt is kept in a log and
+// any delivery can be replayed. Endpoints must be on the public internet - private, loopback
+// and link-local addresses are refused when a webhook is saved and again when it's called.
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { getCollection } = require('./store');
+const { EVENT_TYPES, subscribe } = require('./events');
+const { inScope, scopeFilter } = require('./auth');
+const { HttpError } = require('./errors');
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 30000);
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+// Receivers should reject signatures older than this
+const SIGNATURE_TOLERANCE_S = 300;
+
+// Addresses a webhook may not reach: this host, private networks, link-local (cloud metadata
+// lives at 169.254.169.254), carrier NAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// For trying webhooks against a receiver on this machine or the local network
+const allowPrivateTargets = () => process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+
+const isBlockedAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is the IPv4 address underneath
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isBlockedAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const blockedTargetError = (address) =>
+  new Error(`${address} is a private, loopback or link-local address`);
+
+// URL hostnames keep IPv6 literals in brackets
+const hostnameOf = (url) => url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+// Why a webhook URL's host is off limits, or null. Hostnames are resolved too, but one that
+// doesn't resolve yet is let through - it's checked again on every delivery.
+const blockedHostReason = async (url) => {
+  if (allowPrivateTargets()) return null;
+  const host = hostnameOf(url).toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return `${host} is this machine`;
+  if (net.isIP(host)) return isBlockedAddress(host) ? blockedTargetError(host).message : null;
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch {
+    return null;
+  }
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  return blocked ? `${host} resolves to ${blockedTargetError(blocked.address).message}` : null;
+};
+
+// dns.lookup that refuses blocked addresses, so the check covers the address actually
+// connected to and a DNS answer can't change between the check and the connection
+const checkedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+    if (blocked) return callback(blockedTargetError(blocked.address));
+    return callback(null, address, family);
+  });
+};
+
+// POST without following redirects. Resolves to the status code; the body isn't read.
+const postJson = (target, headers, body) =>
+  new Promise((resolve, reject) => {
+    const url = new URL(target);
+    if (!allowPrivateTargets() && net.isIP(hostnameOf(url)) && isBlockedAddress(hostnameOf(url))) {
+      reject(blockedTargetError(hostnameOf(url)));
+      return;
+    }
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      ...(allowPrivateTargets() ? {} : { lookup: checkedLookup }),
+    });
+    const timer = setTimeout(
+      () => request.destroy(new Error(`No response in ${TIMEOUT_MS} ms`)),
+      TIMEOUT_MS
+    );
+    request.on('response', (response) => {
+      clearTimeout(timer);
+      response.destroy();
+      resolve(response.statusCode);
+    });
+    request.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+
+const webhooks = () => getCollection('webhooks');
+const deliveries = () => getCollection('webhookDeliveries');
+
+// Pending retries by delivery id
+const timers = new Map();
+
+// 30s, 1m, 2m, 4m... after the 1st, 2nd, 3rd attempt with the default base
+const retryDelay = (attempt) => RETRY_BASE_MS * 2 ** (attempt - 1);
+
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// X-Webhook-Signature is "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+const signatureHeader = (secret, body, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${sign(secret, timestamp, body)}`;
+
+// For receivers: checks the header against the raw body and rejects stale timestamps
+const verifySignature = (secret, body, header, now = Date.now()) => {
+  const parts = Object.fromEntries(
+    String(header || '')
+      .split(',')
+      .map((part) => part.split('='))
+  );
+  const timestamp = Number(parts.t);
+  // Buffer.from(hex) quietly drops malformed input, so check the shape first
+  if (!Number.isFinite(timestamp) || !/^[0-9a-f]{64}$/.test(parts.v1 || '')) return false;
+  if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_S) return false;
+  const expected = Buffer.from(sign(secret, timestamp, body), 'hex');
+  return crypto.timingSafeEqual(expected, Buffer.from(parts.v1, 'hex'));
+};
+
+// Secrets are shown once, when the webhook is created
+const withoutSecret = ({ secret, ...webhook }) => ({
+  ...webhook,
+  secretHint: `…${secret.slice(-4)}`,
+});
+
+const validateWebhook = async ({ url, events }) => {
+  if (url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new HttpError(400, 'url must be an absolute URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new HttpError(400, 'url must use http or https');
+    }
+    const reason = await blockedHostReason(parsed);
+    if (reason) throw new HttpError(400, `url must be a public address: ${reason}`);
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new HttpError(400, 'events must be a non-empty array');
+    }
+    const unknown = events.filter((type) => type !== '*' && !EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new HttpError(400, `Unknown event types: ${unknown.join(', ')}`, {
+        eventTypes: EVENT_TYPES,
+      });
+    }
+  }
+};
+
+const createWebhook = async ({ url, events = ['*'], description = '' }, tenantId) => {
+  if (!url) throw new HttpError(400, 'url is required');
+  await validateWebhook({ url, events });
+  return webhooks().insert({
+    id: crypto.randomUUID(),
+    tenantId: tenantId || null,
+    url,
+    events,
+    description,
+    active: true,
+    secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+  });
+};
+
+const listWebhooks = async (tenantId) =>
+  (await webhooks().find(scopeFilter(tenantId))).map(withoutSecret);
+
+const findWebhook = async (id, tenantId) => {
+  const webhook = await webhooks().findById(id);
+  if (!inScope(webhook, tenantId)) throw new HttpError(404, 'Webhook not found');
+  return webhook;
+};
+
+const getWebhook = async (id, tenantId) => withoutSecret(await findWebhook(id, tenantId));
+
+// url, events, description and active are editable; the secret isn't
+const updateWebhook = async (id, { url, events, description, active }, tenantId) => {
+  await findWebhook(id, tenantId);
+  await validateWebhook({ url, events });
+  const changes = {};
+  if (url !== undefined) changes.url = url;
+  if (events !== undefined) changes.events = events;
+  if (description !== undefined) changes.description = description;
+  if (active !== undefined) changes.active = Boolean(active);
+  return withoutSecret(await webhooks().update(id, changes));
+};
+
+const deleteWebhook = async (id, tenantId) => {
+  await findWebhook(id, tenantId);
+  await webhooks().remove(id);
+};
+
+const schedule = (delivery) => {
+  clearTimeout(timers.get(delivery.id));
+  const delay = Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now());
+  // unref - a pending retry shouldn't keep a script alive; the server picks it up on start
+  const timer = setTimeout(() => {
+    timers.delete(delivery.id);
+    attemptDelivery(delivery.id).catch((error) =>
+      console.error(`Webhook delivery ${delivery.id} failed`, error)
+    );
+  }, delay);
+  timer.unref();
+  timers.set(delivery.id, timer);
+};
+
+// POST the event once and log the attempt. Anything but a 2xx (or no answer in time) is a
+// failure; it's retried until MAX_ATTEMPTS.
+const attemptDelivery = async (id) => {
+  const delivery = await deliveries().findById(id);
+  if (!delivery || !['pending', 'retrying'].includes(delivery.status)) return delivery;
+
+  const webhook = await webhooks().findById(delivery.webhookId);
+  if (!webhook || !webhook.active) {
+    return deliveries().update(id, {
+      status: 'failed',
+      nextAttemptAt: null,
+      error: webhook ? 'Webhook is disabled' : 'Webhook was deleted',
+    });
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+  const attempt = { number: delivery.attempts.length + 1, at: new Date(started).toISOString() };
+  try {
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'signature-proto-webhooks',
+      'X-Webhook-Id': delivery.id,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Signature': signatureHeader(webhook.secret, body),
+    };
+    // Only the status is kept - a receiver's reply shouldn't end up readable in the log
+    attempt.statusCode = await postJson(webhook.url, headers, body);
+    attempt.ok = attempt.statusCode >= 200 && attempt.statusCode < 300;
+  } catch (error) {
+    attempt.ok = false;
+    attempt.error = error.message;
+  }
+  attempt.durationMs = Date.now() - started;
+
+  const attempts = [...delivery.attempts, attempt];
+  const changes = {
+    attempts,
+    error: attempt.ok ? null : attempt.error || `HTTP ${attempt.statusCode}`,
+  };
+  if (attempt.ok) {
+    Object.assign(changes, { status: 'succeeded', nextAttemptAt: null });
+  } else if (attempts.length >= MAX_ATTEMPTS) {
+    Object.assign(changes, { status: 'failed', nextAttemptAt: null });
+  } else {
+    const nextAttemptAt = new Date(Date.now() + retryDelay(attempts.length)).toISOString();
+    Object.assign(changes, { status: 'retrying', nextAttemptAt });
+  }
+
+  const updated = await deliveries().update(id, changes);
+  if (updated.status === 'retrying') schedule(updated);
+  return updated;
+};
+
+const queueDelivery = (webhook, event, replayOf = null) =>
+  deliveries().insert({
+    id: crypto.randomUUID(),
+    tenantId: webhook.tenantId || null,
+    webhookId: webhook.id,
+    event: event.type,
+    eventId: event.id,
+    payload: event,
+    status: 'pending',
+    attempts: [],
+    nextAttemptAt: new Date().toISOString(),
+    error: null,
+    replayOf,
+  });
+
+// One delivery per active webhook of the event's tenant subscribed to the event type - the
+// `internal` part stays in this process
+const dispatch = async ({ internal, ...event }) => {
+  const targets = (await webhooks().find({ active: true })).filter(
+    (webhook) =>
+      (webhook.tenantId || null) === (event.tenantId || null) &&
+      (webhook.events.includes('*') || webhook.events.includes(event.type))
+  );
+  await Promise.all(
+    targets.map(async (webhook) => attemptDelivery((await queueDelivery(webhook, event)).id))
+  );
+};
+
+const listDeliveries = async ({ webhookId, status } = {}, tenantId) => {
+  const filter = scopeFilter(tenantId);
+  if (webhookId) filter.webhookId = webhookId;
+  if (status) filter.status = status;
+  return (await deliveries().find(filter)).reverse();
+};
+
+const getDelivery = async (id, tenantId) => {
+  const delivery = await deliveries().findById(id);
+  if (!inScope(delivery, tenantId)) throw new HttpError(404, 'Delivery not found');
+  return delivery;
+};
+
+// Send a delivery's event again as a new delivery - same event id, so receivers can dedupe.
+// Resolves after the first attempt.
+const replayDelivery = async (id, tenantId) => {
+  const original = await getDelivery(id, tenantId);
+  const webhook = await findWebhook(original.webhookId, tenantId);
+  const delivery = await queueDelivery(webhook, original.payload, original.id);
+  return attemptDelivery(delivery.id);
+};
+
+// A webhook.test event to check an endpoint and its signature handling
+const pingWebhook = async (id, tenantId) => {
+  const webhook = await findWebhook(id, tenantId);
+  const delivery = await queueDelivery(webhook, {
+    id: crypto.randomUUID(),
+    type: 'webhook.test',
+    createdAt: new Date().toISOString(),
+    tenantId: webhook.tenantId || null,
+    data: { webhookId: webhook.id },
+  });
+  return attemptDelivery(delivery.id);
+};
+
+// Subscribe to lifecycle events and pick up retries left over from the last run
+const startWebhooks = async () => {
+  subscribe(dispatch);
+  const pending = [
+    ...(await deliveries().find({ status: 'pending' })),
+    ...(await deliveries().find({ status: 'retrying' })),
+  ];
+  pending.forEach(schedule);
+};
+
+module.exports = {
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  getDelivery,
+  replayDelivery,
+  pingWebhook,
+  startWebhooks,
+  signatureHeader,
+  verifySignature,
+};
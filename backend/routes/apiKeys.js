@@ -0,0 +1,39 @@
+// API key routes - a tenant lists, issues and revokes its own keys
+const express = require('express');
+const { createApiKey, listApiKeys, revokeApiKey } = require('../lib/auth');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+// The calling key's tenant, so a client can check which account it is acting for
+router.get('/me', (req, res) => {
+  res.json({ tenant: req.tenant, apiKey: req.apiKey });
+});
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({ apiKeys: await listApiKeys(req.tenant.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to list API keys');
+  }
+});
+
+// The only response that includes the key itself
+router.post('/', async (req, res) => {
+  try {
+    res.status(201).json(await createApiKey(req.tenant.id, { name: req.body?.name }));
+  } catch (error) {
+    sendError(res, error, 'Failed to create API key');
+  }
+});
+
+// Revoked keys stop working at once and stay listed
+router.delete('/:id', async (req, res) => {
+  try {
+    res.json(await revokeApiKey(req.tenant.id, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke API key');
+  }
+});
+
+module.exports = router;
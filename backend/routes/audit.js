@@ -0,0 +1,30 @@
+// Audit routes - read the event log and check that its hash chain is intact
+const express = require('express');
+const { listEvents, verifyChain } = require('../lib/audit');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+// The tenant's own events. Optional filters: ?envelopeId=, ?documentId=, ?type=
+router.get('/', async (req, res) => {
+  try {
+    const filter = { tenantId: req.tenant.id };
+    ['envelopeId', 'documentId', 'type'].forEach((key) => {
+      if (req.query[key]) filter[key] = req.query[key];
+    });
+    res.json({ events: await listEvents(filter) });
+  } catch (error) {
+    sendError(res, error, 'Failed to load audit log');
+  }
+});
+
+// The chain runs through every tenant's events; the answer describes only the tenant's own
+router.get('/chain', async (req, res) => {
+  try {
+    res.json(await verifyChain(req.tenant.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to verify audit chain');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,13 @@
+// Auth routes - trade an API key for a short-lived editor token, which is what the browser
+// editor keeps instead of the key
+const express = require('express');
+const { createEditorToken } = require('../lib/auth');
+
+const router = express.Router();
+
+// Needs an API key (requireFullAccess) - a token can't be used to get a fresh one
+router.post('/token', (req, res) => {
+  res.status(201).json({ ...createEditorToken(req.apiKey), tenant: req.tenant });
+});
+
+module.exports = router;
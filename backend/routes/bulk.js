@@ -0,0 +1,38 @@
+// Bulk send routes - start a CSV job and follow its progress
+const express = require('express');
+const { createBulkJob, getBulkJob, listBulkJobs } = require('../lib/bulk');
+const { sendError } = require('../lib/errors');
+const { requestContext } = require('../lib/audit');
+
+const router = express.Router();
+
+// Answers 202 with the queued job - rows run in the background, poll GET /:id for progress
+router.post('/', async (req, res) => {
+  try {
+    const job = await createBulkJob(req.body || {}, {
+      context: requestContext(req),
+      apiKeyId: req.apiKey.id,
+    });
+    res.status(202).json(job);
+  } catch (error) {
+    sendError(res, error, 'Failed to start bulk job');
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({ jobs: await listBulkJobs(req.tenant.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to list bulk jobs');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await getBulkJob(req.params.id, req.tenant.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to load bulk job');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,174 @@
+// Document routes - upload (converting non-PDFs), render, generate, list, fetch and delete
+// source PDFs, and their signed version history
+const express = require('express');
+const {
+  listDocuments,
+  getDocument,
+  loadDocumentBytes,
+  deleteDocument,
+} = require('../lib/documents');
+const { getFormFields } = require('../lib/acroform');
+const { getAnchorFields } = require('../lib/anchors');
+const { ingestDocument } = require('../lib/convert');
+const { generateDocument } = require('../lib/docgen');
+const { listVersions, checkVersion } = require('../lib/versions');
+const { HttpError, sendError } = require('../lib/errors');
+const { uploadSingle } = require('../lib/upload');
+const { recordEvent, requestContext } = require('../lib/audit');
+
+const router = express.Router();
+
+const RENDER_FORMATS = ['html', 'markdown', 'text'];
+
+const recordCreated = (req, document) =>
+  recordEvent('document.created', {
+    context: requestContext(req),
+    documentId: document.id,
+    data: {
+      name: document.name,
+      sha256: document.sha256,
+      pageCount: document.pageCount,
+      ...(document.source ? { convertedFrom: document.source.format } : {}),
+    },
+  });
+
+// PDFs are stored as they are; images, Word, HTML, Markdown and text files are converted first
+router.post('/', uploadSingle('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ message: 'file field with a PDF, image or document is required' });
+    }
+    const document = await ingestDocument(req.file.buffer, {
+      fileName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      name: req.body.name,
+      pageSize: req.body.pageSize,
+      tenantId: req.tenant.id,
+    });
+    if (!document.duplicate) await recordCreated(req, document);
+    res.status(document.duplicate ? 200 : 201).json(document);
+  } catch (error) {
+    sendError(res, error, 'Failed to upload document');
+  }
+});
+
+// HTML, Markdown or text sent as JSON, laid out into a PDF document
+router.post('/render', async (req, res) => {
+  try {
+    const { name, format = 'markdown', content, pageSize } = req.body || {};
+    if (!RENDER_FORMATS.includes(format)) {
+      throw new HttpError(400, `format must be one of: ${RENDER_FORMATS.join(', ')}`);
+    }
+    if (typeof content !== 'string' || !content.trim()) {
+      throw new HttpError(400, 'content must be a non-empty string');
+    }
+    const document = await ingestDocument(Buffer.from(content, 'utf8'), {
+      format,
+      name: name || `Rendered ${format}`,
+      pageSize,
+      tenantId: req.tenant.id,
+    });
+    if (!document.duplicate) await recordCreated(req, document);
+    res.status(document.duplicate ? 200 : 201).json(document);
+  } catch (error) {
+    sendError(res, error, 'Failed to render document');
+  }
+});
+
+// A JSON template merged with a JSON data payload. Answers with the document and the fields
+// the template declared, placed where it marked them.
+router.post('/generate', async (req, res) => {
+  try {
+    const { template, data, name, pageSize } = req.body || {};
+    const { document, fields } = await generateDocument(
+      { template, data, name, pageSize },
+      req.tenant.id
+    );
+    if (!document.duplicate) await recordCreated(req, document);
+    res.status(document.duplicate ? 200 : 201).json({ document, fields });
+  } catch (error) {
+    sendError(res, error, 'Failed to generate document');
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({ documents: await listDocuments(req.tenant.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to list documents');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await getDocument(req.params.id, req.tenant.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to load document');
+  }
+});
+
+router.get('/:id/file', async (req, res) => {
+  try {
+    const buffer = await loadDocumentBytes(req.params.id, req.tenant.id);
+    res.type('application/pdf').send(buffer);
+  } catch (error) {
+    sendError(res, error, 'Failed to load document');
+  }
+});
+
+// The original and every signed version made from it, oldest first
+router.get('/:id/versions', async (req, res) => {
+  try {
+    res.json(await listVersions(req.params.id, req.tenant.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to list versions');
+  }
+});
+
+// One signed version, re-hashed, with the earlier versions found inside it
+router.get('/:id/versions/:sha256', async (req, res) => {
+  try {
+    res.json(await checkVersion(req.params.id, req.params.sha256, req.tenant.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to check version');
+  }
+});
+
+// Native AcroForm fields, shaped like editor fields so the overlay can show them as-is
+router.get('/:id/form-fields', async (req, res) => {
+  try {
+    await getDocument(req.params.id, req.tenant.id);
+    res.json({ fields: await getFormFields(req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to read form fields');
+  }
+});
+
+// Fields at the document's anchor tags, for previewing where they'll land.
+// ?offsetX=&offsetY= shift them the same way the `anchors` burn option does.
+router.get('/:id/anchors', async (req, res) => {
+  try {
+    const { offsetX = 0, offsetY = 0 } = req.query;
+    await getDocument(req.params.id, req.tenant.id);
+    const fields = await getAnchorFields(req.params.id, {
+      offsetX: Number(offsetX),
+      offsetY: Number(offsetY),
+    });
+    res.json({ fields });
+  } catch (error) {
+    sendError(res, error, 'Failed to read anchor tags');
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    await deleteDocument(req.params.id, req.tenant.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete document');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+// Envelope routes - create multi-signer envelopes and follow their progress
+const express = require('express');
+const {
+  createEnvelope,
+  listEnvelopes,
+  getEnvelope,
+  withLinks,
+} = require('../lib/envelopes');
+const { remindSigners } = require('../lib/notifications');
+const { sendError } = require('../lib/errors');
+const { requestContext } = require('../lib/audit');
+
+const router = express.Router();
+
+router.post('/', async (req, res) => {
+  try {
+    res.status(201).json(await createEnvelope(req.body || {}, requestContext(req)));
+  } catch (error) {
+    sendError(res, error, 'Failed to create envelope');
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({ envelopes: await listEnvelopes(req.tenant.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to list envelopes');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(withLinks(await getEnvelope(req.params.id, req.tenant.id)));
+  } catch (error) {
+    sendError(res, error, 'Failed to load envelope');
+  }
+});
+
+// Email everyone whose turn it is now, whatever the reminder schedule says
+router.post('/:id/remind', async (req, res) => {
+  try {
+    res.status(201).json({ notifications: await remindSigners(req.params.id, req.tenant.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to send reminders');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+// Notification routes - the log of emails sent for envelopes and signed documents, and resends
+const express = require('express');
+const {
+  listNotifications,
+  getNotification,
+  resendNotification,
+} = require('../lib/notifications');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+// ?envelopeId=, ?status= (pending, retrying, sent, failed) and ?template= narrow the log
+router.get('/', async (req, res) => {
+  try {
+    const { envelopeId, status, template } = req.query;
+    res.json({
+      notifications: await listNotifications({ envelopeId, status, template }, req.tenant.id),
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list notifications');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await getNotification(req.params.id, req.tenant.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to load notification');
+  }
+});
+
+// Answers with the new notification after its first attempt
+router.post('/:id/resend', async (req, res) => {
+  try {
+    res.status(201).json(await resendNotification(req.params.id, req.tenant.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to resend notification');
+  }
+});
+
+module.exports = router;
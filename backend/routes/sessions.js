@@ -0,0 +1,83 @@
+// Sign session routes - create, autosave, resume and finalize editor drafts. Responses carry the
+// session version as an ETag; saves send it back in If-Match (or as `version` in the body).
+const express = require('express');
+const {
+  createSession,
+  getSession,
+  listSessions,
+  updateSession,
+  finalizeSession,
+  deleteSession,
+} = require('../lib/sessions');
+const { requestContext } = require('../lib/audit');
+const { limitSigningPerKey } = require('../lib/rateLimit');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+// If-Match: "3" (weak or strong) takes precedence over a body version
+const requestVersion = (req) => {
+  const match = req.get('if-match');
+  if (match) return match.replace(/^W\//, '').replace(/"/g, '').trim();
+  return req.body?.version;
+};
+
+const sendSession = (res, session, status = 200) => {
+  res.set('ETag', `"${session.version}"`);
+  res.status(status).json(session);
+};
+
+router.post('/', async (req, res) => {
+  try {
+    const context = requestContext(req);
+    sendSession(res, await createSession(req.body || {}, context), 201);
+  } catch (error) {
+    sendError(res, error, 'Failed to create session');
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({ sessions: await listSessions({ status: req.query.status }, req.tenant.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to list sessions');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    sendSession(res, await getSession(req.params.id, req.tenant.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to load session');
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  try {
+    const options = { version: requestVersion(req), tenantId: req.tenant.id };
+    sendSession(res, await updateSession(req.params.id, req.body || {}, options));
+  } catch (error) {
+    sendError(res, error, 'Failed to save session');
+  }
+});
+
+router.post('/:id/finalize', limitSigningPerKey, async (req, res) => {
+  try {
+    const context = requestContext(req);
+    const session = await finalizeSession(req.params.id, { version: requestVersion(req), context });
+    sendSession(res, session);
+  } catch (error) {
+    sendError(res, error, 'Failed to finalize session');
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    await deleteSession(req.params.id, req.tenant.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete session');
+  }
+});
+
+module.exports = router;
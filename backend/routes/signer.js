@@ -0,0 +1,53 @@
+// Signer routes - reached through the tokenized link each recipient receives
+const express = require('express');
+const {
+  getSigningView,
+  loadSigningDocument,
+  completeSigning,
+  declineSigning,
+} = require('../lib/envelopes');
+const { sendError } = require('../lib/errors');
+const { requestContext } = require('../lib/audit');
+const { signingRateLimit } = require('../lib/rateLimit');
+
+const router = express.Router();
+
+// Signers have no key, so submissions are counted per IP
+const limitSubmissions = signingRateLimit((req) => `signer:${req.ip}`);
+
+router.get('/:token', async (req, res) => {
+  try {
+    res.json(await getSigningView(req.params.token, requestContext(req)));
+  } catch (error) {
+    sendError(res, error, 'Failed to load signing session');
+  }
+});
+
+router.get('/:token/file', async (req, res) => {
+  try {
+    res.type('application/pdf').send(await loadSigningDocument(req.params.token));
+  } catch (error) {
+    sendError(res, error, 'Failed to load document');
+  }
+});
+
+// Body: { values: { [fieldId]: value }, signatureMethods: { [fieldId]: method },
+// signatureStrokes: { [fieldId]: strokes } } for the signer's own fields
+router.post('/:token', limitSubmissions, async (req, res) => {
+  try {
+    res.json(await completeSigning(req.params.token, req.body || {}, requestContext(req)));
+  } catch (error) {
+    sendError(res, error, 'Failed to submit signature');
+  }
+});
+
+// Body: { reason } - closes the envelope for every recipient
+router.post('/:token/decline', limitSubmissions, async (req, res) => {
+  try {
+    res.json(await declineSigning(req.params.token, req.body?.reason || '', requestContext(req)));
+  } catch (error) {
+    sendError(res, error, 'Failed to decline');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+// Template routes - save, list, clone, edit and delete field layouts
+const express = require('express');
+const {
+  createTemplate,
+  listTemplates,
+  getTemplate,
+  updateTemplate,
+  cloneTemplate,
+  deleteTemplate,
+  instantiateTemplate,
+} = require('../lib/templates');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+router.post('/', async (req, res) => {
+  try {
+    res.status(201).json(await createTemplate(req.body || {}, req.tenant.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to save template');
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({ templates: await listTemplates({ pdfId: req.query.pdfId }, req.tenant.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to list templates');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await getTemplate(req.params.id, req.tenant.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to load template');
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  try {
+    res.json(await updateTemplate(req.params.id, req.body || {}, req.tenant.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to update template');
+  }
+});
+
+router.post('/:id/clone', async (req, res) => {
+  try {
+    res.status(201).json(await cloneTemplate(req.params.id, req.body || {}, req.tenant.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to clone template');
+  }
+});
+
+// Start a new signing session from the template's layout
+router.post('/:id/sessions', async (req, res) => {
+  try {
+    res.status(201).json(await instantiateTemplate(req.params.id, req.tenant.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to start session from template');
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    await deleteTemplate(req.params.id, req.tenant.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete template');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// Stand-in timestamp authority - only mounted when LOCAL_TSA=true, signs with the PKCS#12 key
+const express = require('express');
+const { createTimestampResponse } = require('../lib/tsa');
+const { loadSigningCredentials } = require('../lib/pades');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+router.post('/', express.raw({ type: 'application/timestamp-query' }), (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ message: 'application/timestamp-query body required' });
+    }
+    const reply = createTimestampResponse(req.body, loadSigningCredentials());
+    res.type('application/timestamp-reply').send(reply);
+  } catch (error) {
+    sendError(res, error, 'Failed to create timestamp');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+// Verify route - is this PDF byte-for-byte a document we signed, and where did it come from?
+const express = require('express');
+const { hashBuffer } = require('../lib/documents');
+const { findSignedDocument, listEvents, verifyChain } = require('../lib/audit');
+const { getEnvelope } = require('../lib/envelopes');
+const { matchRevisions } = require('../lib/versions');
+const { uploadSingle } = require('../lib/upload');
+const { inScope } = require('../lib/auth');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+router.post('/', uploadSingle('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'file field with a PDF is required' });
+    }
+
+    const sha256 = hashBuffer(req.file.buffer);
+    const signed = await findSignedDocument(sha256, { tenantId: req.tenant.id });
+    const chain = await verifyChain(req.tenant.id);
+    // Each revision of the file that we produced - a file changed after signing still starts
+    // with the signed version it was changed from
+    const revisions = await matchRevisions(req.file.buffer, req.tenant.id);
+    // Another tenant's output is no match for this one
+    if (!inScope(signed, req.tenant.id)) {
+      return res.json({ sha256, match: false, revisions, chain });
+    }
+
+    let envelope = null;
+    if (signed.envelopeId) {
+      const record = await getEnvelope(signed.envelopeId, req.tenant.id);
+      envelope = {
+        id: record.id,
+        name: record.name,
+        status: record.status,
+        completedAt: record.completedAt || null,
+        recipients: record.recipients.map((r) => ({
+          name: r.name,
+          email: r.email,
+          role: r.role,
+          status: r.status,
+          completedAt: r.completedAt,
+        })),
+      };
+    }
+
+    const signedEvents = await listEvents({ type: 'document.signed', tenantId: req.tenant.id });
+    const [signedEvent] = signedEvents.filter(
+      (event) => event.data.signedHash === sha256
+    );
+
+    res.json({
+      sha256,
+      match: true,
+      document: {
+        pdfId: signed.pdfId,
+        originalHash: signed.originalHash,
+        signedHash: signed.signedHash,
+        previousHash: signed.previousHash ?? null,
+        safeCopy: Boolean(signed.safeCopy),
+        signedAt: signed.createdAt,
+      },
+      envelope,
+      revisions,
+      auditEvent: signedEvent ? { id: signedEvent.id, seq: signedEvent.seq, hash: signedEvent.hash } : null,
+      chain,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to verify PDF');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+// Webhook routes - register endpoints, inspect the delivery log and replay deliveries
+const express = require('express');
+const {
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  getDelivery,
+  replayDelivery,
+  pingWebhook,
+} = require('../lib/webhooks');
+const { EVENT_TYPES } = require('../lib/events');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+// The only response that includes the signing secret - store it then
+router.post('/', async (req, res) => {
+  try {
+    res.status(201).json(await createWebhook(req.body || {}, req.tenant.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to create webhook');
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({ webhooks: await listWebhooks(req.tenant.id), eventTypes: EVENT_TYPES });
+  } catch (error) {
+    sendError(res, error, 'Failed to list webhooks');
+  }
+});
+
+// ?webhookId= and ?status= (pending, retrying, succeeded, failed) narrow the log
+router.get('/deliveries', async (req, res) => {
+  try {
+    const { webhookId, status } = req.query;
+    res.json({ deliveries: await listDeliveries({ webhookId, status }, req.tenant.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to list deliveries');
+  }
+});
+
+router.get('/deliveries/:id', async (req, res) => {
+  try {
+    res.json(await getDelivery(req.params.id, req.tenant.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to load delivery');
+  }
+});
+
+// Answers with the new delivery after its first attempt
+router.post('/deliveries/:id/replay', async (req, res) => {
+  try {
+    res.status(201).json(await replayDelivery(req.params.id, req.tenant.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to replay delivery');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await getWebhook(req.params.id, req.tenant.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to load webhook');
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  try {
+    res.json(await updateWebhook(req.params.id, req.body || {}, req.tenant.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to update webhook');
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    await deleteWebhook(req.params.id, req.tenant.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete webhook');
+  }
+});
+
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    await getWebhook(req.params.id, req.tenant.id);
+    const deliveries = await listDeliveries({ webhookId: req.params.id }, req.tenant.id);
+    res.json({ deliveries });
+  } catch (error) {
+    sendError(res, error, 'Failed to list deliveries');
+  }
+});
+
+// Sends a webhook.test event and answers with its delivery
+router.post('/:id/test', async (req, res) => {
+  try {
+    res.status(201).json(await pingWebhook(req.params.id, req.tenant.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to send test event');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+// Auth - editor tokens stand in for API keys in the browser with less reach, key use is recorded
+// at most once a minute, and the audit chain check only describes the caller's own events
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.EDITOR_TOKEN_SECRET = 'test-secret';
+delete process.env.MONGODB_URI;
+const {
+  authenticate,
+  createApiKey,
+  createEditorToken,
+  createTenant,
+  requireFullAccess,
+  revokeApiKey,
+} = require('../lib/auth');
+const { recordEvent, verifyChain } = require('../lib/audit');
+const { getCollection } = require('../lib/store');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const newKey = async (name = 'Acme') => createApiKey((await createTenant({ name })).id);
+
+// Runs requireFullAccess for a request with `scope`; resolves to the status it answered with
+const accessStatus = (scope) =>
+  new Promise((resolve) => {
+    const res = { status: (code) => ({ json: () => resolve(code) }) };
+    requireFullAccess({ scope }, res, () => resolve(200));
+  });
+
+test('an editor token authenticates as its key, with editor scope', async () => {
+  const apiKey = await newKey();
+  const { token, scope, expiresAt } = createEditorToken(apiKey);
+  assert.equal(scope, 'editor');
+  assert.ok(Date.parse(expiresAt) > Date.now());
+
+  const byToken = await authenticate(token);
+  assert.equal(byToken.tenant.id, apiKey.tenantId);
+  assert.equal(byToken.scope, 'editor');
+  assert.equal((await authenticate(apiKey.key)).scope, 'full');
+});
+
+test('lastUsedAt is refreshed at most once a minute', async () => {
+  const apiKey = await newKey();
+  const keys = getCollection('apiKeys');
+  await authenticate(apiKey.key);
+  const { lastUsedAt } = await keys.findById(apiKey.id);
+  assert.ok(lastUsedAt);
+
+  await authenticate(apiKey.key);
+  assert.equal((await keys.findById(apiKey.id)).lastUsedAt, lastUsedAt);
+
+  const twoMinutesAgo = new Date(Date.now() - 2 * 60 * 1000).toISOString();
+  await keys.update(apiKey.id, { lastUsedAt: twoMinutesAgo });
+  await authenticate(apiKey.key);
+  assert.ok((await keys.findById(apiKey.id)).lastUsedAt > twoMinutesAgo);
+});
+
+test('editor tokens are refused where a full key is needed', async () => {
+  assert.equal(await accessStatus('editor'), 403);
+  assert.equal(await accessStatus('full'), 200);
+});
+
+test('tampered and expired tokens are rejected, and revoking the key ends its tokens', async () => {
+  const apiKey = await newKey();
+  const { token } = createEditorToken(apiKey);
+  const [payload, signature] = token.slice(3).split('.');
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const forgedClaims = JSON.stringify({ ...claims, key: 'someone-else' });
+  const forged = Buffer.from(forgedClaims).toString('base64url');
+  assert.equal(await authenticate(`et_${forged}.${signature}`), null);
+
+  const expired = createEditorToken(apiKey);
+  const realNow = Date.now;
+  Date.now = () => realNow() + 9 * 60 * 60 * 1000;
+  try {
+    assert.equal(await authenticate(expired.token), null);
+  } finally {
+    Date.now = realNow;
+  }
+
+  await revokeApiKey(apiKey.tenantId, apiKey.id);
+  assert.equal(await authenticate(token), null);
+});
+
+test('a tenant sees only its own events in the chain check', async () => {
+  await recordEvent('document.created', { context: { tenantId: 'tenant-a' }, documentId: 'a1' });
+  await recordEvent('document.created', { context: { tenantId: 'tenant-b' }, documentId: 'b1' });
+  const lastOfA = await recordEvent('document.created', {
+    context: { tenantId: 'tenant-a' },
+    documentId: 'a2',
+  });
+
+  const forA = await verifyChain('tenant-a');
+  assert.deepEqual(forA, { valid: true, count: 2, headHash: lastOfA.hash });
+  assert.equal((await verifyChain('tenant-b')).count, 1);
+
+  // Tenant B's entry is changed: A's later event sits after the break, B's own entry is named
+  const events = getCollection('auditEvents');
+  const [entryOfB] = await events.find({ tenantId: 'tenant-b' });
+  await events.update(entryOfB.id, { documentId: 'changed' });
+
+  const brokenForA = await verifyChain('tenant-a');
+  assert.equal(brokenForA.valid, false);
+  assert.equal(brokenForA.brokenAt, lastOfA.seq);
+  assert.equal(brokenForA.reason, 'An earlier entry is invalid');
+  const brokenForB = await verifyChain('tenant-b');
+  assert.deepEqual(
+    { brokenAt: brokenForB.brokenAt, reason: brokenForB.reason },
+    { brokenAt: entryOfB.seq, reason: 'Entry modified' }
+  );
+});
@@ -0,0 +1,64 @@
+// Image conversion limits - a small TIFF can declare a huge image or carry a strip that
+// inflates far past its size, and neither may be decoded into memory
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { imageToPdf } = require('../lib/convert/images');
+
+// Little-endian single-strip greyscale TIFF: width, height, compression and the strip bytes
+const buildTiff = ({ width, height, compression = 1, strip }) => {
+  const entries = [
+    [256, 4, width],
+    [257, 4, height],
+    [258, 3, 8],
+    [259, 3, compression],
+    [262, 3, 1],
+    [273, 4, 0],
+    [277, 3, 1],
+    [278, 4, height],
+    [279, 4, strip.length],
+  ];
+  const ifdSize = 2 + entries.length * 12 + 4;
+  const stripOffset = 8 + ifdSize;
+  const header = Buffer.alloc(stripOffset);
+  header.write('II', 0, 'latin1');
+  header.writeUInt16LE(42, 2);
+  header.writeUInt32LE(8, 4);
+  header.writeUInt16LE(entries.length, 8);
+  entries.forEach(([tag, type, value], index) => {
+    const at = 10 + index * 12;
+    header.writeUInt16LE(tag, at);
+    header.writeUInt16LE(type, at + 2);
+    header.writeUInt32LE(1, at + 4);
+    const stored = tag === 273 ? stripOffset : value;
+    if (type === 3) header.writeUInt16LE(stored, at + 8);
+    else header.writeUInt32LE(stored, at + 8);
+  });
+  return Buffer.concat([header, strip]);
+};
+
+test('a small TIFF converts', async () => {
+  const pixels = Buffer.alloc(16 * 16, 0x80);
+  const pdf = await imageToPdf(buildTiff({ width: 16, height: 16, strip: pixels }), 'tiff');
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+});
+
+test('a TIFF declaring more pixels than the limit is refused before decoding', async () => {
+  const strip = Buffer.alloc(4);
+  const tiff = buildTiff({ width: 60000, height: 60000, compression: 32773, strip });
+  await assert.rejects(imageToPdf(tiff, 'tiff'), (error) => {
+    assert.equal(error.status, 413);
+    assert.match(error.message, /megapixels/);
+    return true;
+  });
+});
+
+test('a Deflate strip that inflates past its rows is refused', async () => {
+  // 16x16 image whose strip inflates to 64 MB of zeros
+  const strip = zlib.deflateSync(Buffer.alloc(64 * 1024 * 1024));
+  const tiff = buildTiff({ width: 16, height: 16, compression: 8, strip });
+  await assert.rejects(imageToPdf(tiff, 'tiff'), (error) => {
+    assert.equal(error.status, 400);
+    return true;
+  });
+});
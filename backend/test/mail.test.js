@@ -0,0 +1,93 @@
+// Mail - addresses and header values can't smuggle extra headers or SMTP commands in
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { buildMessage } = require('../lib/mail/message');
+const { createSmtpTransport } = require('../lib/mail/smtp');
+
+const from = { name: 'Sender', email: 'no-reply@example.com' };
+const message = (changes) => ({
+  from,
+  to: 'signer@example.com',
+  subject: 'Hi',
+  text: 'Hi',
+  ...changes,
+});
+
+// Answers every command with 250 (354 for DATA) and keeps the lines it was sent
+const startFakeSmtp = async () => {
+  const lines = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 fake\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('latin1');
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 queued\r\n');
+          }
+          continue;
+        }
+        lines.push(line);
+        if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, lines, port: server.address().port };
+};
+
+test('addresses with line breaks or extra addresses are refused', () => {
+  for (const to of [
+    'signer@example.com\r\nBcc: victim@example.com',
+    { name: 'Signer', email: 'signer@example.com>\r\nBcc: victim@example.com' },
+    'a@example.com, b@example.com',
+    'signer@example.com>\r\nRCPT TO:<victim@example.com',
+  ]) {
+    assert.throws(() => buildMessage(message({ to })), (error) => {
+      assert.match(error.message, /Invalid email address/);
+      assert.equal(error.permanent, true);
+      return true;
+    });
+  }
+});
+
+test('names and subjects with line breaks are encoded, not passed through', () => {
+  const { raw } = buildMessage(
+    message({
+      to: { name: 'Signer\r\nBcc: victim@example.com', email: 'signer@example.com' },
+      subject: 'Please sign\r\nBcc: victim@example.com',
+    })
+  );
+  const headers = raw.toString('utf8').split('\r\n\r\n')[0];
+  assert.doesNotMatch(headers, /^Bcc:/m);
+  assert.match(headers, /^To: =\?UTF-8\?B\?[^\r\n]+<signer@example\.com>$/m);
+});
+
+test('the SMTP envelope has one MAIL and one RCPT line per address', async () => {
+  const fake = await startFakeSmtp();
+  const transport = createSmtpTransport({ host: '127.0.0.1', port: fake.port, timeoutMs: 2000 });
+  try {
+    const sent = await transport.send(message({ to: ['a@example.com', 'b@example.com'] }));
+    assert.deepEqual(sent.accepted, ['a@example.com', 'b@example.com']);
+    assert.deepEqual(
+      fake.lines.filter((line) => /^(MAIL|RCPT)/.test(line)),
+      ['MAIL FROM:<no-reply@example.com>', 'RCPT TO:<a@example.com>', 'RCPT TO:<b@example.com>']
+    );
+  } finally {
+    fake.server.close();
+  }
+});
@@ -0,0 +1,154 @@
+// PAdES signing - a throwaway self-signed certificate signs a PDF, then signs the result again
+// as an incremental update, and both signatures are checked against the bytes they cover
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const forge = require('node-forge');
+const { PDFDocument } = require('pdf-lib');
+
+const { asn1 } = forge;
+
+// RSA key from Node (forge's own key generation is slow), certificate and PKCS#12 from forge
+const createSigningP12 = (file) => {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const key = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' }));
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = forge.pki.setRsaPublicKey(key.n, key.e);
+  cert.serialNumber = '01';
+  cert.validity.notBefore = new Date();
+  cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const attrs = [{ name: 'commonName', value: 'Test Signer' }];
+  cert.setSubject(attrs);
+  cert.setIssuer(attrs);
+  cert.sign(key, forge.md.sha256.create());
+  const p12 = forge.pkcs12.toPkcs12Asn1(key, [cert], '', { algorithm: '3des' });
+  fs.writeFileSync(file, Buffer.from(asn1.toDer(p12).getBytes(), 'binary'));
+  return forge.pki.certificateToPem(cert);
+};
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pades-test-'));
+process.env.SIGNING_P12_PATH = path.join(dir, 'signer.p12');
+delete process.env.TSA_URL;
+const certificatePem = createSigningP12(process.env.SIGNING_P12_PATH);
+const pades = require('../lib/pades');
+const { listRevisions } = require('../lib/incremental');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const samplePdf = async () => {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage([612, 792]).drawText('Test document', { x: 72, y: 700, size: 18 });
+  return Buffer.from(await pdfDoc.save());
+};
+
+// Every signature in the file: its /ByteRange and the CMS blob from /Contents
+const findSignatures = (pdf) => {
+  const text = pdf.toString('latin1');
+  return [...text.matchAll(/\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/g)].map(
+    (match) => {
+      const byteRange = match.slice(1, 5).map(Number);
+      const hex = text.slice(byteRange[1] + 1, byteRange[2] - 1).replace(/(00)+$/, '');
+      return { byteRange, cms: Buffer.from(hex, 'hex') };
+    }
+  );
+};
+
+// Check a detached CMS signature the way a validator does: the messageDigest attribute must
+// match the covered bytes, and the signature must verify over the signed attributes
+const verifySignature = (pdf, { byteRange, cms }) => {
+  const [start, length, resume, rest] = byteRange;
+  const covered = Buffer.concat([
+    pdf.subarray(start, start + length),
+    pdf.subarray(resume, resume + rest),
+  ]);
+
+  const signedData = asn1.fromDer(cms.toString('binary')).value[1].value[0];
+  const signerInfo = signedData.value[signedData.value.length - 1].value[0];
+  const attributes = signerInfo.value.find(
+    (node) => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 0
+  );
+  const digestAttribute = attributes.value.find(
+    (attribute) => asn1.derToOid(attribute.value[0].value) === forge.pki.oids.messageDigest
+  );
+  const messageDigest = Buffer.from(digestAttribute.value[1].value[0].value, 'binary');
+  const digestMatches = messageDigest.equals(
+    crypto.createHash('sha256').update(covered).digest()
+  );
+
+  // The signature covers the attributes re-tagged as a SET
+  const signedAttributes = asn1.create(
+    asn1.Class.UNIVERSAL,
+    asn1.Type.SET,
+    true,
+    attributes.value
+  );
+  const signature = Buffer.from(signerInfo.value[signerInfo.value.length - 1].value, 'binary');
+  const signatureValid = crypto.verify(
+    'sha256',
+    Buffer.from(asn1.toDer(signedAttributes).getBytes(), 'binary'),
+    certificatePem,
+    signature
+  );
+  return { digestMatches, signatureValid, coversUpTo: resume + rest };
+};
+
+test('signs a PDF with a signature that covers the whole file', async () => {
+  const original = await samplePdf();
+  const { buffer, signature } = await pades.signPdf(original);
+
+  assert.equal(signature.signer, 'Test Signer');
+  assert.ok(buffer.subarray(0, original.length).equals(original), 'original is a prefix');
+
+  const signatures = findSignatures(buffer);
+  assert.equal(signatures.length, 1);
+  const result = verifySignature(buffer, signatures[0]);
+  assert.ok(result.digestMatches, 'messageDigest matches the covered bytes');
+  assert.ok(result.signatureValid, 'signature verifies with the certificate');
+  assert.equal(result.coversUpTo, buffer.length);
+  assert.equal(signatures[0].byteRange[0], 0);
+
+  const reloaded = await PDFDocument.load(buffer);
+  assert.equal(reloaded.getPageCount(), 1);
+});
+
+test('a second signature is appended without breaking the first', async () => {
+  const first = (await pades.signPdf(await samplePdf())).buffer;
+  const second = (await pades.signPdf(first)).buffer;
+
+  assert.ok(second.subarray(0, first.length).equals(first), 'first signed file is a prefix');
+
+  const signatures = findSignatures(second);
+  assert.equal(signatures.length, 2);
+  const [earlier, later] = signatures.map((found) => verifySignature(second, found));
+  assert.ok(earlier.digestMatches && earlier.signatureValid, 'first signature still valid');
+  assert.ok(later.digestMatches && later.signatureValid, 'second signature valid');
+  assert.equal(earlier.coversUpTo, first.length, 'first signature ends where it did');
+  assert.equal(later.coversUpTo, second.length, 'second signature covers the whole file');
+
+  const revisionHashes = listRevisions(second).map((revision) => revision.sha256);
+  const sha256 = (bytes) => crypto.createHash('sha256').update(bytes).digest('hex');
+  assert.ok(revisionHashes.includes(sha256(first)), 'first signed file is a revision');
+  assert.equal(revisionHashes[revisionHashes.length - 1], sha256(second));
+
+  const reloaded = await PDFDocument.load(second);
+  const signatureFields = reloaded
+    .getForm()
+    .getFields()
+    .filter((field) => field.constructor.name === 'PDFSignature');
+  assert.equal(signatureFields.length, 2);
+});
+
+test('tampering with signed bytes breaks the digest', async () => {
+  const { buffer } = await pades.signPdf(await samplePdf());
+  const [found] = findSignatures(buffer);
+  const tampered = Buffer.from(buffer);
+  // Flip a byte inside the first covered range, inside the page content
+  const at = tampered.indexOf('Test document', 0, 'latin1');
+  const target = at === -1 ? 20 : at;
+  tampered[target] ^= 0x01;
+
+  assert.equal(verifySignature(tampered, found).digestMatches, false);
+});
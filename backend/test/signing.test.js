@@ -0,0 +1,64 @@
+// Signing - the same inputs can come out as the same bytes (a bulk row repeated, an incremental
+// pass with the same values), and each run still gets its own record and file
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signing-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.DOWNLOAD_URL_SECRET = 'test-secret';
+delete process.env.MONGODB_URI;
+delete process.env.SIGNING_P12_PATH;
+const { SIGNED_DIR, signDocument } = require('../lib/signing');
+const { findSignedDocument, listSignedDocuments } = require('../lib/audit');
+
+const context = { tenantId: 'tenant-a' };
+const fields = [
+  {
+    type: 'text',
+    value: 'Jane Doe',
+    page: 1,
+    xNorm: 0.1,
+    yNorm: 0.1,
+    widthNorm: 0.3,
+    heightNorm: 0.05,
+  },
+];
+const signedFiles = [];
+
+const sign = async (options = {}) => {
+  const result = await signDocument({ pdfId: 'default', fields, context, ...options });
+  signedFiles.push(result.signedFile);
+  return result;
+};
+
+test.after(() => {
+  signedFiles.forEach((file) => fs.rmSync(path.join(SIGNED_DIR, file), { force: true }));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('signing the same input twice records both outputs', async () => {
+  const first = await sign();
+  const second = await sign();
+  assert.equal(second.signedHash, first.signedHash);
+  assert.notEqual(second.signedFile, first.signedFile);
+  assert.ok(fs.existsSync(path.join(SIGNED_DIR, second.signedFile)));
+
+  const records = await listSignedDocuments({ signedHash: first.signedHash });
+  const files = records.map((record) => record.signedFile);
+  assert.deepEqual(files.sort(), [first.signedFile, second.signedFile].sort());
+  const found = await findSignedDocument(first.signedHash, { tenantId: context.tenantId });
+  assert.equal(found.pdfId, 'default');
+  assert.equal(await findSignedDocument(first.signedHash, { tenantId: 'tenant-b' }), null);
+});
+
+test('two identical passes over the same version both succeed', async () => {
+  const base = await sign();
+  const first = await sign({ continueFrom: base.signedHash });
+  const second = await sign({ continueFrom: base.signedHash });
+  assert.equal(second.signedHash, first.signedHash);
+  assert.equal(second.previousHash, base.signedHash);
+  assert.ok(fs.existsSync(path.join(SIGNED_DIR, second.signedFile)));
+});
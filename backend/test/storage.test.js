@@ -0,0 +1,123 @@
+// Storage drivers - the local and S3 backends pass the same contract. S3 runs against a small
+// in-process stand-in that speaks path-style PUT/GET/HEAD/DELETE.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+const createLocalStorage = require('../lib/storage/local');
+const createS3Storage = require('../lib/storage/s3');
+
+// Objects by path ("/bucket/key"), with the content type they were stored with
+const startFakeS3 = async () => {
+  const objects = new Map();
+  const server = http.createServer((req, res) => {
+    const key = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const object = objects.get(key);
+      if (req.method === 'PUT') {
+        objects.set(key, {
+          body: Buffer.concat(chunks),
+          contentType: req.headers['content-type'],
+        });
+        res.writeHead(200, { ETag: '"etag"' }).end();
+      } else if (!object && req.method !== 'DELETE') {
+        res.writeHead(404, { 'Content-Type': 'application/xml' });
+        res.end(
+          req.method === 'HEAD'
+            ? undefined
+            : '<?xml version="1.0"?><Error><Code>NoSuchKey</Code><Message>missing</Message></Error>'
+        );
+      } else if (req.method === 'DELETE') {
+        objects.delete(key);
+        res.writeHead(204).end();
+      } else {
+        res.writeHead(200, {
+          'Content-Type': object.contentType,
+          'Content-Length': object.body.length,
+        });
+        res.end(req.method === 'HEAD' ? undefined : object.body);
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { objects, server, endpoint: `http://127.0.0.1:${server.address().port}` };
+};
+
+// What every driver must do, whatever it stores bytes in
+const storageContract = (name, makeStorage) => {
+  test(`${name}: put, get, exists and delete round-trip`, async () => {
+    const storage = await makeStorage();
+    const bytes = Buffer.from('%PDF-1.7 test bytes');
+    await storage.put('documents/a.pdf', bytes, { contentType: 'application/pdf' });
+
+    assert.equal(await storage.exists('documents/a.pdf'), true);
+    assert.deepEqual(await storage.get('documents/a.pdf'), bytes);
+
+    await storage.delete('documents/a.pdf');
+    assert.equal(await storage.exists('documents/a.pdf'), false);
+    assert.equal(await storage.get('documents/a.pdf'), null);
+  });
+
+  test(`${name}: missing keys read as null and delete quietly`, async () => {
+    const storage = await makeStorage();
+    assert.equal(await storage.get('documents/missing.pdf'), null);
+    assert.equal(await storage.exists('documents/missing.pdf'), false);
+    await storage.delete('documents/missing.pdf');
+  });
+
+  test(`${name}: put replaces an existing object`, async () => {
+    const storage = await makeStorage();
+    await storage.put('documents/b.pdf', Buffer.from('first'));
+    await storage.put('documents/b.pdf', Buffer.from('second'));
+    assert.equal((await storage.get('documents/b.pdf')).toString(), 'second');
+  });
+};
+
+const localRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+test.after(() => fs.rmSync(localRoot, { recursive: true, force: true }));
+
+storageContract('local', () => createLocalStorage({ rootDir: localRoot }));
+
+test('local: keys cannot escape the storage root', async () => {
+  const storage = createLocalStorage({ rootDir: localRoot });
+  await assert.rejects(storage.put('../outside.pdf', Buffer.from('x')), /Invalid storage key/);
+  await assert.rejects(storage.get('documents/../../outside.pdf'), /Invalid storage key/);
+  assert.equal(fs.existsSync(path.join(localRoot, '..', 'outside.pdf')), false);
+});
+
+let fakeS3;
+test.before(async () => {
+  fakeS3 = await startFakeS3();
+});
+test.after(() => fakeS3.server.close());
+
+const s3Options = () => ({
+  bucket: 'docs',
+  endpoint: fakeS3.endpoint,
+  prefix: 'tenant-a/',
+  accessKeyId: 'test',
+  secretAccessKey: 'test',
+});
+
+storageContract('s3', () => createS3Storage(s3Options()));
+
+test('s3: objects are stored path-style under the prefix with their content type', async () => {
+  const storage = createS3Storage(s3Options());
+  await storage.put('documents/c.pdf', Buffer.from('c'), { contentType: 'application/pdf' });
+  const stored = fakeS3.objects.get('/docs/tenant-a/documents/c.pdf');
+  assert.ok(stored, 'stored at /<bucket>/<prefix><key>');
+  assert.equal(stored.contentType, 'application/pdf');
+});
+
+test('s3: a bucket is required', () => {
+  assert.throws(() => createS3Storage({ bucket: '' }), /S3_BUCKET is required/);
+});
+
+test('createStorage rejects unknown drivers', () => {
+  assert.throws(() => createStorage('ftp'), /Unknown STORAGE_DRIVER "ftp"/);
+});
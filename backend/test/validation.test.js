@@ -0,0 +1,76 @@
+// Field validation - custom patterns that could backtrack for exponential time are refused
+// when the layout is saved, and no pattern may hold up the server on a single value. Checkboxes
+// and radios count as chosen only when they would be burned checked.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateFields, validateRules } = require('../lib/validation');
+
+const patternField = (pattern, value) => ({
+  id: 'code',
+  type: 'text',
+  format: 'regex',
+  pattern,
+  ...(value === undefined ? {} : { value }),
+});
+
+const ruleMessage = (pattern) => validateRules([patternField(pattern)])[0]?.message || null;
+
+test('patterns with nested or alternating repetition are refused', () => {
+  const risky = ['(a+)+b', '(a*)*', '(a?)+', '(a|ab)*c', '(?:x\\d+)+', '((ab)+)+', '(a+){2,}'];
+  for (const pattern of risky) {
+    assert.match(ruleMessage(pattern), /could take too long/, pattern);
+  }
+  assert.match(ruleMessage('(a)\\1'), /backreferences/);
+});
+
+test('ordinary patterns are accepted', () => {
+  for (const pattern of [
+    '[A-Z]{2}-\\d{4}',
+    '([A-Z]{2}-)?\\d+',
+    '(\\d{3}-)+\\d{4}',
+    '[(+]*\\d+',
+    'INV-(?:\\d{4}|TEMP)',
+    'a{2}b?',
+    '\\(\\d+\\)+',
+  ]) {
+    assert.equal(ruleMessage(pattern), null, pattern);
+  }
+});
+
+test('a refused pattern is reported before it runs against the value', () => {
+  const started = Date.now();
+  const [error] = validateFields([patternField('(a+)+b', `${'a'.repeat(40)}c`)]);
+  assert.match(error.message, /could take too long/);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('a pattern that is slow anyway is cut off and the value rejected', () => {
+  // Allowed shape, but polynomial: every way of splitting the a's gets tried
+  const pattern = 'a*a*a*a*a*a*a*b';
+  assert.equal(ruleMessage(pattern), null);
+  const started = Date.now();
+  const [error] = validateFields([patternField(pattern, `${'a'.repeat(3000)}c`)]);
+  assert.equal(error.message, 'Took too long to check against the required format');
+  assert.ok(Date.now() - started < 2000);
+});
+
+test('values are still matched against the pattern', () => {
+  assert.deepEqual(validateFields([patternField('[A-Z]{2}-\\d{4}', 'AB-1234')]), []);
+  assert.equal(
+    validateFields([patternField('[A-Z]{2}-\\d{4}', 'AB-12')])[0].message,
+    'Does not match the required format'
+  );
+});
+
+test('a choice set to false is unchecked', () => {
+  const checkbox = { id: 'agree', type: 'checkbox', required: true };
+  for (const value of [false, '']) {
+    assert.equal(validateFields([{ ...checkbox, value }])[0].message, 'This field is required');
+  }
+  assert.deepEqual(validateFields([{ ...checkbox, value: true }]), []);
+
+  const radio = (id, value) => ({ id, type: 'radio', groupName: 'plan', exportValue: id, value });
+  assert.deepEqual(validateFields([radio('a', true), radio('b', false)]), []);
+  const required = [{ ...radio('a', false), required: true }, radio('b', false)];
+  assert.equal(validateFields(required)[0].message, 'Choose one option in "plan"');
+});
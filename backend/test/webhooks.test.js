@@ -0,0 +1,166 @@
+// Webhooks - endpoints on private, loopback or link-local addresses are refused when saved and
+// when called, deliveries are signed, only the receiver's status code is logged, and an event's
+// internal part (who to mail) never leaves the process
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.MONGODB_URI;
+delete process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS;
+const { getCollection } = require('../lib/store');
+const { publish } = require('../lib/events');
+const {
+  createWebhook,
+  pingWebhook,
+  startWebhooks,
+  updateWebhook,
+  verifySignature,
+} = require('../lib/webhooks');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// Answers with `status` and a body that must not end up in the delivery log
+const startReceiver = async (status = 200) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.writeHead(status, { 'Content-Type': 'text/plain' }).end('internal details');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, port: server.address().port };
+};
+
+const allowPrivate = async (task) => {
+  process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = 'true';
+  try {
+    return await task();
+  } finally {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS;
+  }
+};
+
+test('private, loopback and link-local URLs are refused at registration', async () => {
+  for (const url of [
+    'http://127.0.0.1:4500/hook',
+    'http://localhost/hook',
+    'http://api.localhost/hook',
+    'http://10.1.2.3/hook',
+    'http://172.20.0.5/hook',
+    'http://192.168.1.10/hook',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[fe80::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+  ]) {
+    await assert.rejects(createWebhook({ url }, 'tenant-a'), (error) => {
+      assert.equal(error.status, 400, url);
+      assert.match(error.message, /url must be a public address/);
+      return true;
+    });
+  }
+});
+
+test('public URLs are accepted, and an update is checked like a new webhook', async () => {
+  const webhook = await createWebhook({ url: 'https://93.184.216.34/hook' }, 'tenant-a');
+  assert.equal(webhook.url, 'https://93.184.216.34/hook');
+  await assert.rejects(
+    updateWebhook(webhook.id, { url: 'http://169.254.169.254/' }, 'tenant-a'),
+    /url must be a public address/
+  );
+});
+
+test('a host that resolves to a private address is refused at delivery', async () => {
+  const receiver = await startReceiver();
+  try {
+    // Saved before its DNS pointed inside - the check at delivery still catches it
+    const webhook = await getCollection('webhooks').insert({
+      id: 'rebound',
+      tenantId: 'tenant-a',
+      url: `http://localhost:${receiver.port}/hook`,
+      events: ['*'],
+      active: true,
+      secret: 'whsec_test',
+    });
+    const delivery = await pingWebhook(webhook.id, 'tenant-a');
+    assert.equal(delivery.attempts[0].ok, false);
+    assert.match(delivery.attempts[0].error, /private, loopback or link-local/);
+    assert.equal(receiver.requests.length, 0);
+  } finally {
+    receiver.server.close();
+  }
+});
+
+test('deliveries are signed and log the status code without the response body', async () => {
+  const receiver = await startReceiver(200);
+  try {
+    const delivery = await allowPrivate(async () => {
+      const webhook = await createWebhook(
+        { url: `http://127.0.0.1:${receiver.port}/hook` },
+        'tenant-a'
+      );
+      const sent = await pingWebhook(webhook.id, 'tenant-a');
+      const { secret } = await getCollection('webhooks').findById(webhook.id);
+      const [request] = receiver.requests;
+      assert.ok(verifySignature(secret, request.body, request.headers['x-webhook-signature']));
+      return sent;
+    });
+    assert.equal(delivery.status, 'succeeded');
+    assert.equal(delivery.attempts[0].statusCode, 200);
+    assert.doesNotMatch(JSON.stringify(delivery), /internal details/);
+  } finally {
+    receiver.server.close();
+  }
+});
+
+test('a failing receiver is retried and its status recorded', async () => {
+  const receiver = await startReceiver(500);
+  try {
+    const delivery = await allowPrivate(async () => {
+      const webhook = await createWebhook(
+        { url: `http://127.0.0.1:${receiver.port}/hook` },
+        'tenant-a'
+      );
+      return pingWebhook(webhook.id, 'tenant-a');
+    });
+    assert.equal(delivery.status, 'retrying');
+    assert.equal(delivery.error, 'HTTP 500');
+    assert.ok(delivery.nextAttemptAt);
+    assert.doesNotMatch(JSON.stringify(delivery), /internal details/);
+  } finally {
+    receiver.server.close();
+  }
+});
+
+test('the notify list of a signed document is not sent to webhooks', async () => {
+  const receiver = await startReceiver(200);
+  try {
+    await allowPrivate(async () => {
+      await createWebhook({ url: `http://127.0.0.1:${receiver.port}/hook` }, 'tenant-c');
+      await startWebhooks();
+      publish('document.signed', { documentId: 'doc-1' }, 'tenant-c', {
+        notify: [{ name: 'Jane Doe', email: 'jane@example.com' }],
+      });
+      while (receiver.requests.length === 0) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+    });
+    const [request] = receiver.requests;
+    const event = JSON.parse(request.body);
+    assert.equal(event.type, 'document.signed');
+    assert.deepEqual(event.data, { documentId: 'doc-1' });
+    assert.doesNotMatch(request.body, /jane@example\.com/);
+  } finally {
+    receiver.server.close();
+  }
+});
@@ -0,0 +1,47 @@
+// Script to run a local webhook receiver for testing deliveries - logs each event and checks
+// its signature. Failing the first N requests with 500 exercises the retry path.
+// Usage: node webhook-receiver.js [port] [secret] [failFirst]
+const http = require('http');
+const { verifySignature } = require('./lib/webhooks');
+
+const [port = 4500, secret = process.env.WEBHOOK_SECRET, failFirst = 0] = process.argv.slice(2);
+let received = 0;
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    received += 1;
+    const body = Buffer.concat(chunks).toString('utf8');
+    const signature = req.headers['x-webhook-signature'];
+    const verified = secret ? verifySignature(secret, body, signature) : null;
+    let event = {};
+    try {
+      event = JSON.parse(body);
+    } catch {
+      // Logged below as an unnamed event
+    }
+
+    const failing = received <= Number(failFirst);
+    const check = verified === null ? 'unchecked' : verified ? 'valid' : 'INVALID';
+    console.log(
+      `#${received} ${req.headers['x-webhook-event'] || event.type} ` +
+        `delivery ${req.headers['x-webhook-id']} signature ${check}` +
+        (failing ? ' -> 500' : '')
+    );
+    console.log(JSON.stringify(event.data, null, 2));
+
+    if (failing || verified === false) {
+      res.writeHead(failing ? 500 : 401, { 'Content-Type': 'text/plain' });
+      res.end(failing ? 'Failing on purpose' : 'Bad signature');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+  });
+});
+
+server.listen(Number(port), () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}`);
+  if (!secret) console.log('No secret given - signatures are not checked');
+});
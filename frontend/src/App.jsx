@@ -1,156 +1,464 @@
-import { useEffect, useMemo, useRef, useState } from 'react';
-import { Document, Page, pdfjs } from 'react-pdf';
-import { Rnd } from 'react-rnd';
-import SignaturePad from 'react-signature-canvas';
+import { useEffect, useEffectEvent, useMemo, useRef, useState } from 'react';
+import { pdfjs } from 'react-pdf';
 import dayjs from 'dayjs';
-import axios from 'axios';
 import workerSrc from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+import { api, documentFile, errorMessage, signOut } from './api';
+import {
+  applyValue,
+  boxFor,
+  choiceDefaults,
+  fieldPalette,
+  roleColor,
+  toPdfCoords,
+} from './lib/fields';
+import { overlaps } from './lib/detection';
+import { useHistory } from './lib/history';
+import { copyFields, moveFields, nudgeFields, pasteFields } from './lib/selection';
+import { alignFields, distributeFields } from './lib/snapping';
+import { serverFieldErrors, validateFields } from './lib/validation';
+import { makeDraft, sessionIdFromUrl, useDraftSession } from './lib/drafts';
+import DocumentPicker from './components/DocumentPicker';
+import DocumentViewer from './components/DocumentViewer';
+import EnvelopePanel from './components/EnvelopePanel';
+import FieldRulesEditor from './components/FieldRulesEditor';
+import FieldValueEditor from './components/FieldValueEditor';
+import LayoutTools from './components/LayoutTools';
+import TemplatePanel from './components/TemplatePanel';
 import './App.css';
 
 // Setup PDF.js worker - had issues with this initially
 pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
 
-const samplePdf = '/sample.pdf';
-
-// Field types available for placement
-const fieldPalette = [
-  { type: 'signature', label: 'Signature' },
-  { type: 'text', label: 'Text Box' },
-  { type: 'image', label: 'Image Box' },
-  { type: 'date', label: 'Date' },
-  { type: 'radio', label: 'Radio' },
-];
-
-// Default size for new fields (normalized 0-1)
-const defaultBox = {
-  widthNorm: 0.24,
-  heightNorm: 0.08,
-};
-
-// Converting DOM coordinates to PDF points
-// This was tricky - DOM uses top-left origin, PDF uses bottom-left
-// Also need to convert from CSS pixels to PDF points (72 DPI)
-const toPdfCoords = (field, pageMeta) => {
-  if (!field || !pageMeta?.widthPts || !pageMeta?.heightPts) return null;
-  const x = field.xNorm * pageMeta.widthPts;
-  const yTop = field.yNorm * pageMeta.heightPts;
-  const height = field.heightNorm * pageMeta.heightPts;
-
-  return {
-    page: field.page,
-    x,
-    y: pageMeta.heightPts - yTop - height, // flip Y axis from top-left to bottom-left
-    width: field.widthNorm * pageMeta.widthPts,
-    height,
-    pageWidth: pageMeta.widthPts,
-    pageHeight: pageMeta.heightPts,
-  };
-};
+// Arrow-key nudge in PDF points; Shift moves further
+const NUDGE_PTS = 1;
+const BIG_NUDGE_PTS = 10;
+
+// Keyboard shortcuts shouldn't fire while typing into a form control
+const isTyping = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
 
 function App() {
-  const [pageMeta, setPageMeta] = useState({ widthPts: null, heightPts: null });
-  const [renderSize, setRenderSize] = useState({ width: 0 });
-  const [fields, setFields] = useState([]);
-  const [selectedId, setSelectedId] = useState(null);
+  const [pdfId, setPdfId] = useState('default');
+  // Per-page dimensions keyed by page number - pages can differ in size and rotation
+  const [pageMeta, setPageMeta] = useState({});
+  const [numPages, setNumPages] = useState(0);
+  const [currentPage, setCurrentPage] = useState(1);
+  // Field layout with undo/redo - every add, move, resize, delete and value change is a step
+  const history = useHistory([]);
+  const fields = history.present;
+  const setFields = history.set;
+  const [recipients, setRecipients] = useState([
+    { role: 'Signer 1', name: '', email: '', order: 1 },
+  ]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  // Detected fields waiting for the user to accept or dismiss them
+  const [suggestions, setSuggestions] = useState([]);
+  const [detecting, setDetecting] = useState(false);
+  // Grid snapping is opt-in; guides snap to other fields and to a half-inch margin
+  const [layout, setLayout] = useState({ grid: false, gridPts: 10, guides: true, marginPts: 36 });
   const [signedUrl, setSignedUrl] = useState('');
+  const [withCertificate, setWithCertificate] = useState(false);
+  const [flattenForm, setFlattenForm] = useState(false);
+  const [asFormFields, setAsFormFields] = useState(false);
+  // Flattened output without metadata, scripts, annotations or earlier revisions
+  const [safeCopy, setSafeCopy] = useState(false);
+  // White out {{sig:buyer}} style tags under fields placed from them
+  const [hideAnchors, setHideAnchors] = useState(true);
   const [status, setStatus] = useState('');
-  const [pdfError, setPdfError] = useState('');
-  const sigPadRef = useRef(null);
-  const pageWrapperRef = useRef(null);
+  // Validation errors show once a burn has been attempted, then update live
+  const [checkFields, setCheckFields] = useState(false);
+  const [serverErrors, setServerErrors] = useState({});
+  const viewerRef = useRef(null);
+  // The canvas takes focus when clicked, so shortcuts can tell it's being worked in
+  const canvasRef = useRef(null);
+  const clipboardRef = useRef([]);
+
+  const roles = useMemo(() => recipients.map((r) => r.role), [recipients]);
+  const pdfFile = useMemo(() => documentFile(pdfId), [pdfId]);
+
+  // Undo can remove selected fields, so derive the selection from what still exists
+  const selectedFields = useMemo(
+    () => fields.filter((f) => selectedIds.includes(f.id)),
+    [fields, selectedIds]
+  );
+  // The panel edits one field at a time
+  const selectedField = selectedFields.length === 1 ? selectedFields[0] : null;
+  const hasAnchors = fields.some((f) => f.anchor);
+  const anchorSettings = useMemo(
+    () => (hasAnchors ? { hide: hideAnchors ? 'whiteout' : 'keep' } : null),
+    [hasAnchors, hideAnchors]
+  );
 
-  // Watch for PDF viewer resize so we can recalculate field positions
-  useEffect(() => {
-    if (!pageWrapperRef.current) return;
-    const observer = new ResizeObserver((entries) => {
-      const { width } = entries[0].contentRect;
-      setRenderSize({ width });
-    });
-    observer.observe(pageWrapperRef.current);
-    return () => observer.disconnect();
-  }, []);
+  // Everything a draft session keeps - autosaved once the user has changed something
+  const draft = useMemo(
+    () =>
+      makeDraft({
+        pdfId,
+        fields,
+        recipients,
+        options: {
+          flatten: flattenForm,
+          formFields: asFormFields,
+          certificate: withCertificate,
+          anchors: anchorSettings,
+          safeCopy,
+        },
+      }),
+    [
+      pdfId,
+      fields,
+      recipients,
+      flattenForm,
+      asFormFields,
+      withCertificate,
+      anchorSettings,
+      safeCopy,
+    ]
+  );
+  const drafts = useDraftSession(draft, { edited: history.canUndo });
 
-  const selectedField = useMemo(
-    () => fields.find((f) => f.id === selectedId) || null,
-    [fields, selectedId]
+  const fieldErrors = useMemo(
+    () => ({ ...(checkFields ? validateFields(fields) : {}), ...serverErrors }),
+    [checkFields, fields, serverErrors]
+  );
+
+  const groupNames = useMemo(
+    () => [...new Set(fields.map((f) => f.groupName).filter(Boolean))],
+    [fields]
   );
 
   const selectedPdfCoords = useMemo(
-    () => toPdfCoords(selectedField, pageMeta),
+    () => toPdfCoords(selectedField, pageMeta[selectedField?.page]),
     [selectedField, pageMeta]
   );
 
-  const handleDocumentLoad = () => {
-    setPdfError('');
+  // Switching documents starts a fresh layout and draft - fields belong to one PDF
+  const selectDocument = (id) => {
+    if (id === pdfId) return;
+    setPdfId(id);
+    history.reset([]);
+    drafts.startNew();
+    setSelectedIds([]);
+    setSuggestions([]);
+    setPageMeta({});
+    setNumPages(0);
+    setCurrentPage(1);
+    setSignedUrl('');
+    setCheckFields(false);
+    setServerErrors({});
+  };
+
+  // Put a saved session's draft into the editor - on resume, or to take another tab's version
+  const applySession = (session) => {
+    if (session.pdfId !== pdfId) {
+      setPdfId(session.pdfId);
+      setPageMeta({});
+      setNumPages(0);
+      setCurrentPage(1);
+    }
+    history.reset(session.fields);
+    if (session.recipients.length > 0) setRecipients(session.recipients);
+    setFlattenForm(Boolean(session.options.flatten));
+    setAsFormFields(Boolean(session.options.formFields));
+    setWithCertificate(Boolean(session.options.certificate));
+    setSafeCopy(Boolean(session.options.safeCopy));
+    setHideAnchors(session.options.anchors?.hide !== 'keep');
+    setSelectedIds([]);
+    setSuggestions([]);
+    setSignedUrl(session.signedUrl || '');
+    setCheckFields(false);
+    setServerErrors({});
+  };
+
+  const loadSession = async (id) => {
+    try {
+      const session = await drafts.load(id);
+      applySession(session);
+      setStatus(session.status === 'finalized' ? 'This session is finalized.' : 'Draft loaded');
+    } catch (error) {
+      setStatus(errorMessage(error, 'Failed to load draft'));
+    }
+  };
+
+  // Resume the draft named in the URL (?session=<id>)
+  const resumeSession = useEffectEvent((id) => loadSession(id));
+  useEffect(() => {
+    const id = sessionIdFromUrl();
+    if (id) resumeSession(id);
+  }, []);
+
+  // Another tab saved first - keep this tab's draft and save it over theirs
+  const keepMyDraft = async () => {
+    try {
+      await drafts.overwrite();
+    } catch (error) {
+      setStatus(errorMessage(error, 'Failed to save draft'));
+    }
+  };
+
+  // After a finalize: same document and layout, a fresh session once something changes
+  const startNewDraft = () => {
+    drafts.startNew();
+    history.reset(fields);
+    setSignedUrl('');
+    setStatus('');
+  };
+
+  // Pre-place the document's own form fields - they fill the native AcroForm on burn.
+  // Part of the document, not an edit - nothing to undo. A resumed draft already has them,
+  // with its values.
+  const addFormFields = useEffectEvent((formFields) => {
+    setFields(
+      (prev) =>
+        prev.some((f) => f.acroField)
+          ? prev
+          : [...prev, ...formFields.map((f) => ({ ...f, role: roles[0] }))],
+      { record: false }
+    );
+    setStatus(`Found ${formFields.length} form field(s) in the document`);
+  });
+  // Only when the document changes - new recipients shouldn't re-detect
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .get(`/documents/${pdfId}/form-fields`)
+      .then(({ data }) => {
+        if (!cancelled && data.fields.length > 0) addFormFields(data.fields);
+      })
+      .catch((error) => setStatus(errorMessage(error, 'Failed to read form fields')));
+    return () => {
+      cancelled = true;
+    };
+  }, [pdfId]);
+
+  // Replace the layout with a template's fields (fresh ids, empty values)
+  const applyTemplate = (templateFields) => {
+    setFields(templateFields);
+    setSelectedIds([]);
+    setSignedUrl('');
   };
 
-  // Extract page dimensions in points when page loads
-  const handlePageLoad = (page) => {
-    const [xMin, yMin, xMax, yMax] = page.view;
-    setPageMeta({ widthPts: xMax - xMin, heightPts: yMax - yMin });
+  const handlePageLoad = (pageNumber, meta) => {
+    setPageMeta((prev) => ({ ...prev, [pageNumber]: meta }));
   };
 
-  // Add a new field to the PDF - slightly offset each one so they don't stack
+  // Add a new field to the current page - slightly offset each one so they don't stack
   const addField = (type) => {
     const id = crypto.randomUUID();
-    setFields((prev) => [
-      ...prev,
-      {
-        id,
-        type,
-        page: 1,
-        xNorm: 0.12 + prev.length * 0.02,
-        yNorm: 0.1 + prev.length * 0.02,
-        widthNorm: type === 'signature' ? 0.32 : defaultBox.widthNorm,
-        heightNorm: type === 'signature' ? 0.12 : defaultBox.heightNorm,
-        value: type === 'date' ? dayjs().format('YYYY-MM-DD') : '',
-      },
-    ]);
-    setSelectedId(id);
+    setFields((prev) => {
+      const onPage = prev.filter((f) => f.page === currentPage).length;
+      return [
+        ...prev,
+        {
+          id,
+          type,
+          page: currentPage,
+          role: roles[0],
+          xNorm: 0.12 + onPage * 0.02,
+          yNorm: 0.1 + onPage * 0.02,
+          ...boxFor(type),
+          ...choiceDefaults(type, prev, selectedFields[selectedFields.length - 1]),
+          value: type === 'date' ? dayjs().format('YYYY-MM-DD') : '',
+        },
+      ];
+    });
+    setSelectedIds([id]);
   };
 
-  // Update field position - convert pixel coords to normalized (0-1)
-  // This keeps fields anchored when PDF viewer resizes
-  const updateFieldPosition = (id, { x, y }, renderHeight) => {
-    setFields((prev) =>
-      prev.map((f) =>
-        f.id === id
-          ? {
-              ...f,
-              xNorm: renderSize.width ? x / renderSize.width : 0,
-              yNorm: renderHeight ? y / renderHeight : 0,
-            }
-          : f
-      )
-    );
+  // Look for blanks, placeholders, signature lines and labels - places already covered by a
+  // field aren't suggested again
+  const detectFields = async () => {
+    setDetecting(true);
+    setStatus('Detecting fields...');
+    try {
+      const found = await viewerRef.current.detectFields();
+      const fresh = found.filter((s) => !fields.some((f) => overlaps(f, s)));
+      setSuggestions(fresh);
+      setStatus(fresh.length ? `Found ${fresh.length} possible field(s)` : 'No fields detected');
+    } catch (err) {
+      console.error(err);
+      setStatus(`Detection failed: ${err.message}`);
+    } finally {
+      setDetecting(false);
+    }
   };
 
-  // Update field size - also normalized for responsiveness
-  const updateFieldSize = (id, { width, height }, renderHeight) => {
-    setFields((prev) =>
-      prev.map((f) =>
-        f.id === id
-          ? {
-              ...f,
-              widthNorm: renderSize.width ? width / renderSize.width : f.widthNorm,
-              heightNorm: renderHeight ? height / renderHeight : f.heightNorm,
-            }
-          : f
-      )
-    );
+  // Fields at the document's anchor tags - a preview of what the API places on its own.
+  // Loading again replaces the previous preview. \s1\ style tags go to the nth recipient.
+  const previewAnchors = async () => {
+    try {
+      const { data } = await api.get(`/documents/${pdfId}/anchors`);
+      if (data.fields.length === 0) {
+        setStatus('No anchor tags found in this document');
+        return;
+      }
+      const roleFor = (role) => {
+        if (roles.includes(role)) return role;
+        return (/^\d+$/.test(role || '') && roles[Number(role) - 1]) || roles[0];
+      };
+      setFields((prev) => [
+        ...prev.filter((f) => !f.anchor),
+        ...data.fields.map((f) => ({
+          ...f,
+          role: roleFor(f.role),
+          value: f.type === 'date' ? dayjs().format('YYYY-MM-DD') : '',
+        })),
+      ]);
+      setStatus(`Placed ${data.fields.length} field(s) from anchor tags`);
+    } catch (error) {
+      setStatus(errorMessage(error, 'Failed to read anchor tags'));
+    }
+  };
+
+  // Accepted suggestions become ordinary fields, assigned to the first recipient
+  const acceptSuggestions = (ids) => {
+    const accepted = suggestions.filter((s) => ids.includes(s.id));
+    if (accepted.length === 0) return;
+    setFields((prev) => {
+      const next = [...prev];
+      accepted.forEach((suggestion) => {
+        const { type, page, xNorm, yNorm, widthNorm, heightNorm } = suggestion;
+        const hint = suggestion.placeholder || suggestion.label;
+        next.push({
+          id: crypto.randomUUID(),
+          type,
+          page,
+          role: roles[0],
+          xNorm,
+          yNorm,
+          widthNorm,
+          heightNorm,
+          ...choiceDefaults(type, next, null),
+          ...(type === 'text' && hint ? { placeholder: hint } : {}),
+          value: type === 'date' ? dayjs().format('YYYY-MM-DD') : '',
+        });
+      });
+      return next;
+    });
+    setSuggestions((prev) => prev.filter((s) => !ids.includes(s.id)));
+  };
+
+  const dismissSuggestions = (ids) => {
+    setSuggestions((prev) => prev.filter((s) => !ids.includes(s.id)));
+  };
+
+  // `key` merges a burst of edits to the same thing (typing into a field) into one undo step
+  const updateField = (id, changes, key = null) => {
+    setFields((prev) => applyValue(prev, id, changes), { key });
+    // The backend's verdict no longer applies once the field changes
+    setServerErrors((prev) => {
+      if (!prev[id]) return prev;
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+  };
+
+  // Move a field to another page - normalized coords carry over unchanged
+  const moveFieldToPage = (id, pageNumber) => {
+    updateField(id, { page: pageNumber });
+    viewerRef.current?.goToPage(pageNumber);
+  };
+
+  // Signature editors pass extras such as { signatureMethod, strokes } along with the value
+  const updateFieldValue = (id, value, extra = {}) =>
+    updateField(id, { value, ...extra }, `value:${id}`);
+
+  // Click selects one field, shift-click adds or removes it
+  const selectField = (id, additive = false) => {
+    setSelectedIds((prev) => {
+      if (!additive) return [id];
+      return prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id];
+    });
+  };
+
+  const selectFields = (ids, additive = false) => {
+    setSelectedIds((prev) => (additive ? [...new Set([...prev, ...ids])] : ids));
+  };
+
+  const moveSelection = (dx, dy) => {
+    setFields((prev) => moveFields(prev, selectedIds, dx, dy));
   };
 
-  const updateFieldValue = (id, value) => {
-    setFields((prev) => prev.map((f) => (f.id === id ? { ...f, value } : f)));
+  const alignSelection = (edge) => {
+    setFields((prev) => alignFields(prev, selectedIds, edge));
   };
 
-  const clearSignature = () => {
-    sigPadRef.current?.clear();
+  const distributeSelection = (axis) => {
+    setFields((prev) => distributeFields(prev, selectedIds, axis));
   };
 
-  // Save the drawn signature as a data URL and attach to selected field
-  const saveSignature = () => {
-    if (!sigPadRef.current || sigPadRef.current.isEmpty() || !selectedField) return;
-    updateFieldValue(selectedField.id, sigPadRef.current.toDataURL('image/png'));
+  const deleteSelection = () => {
+    if (selectedFields.length === 0) return;
+    setFields((prev) => prev.filter((f) => !selectedIds.includes(f.id)));
+    setSelectedIds([]);
+  };
+
+  const copySelection = () => {
+    if (selectedFields.length === 0) return;
+    clipboardRef.current = copyFields(fields, selectedIds);
+    setStatus(`Copied ${selectedFields.length} field(s)`);
+  };
+
+  // Paste onto the page in view - copies keep their positions relative to each other
+  const pasteClipboard = () => {
+    const pasted = pasteFields(clipboardRef.current, currentPage, fields);
+    if (pasted.length === 0) return;
+    setFields((prev) => [...prev, ...pasted]);
+    setSelectedIds(pasted.map((f) => f.id));
+  };
+
+  const handleShortcut = useEffectEvent((event) => {
+    if (isTyping(event.target)) return;
+    const command = event.ctrlKey || event.metaKey;
+    const key = event.key.toLowerCase();
+    // Copy, select-all and delete stay the browser's own unless there are fields to act on
+    const hasSelection = selectedIds.length > 0;
+    const inCanvas = canvasRef.current?.contains(document.activeElement);
+
+    if (command && key === 'z') {
+      if (event.shiftKey) history.redo();
+      else history.undo();
+    } else if (command && key === 'y') {
+      history.redo();
+    } else if (command && key === 'c' && hasSelection) {
+      copySelection();
+    } else if (command && key === 'v') {
+      pasteClipboard();
+    } else if (command && key === 'a' && (hasSelection || inCanvas)) {
+      setSelectedIds(fields.filter((f) => f.page === currentPage).map((f) => f.id));
+    } else if ((event.key === 'Delete' || event.key === 'Backspace') && hasSelection) {
+      deleteSelection();
+    } else if (event.key === 'Escape') {
+      setSelectedIds([]);
+    } else if (event.key.startsWith('Arrow') && selectedIds.length > 0) {
+      const step = event.shiftKey ? BIG_NUDGE_PTS : NUDGE_PTS;
+      const [dx, dy] = {
+        ArrowLeft: [-step, 0],
+        ArrowRight: [step, 0],
+        ArrowUp: [0, -step],
+        ArrowDown: [0, step],
+      }[event.key];
+      setFields((prev) => nudgeFields(prev, selectedIds, dx, dy, pageMeta), { key: 'nudge' });
+    } else {
+      return;
+    }
+    event.preventDefault();
+  });
+
+  useEffect(() => {
+    const listener = (event) => handleShortcut(event);
+    window.addEventListener('keydown', listener);
+    return () => window.removeEventListener('keydown', listener);
+  }, []);
+
+  // Keep field assignments in step when a recipient's role is renamed
+  // Recipients aren't part of the history, so neither is following their renames
+  const renameRole = (from, to) => {
+    setFields((prev) => prev.map((f) => (f.role === from ? { ...f, role: to } : f)), {
+      record: false,
+    });
   };
 
   // Download the signed PDF with a timestamped filename
@@ -167,59 +475,61 @@ function App() {
       a.click();
       window.URL.revokeObjectURL(url);
       document.body.removeChild(a);
-    } catch (error) {
+    } catch {
       setStatus('Failed to download PDF');
     }
   };
 
-  // Send all signatures to backend for burning into PDF
+  // Finalize the draft session - the backend burns its filled fields into the PDF
   const handleSign = async () => {
     setStatus('');
     setSignedUrl('');
-    if (!pageMeta.widthPts || !pageMeta.heightPts) {
+    if (!numPages) {
       setStatus('Load the PDF first.');
       return;
     }
 
-    // Find all signature fields that have been filled in
-    const signatureFields = fields.filter(
-      (f) => f.type === 'signature' && f.value && f.page === 1
+    // Same selection finalizing makes on the server: radios, checkboxes and form fields always
+    // (an empty value clears them), the rest when filled in or required
+    const filledFields = fields.filter(
+      (f) => f.value || ['radio', 'checkbox'].includes(f.type) || f.acroField || f.required
     );
-    if (signatureFields.length === 0) {
-      setStatus('Add a signature field and draw a signature.');
+    if (!filledFields.some((f) => f.value)) {
+      setStatus('Fill in at least one field before burning.');
       return;
     }
 
-    const apiBase = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+    const invalid = Object.keys(validateFields(fields));
+    if (invalid.length > 0) {
+      setCheckFields(true);
+      setSelectedIds([invalid[0]]);
+      setStatus(`${invalid.length} field(s) need attention - they're highlighted in red.`);
+      return;
+    }
 
     try {
-      setStatus(`Signing PDF with ${signatureFields.length} signature(s)...`);
-      
-      // Convert each signature field to the format backend expects
-      const signatures = signatureFields.map((field) => ({
-        signatureDataUrl: field.value,
-        coordinates: toPdfCoords(field, pageMeta),
-      }));
-
-      const { data } = await axios.post(`${apiBase}/sign-pdf`, {
-        pdfId: 'default',
-        signatures,
-      });
-      setSignedUrl(data.signedUrl);
-      setStatus('Success! Signed PDF ready.');
+      setStatus(`Signing PDF with ${filledFields.length} field(s)...`);
+      // The server burns the saved draft, so it is saved first, then locked
+      const session = await drafts.finalize();
+      setSignedUrl(session.signedUrl);
+      setStatus(
+        session.digitalSignature
+          ? `Success! Signed PDF ready, sealed by ${session.digitalSignature.signer}.`
+          : 'Success! Signed PDF ready.'
+      );
     } catch (error) {
-      setStatus(error.response?.data?.message || error.message || 'Failed to sign');
+      setServerErrors(serverFieldErrors(error));
+      setStatus(errorMessage(error, 'Failed to sign'));
     }
   };
 
-  // Show appropriate label for each field type
-  const renderLabel = (field) => {
-    if (field.type === 'signature') return field.value ? 'Signed' : 'Signature';
-    if (field.type === 'date') return field.value || 'Date';
-    if (field.type === 'radio') return field.value ? 'Selected' : 'Radio';
-    if (field.type === 'image') return field.value ? 'Image' : 'Image Box';
-    return field.value || 'Text';
-  };
+  const draftLabel = {
+    saving: 'Saving draft...',
+    saved: 'Draft saved',
+    conflict: 'Changed in another tab',
+    error: `Draft not saved: ${drafts.saveError}`,
+    finalized: 'Finalized',
+  }[drafts.saveState];
 
   return (
     <div className="app">
@@ -240,19 +550,96 @@ function App() {
               )}
             </div>
           </div>
+          {draftLabel && (
+            <div className="edit-actions">
+              <span className="meta">{draftLabel}</span>
+              {drafts.saveState === 'conflict' && (
+                <>
+                  <button className="ghost" onClick={() => loadSession(drafts.sessionId)}>
+                    Load latest
+                  </button>
+                  <button className="ghost" onClick={keepMyDraft}>
+                    Keep mine
+                  </button>
+                </>
+              )}
+              {drafts.saveState === 'finalized' && (
+                <button className="ghost" onClick={startNewDraft}>
+                  New draft
+                </button>
+              )}
+            </div>
+          )}
           {signedUrl && (
             <button className="secondary" onClick={handleDownload}>
               Download PDF
             </button>
           )}
+          {fields.some((f) => f.acroField) && (
+            <label className="radio-row">
+              <input
+                type="checkbox"
+                checked={flattenForm}
+                onChange={(e) => setFlattenForm(e.target.checked)}
+              />
+              Flatten form
+            </label>
+          )}
+          {fields.some((f) => ['radio', 'checkbox'].includes(f.type) && !f.acroField) && (
+            <label className="radio-row">
+              <input
+                type="checkbox"
+                checked={asFormFields}
+                onChange={(e) => setAsFormFields(e.target.checked)}
+              />
+              Fillable checkboxes
+            </label>
+          )}
+          {hasAnchors && (
+            <label className="radio-row">
+              <input
+                type="checkbox"
+                checked={hideAnchors}
+                onChange={(e) => setHideAnchors(e.target.checked)}
+              />
+              Hide anchor tags
+            </label>
+          )}
+          <label className="radio-row">
+            <input
+              type="checkbox"
+              checked={withCertificate}
+              onChange={(e) => setWithCertificate(e.target.checked)}
+            />
+            Certificate page
+          </label>
+          <label className="radio-row">
+            <input
+              type="checkbox"
+              checked={safeCopy}
+              onChange={(e) => setSafeCopy(e.target.checked)}
+            />
+            Safe final copy
+          </label>
           <button className="primary" onClick={handleSign}>
-            Burn Signature
+            Burn Fields
+          </button>
+          <button className="ghost" onClick={signOut}>
+            Sign out
           </button>
         </div>
       </header>
 
       <main className="layout">
         <aside className="sidebar">
+          <DocumentPicker value={pdfId} onChange={selectDocument} onStatus={setStatus} />
+          <TemplatePanel
+            pdfId={pdfId}
+            fields={fields}
+            onApply={applyTemplate}
+            onStatus={setStatus}
+          />
+
           <h3>Fields</h3>
           <div className="palette">
             {fieldPalette.map((item) => (
@@ -264,56 +651,108 @@ function App() {
                 + {item.label}
               </button>
             ))}
+            <button className="ghost" disabled={detecting || !numPages} onClick={detectFields}>
+              {detecting ? 'Detecting...' : 'Detect Fields'}
+            </button>
+            <button className="ghost" disabled={!numPages} onClick={previewAnchors}>
+              Place From Anchor Tags
+            </button>
+            {suggestions.length > 0 && (
+              <div className="edit-actions">
+                <span className="meta">{suggestions.length} suggested</span>
+                <button
+                  className="ghost"
+                  onClick={() => acceptSuggestions(suggestions.map((s) => s.id))}
+                >
+                  Accept all
+                </button>
+                <button
+                  className="ghost"
+                  onClick={() => dismissSuggestions(suggestions.map((s) => s.id))}
+                >
+                  Dismiss all
+                </button>
+              </div>
+            )}
           </div>
 
           <div className="panel">
             <h4>Selected Field</h4>
+            <div className="edit-actions">
+              <button className="ghost" disabled={!history.canUndo} onClick={history.undo}>
+                Undo
+              </button>
+              <button className="ghost" disabled={!history.canRedo} onClick={history.redo}>
+                Redo
+              </button>
+              <button className="ghost" disabled={!selectedFields.length} onClick={copySelection}>
+                Copy
+              </button>
+              <button className="ghost" onClick={pasteClipboard}>
+                Paste
+              </button>
+              <button className="ghost" disabled={!selectedFields.length} onClick={deleteSelection}>
+                Delete
+              </button>
+            </div>
+            {selectedFields.length > 1 && (
+              <p className="meta">
+                {selectedFields.length} fields selected - drag one or use the arrow keys to move
+                them together
+              </p>
+            )}
             {selectedField ? (
               <>
                 <p className="meta">Type: {selectedField.type}</p>
-                {selectedField.type === 'text' && (
-                  <textarea
-                    value={selectedField.value}
-                    placeholder="Enter text to overlay"
-                    onChange={(e) => updateFieldValue(selectedField.id, e.target.value)}
-                  />
+                {selectedField.acroField && (
+                  <p className="meta">
+                    Form field: {selectedField.acroField}
+                    {selectedField.acroValue ? ` (${selectedField.acroValue})` : ''}
+                  </p>
                 )}
-                {selectedField.type === 'date' && (
-                  <input
-                    type="date"
-                    value={selectedField.value}
-                    onChange={(e) => updateFieldValue(selectedField.id, e.target.value)}
-                  />
-                )}
-                {selectedField.type === 'radio' && (
-                  <label className="radio-row">
-                    <input
-                      type="checkbox"
-                      checked={!!selectedField.value}
-                      onChange={(e) =>
-                        updateFieldValue(selectedField.id, e.target.checked ? 'yes' : '')
-                      }
-                    />
-                    Checked
+                {numPages > 1 && !selectedField.acroField && (
+                  <label className="field-row">
+                    Page
+                    <select
+                      value={selectedField.page}
+                      onChange={(e) => moveFieldToPage(selectedField.id, Number(e.target.value))}
+                    >
+                      {Array.from({ length: numPages }, (_, i) => (
+                        <option key={i + 1} value={i + 1}>
+                          {i + 1}
+                        </option>
+                      ))}
+                    </select>
                   </label>
                 )}
-                {selectedField.type === 'signature' && (
-                  <div className="sig-pad">
-                    <SignaturePad
-                      ref={sigPadRef}
-                      canvasProps={{ className: 'sig-canvas' }}
-                      backgroundColor="#fff"
-                      penColor="#111"
-                    />
-                    <div className="row">
-                      <button className="ghost" onClick={clearSignature}>
-                        Clear
-                      </button>
-                      <button className="primary ghost" onClick={saveSignature}>
-                        Save Signature
-                      </button>
-                    </div>
-                  </div>
+                <label className="field-row">
+                  Assigned to
+                  <select
+                    value={selectedField.role || ''}
+                    onChange={(e) => updateField(selectedField.id, { role: e.target.value })}
+                  >
+                    {!roles.includes(selectedField.role) && <option value="">Unassigned</option>}
+                    {roles.map((role) => (
+                      <option key={role} value={role}>
+                        {role}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <FieldRulesEditor
+                  field={selectedField}
+                  groupNames={groupNames}
+                  onChange={(changes) =>
+                    updateField(selectedField.id, changes, `rules:${selectedField.id}`)
+                  }
+                />
+                <FieldValueEditor
+                  key={selectedField.id}
+                  field={selectedField}
+                  onChange={(value, extra) => updateFieldValue(selectedField.id, value, extra)}
+                />
+                {fieldErrors[selectedField.id] && (
+                  <p className="error">{fieldErrors[selectedField.id]}</p>
                 )}
                 {selectedPdfCoords && (
                   <div className="coords">
@@ -330,77 +769,56 @@ function App() {
                 )}
               </>
             ) : (
-              <p className="meta">Select a field to edit</p>
+              selectedFields.length === 0 && <p className="meta">Select a field to edit</p>
             )}
           </div>
 
+          <LayoutTools
+            settings={layout}
+            onSettingsChange={setLayout}
+            selectedCount={selectedFields.length}
+            onAlign={alignSelection}
+            onDistribute={distributeSelection}
+          />
+
+          <EnvelopePanel
+            pdfId={pdfId}
+            fields={fields}
+            anchors={anchorSettings}
+            recipients={recipients}
+            onRecipientsChange={setRecipients}
+            onRoleRenamed={renameRole}
+            onStatus={setStatus}
+          />
         </aside>
 
-        <section className="canvas">
-          <div className="page-shell" ref={pageWrapperRef}>
-            <Document
-              file={samplePdf}
-              onLoadSuccess={handleDocumentLoad}
-              onLoadError={(err) => setPdfError(err?.message || 'PDF failed to load')}
-            >
-              <Page
-                pageNumber={1}
-                onLoadSuccess={handlePageLoad}
-                width={renderSize.width || undefined}
-                height={
-                  pageMeta.widthPts && renderSize.width
-                    ? (renderSize.width * pageMeta.heightPts) / pageMeta.widthPts
-                    : undefined
-                }
-              />
-            </Document>
-            {pdfError && <p className="error">{pdfError}</p>}
-            {/* Overlay for draggable fields - positioned absolutely over PDF */}
-            {renderSize.width > 0 && pageMeta.widthPts && pageMeta.heightPts && (
-              <div
-                className="overlay"
-                style={{
-                  width: renderSize.width,
-                  height: (renderSize.width * pageMeta.heightPts) / pageMeta.widthPts,
-                }}
-              >
-                {fields.map((field) => {
-                  // Calculate actual pixel positions from normalized coords
-                  const renderHeight =
-                    (renderSize.width * pageMeta.heightPts) / pageMeta.widthPts;
-                  const x = field.xNorm * renderSize.width;
-                  const y = field.yNorm * renderHeight;
-                  const width = field.widthNorm * renderSize.width;
-                  const height = field.heightNorm * renderHeight;
-
-                  return (
-                    <Rnd
-                      key={field.id}
-                      bounds="parent"
-                      size={{ width, height }}
-                      position={{ x, y }}
-                      onDragStop={(_, data) => updateFieldPosition(field.id, data, renderHeight)}
-                      onResizeStop={(_, __, ___, delta, position) => {
-                        updateFieldSize(
-                          field.id,
-                          {
-                            width: width + delta.width,
-                            height: height + delta.height,
-                          },
-                          renderHeight
-                        );
-                        updateFieldPosition(field.id, position, renderHeight);
-                      }}
-                      onClick={() => setSelectedId(field.id)}
-                      className={`box ${selectedId === field.id ? 'active' : ''}`}
-                    >
-                      <span>{renderLabel(field)}</span>
-                    </Rnd>
-                  );
-                })}
-              </div>
-            )}
-          </div>
+        <section className="canvas" ref={canvasRef} tabIndex={-1}>
+          <DocumentViewer
+            ref={viewerRef}
+            file={pdfFile}
+            fields={fields}
+            pageMeta={pageMeta}
+            numPages={numPages}
+            selectedIds={selectedIds}
+            errors={fieldErrors}
+            snapping={{
+              gridPts: layout.grid ? layout.gridPts : 0,
+              guides: layout.guides,
+              marginPts: layout.marginPts,
+            }}
+            suggestions={suggestions}
+            colorFor={(field) => roleColor(field.role, roles)}
+            onDocumentLoad={setNumPages}
+            onPageLoad={handlePageLoad}
+            onCurrentPageChange={setCurrentPage}
+            onSelect={selectField}
+            onSelectMany={selectFields}
+            onFieldChange={updateField}
+            onMoveSelection={moveSelection}
+            onSuggestion={(id, accepted) =>
+              accepted ? acceptSuggestions([id]) : dismissSuggestions([id])
+            }
+          />
         </section>
       </main>
     </div>
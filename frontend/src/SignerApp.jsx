@@ -0,0 +1,214 @@
+import { useEffect, useMemo, useState } from 'react';
+import { pdfjs } from 'react-pdf';
+import workerSrc from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+import { api, errorMessage, signingFileUrl } from './api';
+import DocumentViewer from './components/DocumentViewer';
+import FieldValueEditor from './components/FieldValueEditor';
+import { applyValue } from './lib/fields';
+import { serverFieldErrors, validateFields } from './lib/validation';
+import './App.css';
+
+pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+
+// Recipient view of an envelope - reached through ?sign=<token>, shows only their fields
+function SignerApp({ token }) {
+  const [session, setSession] = useState(null);
+  const [fields, setFields] = useState([]);
+  const [pageMeta, setPageMeta] = useState({});
+  const [numPages, setNumPages] = useState(0);
+  const [selectedId, setSelectedId] = useState(null);
+  const [status, setStatus] = useState('Loading...');
+  const [submitting, setSubmitting] = useState(false);
+  const [checkFields, setCheckFields] = useState(false);
+  const [serverErrors, setServerErrors] = useState({});
+
+  useEffect(() => {
+    api
+      .get(`/sign/${token}`)
+      .then(({ data }) => {
+        setSession(data);
+        setFields(data.fields);
+        setStatus(describe(data));
+      })
+      .catch((error) => setStatus(errorMessage(error, 'Signing link is not valid')));
+  }, [token]);
+
+  const selectedField = useMemo(
+    () => fields.find((f) => f.id === selectedId) || null,
+    [fields, selectedId]
+  );
+
+  const fieldErrors = useMemo(
+    () => ({ ...(checkFields ? validateFields(fields) : {}), ...serverErrors }),
+    [checkFields, fields, serverErrors]
+  );
+
+  const updateFieldValue = (id, value, extra = {}) => {
+    setFields((prev) => applyValue(prev, id, { value, ...extra }));
+    setServerErrors((prev) => {
+      if (!prev[id]) return prev;
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+  };
+
+  const handleSubmit = async () => {
+    const invalid = Object.keys(validateFields(fields));
+    if (invalid.length > 0) {
+      setCheckFields(true);
+      setSelectedId(invalid[0]);
+      setStatus(`${invalid.length} field(s) need attention - they're highlighted in red.`);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const values = Object.fromEntries(fields.map((f) => [f.id, f.value]));
+      const signatureMethods = Object.fromEntries(
+        fields.filter((f) => f.signatureMethod).map((f) => [f.id, f.signatureMethod])
+      );
+      const signatureStrokes = Object.fromEntries(
+        fields.filter((f) => f.strokes).map((f) => [f.id, f.strokes])
+      );
+      const { data } = await api.post(`/sign/${token}`, {
+        values,
+        signatureMethods,
+        signatureStrokes,
+      });
+      setSession(data);
+      setFields(data.fields);
+      setStatus(describe(data));
+    } catch (error) {
+      setServerErrors(serverFieldErrors(error));
+      setStatus(errorMessage(error, 'Failed to submit'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDecline = async () => {
+    const reason = window.prompt('Why are you declining to sign?');
+    if (reason === null) return;
+    setSubmitting(true);
+    try {
+      const { data } = await api.post(`/sign/${token}/decline`, { reason });
+      setSession(data);
+      setStatus(describe(data));
+    } catch (error) {
+      setStatus(errorMessage(error, 'Failed to decline'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const recipient = session?.recipient;
+  const envelope = session?.envelope;
+
+  return (
+    <div className="app">
+      <header className="topbar">
+        <div>
+          <h1>{envelope?.name || 'BoloForms Signature'}</h1>
+          <p className="subtitle">
+            {recipient ? `Signing as ${recipient.name} (${recipient.role})` : 'Signing request'}
+          </p>
+        </div>
+        <div className="header-actions">
+          <div className="status-indicator">
+            <div className="status-content">
+              <span className="status-label">Status:</span>
+              <span className="status-value">{status}</span>
+              {envelope?.signedUrl && (
+                <a
+                  className="status-link"
+                  href={envelope.signedUrl}
+                  target="_blank"
+                  rel="noreferrer"
+                >
+                  Open signed PDF
+                </a>
+              )}
+            </div>
+          </div>
+          {session?.canSign && (
+            <>
+              <button className="secondary" disabled={submitting} onClick={handleDecline}>
+                Decline
+              </button>
+              <button className="primary" disabled={submitting} onClick={handleSubmit}>
+                Finish Signing
+              </button>
+            </>
+          )}
+        </div>
+      </header>
+
+      {session && (
+        <main className="layout">
+          <aside className="sidebar">
+            <div className="panel">
+              <h4>Your Fields</h4>
+              {fields.map((field) => (
+                <button
+                  key={field.id}
+                  className={`ghost field-link ${field.id === selectedId ? 'active' : ''}`}
+                  onClick={() => setSelectedId(field.id)}
+                >
+                  {field.type}
+                  {field.required ? ' *' : ''} · page {field.page} {field.value ? '✓' : ''}
+                  {fieldErrors[field.id] ? ' ⚠' : ''}
+                </button>
+              ))}
+            </div>
+            {selectedField && session.canSign && (
+              <div className="panel">
+                <h4>Selected Field</h4>
+                <FieldValueEditor
+                  key={selectedField.id}
+                  field={selectedField}
+                  signerName={recipient.name}
+                  onChange={(value, extra) => updateFieldValue(selectedField.id, value, extra)}
+                />
+                {fieldErrors[selectedField.id] && (
+                  <p className="error">{fieldErrors[selectedField.id]}</p>
+                )}
+              </div>
+            )}
+          </aside>
+
+          <section className="canvas">
+            <DocumentViewer
+              file={signingFileUrl(token)}
+              fields={fields}
+              pageMeta={pageMeta}
+              numPages={numPages}
+              selectedIds={selectedId ? [selectedId] : []}
+              errors={fieldErrors}
+              editable={false}
+              onDocumentLoad={setNumPages}
+              onPageLoad={(pageNumber, meta) =>
+                setPageMeta((prev) => ({ ...prev, [pageNumber]: meta }))
+              }
+              onSelect={setSelectedId}
+            />
+          </section>
+        </main>
+      )}
+    </div>
+  );
+}
+
+// One-line summary of where this signer stands
+const describe = ({ envelope, recipient, canSign, waitingOn }) => {
+  if (envelope.status === 'completed') return 'All parties have signed.';
+  if (envelope.status === 'declined') {
+    return `Declined${envelope.declineReason ? `: ${envelope.declineReason}` : ''}.`;
+  }
+  if (recipient.status === 'completed') return 'You have signed. Waiting for the others.';
+  if (waitingOn.length > 0) return `Waiting for ${waitingOn.join(', ')} to sign first.`;
+  if (canSign) return 'Fill in your fields, then finish signing.';
+  return 'This envelope is closed.';
+};
+
+export default SignerApp;
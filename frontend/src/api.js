@@ -0,0 +1,73 @@
+import axios from 'axios';
+
+// Backend base URL - same default the sign flow has always used
+export const apiBase = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+// The editor acts for one tenant through a short-lived editor token, traded for an API key at
+// sign-in. Only the token is kept, for this tab's session; signer links need none.
+const SESSION_KEY = 'editorSession';
+
+// { token, expiresAt, tenant } while signed in, or null
+export const currentSession = () => {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+    return session && Date.parse(session.expiresAt) > Date.now() ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+const authHeaders = () => {
+  const session = currentSession();
+  return session ? { Authorization: `Bearer ${session.token}` } : {};
+};
+
+// Called when the token stops working, so the editor can ask for a key again
+let sessionEnded = () => {};
+export const onSessionEnd = (callback) => {
+  sessionEnded = callback;
+  return () => {
+    sessionEnded = () => {};
+  };
+};
+
+export const signOut = () => {
+  sessionStorage.removeItem(SESSION_KEY);
+  sessionEnded();
+};
+
+// The key goes to the server once and is never stored
+export const signIn = async (apiKey) => {
+  const { data } = await axios.post(`${apiBase}/auth/token`, null, {
+    headers: { Authorization: `Bearer ${apiKey}` },
+  });
+  const session = { token: data.token, expiresAt: data.expiresAt, tenant: data.tenant };
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  return session;
+};
+
+export const api = axios.create({ baseURL: apiBase });
+
+api.interceptors.request.use((config) => {
+  Object.entries(authHeaders()).forEach(([name, value]) => config.headers.set(name, value));
+  return config;
+});
+
+api.interceptors.response.use(undefined, (error) => {
+  if (error.response?.status === 401) signOut();
+  return Promise.reject(error);
+});
+
+// Where the viewer loads a stored document's bytes from - react-pdf sends the token along.
+// Memoize the result; a new object makes the viewer reload the document.
+export const documentFile = (pdfId) => ({
+  url: `${apiBase}/documents/${pdfId}/file`,
+  httpHeaders: authHeaders(),
+});
+
+// The envelope's document as a signer sees it, authorized by their link
+export const signingFileUrl = (token) => `${apiBase}/sign/${token}/file`;
+
+// Pull the most useful message out of an axios error
+export const errorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
@@ -0,0 +1,112 @@
+import { useEffect, useEffectEvent, useRef, useState } from 'react';
+import { api, errorMessage } from '../api';
+
+// What the backend converts to PDF on upload, besides PDFs themselves
+const UPLOAD_TYPES = [
+  'application/pdf',
+  'image/jpeg',
+  'image/png',
+  'image/tiff',
+  '.docx',
+  '.html',
+  '.htm',
+  '.md',
+  '.txt',
+].join(',');
+
+// Pick, upload or delete the source PDF that fields are placed on. Images, Word, HTML,
+// Markdown and text files are converted to PDF by the backend when uploaded.
+function DocumentPicker({ value, onChange, onStatus }) {
+  const [documents, setDocuments] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const refresh = async () => {
+    const { data } = await api.get('/documents');
+    setDocuments(data.documents);
+    return data.documents;
+  };
+
+  // Load the list once on mount
+  const loadDocuments = useEffectEvent(() =>
+    refresh().catch((error) => onStatus(errorMessage(error, 'Failed to load documents')))
+  );
+  useEffect(() => {
+    loadDocuments();
+  }, []);
+
+  const handleUpload = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const form = new FormData();
+    form.append('file', file);
+    setBusy(true);
+    try {
+      const converting = !/\.pdf$/i.test(file.name);
+      onStatus(`${converting ? 'Converting' : 'Uploading'} ${file.name}...`);
+      const { data } = await api.post('/documents', form);
+      await refresh();
+      onChange(data.id);
+      const from = data.source ? `, converted from ${data.source.format}` : '';
+      onStatus(`Uploaded ${data.name} (${data.pageCount} page(s)${from})`);
+    } catch (error) {
+      onStatus(errorMessage(error, 'Upload failed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    const current = documents.find((doc) => doc.id === value);
+    if (!current || current.builtin) return;
+    if (!window.confirm(`Delete ${current.name}?`)) return;
+
+    setBusy(true);
+    try {
+      await api.delete(`/documents/${value}`);
+      const remaining = await refresh();
+      onChange(remaining[0]?.id || 'default');
+      onStatus(`Deleted ${current.name}`);
+    } catch (error) {
+      onStatus(errorMessage(error, 'Delete failed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const current = documents.find((doc) => doc.id === value);
+
+  return (
+    <div className="panel document-picker">
+      <h4>Document</h4>
+      <select value={value} onChange={(e) => onChange(e.target.value)} disabled={busy}>
+        {documents.map((doc) => (
+          <option key={doc.id} value={doc.id}>
+            {doc.name} ({doc.pageCount}p)
+          </option>
+        ))}
+      </select>
+      <div className="row">
+        <button className="ghost" disabled={busy} onClick={() => fileInputRef.current?.click()}>
+          Upload File
+        </button>
+        {current && !current.builtin && (
+          <button className="ghost" disabled={busy} onClick={handleDelete}>
+            Delete
+          </button>
+        )}
+      </div>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={UPLOAD_TYPES}
+        hidden
+        onChange={handleUpload}
+      />
+    </div>
+  );
+}
+
+export default DocumentPicker;
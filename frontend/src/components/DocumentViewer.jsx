@@ -0,0 +1,411 @@
+import { useEffect, useImperativeHandle, useRef, useState } from 'react';
+import { Document, Page } from 'react-pdf';
+import { Rnd } from 'react-rnd';
+import { fieldLabel, getPageMeta } from '../lib/fields';
+import { detectPageFields } from '../lib/detection';
+import { fieldsInRect } from '../lib/selection';
+import { gridStep, snapPosition, snapResize, snapTargets } from '../lib/snapping';
+
+// Drags shorter than this (normalized) are clicks, not rubber bands
+const MIN_BAND = 0.005;
+// How close (screen pixels) a box edge must come to a guide to snap to it
+const SNAP_PX = 6;
+
+// Continuous scroll view of every page with the field overlay on top.
+// Parents own fields and per-page metadata; the viewer owns layout and scrolling.
+// `errors` maps field id -> validation message; those boxes are highlighted.
+// Shift-click and rubber-band drags on empty page space extend the selection; dragging one
+// selected field moves the whole selection. `snapping` ({ gridPts, guides, marginPts }) snaps
+// moved and resized boxes to a grid in points and to other fields' edges and centers.
+// `suggestions` are detected fields shown as dashed boxes until accepted or rejected.
+function DocumentViewer({
+  ref,
+  file,
+  fields,
+  pageMeta,
+  numPages,
+  selectedIds = [],
+  errors = {},
+  snapping = null,
+  suggestions = [],
+  editable = true,
+  colorFor,
+  onDocumentLoad,
+  onPageLoad,
+  onCurrentPageChange,
+  onSelect,
+  onSelectMany,
+  onFieldChange,
+  onMoveSelection,
+  onSuggestion,
+}) {
+  const [renderSize, setRenderSize] = useState({ width: 0 });
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pdfError, setPdfError] = useState('');
+  const pageWrapperRef = useRef(null);
+  const pageRefs = useRef({});
+  // The loaded pdf.js document, for reading page content outside of rendering
+  const pdfRef = useRef(null);
+  // Live offset of a group drag, so the rest of the selection follows the dragged box
+  const [groupDrag, setGroupDrag] = useState(null);
+  const [band, setBand] = useState(null);
+  // Guide lines the box being dragged has locked onto
+  const [guides, setGuides] = useState(null);
+  // The click that ends a drag shouldn't collapse the selection
+  const draggedRef = useRef(false);
+
+  // Watch for PDF viewer resize so we can recalculate field positions
+  useEffect(() => {
+    if (!pageWrapperRef.current) return;
+    const observer = new ResizeObserver((entries) => {
+      const { width } = entries[0].contentRect;
+      setRenderSize({ width });
+    });
+    observer.observe(pageWrapperRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  // Track which page is most visible so new fields land where the user is looking
+  useEffect(() => {
+    if (!numPages) return;
+    const ratios = {};
+    const observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          ratios[entry.target.dataset.page] = entry.intersectionRatio;
+        });
+        const [mostVisible] = Object.entries(ratios).sort((a, b) => b[1] - a[1]);
+        if (mostVisible && mostVisible[1] > 0) {
+          setCurrentPage(Number(mostVisible[0]));
+          onCurrentPageChange?.(Number(mostVisible[0]));
+        }
+      },
+      { threshold: [0, 0.25, 0.5, 0.75, 1] }
+    );
+    Object.values(pageRefs.current).forEach((el) => el && observer.observe(el));
+    return () => observer.disconnect();
+  }, [numPages, onCurrentPageChange]);
+
+  const goToPage = (pageNumber) => {
+    const target = Math.min(Math.max(pageNumber, 1), numPages);
+    pageRefs.current[target]?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    setCurrentPage(target);
+    onCurrentPageChange?.(target);
+  };
+
+  // Suggested fields for every page, from pdf.js text content and drawing operators
+  const detectFields = async () => {
+    const pdf = pdfRef.current;
+    if (!pdf) return [];
+    const found = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
+      found.push(...(await detectPageFields(await pdf.getPage(pageNumber))));
+    }
+    return found;
+  };
+
+  useImperativeHandle(ref, () => ({ goToPage, detectFields }));
+
+  const handleDocumentLoad = (pdf) => {
+    pdfRef.current = pdf;
+    setPdfError('');
+    onDocumentLoad(pdf.numPages);
+  };
+
+  // Snap settings for one page, in that page's normalized units - null when snapping is off
+  const snapOptions = (pageNumber, renderHeight, excludeIds) => {
+    const meta = pageMeta[pageNumber];
+    if (!snapping || !meta) return null;
+    const grid = gridStep(snapping.gridPts, meta);
+    if (!grid && !snapping.guides) return null;
+    return {
+      targets: snapping.guides
+        ? snapTargets(fields, pageNumber, excludeIds, meta, snapping.marginPts)
+        : { x: [], y: [] },
+      grid,
+      threshold: { x: SNAP_PX / renderSize.width, y: SNAP_PX / renderHeight },
+    };
+  };
+
+  const overlayPoint = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    return {
+      x: Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)),
+      y: Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height)),
+    };
+  };
+
+  // Rubber band - starts on empty overlay space, selects every field it touches
+  const startBand = (event, pageNumber) => {
+    if (!editable || event.button !== 0 || event.target !== event.currentTarget) return;
+    const point = overlayPoint(event);
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setBand({ page: pageNumber, x0: point.x, y0: point.y, x1: point.x, y1: point.y });
+  };
+
+  const moveBand = (event) => {
+    if (!band) return;
+    const point = overlayPoint(event);
+    setBand((prev) => prev && { ...prev, x1: point.x, y1: point.y });
+  };
+
+  const endBand = (event) => {
+    if (!band) return;
+    const rect = {
+      x: Math.min(band.x0, band.x1),
+      y: Math.min(band.y0, band.y1),
+      width: Math.abs(band.x1 - band.x0),
+      height: Math.abs(band.y1 - band.y0),
+    };
+    const isClick = rect.width < MIN_BAND && rect.height < MIN_BAND;
+    onSelectMany?.(isClick ? [] : fieldsInRect(fields, band.page, rect), event.shiftKey);
+    setBand(null);
+  };
+
+  // Extract page dimensions in points when each page loads
+  const handlePageLoad = (page) => {
+    onPageLoad(page.pageNumber, getPageMeta(page));
+  };
+
+  return (
+    <>
+      {numPages > 1 && (
+        <div className="page-nav">
+          <button
+            className="ghost"
+            disabled={currentPage <= 1}
+            onClick={() => goToPage(currentPage - 1)}
+          >
+            Prev
+          </button>
+          <span>
+            Page {currentPage} of {numPages}
+          </span>
+          <button
+            className="ghost"
+            disabled={currentPage >= numPages}
+            onClick={() => goToPage(currentPage + 1)}
+          >
+            Next
+          </button>
+        </div>
+      )}
+      <div className="pages" ref={pageWrapperRef}>
+        <Document
+          file={file}
+          onLoadSuccess={handleDocumentLoad}
+          onLoadError={(err) => setPdfError(err?.message || 'PDF failed to load')}
+        >
+          {Array.from({ length: numPages }, (_, index) => {
+            const pageNumber = index + 1;
+            const meta = pageMeta[pageNumber];
+            const renderHeight =
+              meta && renderSize.width ? (renderSize.width * meta.heightPts) / meta.widthPts : 0;
+
+            return (
+              <div
+                key={pageNumber}
+                className="page-shell"
+                data-page={pageNumber}
+                ref={(el) => {
+                  pageRefs.current[pageNumber] = el;
+                }}
+              >
+                <Page
+                  pageNumber={pageNumber}
+                  onLoadSuccess={handlePageLoad}
+                  width={renderSize.width || undefined}
+                />
+                {/* Overlay for draggable fields - positioned absolutely over this page */}
+                {renderHeight > 0 && (
+                  <div
+                    className="overlay"
+                    style={{ width: renderSize.width, height: renderHeight }}
+                    onPointerDown={(e) => startBand(e, pageNumber)}
+                    onPointerMove={moveBand}
+                    onPointerUp={endBand}
+                  >
+                    {fields
+                      .filter((field) => field.page === pageNumber)
+                      .map((field) => {
+                        const selected = selectedIds.includes(field.id);
+                        // Followers of a group drag are offset by the dragged box's delta
+                        const follow =
+                          groupDrag && selected && groupDrag.id !== field.id ? groupDrag : null;
+                        // Calculate actual pixel positions from normalized coords
+                        const x = (field.xNorm + (follow?.dx || 0)) * renderSize.width;
+                        const y = (field.yNorm + (follow?.dy || 0)) * renderHeight;
+                        const width = field.widthNorm * renderSize.width;
+                        const height = field.heightNorm * renderHeight;
+                        const groupMove = selected && selectedIds.length > 1;
+                        // Snap against everything that isn't moving along with this box
+                        const snap = () =>
+                          snapOptions(
+                            pageNumber,
+                            renderHeight,
+                            groupMove ? selectedIds : [field.id]
+                          );
+                        // Where a drag ends up once snapped, normalized
+                        const dropAt = (data) => {
+                          const box = {
+                            x: data.x / renderSize.width,
+                            y: data.y / renderHeight,
+                            width: field.widthNorm,
+                            height: field.heightNorm,
+                          };
+                          const options = snap();
+                          return options ? snapPosition(box, options) : { ...box, guides: [] };
+                        };
+
+                        return (
+                          <Rnd
+                            key={field.id}
+                            bounds="parent"
+                            size={{ width, height }}
+                            position={{ x, y }}
+                            // Native form fields stay where the PDF puts them
+                            disableDragging={!editable || !!field.acroField}
+                            enableResizing={editable && !field.acroField}
+                            // Convert pixel coords back to normalized (0-1) so fields
+                            // stay anchored when the viewer resizes
+                            onDragStart={() => {
+                              draggedRef.current = false;
+                            }}
+                            onDrag={(_, data) => {
+                              draggedRef.current = true;
+                              setGuides({ page: pageNumber, lines: dropAt(data).guides });
+                              if (groupMove) {
+                                setGroupDrag({
+                                  id: field.id,
+                                  dx: data.x / renderSize.width - field.xNorm,
+                                  dy: data.y / renderHeight - field.yNorm,
+                                });
+                              }
+                            }}
+                            onDragStop={(_, data) => {
+                              setGroupDrag(null);
+                              setGuides(null);
+                              if (!draggedRef.current) return;
+                              const drop = dropAt(data);
+                              if (groupMove) {
+                                onMoveSelection?.(drop.x - field.xNorm, drop.y - field.yNorm);
+                              } else {
+                                onFieldChange?.(field.id, { xNorm: drop.x, yNorm: drop.y });
+                              }
+                            }}
+                            onResize={(_, direction, __, delta, position) => {
+                              const options = snap();
+                              if (!options) return;
+                              const box = {
+                                x: position.x / renderSize.width,
+                                y: position.y / renderHeight,
+                                width: (width + delta.width) / renderSize.width,
+                                height: (height + delta.height) / renderHeight,
+                              };
+                              const { guides: lines } = snapResize(box, direction, options);
+                              setGuides({ page: pageNumber, lines });
+                            }}
+                            onResizeStop={(_, direction, __, delta, position) => {
+                              setGuides(null);
+                              let box = {
+                                x: position.x / renderSize.width,
+                                y: position.y / renderHeight,
+                                width: (width + delta.width) / renderSize.width,
+                                height: (height + delta.height) / renderHeight,
+                              };
+                              const options = snap();
+                              if (options) box = snapResize(box, direction, options).box;
+                              onFieldChange?.(field.id, {
+                                xNorm: box.x,
+                                yNorm: box.y,
+                                widthNorm: box.width,
+                                heightNorm: box.height,
+                              });
+                            }}
+                            onClick={(e) => {
+                              if (draggedRef.current) {
+                                draggedRef.current = false;
+                                return;
+                              }
+                              onSelect(field.id, e.shiftKey);
+                            }}
+                            className={`box ${field.acroField ? 'native' : ''} ${
+                              selected ? 'active' : ''
+                            } ${errors[field.id] ? 'invalid' : ''}`}
+                            style={colorFor ? { '--field-color': colorFor(field) } : undefined}
+                          >
+                            <span title={errors[field.id]}>
+                              {fieldLabel(field)}
+                              {field.required ? ' *' : ''}
+                            </span>
+                          </Rnd>
+                        );
+                      })}
+                    {suggestions
+                      .filter((suggestion) => suggestion.page === pageNumber)
+                      .map((suggestion) => (
+                        <div
+                          key={suggestion.id}
+                          className="suggestion"
+                          title={suggestion.label || suggestion.source}
+                          style={{
+                            left: `${suggestion.xNorm * 100}%`,
+                            top: `${suggestion.yNorm * 100}%`,
+                            width: `${suggestion.widthNorm * 100}%`,
+                            height: `${suggestion.heightNorm * 100}%`,
+                          }}
+                        >
+                          <span>{suggestion.type}</span>
+                          <button
+                            title="Add this field"
+                            onClick={() => onSuggestion?.(suggestion.id, true)}
+                          >
+                            ✓
+                          </button>
+                          <button
+                            title="Dismiss"
+                            onClick={() => onSuggestion?.(suggestion.id, false)}
+                          >
+                            ✕
+                          </button>
+                        </div>
+                      ))}
+                    {guides?.page === pageNumber &&
+                      guides.lines.map((line) => (
+                        <div
+                          key={`${line.axis}-${line.position}`}
+                          className={`guide ${line.axis}`}
+                          style={
+                            line.axis === 'x'
+                              ? { left: `${line.position * 100}%` }
+                              : { top: `${line.position * 100}%` }
+                          }
+                        />
+                      ))}
+                    {band?.page === pageNumber && (
+                      <div
+                        className="rubber-band"
+                        style={{
+                          left: `${Math.min(band.x0, band.x1) * 100}%`,
+                          top: `${Math.min(band.y0, band.y1) * 100}%`,
+                          width: `${Math.abs(band.x1 - band.x0) * 100}%`,
+                          height: `${Math.abs(band.y1 - band.y0) * 100}%`,
+                        }}
+                      />
+                    )}
+                  </div>
+                )}
+                <span className="page-number">
+                  {pageNumber} / {numPages}
+                </span>
+              </div>
+            );
+          })}
+        </Document>
+        {pdfError && <p className="error">{pdfError}</p>}
+      </div>
+    </>
+  );
+}
+
+export default DocumentViewer;
@@ -0,0 +1,169 @@
+import { useState } from 'react';
+import { api, errorMessage } from '../api';
+import { toLayout } from '../lib/fields';
+
+// Recipients, roles and signing order for a multi-signer envelope.
+// `anchors` is the anchor-tag setting to send along when fields were placed from tags.
+function EnvelopePanel({
+  pdfId,
+  fields,
+  anchors = null,
+  recipients,
+  onRecipientsChange,
+  onRoleRenamed,
+  onStatus,
+}) {
+  const [mode, setMode] = useState('sequential');
+  const [certificate, setCertificate] = useState(true);
+  const [formFields, setFormFields] = useState(false);
+  const [reminders, setReminders] = useState(true);
+  // Days until the envelope expires; empty never expires
+  const [expiresInDays, setExpiresInDays] = useState('');
+  const [envelope, setEnvelope] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const updateRecipient = (index, changes) => {
+    const current = recipients[index];
+    onRecipientsChange(recipients.map((r, i) => (i === index ? { ...r, ...changes } : r)));
+    if (changes.role !== undefined && changes.role !== current.role) {
+      onRoleRenamed(current.role, changes.role);
+    }
+  };
+
+  const addRecipient = () => {
+    const next = recipients.length + 1;
+    onRecipientsChange([
+      ...recipients,
+      { role: `Signer ${next}`, name: '', email: '', order: next },
+    ]);
+  };
+
+  const removeRecipient = (index) => {
+    onRecipientsChange(recipients.filter((_, i) => i !== index));
+  };
+
+  const handleSend = async () => {
+    setBusy(true);
+    setEnvelope(null);
+    try {
+      const { data } = await api.post('/envelopes', {
+        pdfId,
+        mode,
+        certificate,
+        formFields,
+        anchors,
+        reminders,
+        expiresInDays: expiresInDays ? Number(expiresInDays) : null,
+        recipients,
+        fields: toLayout(fields),
+      });
+      setEnvelope(data);
+      onStatus(`Envelope sent to ${data.recipients.length} recipient(s)`);
+    } catch (error) {
+      const details = error.response?.data?.errors?.map((e) => e.message).join('; ');
+      onStatus(details || errorMessage(error, 'Failed to create envelope'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="panel envelope-panel">
+      <h4>Recipients</h4>
+      {recipients.map((recipient, index) => (
+        <div className="recipient" key={index}>
+          <div className="row">
+            <input
+              type="text"
+              value={recipient.role}
+              placeholder="Role"
+              onChange={(e) => updateRecipient(index, { role: e.target.value })}
+            />
+            <input
+              type="number"
+              min="1"
+              value={recipient.order}
+              title="Signing order"
+              disabled={mode === 'parallel'}
+              onChange={(e) => updateRecipient(index, { order: Number(e.target.value) })}
+            />
+          </div>
+          <input
+            type="text"
+            value={recipient.name}
+            placeholder="Name"
+            onChange={(e) => updateRecipient(index, { name: e.target.value })}
+          />
+          <input
+            type="email"
+            value={recipient.email}
+            placeholder="Email"
+            onChange={(e) => updateRecipient(index, { email: e.target.value })}
+          />
+          {recipients.length > 1 && (
+            <button className="ghost" onClick={() => removeRecipient(index)}>
+              Remove
+            </button>
+          )}
+        </div>
+      ))}
+      <button className="ghost" onClick={addRecipient}>
+        + Recipient
+      </button>
+      <label className="field-row">
+        Signing
+        <select value={mode} onChange={(e) => setMode(e.target.value)}>
+          <option value="sequential">In order</option>
+          <option value="parallel">Any order</option>
+        </select>
+      </label>
+      <label className="radio-row">
+        <input
+          type="checkbox"
+          checked={certificate}
+          onChange={(e) => setCertificate(e.target.checked)}
+        />
+        Append certificate of completion
+      </label>
+      <label className="radio-row">
+        <input
+          type="checkbox"
+          checked={formFields}
+          onChange={(e) => setFormFields(e.target.checked)}
+        />
+        Keep checkboxes and radios fillable
+      </label>
+      <label className="radio-row">
+        <input
+          type="checkbox"
+          checked={reminders}
+          onChange={(e) => setReminders(e.target.checked)}
+        />
+        Email reminders until signed
+      </label>
+      <label className="field-row">
+        Expires
+        <select value={expiresInDays} onChange={(e) => setExpiresInDays(e.target.value)}>
+          <option value="">Never</option>
+          <option value="7">In 7 days</option>
+          <option value="14">In 14 days</option>
+          <option value="30">In 30 days</option>
+        </select>
+      </label>
+      <button className="primary" disabled={busy || fields.length === 0} onClick={handleSend}>
+        Send for Signing
+      </button>
+      {envelope && (
+        <div className="sign-links">
+          {envelope.recipients.map((recipient) => (
+            <a key={recipient.id} href={recipient.signUrl} target="_blank" rel="noreferrer">
+              {recipient.role}: {recipient.name}
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EnvelopePanel;
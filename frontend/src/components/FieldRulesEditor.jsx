@@ -0,0 +1,128 @@
+import { formats } from '../lib/validation';
+
+// Validation settings for the selected field - which ones show depends on its type.
+// Cleared inputs set the rule to undefined so it drops out of saved layouts.
+function FieldRulesEditor({ field, groupNames = [], onChange }) {
+  const optional = (value) => (value === '' ? undefined : value);
+
+  return (
+    <div className="rules">
+      <label className="radio-row">
+        <input
+          type="checkbox"
+          checked={!!field.required}
+          onChange={(e) => onChange({ required: e.target.checked || undefined })}
+        />
+        Required
+      </label>
+
+      {field.type === 'text' && (
+        <>
+          <label className="field-row">
+            Placeholder
+            <input
+              type="text"
+              value={field.placeholder || ''}
+              onChange={(e) => onChange({ placeholder: optional(e.target.value) })}
+            />
+          </label>
+          <label className="field-row">
+            Max length
+            <input
+              type="number"
+              min="1"
+              value={field.maxLength ?? ''}
+              onChange={(e) =>
+                onChange({
+                  maxLength: e.target.value ? Math.max(1, Math.floor(Number(e.target.value))) : undefined,
+                })
+              }
+            />
+          </label>
+          <label className="field-row">
+            Format
+            <select
+              value={field.format || ''}
+              onChange={(e) =>
+                onChange({
+                  format: optional(e.target.value),
+                  ...(e.target.value === 'regex' ? {} : { pattern: undefined }),
+                })
+              }
+            >
+              <option value="">Any text</option>
+              {formats.map((format) => (
+                <option key={format.id} value={format.id}>
+                  {format.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {field.format === 'regex' && (
+            <label className="field-row">
+              Pattern
+              <input
+                type="text"
+                value={field.pattern || ''}
+                placeholder="e.g. [A-Z]{2}\d{6}"
+                onChange={(e) => onChange({ pattern: optional(e.target.value) })}
+              />
+            </label>
+          )}
+        </>
+      )}
+
+      {field.type === 'date' && (
+        <>
+          <label className="field-row">
+            Earliest
+            <input
+              type="date"
+              value={field.minDate || ''}
+              onChange={(e) => onChange({ minDate: optional(e.target.value) })}
+            />
+          </label>
+          <label className="field-row">
+            Latest
+            <input
+              type="date"
+              value={field.maxDate || ''}
+              onChange={(e) => onChange({ maxDate: optional(e.target.value) })}
+            />
+          </label>
+        </>
+      )}
+
+      {['radio', 'checkbox'].includes(field.type) && !field.acroField && (
+        <label className="field-row">
+          Export value
+          <input
+            type="text"
+            value={field.exportValue || ''}
+            onChange={(e) => onChange({ exportValue: optional(e.target.value) })}
+          />
+        </label>
+      )}
+
+      {field.type === 'radio' && !field.acroField && (
+        <label className="field-row">
+          Group
+          <input
+            type="text"
+            list="radio-groups"
+            value={field.groupName || ''}
+            placeholder="None"
+            onChange={(e) => onChange({ groupName: optional(e.target.value) })}
+          />
+          <datalist id="radio-groups">
+            {groupNames.map((name) => (
+              <option key={name} value={name} />
+            ))}
+          </datalist>
+        </label>
+      )}
+    </div>
+  );
+}
+
+export default FieldRulesEditor;
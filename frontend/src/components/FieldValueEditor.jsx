@@ -0,0 +1,93 @@
+import { maskValue } from '../lib/validation';
+import SignatureInput from './SignatureInput';
+
+// Value input for the selected field - text, date, radio, checkbox, image upload, signature
+// or initials.
+// Signatures also report how they were made: onChange(dataUrl, { signatureMethod, strokes }).
+function FieldValueEditor({ field, signerName, onChange }) {
+  // Read an uploaded JPEG/PNG as a data URL for the image field
+  const handleImageUpload = (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => onChange(reader.result);
+    reader.readAsDataURL(file);
+  };
+
+  switch (field.type) {
+    case 'text':
+      return (
+        <textarea
+          value={field.value}
+          placeholder={field.placeholder || 'Enter text to overlay'}
+          maxLength={field.maxLength}
+          onChange={(e) => onChange(maskValue(field, e.target.value))}
+        />
+      );
+    case 'date':
+      return (
+        <input
+          type="date"
+          value={field.value}
+          min={field.minDate}
+          max={field.maxDate}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      );
+    case 'radio':
+    case 'checkbox':
+      // Grouped radios select like real ones; a lone radio toggles like a checkbox
+      if (field.type === 'radio' && field.groupName) {
+        return (
+          <div className="row">
+            <label className="radio-row">
+              <input
+                type="radio"
+                name={field.groupName}
+                checked={!!field.value}
+                onChange={() => onChange('yes')}
+              />
+              Selected
+            </label>
+            {field.value && (
+              <button className="ghost" onClick={() => onChange('')}>
+                Clear
+              </button>
+            )}
+          </div>
+        );
+      }
+      return (
+        <label className="radio-row">
+          <input
+            type="checkbox"
+            checked={!!field.value}
+            onChange={(e) => onChange(e.target.checked ? 'yes' : '')}
+          />
+          {field.type === 'radio' ? 'Selected' : 'Checked'}
+        </label>
+      );
+    case 'image':
+      return (
+        <div className="image-input">
+          <input type="file" accept="image/png,image/jpeg" onChange={handleImageUpload} />
+          {field.value && <img src={field.value} alt="Selected upload" />}
+        </div>
+      );
+    case 'signature':
+    case 'initials':
+      return (
+        <SignatureInput
+          kind={field.type}
+          signerName={signerName}
+          onSave={(dataUrl, signatureMethod, strokes = null) =>
+            onChange(dataUrl, { signatureMethod, strokes })
+          }
+        />
+      );
+    default:
+      return null;
+  }
+}
+
+export default FieldValueEditor;
@@ -0,0 +1,82 @@
+// Snapping settings plus align/distribute buttons for the current selection
+const alignments = [
+  { edge: 'left', label: 'Left' },
+  { edge: 'center', label: 'Center' },
+  { edge: 'right', label: 'Right' },
+  { edge: 'top', label: 'Top' },
+  { edge: 'middle', label: 'Middle' },
+  { edge: 'bottom', label: 'Bottom' },
+];
+
+function LayoutTools({ settings, onSettingsChange, selectedCount, onAlign, onDistribute }) {
+  const update = (changes) => onSettingsChange({ ...settings, ...changes });
+
+  return (
+    <div className="panel">
+      <h4>Layout</h4>
+      <label className="radio-row">
+        <input
+          type="checkbox"
+          checked={settings.grid}
+          onChange={(e) => update({ grid: e.target.checked })}
+        />
+        Snap to grid
+      </label>
+      {settings.grid && (
+        <label className="field-row">
+          Grid size (pt)
+          <input
+            type="number"
+            min="1"
+            value={settings.gridPts}
+            onChange={(e) => update({ gridPts: Math.max(1, Number(e.target.value) || 1) })}
+          />
+        </label>
+      )}
+      <label className="radio-row">
+        <input
+          type="checkbox"
+          checked={settings.guides}
+          onChange={(e) => update({ guides: e.target.checked })}
+        />
+        Smart guides
+      </label>
+      {settings.guides && (
+        <label className="field-row">
+          Page margin (pt)
+          <input
+            type="number"
+            min="0"
+            value={settings.marginPts}
+            onChange={(e) => update({ marginPts: Math.max(0, Number(e.target.value) || 0) })}
+          />
+        </label>
+      )}
+
+      <p className="meta">Align</p>
+      <div className="edit-actions">
+        {alignments.map(({ edge, label }) => (
+          <button
+            key={edge}
+            className="ghost"
+            disabled={selectedCount < 2}
+            onClick={() => onAlign(edge)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <p className="meta">Distribute</p>
+      <div className="edit-actions">
+        <button className="ghost" disabled={selectedCount < 3} onClick={() => onDistribute('x')}>
+          Horizontally
+        </button>
+        <button className="ghost" disabled={selectedCount < 3} onClick={() => onDistribute('y')}>
+          Vertically
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default LayoutTools;
@@ -0,0 +1,60 @@
+import { useEffect, useState } from 'react';
+import { currentSession, errorMessage, onSessionEnd, signIn } from '../api';
+
+// Editor sign-in - asks for an API key, trades it for an editor token and shows the editor
+// until the token runs out or the server turns it down
+function SignInGate({ children }) {
+  const [session, setSession] = useState(currentSession);
+  const [apiKey, setApiKey] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => onSessionEnd(() => setSession(null)), []);
+
+  // Sign out when the token expires rather than on the next failed request
+  useEffect(() => {
+    if (!session) return;
+    const timer = setTimeout(() => setSession(null), Date.parse(session.expiresAt) - Date.now());
+    return () => clearTimeout(timer);
+  }, [session]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      setSession(await signIn(apiKey.trim()));
+      setApiKey('');
+    } catch (err) {
+      setError(errorMessage(err, 'Sign-in failed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (session) return children;
+
+  return (
+    <div className="app sign-in">
+      <form className="panel sign-in-form" onSubmit={handleSubmit}>
+        <h1>BoloForms Signature</h1>
+        <p className="meta">
+          Sign in with an API key. The editor keeps a token that expires, never the key.
+        </p>
+        <input
+          type="password"
+          value={apiKey}
+          placeholder="sk_..."
+          autoComplete="off"
+          onChange={(e) => setApiKey(e.target.value)}
+        />
+        <button className="primary" type="submit" disabled={busy || !apiKey.trim()}>
+          Sign in
+        </button>
+        {error && <p className="error">{error}</p>}
+      </form>
+    </div>
+  );
+}
+
+export default SignInGate;
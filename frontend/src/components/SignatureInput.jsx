@@ -0,0 +1,172 @@
+import { useRef, useState } from 'react';
+import SignaturePad from 'react-signature-canvas';
+import {
+  initialsOf,
+  removeBackground,
+  renderTypedSignature,
+  signatureFonts,
+} from '../lib/signatureImage';
+import { createPressureRecorder, strokesFromPad } from '../lib/strokes';
+
+const modes = [
+  { id: 'draw', label: 'Draw' },
+  { id: 'type', label: 'Type' },
+  { id: 'upload', label: 'Upload' },
+];
+
+// Signature or initials input - draw on the pad, type in a script font, or upload a photo.
+// Every mode ends in a PNG data URL; onSave(dataUrl, method, strokes) also reports which mode
+// made it, and drawings pass their pen strokes so they can be burned as vectors.
+function SignatureInput({ kind = 'signature', signerName = '', onSave }) {
+  const isInitials = kind === 'initials';
+  const [mode, setMode] = useState('draw');
+  const [typed, setTyped] = useState(isInitials ? initialsOf(signerName) : signerName);
+  const [font, setFont] = useState(signatureFonts[0]);
+  const [upload, setUpload] = useState(null);
+  const [tolerance, setTolerance] = useState(60);
+  const [cleaned, setCleaned] = useState(null);
+  const [error, setError] = useState('');
+  const sigPadRef = useRef(null);
+  const [pressure] = useState(createPressureRecorder);
+
+  const clearSignature = () => {
+    sigPadRef.current?.clear();
+    pressure.clear();
+  };
+
+  // Save the drawn signature as a data URL (the fallback) plus its strokes
+  const saveSignature = () => {
+    const pad = sigPadRef.current;
+    if (!pad || pad.isEmpty()) return;
+    const strokes = strokesFromPad(pad, pad.getCanvas(), pressure.pressureAt);
+    onSave(pad.toDataURL('image/png'), 'draw', strokes);
+  };
+
+  const saveTyped = async () => {
+    if (!typed.trim()) return;
+    const dataUrl = await renderTypedSignature(typed.trim(), font);
+    if (dataUrl) onSave(dataUrl, 'type');
+  };
+
+  // Re-run background removal whenever the photo or the tolerance changes
+  const cleanUpload = async (source, nextTolerance) => {
+    setError('');
+    try {
+      const dataUrl = await removeBackground(source, { tolerance: nextTolerance });
+      setCleaned(dataUrl);
+      if (!dataUrl) setError('Nothing left after removing the background - lower the cleanup');
+    } catch (err) {
+      setCleaned(null);
+      setError(err.message);
+    }
+  };
+
+  const handleUpload = (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setUpload(reader.result);
+      cleanUpload(reader.result, tolerance);
+    };
+    reader.readAsDataURL(file);
+  };
+
+  const changeTolerance = (value) => {
+    setTolerance(value);
+    if (upload) cleanUpload(upload, value);
+  };
+
+  return (
+    <div className="sig-pad">
+      <div className="mode-tabs">
+        {modes.map((option) => (
+          <button
+            key={option.id}
+            className={`ghost ${mode === option.id ? 'active' : ''}`}
+            onClick={() => setMode(option.id)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {mode === 'draw' && (
+        <>
+          <SignaturePad
+            ref={sigPadRef}
+            canvasProps={{
+              className: `sig-canvas ${isInitials ? 'initials' : ''}`,
+              ...pressure.canvasProps,
+            }}
+            backgroundColor="#fff"
+            penColor="#111"
+          />
+          <div className="row">
+            <button className="ghost" onClick={clearSignature}>
+              Clear
+            </button>
+            <button className="primary ghost" onClick={saveSignature}>
+              Save {isInitials ? 'Initials' : 'Signature'}
+            </button>
+          </div>
+        </>
+      )}
+
+      {mode === 'type' && (
+        <>
+          <input
+            type="text"
+            value={typed}
+            placeholder={isInitials ? 'Your initials' : 'Type your full name'}
+            onChange={(e) => setTyped(e.target.value)}
+          />
+          <div className="font-choices">
+            {signatureFonts.map((option) => (
+              <button
+                key={option.family}
+                className={`typed-preview ${font.family === option.family ? 'active' : ''}`}
+                style={{ fontFamily: `"${option.family}"`, fontWeight: option.weight }}
+                onClick={() => setFont(option)}
+              >
+                {typed || (isInitials ? 'AB' : 'Your name')}
+              </button>
+            ))}
+          </div>
+          <button className="primary ghost" disabled={!typed.trim()} onClick={saveTyped}>
+            Adopt {isInitials ? 'Initials' : 'Signature'}
+          </button>
+        </>
+      )}
+
+      {mode === 'upload' && (
+        <div className="image-input">
+          <input type="file" accept="image/png,image/jpeg" onChange={handleUpload} />
+          {upload && (
+            <label className="field-row">
+              Background cleanup
+              <input
+                type="range"
+                min="10"
+                max="150"
+                value={tolerance}
+                onChange={(e) => changeTolerance(Number(e.target.value))}
+              />
+            </label>
+          )}
+          {cleaned && <img className="checkerboard" src={cleaned} alt="Cleaned signature" />}
+          {error && <p className="error">{error}</p>}
+          <button
+            className="primary ghost"
+            disabled={!cleaned}
+            onClick={() => onSave(cleaned, 'upload')}
+          >
+            Use Image
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SignatureInput;
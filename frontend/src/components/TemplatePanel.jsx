@@ -0,0 +1,143 @@
+import { useEffect, useState } from 'react';
+import { api, errorMessage } from '../api';
+
+// Save the current field layout as a template, or start over from a saved one
+function TemplatePanel({ pdfId, fields, onApply, onStatus }) {
+  const [templates, setTemplates] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [name, setName] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  // Templates are bound to a document, so reload whenever it changes
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .get('/templates', { params: { pdfId } })
+      .then(({ data }) => {
+        if (cancelled) return;
+        setTemplates(data.templates);
+        setSelectedId(data.templates[0]?.id || '');
+      })
+      .catch((error) => onStatus(errorMessage(error, 'Failed to load templates')));
+    return () => {
+      cancelled = true;
+    };
+  }, [pdfId, onStatus]);
+
+  const selected = templates.find((t) => t.id === selectedId);
+
+  // Run a template request and keep the local list in sync with the result
+  const run = async (action, fallback) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      onStatus(errorMessage(error, fallback));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = () =>
+    run(async () => {
+      const { data } = await api.post('/templates', { name: name.trim(), pdfId, fields });
+      setTemplates((prev) => [...prev, data]);
+      setSelectedId(data.id);
+      setName('');
+      onStatus(`Saved template "${data.name}" with ${data.fields.length} field(s)`);
+    }, 'Failed to save template');
+
+  const handleApply = () =>
+    run(async () => {
+      const { data } = await api.post(`/templates/${selectedId}/sessions`);
+      onApply(data.fields);
+      onStatus(`Applied template "${selected.name}"`);
+    }, 'Failed to apply template');
+
+  const handleUpdate = () =>
+    run(async () => {
+      const { data } = await api.put(`/templates/${selectedId}`, { fields });
+      setTemplates((prev) => prev.map((t) => (t.id === data.id ? data : t)));
+      onStatus(`Updated layout of "${data.name}"`);
+    }, 'Failed to update template');
+
+  const handleRename = () => {
+    const newName = window.prompt('Template name', selected.name)?.trim();
+    if (!newName || newName === selected.name) return;
+    run(async () => {
+      const { data } = await api.put(`/templates/${selectedId}`, { name: newName });
+      setTemplates((prev) => prev.map((t) => (t.id === data.id ? data : t)));
+    }, 'Failed to rename template');
+  };
+
+  const handleClone = () =>
+    run(async () => {
+      const { data } = await api.post(`/templates/${selectedId}/clone`);
+      setTemplates((prev) => [...prev, data]);
+      setSelectedId(data.id);
+      onStatus(`Cloned as "${data.name}"`);
+    }, 'Failed to clone template');
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete template "${selected.name}"?`)) return;
+    run(async () => {
+      await api.delete(`/templates/${selectedId}`);
+      const remaining = templates.filter((t) => t.id !== selectedId);
+      setTemplates(remaining);
+      setSelectedId(remaining[0]?.id || '');
+    }, 'Failed to delete template');
+  };
+
+  return (
+    <div className="panel template-panel">
+      <h4>Templates</h4>
+      <div className="row">
+        <input
+          type="text"
+          value={name}
+          placeholder="New template name"
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button
+          className="ghost"
+          disabled={busy || !name.trim() || fields.length === 0}
+          onClick={handleSave}
+        >
+          Save
+        </button>
+      </div>
+      {templates.length > 0 ? (
+        <>
+          <select value={selectedId} onChange={(e) => setSelectedId(e.target.value)}>
+            {templates.map((t) => (
+              <option key={t.id} value={t.id}>
+                {t.name} ({t.fields.length} fields)
+              </option>
+            ))}
+          </select>
+          <div className="row wrap">
+            <button className="ghost" disabled={busy || !selected} onClick={handleApply}>
+              Apply
+            </button>
+            <button className="ghost" disabled={busy || !selected} onClick={handleUpdate}>
+              Overwrite
+            </button>
+            <button className="ghost" disabled={busy || !selected} onClick={handleRename}>
+              Rename
+            </button>
+            <button className="ghost" disabled={busy || !selected} onClick={handleClone}>
+              Clone
+            </button>
+            <button className="ghost" disabled={busy || !selected} onClick={handleDelete}>
+              Delete
+            </button>
+          </div>
+        </>
+      ) : (
+        <p className="meta">No templates for this document yet</p>
+      )}
+    </div>
+  );
+}
+
+export default TemplatePanel;
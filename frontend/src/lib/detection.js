@@ -0,0 +1,307 @@
+// Field detection - finds blanks, placeholders, drawn lines and boxes, and "Signature:" style
+// labels in a pdf.js page, and proposes typed fields over them.
+// Works in PDF user space, then maps through the page viewport so rotated pages come out right.
+import { OPS, Util } from 'pdfjs-dist';
+
+const BLANK = /_{3,}/g;
+const PLACEHOLDER = /\[([^\]]{1,60})\]/g;
+// A label with nothing after its colon - the value goes to its right
+const TRAILING_LABEL =
+  /\b(signature|signed|sign here|initials?|date|name|title|email|phone)\s*:\s*$/i;
+
+// Thickest path that still counts as a drawn line, and the shortest one worth a field
+const LINE_THICKNESS = 2;
+const MIN_LINE = 50;
+// Drawn squares this size are checkboxes
+const CHECKBOX = { min: 6, max: 24 };
+const MIN_BOX = { width: 60, height: 16 };
+// Height given to a field placed on a line, and to one sitting on a signature line
+const LINE_FIELD = 20;
+const SIGNATURE_FIELD = 36;
+// Text within this distance of a line or box can label it
+const LABEL_GAP = 16;
+const LABEL_WIDTH = 180;
+
+const STROKES = new Set([
+  OPS.stroke,
+  OPS.closeStroke,
+  OPS.fillStroke,
+  OPS.eoFillStroke,
+  OPS.closeFillStroke,
+  OPS.closeEOFillStroke,
+]);
+const FILLS = new Set([OPS.fill, OPS.eoFill]);
+
+// What a nearby word says about the field
+const typeFromLabel = (label, fallback = 'text') => {
+  if (/sign/i.test(label)) return 'signature';
+  if (/initial/i.test(label)) return 'initials';
+  if (/date|dated|\bday\b/i.test(label)) return 'date';
+  return fallback;
+};
+
+const applyTransform = (m, x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+
+// Bounding box (user space) of a local rectangle under a transform
+const transformBox = (m, [x1, y1, x2, y2]) => {
+  const corners = [
+    applyTransform(m, x1, y1),
+    applyTransform(m, x2, y1),
+    applyTransform(m, x1, y2),
+    applyTransform(m, x2, y2),
+  ];
+  const xs = corners.map((c) => c[0]);
+  const ys = corners.map((c) => c[1]);
+  return {
+    left: Math.min(...xs),
+    bottom: Math.min(...ys),
+    right: Math.max(...xs),
+    top: Math.max(...ys),
+  };
+};
+
+// Painted paths as user-space boxes, tracking the graphics state's transform
+const pathBoxes = (operatorList) => {
+  const boxes = [];
+  const stack = [];
+  let ctm = [1, 0, 0, 1, 0, 0];
+  operatorList.fnArray.forEach((fn, i) => {
+    const args = operatorList.argsArray[i];
+    if (fn === OPS.save) stack.push(ctm);
+    else if (fn === OPS.restore) ctm = stack.pop() || ctm;
+    else if (fn === OPS.transform) ctm = Util.transform(ctm, args);
+    else if (fn === OPS.paintFormXObjectBegin) {
+      stack.push(ctm);
+      if (args?.[0]) ctm = Util.transform(ctm, args[0]);
+    } else if (fn === OPS.paintFormXObjectEnd) ctm = stack.pop() || ctm;
+    else if (fn === OPS.constructPath) {
+      const [paint, , minMax] = args;
+      if (!minMax || !(STROKES.has(paint) || FILLS.has(paint))) return;
+      boxes.push({ ...transformBox(ctm, minMax), stroked: STROKES.has(paint) });
+    }
+  });
+  return boxes;
+};
+
+// Horizontal text runs with their baseline and size - rotated text is left alone
+const textRuns = (textContent) =>
+  textContent.items
+    .filter((item) => item.str?.trim() && Math.abs(item.transform[1]) < 0.01)
+    .map((item) => {
+      const size = Math.hypot(item.transform[2], item.transform[3]) || item.height || 10;
+      return {
+        str: item.str,
+        size,
+        left: item.transform[4],
+        right: item.transform[4] + item.width,
+        baseline: item.transform[5],
+        top: item.transform[5] + size,
+      };
+    });
+
+// User-space x range of str[start, end) - assumes roughly even glyph widths
+const spanOf = (run, start, end) => {
+  const perChar = (run.right - run.left) / run.str.length;
+  return { left: run.left + perChar * start, right: run.left + perChar * end };
+};
+
+const sameLine = (a, b) => Math.abs(a.baseline - b.baseline) < Math.max(a.size, b.size) / 2;
+
+// Text just left of x on the same line, or the start of the run itself
+const labelLeftOf = (runs, run, x) =>
+  runs
+    .filter((r) => r !== run && sameLine(r, run) && r.right <= x + 1 && x - r.right < LABEL_WIDTH)
+    .sort((a, b) => b.right - a.right)[0]?.str || '';
+
+// Text hugging a horizontal rule from above, below or its left end
+const labelNear = (runs, box) => {
+  const overlaps = (r) => r.left < box.right && r.right > box.left;
+  const below = runs.find(
+    (r) => overlaps(r) && r.top <= box.bottom + 1 && box.bottom - r.top < LABEL_GAP
+  );
+  const above = runs.find(
+    (r) => overlaps(r) && r.baseline >= box.top - 1 && r.baseline - box.top < LABEL_GAP
+  );
+  const left = runs.find(
+    (r) =>
+      r.right <= box.left + 1 &&
+      box.left - r.right < LABEL_WIDTH &&
+      Math.abs(r.baseline - box.bottom) < r.size
+  );
+  return [left, above, below].filter(Boolean).map((r) => r.str).join(' ');
+};
+
+const hasTextInside = (runs, box) =>
+  runs.some(
+    (r) =>
+      r.left < box.right &&
+      r.right > box.left &&
+      r.baseline > box.bottom &&
+      r.baseline < box.top
+  );
+
+// Fields on underscores, e.g. "Name: __________"
+const findBlanks = (runs) =>
+  runs.flatMap((run) =>
+    [...run.str.matchAll(BLANK)].map((match) => {
+      const span = spanOf(run, match.index, match.index + match[0].length);
+      const before = run.str.slice(0, match.index).trim() || labelLeftOf(runs, run, span.left);
+      const type = typeFromLabel(before);
+      const height = type === 'signature' ? SIGNATURE_FIELD : Math.max(LINE_FIELD, run.size * 1.6);
+      return {
+        source: 'blank',
+        type,
+        label: before,
+        box: { ...span, bottom: run.baseline - 2, top: run.baseline - 2 + height },
+      };
+    })
+  );
+
+// Fields over "[Client Name]" style placeholders, keeping the bracket text as a hint
+const findPlaceholders = (runs) =>
+  runs.flatMap((run) =>
+    [...run.str.matchAll(PLACEHOLDER)].map((match) => {
+      const span = spanOf(run, match.index, match.index + match[0].length);
+      const pad = run.size * 0.3;
+      return {
+        source: 'placeholder',
+        type: typeFromLabel(match[1]),
+        label: match[1],
+        placeholder: match[1],
+        box: { ...span, bottom: run.baseline - pad, top: run.top + pad },
+      };
+    })
+  );
+
+// Fields after labels with nothing filled in, e.g. "Date:" at the end of a line
+const findLabels = (runs, pageRight) =>
+  runs.flatMap((run) => {
+    const match = run.str.match(TRAILING_LABEL);
+    if (!match) return [];
+    const next = runs
+      .filter((r) => r !== run && sameLine(r, run) && r.left >= run.right)
+      .sort((a, b) => a.left - b.left)[0];
+    const left = run.right + run.size * 0.4;
+    const right = Math.min(next ? next.left - 4 : pageRight, left + LABEL_WIDTH);
+    if (right - left < MIN_LINE) return [];
+    const type = typeFromLabel(match[1]);
+    const height = type === 'signature' ? SIGNATURE_FIELD : Math.max(LINE_FIELD, run.size * 1.6);
+    return [
+      {
+        source: 'label',
+        type,
+        label: match[1],
+        box: { left, right, bottom: run.baseline - 2, top: run.baseline - 2 + height },
+      },
+    ];
+  });
+
+// Drawn rules become fields sitting on them; empty drawn boxes become fields inside them
+const findShapes = (boxes, runs, pageWidth) =>
+  boxes.flatMap((box) => {
+    const width = box.right - box.left;
+    const height = box.top - box.bottom;
+    if (width > pageWidth * 0.9) return [];
+
+    if (height <= LINE_THICKNESS && width >= MIN_LINE) {
+      // Underlines under text are decoration, not blanks
+      const underlined = runs.some(
+        (r) => r.left <= box.left + 2 && r.right >= box.right - 2 && r.baseline - box.top < 4
+      );
+      if (underlined) return [];
+      const label = labelNear(runs, box);
+      const type = typeFromLabel(label, width >= 120 ? 'signature' : 'text');
+      const fieldHeight = type === 'signature' ? SIGNATURE_FIELD : LINE_FIELD;
+      return [
+        {
+          source: 'line',
+          type,
+          label,
+          box: { left: box.left, right: box.right, bottom: box.top, top: box.top + fieldHeight },
+        },
+      ];
+    }
+
+    if (!box.stroked || hasTextInside(runs, box)) return [];
+    const square = Math.abs(width - height) < Math.max(width, height) * 0.2;
+    if (square && width >= CHECKBOX.min && width <= CHECKBOX.max) {
+      return [{ source: 'box', type: 'checkbox', label: '', box }];
+    }
+    if (width < MIN_BOX.width || height < MIN_BOX.height) return [];
+    const label = runs.find(
+      (r) =>
+        r.left < box.right &&
+        r.right > box.left &&
+        r.baseline >= box.top - 1 &&
+        r.baseline - box.top < LABEL_GAP
+    )?.str;
+    const inset = 2;
+    return [
+      {
+        source: 'box',
+        type: typeFromLabel(label || '', height >= SIGNATURE_FIELD ? 'signature' : 'text'),
+        label: label || '',
+        box: {
+          left: box.left + inset,
+          right: box.right - inset,
+          bottom: box.bottom + inset,
+          top: box.top - inset,
+        },
+      },
+    ];
+  });
+
+const overlapRatio = (a, b) => {
+  const width = Math.min(a.xNorm + a.widthNorm, b.xNorm + b.widthNorm) - Math.max(a.xNorm, b.xNorm);
+  const height =
+    Math.min(a.yNorm + a.heightNorm, b.yNorm + b.heightNorm) - Math.max(a.yNorm, b.yNorm);
+  if (width <= 0 || height <= 0) return 0;
+  const smaller = Math.min(a.widthNorm * a.heightNorm, b.widthNorm * b.heightNorm);
+  return (width * height) / smaller;
+};
+
+// True when two normalized boxes mostly cover each other
+export const overlaps = (a, b) => a.page === b.page && overlapRatio(a, b) > 0.5;
+
+// Suggested fields for one pdf.js page, normalized like editor fields.
+// Shapes win over blanks, blanks over placeholders, and bare labels come last.
+export const detectPageFields = async (page) => {
+  const viewport = page.getViewport({ scale: 1 });
+  const [textContent, operatorList] = await Promise.all([
+    page.getTextContent(),
+    page.getOperatorList(),
+  ]);
+  const runs = textRuns(textContent);
+  const [viewLeft, , viewRight] = page.view;
+
+  const candidates = [
+    ...findShapes(pathBoxes(operatorList), runs, viewRight - viewLeft),
+    ...findBlanks(runs),
+    ...findPlaceholders(runs),
+    ...findLabels(runs, viewRight - 36),
+  ];
+
+  const suggestions = [];
+  candidates.forEach(({ box, ...rest }) => {
+    const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([
+      box.left,
+      box.bottom,
+      box.right,
+      box.top,
+    ]);
+    const xNorm = Math.max(0, Math.min(x1, x2) / viewport.width);
+    const yNorm = Math.max(0, Math.min(y1, y2) / viewport.height);
+    const suggestion = {
+      ...rest,
+      label: rest.label.trim(),
+      id: crypto.randomUUID(),
+      page: page.pageNumber,
+      xNorm,
+      yNorm,
+      widthNorm: Math.min(1 - xNorm, Math.abs(x2 - x1) / viewport.width),
+      heightNorm: Math.min(1 - yNorm, Math.abs(y2 - y1) / viewport.height),
+    };
+    if (!suggestions.some((s) => overlaps(s, suggestion))) suggestions.push(suggestion);
+  });
+  return suggestions;
+};
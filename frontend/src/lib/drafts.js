@@ -0,0 +1,161 @@
+// Editor drafts kept as server sessions - autosave, resume from ?session=<id>, finalize
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { api, errorMessage } from '../api';
+
+// Quiet time after the last edit before the draft is saved
+const AUTOSAVE_MS = 1000;
+
+export const sessionIdFromUrl = () => new URLSearchParams(window.location.search).get('session');
+
+// Keep the session in the address bar so a reload or a copied link picks the draft up again
+const setSessionInUrl = (id) => {
+  const url = new URL(window.location.href);
+  if (id) url.searchParams.set('session', id);
+  else url.searchParams.delete('session');
+  window.history.replaceState(null, '', url);
+};
+
+// What a session stores for the editor. Built the same way for editor state and for loaded
+// sessions, so comparing the two tells whether anything is left to save.
+export const makeDraft = ({ pdfId, fields, recipients, options = {} }) => ({
+  pdfId,
+  fields,
+  recipients,
+  options: {
+    flatten: Boolean(options.flatten),
+    formFields: Boolean(options.formFields),
+    certificate: Boolean(options.certificate),
+    anchors: options.anchors || null,
+    safeCopy: Boolean(options.safeCopy),
+  },
+});
+
+// `draft` comes from makeDraft. Nothing is created until `edited` - opening the editor
+// shouldn't leave empty sessions behind - but once a session exists every change is saved.
+// Saves run one at a time and send the version they build on; a 412 means another tab saved
+// first (a 409, that it finalized), and autosave stops until the user loads that version or
+// overwrites it.
+export const useDraftSession = (draft, { edited }) => {
+  // { id, version, status } of the session being edited, or null before the first save
+  const [session, setSession] = useState(null);
+  // 'idle', 'saving', 'saved', 'conflict', 'error' or 'finalized'
+  const [saveState, setSaveState] = useState('idle');
+  const [saveError, setSaveError] = useState('');
+  const sessionRef = useRef(null);
+  const draftRef = useRef(draft);
+  const savedRef = useRef(null);
+  const queueRef = useRef(Promise.resolve());
+
+  useEffect(() => {
+    draftRef.current = draft;
+  });
+
+  const track = useCallback((next) => {
+    sessionRef.current = next && { id: next.id, version: next.version, status: next.status };
+    setSession(sessionRef.current);
+    setSessionInUrl(next?.id);
+  }, []);
+
+  // Save the latest draft unless it is already saved. Resolves to whether the server now has it.
+  const save = useCallback(() => {
+    queueRef.current = queueRef.current.then(async () => {
+      const current = sessionRef.current;
+      const body = draftRef.current;
+      const serialized = JSON.stringify(body);
+      if (current?.status === 'conflict') return false;
+      if (serialized === savedRef.current) return true;
+
+      setSaveState('saving');
+      try {
+        const { data } = current
+          ? await api.put(`/sessions/${current.id}`, body, {
+              headers: { 'If-Match': `"${current.version}"` },
+            })
+          : await api.post('/sessions', body);
+        savedRef.current = serialized;
+        track(data);
+        setSaveState('saved');
+        setSaveError('');
+        return true;
+      } catch (error) {
+        if ([409, 412].includes(error.response?.status) && current) {
+          sessionRef.current = { ...current, status: 'conflict' };
+          setSaveState('conflict');
+        } else {
+          setSaveState('error');
+        }
+        setSaveError(errorMessage(error, 'Failed to save draft'));
+        return false;
+      }
+    });
+    return queueRef.current;
+  }, [track]);
+
+  // Autosave a moment after the draft stops changing
+  useEffect(() => {
+    const current = sessionRef.current;
+    if (current?.status === 'finalized' || current?.status === 'conflict') return;
+    if (!current && !edited) return;
+    if (JSON.stringify(draft) === savedRef.current) return;
+    const timer = setTimeout(save, AUTOSAVE_MS);
+    return () => clearTimeout(timer);
+  }, [draft, edited, save]);
+
+  // Fetch a session to resume - the caller puts its draft into the editor
+  const load = useCallback(
+    async (id) => {
+      const { data } = await api.get(`/sessions/${id}`);
+      savedRef.current = JSON.stringify(makeDraft(data));
+      track(data);
+      setSaveState(data.status === 'finalized' ? 'finalized' : 'saved');
+      setSaveError('');
+      return data;
+    },
+    [track]
+  );
+
+  // After a conflict: save this tab's draft over the other one
+  const overwrite = useCallback(async () => {
+    const { data } = await api.get(`/sessions/${sessionRef.current.id}`);
+    sessionRef.current = { ...sessionRef.current, version: data.version, status: data.status };
+    if (data.status === 'finalized') {
+      setSaveState('finalized');
+      return;
+    }
+    savedRef.current = null;
+    await save();
+  }, [save]);
+
+  // Detach from the current session - the next save starts a new one
+  const startNew = useCallback(() => {
+    savedRef.current = null;
+    track(null);
+    setSaveState('idle');
+    setSaveError('');
+  }, [track]);
+
+  // Save what's pending, then burn the session and lock it. Burning again after a finalize
+  // starts a new session from the same layout.
+  const finalize = useCallback(async () => {
+    if (sessionRef.current?.status === 'finalized') startNew();
+    if (!(await save())) throw new Error('The draft has unsaved changes - resolve that first');
+    const current = sessionRef.current;
+    const { data } = await api.post(`/sessions/${current.id}/finalize`, null, {
+      headers: { 'If-Match': `"${current.version}"` },
+    });
+    track(data);
+    setSaveState('finalized');
+    return data;
+  }, [save, startNew, track]);
+
+  return {
+    sessionId: session?.id || null,
+    version: session?.version || null,
+    saveState,
+    saveError,
+    load,
+    overwrite,
+    startNew,
+    finalize,
+  };
+};
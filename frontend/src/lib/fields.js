@@ -0,0 +1,124 @@
+// Field definitions and coordinate helpers shared by the editor and the signer view
+
+// Field types available for placement
+export const fieldPalette = [
+  { type: 'signature', label: 'Signature' },
+  { type: 'initials', label: 'Initials' },
+  { type: 'text', label: 'Text Box' },
+  { type: 'image', label: 'Image Box' },
+  { type: 'date', label: 'Date' },
+  { type: 'checkbox', label: 'Checkbox' },
+  { type: 'radio', label: 'Radio Button' },
+];
+
+// Default size for new fields (normalized 0-1)
+const defaultBox = {
+  widthNorm: 0.24,
+  heightNorm: 0.08,
+};
+
+// Signatures get a bigger box, initials a small one, checkboxes and radios just fit their mark
+const boxSizes = {
+  signature: { widthNorm: 0.32, heightNorm: 0.12 },
+  initials: { widthNorm: 0.12, heightNorm: 0.07 },
+  checkbox: { widthNorm: 0.05, heightNorm: 0.035 },
+  radio: { widthNorm: 0.05, heightNorm: 0.035 },
+};
+
+export const boxFor = (type) => boxSizes[type] || defaultBox;
+
+// Colors for recipient roles, cycled by role order
+const roleColors = ['#60a5fa', '#34d399', '#f472b6', '#fbbf24', '#a78bfa', '#f87171'];
+
+export const roleColor = (role, roles) => {
+  const index = roles.indexOf(role);
+  return roleColors[(index === -1 ? 0 : index) % roleColors.length];
+};
+
+// Converting DOM coordinates to PDF points
+// This was tricky - DOM uses top-left origin, PDF uses bottom-left
+// Also need to convert from CSS pixels to PDF points (72 DPI)
+// pageMeta is for the field's own page, in its displayed (rotated) orientation
+export const toPdfCoords = (field, pageMeta) => {
+  if (!field || !pageMeta?.widthPts || !pageMeta?.heightPts) return null;
+  const x = field.xNorm * pageMeta.widthPts;
+  const yTop = field.yNorm * pageMeta.heightPts;
+  const height = field.heightNorm * pageMeta.heightPts;
+
+  return {
+    page: field.page,
+    x,
+    y: pageMeta.heightPts - yTop - height, // flip Y axis from top-left to bottom-left
+    width: field.widthNorm * pageMeta.widthPts,
+    height,
+    pageWidth: pageMeta.widthPts,
+    pageHeight: pageMeta.heightPts,
+  };
+};
+
+// Page size in points as displayed - /Rotate 90/270 swaps width and height
+export const getPageMeta = (page) => {
+  const [xMin, yMin, xMax, yMax] = page.view;
+  const rotated = page.rotate % 180 !== 0;
+  return {
+    widthPts: rotated ? yMax - yMin : xMax - xMin,
+    heightPts: rotated ? xMax - xMin : yMax - yMin,
+    rotate: page.rotate,
+  };
+};
+
+// Show appropriate label for each field type
+export const fieldLabel = (field) => {
+  if (field.type === 'signature') return field.value ? 'Signed' : 'Signature';
+  if (field.type === 'initials') return field.value ? 'Initialed' : 'Initials';
+  if (field.type === 'date') return field.value || 'Date';
+  if (field.type === 'radio') return `${field.value ? '●' : '○'} ${field.exportValue || ''}`.trim();
+  if (field.type === 'checkbox') return field.value ? '☑' : '☐';
+  if (field.type === 'image') return field.value ? 'Image' : 'Image Box';
+  return field.value || field.placeholder || field.acroField || 'Text';
+};
+
+// First "Option <n>" not yet used in a radio group
+export const nextOptionName = (fields, groupName) => {
+  const taken = new Set(fields.filter((f) => f.groupName === groupName).map((f) => f.exportValue));
+  let n = 1;
+  while (taken.has(`Option ${n}`)) n += 1;
+  return `Option ${n}`;
+};
+
+// Settings for a newly placed checkbox or radio - a radio joins the group of the radio
+// selected before it (or starts a new one) and gets the next free option name
+export const choiceDefaults = (type, fields, selected) => {
+  if (type === 'checkbox') return { exportValue: 'Yes' };
+  if (type !== 'radio') return {};
+
+  const groups = new Set(fields.map((f) => f.groupName).filter(Boolean));
+  let groupName = selected?.type === 'radio' ? selected.groupName : null;
+  if (!groupName) {
+    let n = groups.size + 1;
+    while (groups.has(`Group ${n}`)) n += 1;
+    groupName = `Group ${n}`;
+  }
+  return { groupName, exportValue: nextOptionName(fields, groupName) };
+};
+
+// Set a field's value; selecting a radio clears the other buttons in its group
+export const applyValue = (fields, id, changes) => {
+  const target = fields.find((f) => f.id === id);
+  const clearsGroup = target?.type === 'radio' && target.groupName && changes.value;
+  return fields.map((f) => {
+    if (f.id === id) return { ...f, ...changes };
+    if (clearsGroup && f.type === 'radio' && f.groupName === target.groupName) {
+      return { ...f, value: '' };
+    }
+    return f;
+  });
+};
+
+// Saved layouts (templates, envelopes) carry geometry and settings but no values
+export const toLayout = (fields) =>
+  fields.map((field) => {
+    const layout = { ...field };
+    delete layout.value;
+    return layout;
+  });
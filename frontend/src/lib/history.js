@@ -0,0 +1,79 @@
+// Undo/redo for editor state - a past/present/future stack behind a setState-like API
+import { useCallback, useReducer } from 'react';
+
+const MAX_STEPS = 100;
+// Changes with the same key this close together are one step (typing, nudging)
+const MERGE_WINDOW_MS = 1000;
+
+const initialHistory = (present) => ({ past: [], present, future: [], lastKey: null, lastAt: 0 });
+
+const historyReducer = (state, action) => {
+  switch (action.type) {
+    case 'set': {
+      const next =
+        typeof action.updater === 'function' ? action.updater(state.present) : action.updater;
+      if (next === state.present) return state;
+      if (!action.record) return { ...state, present: next };
+
+      const merge =
+        action.key && action.key === state.lastKey && action.at - state.lastAt < MERGE_WINDOW_MS;
+      return {
+        past: merge ? state.past : [...state.past, state.present].slice(-MAX_STEPS),
+        present: next,
+        future: [],
+        lastKey: action.key,
+        lastAt: action.at,
+      };
+    }
+    case 'undo': {
+      if (state.past.length === 0) return state;
+      return {
+        past: state.past.slice(0, -1),
+        present: state.past[state.past.length - 1],
+        future: [state.present, ...state.future],
+        lastKey: null,
+        lastAt: 0,
+      };
+    }
+    case 'redo': {
+      if (state.future.length === 0) return state;
+      return {
+        past: [...state.past, state.present],
+        present: state.future[0],
+        future: state.future.slice(1),
+        lastKey: null,
+        lastAt: 0,
+      };
+    }
+    case 'reset':
+      return initialHistory(action.present);
+    default:
+      return state;
+  }
+};
+
+// set(updater, { key, record }) works like a state setter that records an undo step.
+// `key` merges rapid repeats into one step; `record: false` changes state without a step
+// (e.g. loading data the user didn't create). reset() starts a fresh history.
+export const useHistory = (initial) => {
+  const [state, dispatch] = useReducer(historyReducer, initial, initialHistory);
+
+  const set = useCallback(
+    (updater, { key = null, record = true } = {}) =>
+      dispatch({ type: 'set', updater, key, record, at: Date.now() }),
+    []
+  );
+  const undo = useCallback(() => dispatch({ type: 'undo' }), []);
+  const redo = useCallback(() => dispatch({ type: 'redo' }), []);
+  const reset = useCallback((present) => dispatch({ type: 'reset', present }), []);
+
+  return {
+    present: state.present,
+    set,
+    undo,
+    redo,
+    reset,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+  };
+};
@@ -0,0 +1,92 @@
+// Multi-field editing helpers - group moves, nudges, rubber-band hits and copy/paste.
+// Everything works on normalized (0-1) page coordinates.
+import { nextOptionName } from './fields';
+
+const PASTE_OFFSET = 0.02;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Native form fields are pinned to where the PDF puts them
+const isMovable = (field) => !field.acroField;
+
+// Move every listed field by the same normalized delta, limited so none leaves its page
+export const moveFields = (fields, ids, dx, dy) => {
+  const moving = fields.filter((f) => ids.includes(f.id) && isMovable(f));
+  if (moving.length === 0) return fields;
+  const minDx = Math.max(...moving.map((f) => -f.xNorm));
+  const maxDx = Math.min(...moving.map((f) => 1 - f.xNorm - f.widthNorm));
+  const minDy = Math.max(...moving.map((f) => -f.yNorm));
+  const maxDy = Math.min(...moving.map((f) => 1 - f.yNorm - f.heightNorm));
+  const moveX = clamp(dx, Math.min(0, minDx), Math.max(0, maxDx));
+  const moveY = clamp(dy, Math.min(0, minDy), Math.max(0, maxDy));
+
+  return fields.map((f) =>
+    moving.includes(f) ? { ...f, xNorm: f.xNorm + moveX, yNorm: f.yNorm + moveY } : f
+  );
+};
+
+// Nudge by PDF points - converted per page, since pages can differ in size
+export const nudgeFields = (fields, ids, dxPts, dyPts, pageMeta) =>
+  fields.map((f) => {
+    const meta = pageMeta[f.page];
+    if (!ids.includes(f.id) || !isMovable(f) || !meta) return f;
+    return {
+      ...f,
+      xNorm: clamp(f.xNorm + dxPts / meta.widthPts, 0, 1 - f.widthNorm),
+      yNorm: clamp(f.yNorm + dyPts / meta.heightPts, 0, 1 - f.heightNorm),
+    };
+  });
+
+// Ids of the fields on `page` that overlap a normalized { x, y, width, height } rectangle
+export const fieldsInRect = (fields, page, rect) =>
+  fields
+    .filter(
+      (f) =>
+        f.page === page &&
+        f.xNorm < rect.x + rect.width &&
+        f.xNorm + f.widthNorm > rect.x &&
+        f.yNorm < rect.y + rect.height &&
+        f.yNorm + f.heightNorm > rect.y
+    )
+    .map((f) => f.id);
+
+// Clipboard copies drop their link to the PDF's own form - a pasted box is a plain field
+export const copyFields = (fields, ids) =>
+  fields
+    .filter((f) => ids.includes(f.id))
+    .map((f) => {
+      const copy = { ...f };
+      if (copy.acroField) {
+        delete copy.acroField;
+        delete copy.acroValue;
+        delete copy.groupName;
+      }
+      return copy;
+    });
+
+// Fresh fields from the clipboard on `page`, keeping their layout relative to each other.
+// Pasting back onto a page the copies came from offsets them so they don't hide the originals.
+// Pasted radios join their group unselected, under a new option name.
+export const pasteFields = (clipboard, page, existing) => {
+  if (clipboard.length === 0) return [];
+  const offset = clipboard.some((f) => f.page === page) ? PASTE_OFFSET : 0;
+  const dx = Math.min(offset, ...clipboard.map((f) => 1 - f.xNorm - f.widthNorm));
+  const dy = Math.min(offset, ...clipboard.map((f) => 1 - f.yNorm - f.heightNorm));
+
+  const pasted = [];
+  clipboard.forEach((f) => {
+    const copy = {
+      ...f,
+      id: crypto.randomUUID(),
+      page,
+      xNorm: f.xNorm + Math.max(0, dx),
+      yNorm: f.yNorm + Math.max(0, dy),
+    };
+    if (f.type === 'radio' && f.groupName) {
+      copy.value = '';
+      copy.exportValue = nextOptionName([...existing, ...pasted], f.groupName);
+    }
+    pasted.push(copy);
+  });
+  return pasted;
+};
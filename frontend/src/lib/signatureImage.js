@@ -0,0 +1,134 @@
+// Signature image helpers - render typed names, clean up uploaded photos, trim to the ink
+import '@fontsource/dancing-script/700.css';
+import '@fontsource/great-vibes/400.css';
+import '@fontsource/caveat/600.css';
+
+// Bundled script fonts for typed signatures
+export const signatureFonts = [
+  { family: 'Dancing Script', weight: 700 },
+  { family: 'Great Vibes', weight: 400 },
+  { family: 'Caveat', weight: 600 },
+];
+
+const INK = '#111';
+const PADDING = 8;
+const TYPED_FONT_SIZE = 96;
+// Uploads are downscaled first - phone photos are far bigger than a signature box needs
+const MAX_UPLOAD_SIDE = 1200;
+
+// "Jane van Doe" -> "JVD"
+export const initialsOf = (name = '') =>
+  name
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase())
+    .join('');
+
+// Crop a canvas to its non-transparent pixels plus a little padding; null if it's empty
+export const trimCanvas = (canvas) => {
+  const { width, height } = canvas;
+  const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+  let top = height;
+  let left = width;
+  let right = -1;
+  let bottom = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] === 0) continue;
+      if (x < left) left = x;
+      if (x > right) right = x;
+      if (y < top) top = y;
+      if (y > bottom) bottom = y;
+    }
+  }
+  if (right < 0) return null;
+
+  const cropWidth = right - left + 1;
+  const cropHeight = bottom - top + 1;
+  const trimmed = document.createElement('canvas');
+  trimmed.width = cropWidth + PADDING * 2;
+  trimmed.height = cropHeight + PADDING * 2;
+  trimmed
+    .getContext('2d')
+    .drawImage(canvas, left, top, cropWidth, cropHeight, PADDING, PADDING, cropWidth, cropHeight);
+  return trimmed;
+};
+
+// Render typed text in a script font to a transparent PNG data URL
+export const renderTypedSignature = async (text, { family, weight }) => {
+  const font = `${weight} ${TYPED_FONT_SIZE}px "${family}"`;
+  await document.fonts.load(font, text);
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  ctx.font = font;
+  // Script fonts overhang their advance width, so leave a font-size of slack
+  canvas.width = Math.ceil(ctx.measureText(text).width) + TYPED_FONT_SIZE;
+  canvas.height = TYPED_FONT_SIZE * 2;
+
+  // Resizing the canvas resets its state
+  ctx.font = font;
+  ctx.fillStyle = INK;
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, TYPED_FONT_SIZE / 2, TYPED_FONT_SIZE);
+  return trimCanvas(canvas)?.toDataURL('image/png') ?? null;
+};
+
+const loadImage = (src) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Could not read that image'));
+    image.src = src;
+  });
+
+// Average color of the opaque pixels along the image border - taken to be the paper
+const borderColor = (data, width, height) => {
+  const sum = { r: 0, g: 0, b: 0, count: 0 };
+  const add = (x, y) => {
+    const i = (y * width + x) * 4;
+    if (data[i + 3] < 255) return;
+    sum.r += data[i];
+    sum.g += data[i + 1];
+    sum.b += data[i + 2];
+    sum.count += 1;
+  };
+  for (let x = 0; x < width; x++) {
+    add(x, 0);
+    add(x, height - 1);
+  }
+  for (let y = 0; y < height; y++) {
+    add(0, y);
+    add(width - 1, y);
+  }
+  if (sum.count === 0) return null; // already transparent
+  return { r: sum.r / sum.count, g: sum.g / sum.count, b: sum.b / sum.count };
+};
+
+// Turn a photo or scan of a signature into a cropped, transparent PNG data URL.
+// Pixels within `tolerance` of the paper color vanish; the next band fades out for soft edges.
+export const removeBackground = async (dataUrl, { tolerance = 60 } = {}) => {
+  const image = await loadImage(dataUrl);
+  const scale = Math.min(1, MAX_UPLOAD_SIDE / Math.max(image.width, image.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.width * scale);
+  canvas.height = Math.round(image.height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const { data } = imageData;
+  const paper = borderColor(data, canvas.width, canvas.height);
+  if (paper) {
+    for (let i = 0; i < data.length; i += 4) {
+      const distance = Math.hypot(data[i] - paper.r, data[i + 1] - paper.g, data[i + 2] - paper.b);
+      if (distance < tolerance) {
+        data[i + 3] = 0;
+      } else if (distance < tolerance * 2) {
+        data[i + 3] = Math.round(data[i + 3] * ((distance - tolerance) / tolerance));
+      }
+    }
+    ctx.putImageData(imageData, 0, 0);
+  }
+  return trimCanvas(canvas)?.toDataURL('image/png') ?? null;
+};
@@ -0,0 +1,161 @@
+// Layout helpers - grid snapping, smart guides, align and distribute.
+// Boxes are normalized { x, y, width, height } so results survive the viewer resizing;
+// the grid and margins are given in PDF points and converted per page.
+
+// Lines a box can snap to on one page: other fields' edges and centers, the margins and
+// the page center. `x` holds vertical lines, `y` horizontal ones.
+export const snapTargets = (fields, page, excludeIds, meta, marginPts = 0) => {
+  const x = [0.5];
+  const y = [0.5];
+  if (meta && marginPts > 0) {
+    x.push(marginPts / meta.widthPts, 1 - marginPts / meta.widthPts);
+    y.push(marginPts / meta.heightPts, 1 - marginPts / meta.heightPts);
+  }
+  fields
+    .filter((f) => f.page === page && !excludeIds.includes(f.id))
+    .forEach((f) => {
+      x.push(f.xNorm, f.xNorm + f.widthNorm / 2, f.xNorm + f.widthNorm);
+      y.push(f.yNorm, f.yNorm + f.heightNorm / 2, f.yNorm + f.heightNorm);
+    });
+  return { x, y };
+};
+
+// Grid step for a page, normalized per axis
+export const gridStep = (gridPts, meta) =>
+  gridPts > 0 && meta ? { x: gridPts / meta.widthPts, y: gridPts / meta.heightPts } : null;
+
+// Closest target within `threshold` of any of the candidate positions
+const nearestGuide = (candidates, targets, threshold) => {
+  let best = null;
+  candidates.forEach((value, index) => {
+    targets.forEach((target) => {
+      const distance = Math.abs(target - value);
+      if (distance <= threshold && (!best || distance < best.distance)) {
+        best = { target, index, distance };
+      }
+    });
+  });
+  return best;
+};
+
+// Snap a box's start, center or end on one axis: guides win over the grid
+const snapAxis = (start, size, targets, threshold, step) => {
+  const guide = nearestGuide([start, start + size / 2, start + size], targets, threshold);
+  if (guide) return { start: guide.target - (size / 2) * guide.index, guide: guide.target };
+  if (step) return { start: Math.round(start / step) * step, guide: null };
+  return { start, guide: null };
+};
+
+const snapEdge = (value, targets, threshold, step) => {
+  const guide = nearestGuide([value], targets, threshold);
+  if (guide) return { value: guide.target, guide: guide.target };
+  if (step) return { value: Math.round(value / step) * step, guide: null };
+  return { value, guide: null };
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Snapped position of a moved box, plus the guide lines it locked onto.
+// options: { targets: { x, y }, grid: { x, y } | null, threshold: { x, y } }
+export const snapPosition = (box, { targets, grid, threshold }) => {
+  const sx = snapAxis(box.x, box.width, targets.x, threshold.x, grid?.x);
+  const sy = snapAxis(box.y, box.height, targets.y, threshold.y, grid?.y);
+  return {
+    x: clamp(sx.start, 0, 1 - box.width),
+    y: clamp(sy.start, 0, 1 - box.height),
+    guides: [
+      ...(sx.guide !== null ? [{ axis: 'x', position: sx.guide }] : []),
+      ...(sy.guide !== null ? [{ axis: 'y', position: sy.guide }] : []),
+    ],
+  };
+};
+
+// Snap the edges a resize moved - `direction` is react-rnd's handle name (e.g. 'bottomRight')
+export const snapResize = (box, direction, { targets, grid, threshold }) => {
+  const handle = direction.toLowerCase();
+  let { x, y, width, height } = box;
+  const guides = [];
+
+  if (handle.includes('left') || handle.includes('right')) {
+    const moving = handle.includes('left') ? x : x + width;
+    const snapped = snapEdge(moving, targets.x, threshold.x, grid?.x);
+    if (handle.includes('left')) {
+      width += x - snapped.value;
+      x = snapped.value;
+    } else {
+      width = snapped.value - x;
+    }
+    if (snapped.guide !== null) guides.push({ axis: 'x', position: snapped.guide });
+  }
+  if (handle.includes('top') || handle.includes('bottom')) {
+    const moving = handle.includes('top') ? y : y + height;
+    const snapped = snapEdge(moving, targets.y, threshold.y, grid?.y);
+    if (handle.includes('top')) {
+      height += y - snapped.value;
+      y = snapped.value;
+    } else {
+      height = snapped.value - y;
+    }
+    if (snapped.guide !== null) guides.push({ axis: 'y', position: snapped.guide });
+  }
+
+  // A snap that would collapse the box is ignored
+  if (width <= 0 || height <= 0) return { box, guides: [] };
+  return { box: { x, y, width, height }, guides };
+};
+
+// Group the listed (movable) fields by page - align and distribute work within a page
+const byPage = (fields, ids) => {
+  const pages = new Map();
+  fields
+    .filter((f) => ids.includes(f.id) && !f.acroField)
+    .forEach((f) => pages.set(f.page, [...(pages.get(f.page) || []), f]));
+  return [...pages.values()];
+};
+
+const applyChanges = (fields, changes) =>
+  fields.map((f) => (changes.has(f.id) ? { ...f, ...changes.get(f.id) } : f));
+
+// Line up a selection on its left/center/right or top/middle/bottom
+export const alignFields = (fields, ids, edge) => {
+  const changes = new Map();
+  byPage(fields, ids).forEach((group) => {
+    if (group.length < 2) return;
+    const left = Math.min(...group.map((f) => f.xNorm));
+    const right = Math.max(...group.map((f) => f.xNorm + f.widthNorm));
+    const top = Math.min(...group.map((f) => f.yNorm));
+    const bottom = Math.max(...group.map((f) => f.yNorm + f.heightNorm));
+    group.forEach((f) => {
+      const position = {
+        left: { xNorm: left },
+        center: { xNorm: (left + right) / 2 - f.widthNorm / 2 },
+        right: { xNorm: right - f.widthNorm },
+        top: { yNorm: top },
+        middle: { yNorm: (top + bottom) / 2 - f.heightNorm / 2 },
+        bottom: { yNorm: bottom - f.heightNorm },
+      }[edge];
+      changes.set(f.id, position);
+    });
+  });
+  return applyChanges(fields, changes);
+};
+
+// Equal gaps between the boxes along one axis; the outermost two stay put
+export const distributeFields = (fields, ids, axis) => {
+  const [start, size] = axis === 'x' ? ['xNorm', 'widthNorm'] : ['yNorm', 'heightNorm'];
+  const changes = new Map();
+  byPage(fields, ids).forEach((group) => {
+    if (group.length < 3) return;
+    const sorted = [...group].sort((a, b) => a[start] - b[start]);
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+    const occupied = sorted.reduce((sum, f) => sum + f[size], 0);
+    const gap = (last[start] + last[size] - first[start] - occupied) / (sorted.length - 1);
+    let cursor = first[start];
+    sorted.forEach((f) => {
+      changes.set(f.id, { [start]: cursor });
+      cursor += f[size] + gap;
+    });
+  });
+  return applyChanges(fields, changes);
+};
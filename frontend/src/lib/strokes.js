@@ -0,0 +1,69 @@
+// Pen strokes for vector signatures - the pad's points with the line width it drew at each one
+
+// signature_pad defaults (react-signature-canvas doesn't override them)
+const MIN_WIDTH = 0.5;
+const MAX_WIDTH = 2.5;
+const VELOCITY_FILTER_WEIGHT = 0.7;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Records pointer pressure while the pad is drawn on; signature_pad itself only sees
+// mouse/touch events, so samples are matched to its points by time.
+export const createPressureRecorder = () => {
+  let samples = [];
+  const record = (event) => {
+    // Mice report 0.5 while a button is down, pens and some touchscreens the real pressure
+    if (event.buttons || event.pointerType === 'touch') {
+      samples.push({ time: Date.now(), pressure: event.pressure });
+    }
+  };
+  return {
+    canvasProps: { onPointerDown: record, onPointerMove: record },
+    clear: () => {
+      samples = [];
+    },
+    pressureAt: (time) => {
+      let best = null;
+      for (const sample of samples) {
+        if (!best || Math.abs(sample.time - time) < Math.abs(best.time - time)) best = sample;
+      }
+      return best?.pressure || 0.5;
+    },
+  };
+};
+
+// Same velocity-filtered width signature_pad uses when drawing, scaled by pressure
+// (0.5 - the mouse default - leaves it unchanged). Widths are diameters, the pad's are radii.
+const strokePoints = (group, pressureAt) => {
+  let lastVelocity = 0;
+  return group.map((point, index) => {
+    let radius = (MIN_WIDTH + MAX_WIDTH) / 2;
+    if (index > 0) {
+      const previous = group[index - 1];
+      const distance = Math.hypot(point.x - previous.x, point.y - previous.y);
+      const elapsed = point.time - previous.time;
+      const velocity =
+        VELOCITY_FILTER_WEIGHT * (elapsed ? distance / elapsed : 1) +
+        (1 - VELOCITY_FILTER_WEIGHT) * lastVelocity;
+      lastVelocity = velocity;
+      radius = Math.max(MAX_WIDTH / (velocity + 1), MIN_WIDTH);
+    }
+    const width = radius * 2 * (0.5 + pressureAt(point.time));
+    return [round(point.x), round(point.y), round(Math.max(width, 0.1))];
+  });
+};
+
+// The pad's drawing as { width, height, strokes: [{ color, points: [[x, y, width]] }] } in
+// CSS pixels of the canvas - the shape the backend burns as PDF paths. Null when empty.
+export const strokesFromPad = (pad, canvas, pressureAt = () => 0.5) => {
+  const groups = pad.toData().filter((group) => group.length > 0);
+  if (groups.length === 0 || !canvas.offsetWidth || !canvas.offsetHeight) return null;
+  return {
+    width: canvas.offsetWidth,
+    height: canvas.offsetHeight,
+    strokes: groups.map((group) => ({
+      color: group[0].color,
+      points: strokePoints(group, pressureAt),
+    })),
+  };
+};
@@ -0,0 +1,186 @@
+// Field validation rules - the same checks the backend runs before burning (lib/validation.js)
+
+// Rule properties a field can carry; they travel with layouts and /sign-pdf payloads
+export const ruleKeys = [
+  'required',
+  'placeholder',
+  'maxLength',
+  'format',
+  'pattern',
+  'minDate',
+  'maxDate',
+  'groupName',
+];
+
+export const formats = [
+  { id: 'email', label: 'Email', test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) },
+  {
+    id: 'phone',
+    label: 'Phone',
+    test: (value) => /^\+?[\d\s().-]+$/.test(value) && value.replace(/\D/g, '').length >= 7,
+  },
+  { id: 'number', label: 'Number', test: (value) => /^[-+]?\d+(\.\d+)?$/.test(value) },
+  { id: 'regex', label: 'Custom pattern' },
+];
+
+const formatMessages = {
+  email: 'Must be an email address',
+  phone: 'Must be a phone number',
+  number: 'Must be a number',
+};
+
+// Characters each format accepts while typing - everything else is dropped
+const masks = {
+  phone: /[^\d\s()+.-]/g,
+  number: /[^\d.+-]/g,
+};
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Checkboxes and radios are burned checked only when their value is truthy, so false is unset
+const isUnset = (field) =>
+  ['radio', 'checkbox'].includes(field.type) ? !field.value : isEmpty(field.value);
+
+const compilePattern = (pattern) => {
+  try {
+    return new RegExp(`^(?:${pattern})$`);
+  } catch {
+    return null;
+  }
+};
+
+// Why a pattern could backtrack for an exponentially long time, or null. The server refuses them
+// (lib/validation.js), so a repeated group may not contain a quantifier or an alternation -
+// `(a+)+`, `(a?)*`, `(a|ab)*` - and backreferences are out. Run on valid patterns only.
+const patternRisk = (pattern) => {
+  // Per open group: can what's inside match in more than one way?
+  const groups = [{ varies: false }];
+  // What a quantifier here would repeat - null after `(`, `|` or another quantifier
+  let last = null;
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    const top = groups[groups.length - 1];
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1])) return 'backreferences are not allowed';
+      i += 1;
+      last = { varies: false };
+    } else if (char === '[') {
+      i += pattern[i + 1] === '^' ? 2 : 1;
+      if (pattern[i] === ']') i += 1;
+      while (i < pattern.length && pattern[i] !== ']') i += pattern[i] === '\\' ? 2 : 1;
+      last = { varies: false };
+    } else if (char === '(') {
+      const prefix = /^\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/.exec(pattern.slice(i + 1));
+      if (prefix) i += prefix[0].length;
+      groups.push({ varies: false });
+      last = null;
+    } else if (char === ')') {
+      last = groups.pop();
+      if (last.varies) groups[groups.length - 1].varies = true;
+    } else if (char === '|') {
+      top.varies = true;
+      last = null;
+    } else if ('*+?{'.includes(char)) {
+      let repeats = char !== '?';
+      let varies = true;
+      if (char === '{') {
+        const bounds = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+        if (!bounds) {
+          last = { varies: false };
+          continue;
+        }
+        const min = Number(bounds[1]);
+        const max = bounds[2] ? (bounds[3] === '' ? Infinity : Number(bounds[3])) : min;
+        repeats = max > 1;
+        varies = max !== min;
+        i += bounds[0].length - 1;
+      }
+      if (pattern[i + 1] === '?') i += 1;
+      if (repeats && last?.varies) return 'a repeated group may not contain a quantifier or |';
+      if (varies) top.varies = true;
+      last = null;
+    } else {
+      last = { varies: false };
+    }
+  }
+  return null;
+};
+
+export const pickRules = (field) =>
+  Object.fromEntries(
+    ruleKeys.filter((key) => field[key] !== undefined).map((key) => [key, field[key]])
+  );
+
+// Apply the field's input mask and length limit to what was typed
+export const maskValue = (field, value) => {
+  const masked = masks[field.format] ? value.replace(masks[field.format], '') : value;
+  return field.maxLength ? masked.slice(0, field.maxLength) : masked;
+};
+
+// Message for a single field's value, ignoring radio groups
+const valueError = (field) => {
+  if (field.format === 'regex' && !compilePattern(field.pattern || '')) {
+    return 'The pattern is not a valid regular expression';
+  }
+  const risk = field.format === 'regex' ? patternRisk(field.pattern) : null;
+  if (risk) return `The pattern could take too long to check: ${risk}`;
+  if (field.minDate && field.maxDate && field.minDate > field.maxDate) {
+    return 'The earliest date is after the latest date';
+  }
+
+  const { value } = field;
+  if (isUnset(field)) return field.required && !field.groupName ? 'This field is required' : null;
+
+  const text = String(value);
+  if (field.maxLength && text.length > field.maxLength) {
+    return `Must be at most ${field.maxLength} characters`;
+  }
+  if (field.format === 'regex') {
+    if (!compilePattern(field.pattern).test(text)) return 'Does not match the required format';
+  } else if (field.format && !formats.find((f) => f.id === field.format)?.test(text.trim())) {
+    return formatMessages[field.format];
+  }
+  if (field.type === 'date') {
+    if (field.minDate && text < field.minDate) return `Must be on or after ${field.minDate}`;
+    if (field.maxDate && text > field.maxDate) return `Must be on or before ${field.maxDate}`;
+  }
+  return null;
+};
+
+// { [fieldId]: message } for every field that would be rejected
+export const validateFields = (fields) => {
+  const errors = {};
+  fields.forEach((field) => {
+    const message = valueError(field);
+    if (message) errors[field.id] = message;
+  });
+
+  // A radio group is required when any member is, only one member may be selected, and
+  // members need distinct export values
+  const groups = new Map();
+  fields
+    .filter((f) => f.type === 'radio' && f.groupName)
+    .forEach((f) => groups.set(f.groupName, [...(groups.get(f.groupName) || []), f]));
+  groups.forEach((members, name) => {
+    const selected = members.filter((f) => f.value).length;
+    const exportValues = members.map((f) => f.exportValue).filter(Boolean);
+    let message = null;
+    if (new Set(exportValues).size < exportValues.length) {
+      message = `Options in "${name}" need different export values`;
+    } else if (selected > 1) {
+      message = `Only one option in "${name}" can be selected`;
+    } else if (selected === 0 && members.some((f) => f.required)) {
+      message = `Choose one option in "${name}"`;
+    }
+    if (message) members.forEach((f) => (errors[f.id] = errors[f.id] || message));
+  });
+  return errors;
+};
+
+// Field-level errors from a 400 response, keyed by field id
+export const serverFieldErrors = (error) =>
+  Object.fromEntries(
+    (error.response?.data?.errors || [])
+      .filter((e) => e.fieldId)
+      .map((e) => [e.fieldId, e.message])
+  );
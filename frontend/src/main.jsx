@@ -2,9 +2,20 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import SignerApp from './SignerApp.jsx'
+import SignInGate from './components/SignInGate.jsx'
+
+// Recipients arrive through their tokenized link: /?sign=<token>
+const signToken = new URLSearchParams(window.location.search).get('sign')
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {signToken ? (
+      <SignerApp token={signToken} />
+    ) : (
+      <SignInGate>
+        <App />
+      </SignInGate>
+    )}
   </StrictMode>,
 )